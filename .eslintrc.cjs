@@ -21,7 +21,19 @@ module.exports = {
         browser: 'readonly',
         PlatformDetector: 'readonly',
         ExportInterface: 'readonly',
-        UniversalExtractor: 'readonly'
+        UniversalExtractor: 'readonly',
+        ConversationArchive: 'readonly',
+        SearchIndex: 'readonly',
+        BulkExporter: 'readonly',
+        ZipWriter: 'readonly',
+        MarkdownConverter: 'readonly',
+        LatexMath: 'readonly',
+        LatexWriter: 'readonly',
+        PdfLayout: 'readonly',
+        DocxWriter: 'readonly',
+        EpubWriter: 'readonly',
+        VisualCapture: 'readonly',
+        importScripts: 'readonly'
     },
     rules: {
         'no-unused-vars': ['warn', { args: 'none', ignoreRestSiblings: true }],
@@ -3,6 +3,8 @@
  * Handles extension lifecycle, context menus, and communication
  */
 
+importScripts('core/conversation-archive.js', 'core/search-index.js');
+
 // Extension configuration
 const CONFIG = {
     version: '1.0.0',
@@ -23,7 +25,24 @@ const CONFIG = {
         'deepseek.com',
         'qwen.aliyun.com',
         'devin.ai'
-    ]
+    ],
+    // TurnWatcher archive retention (IndexedDB)
+    archive: {
+        maxSessions: 500,
+        maxAgeDays: 365
+    },
+    // Python stream receiver delivery (outbox retry policy)
+    receiver: {
+        url: 'http://localhost:7749',
+        schemaVersion: 2, // keep in step with TurnWatcher.SCHEMA_VERSION
+        tokenHeader: 'X-Exporter-Token',
+        handshakeTtlMs: 5 * 60 * 1000,
+        requestTimeoutMs: 10000,
+        baseRetryMs: 30 * 1000,
+        maxRetryMs: 30 * 60 * 1000,
+        maxPendingAgeDays: 7,
+        keepDelivered: 200
+    }
 };
 
 // Production-hardened state management
@@ -221,6 +240,9 @@ chrome.runtime.onStartup.addListener(async () => {
             updateBadge(),
             createContextMenus() // Recreate in case they were lost
         ]);
+
+        // Resume receiver deliveries that were pending at shutdown
+        flushOutbox();
         
         trackEvent('extension_started', {
             activeTabsRestored: await activeTabManager.size()
@@ -433,23 +455,33 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             break;
             
         case 'turn_captured':
-            handleTurnCapture(request.turn)
+            inCaptureOrder(() => handleTurnCapture(request.turn))
                 .then(() => sendResponse({ success: true }))
                 .catch(error => sendResponse({ success: false, error: error.message }));
             return true;
 
         case 'compaction_detected':
-            handleCompactionEvent(request)
+            inCaptureOrder(() => handleCompactionEvent(request))
                 .then(() => sendResponse({ success: true }))
                 .catch(error => sendResponse({ success: false, error: error.message }));
             return true;
 
         case 'get_captured_turns':
-            getCapturedTurns(request.sessionId)
+            getCapturedTurns(request.sessionId, {
+                offset: request.offset,
+                limit: request.limit,
+                platform: request.platform
+            })
                 .then(turns => sendResponse({ turns }))
                 .catch(error => sendResponse({ turns: [], error: error.message }));
             return true;
 
+        case 'search_turns':
+            searchTurns(request)
+                .then(({ results, total }) => sendResponse({ results, total }))
+                .catch(error => sendResponse({ results: [], total: 0, error: error.message }));
+            return true;
+
         case 'get_analytics':
             getAnalyticsData()
                 .then(data => sendResponse(data))
@@ -695,8 +727,76 @@ chrome.management.onDisabled.addListener((info) => {
 // TURN WATCHER — Continuous capture storage
 // ══════════════════════════════════════════════
 
+const conversationArchive = new ConversationArchive();
+const searchIndex = new SearchIndex(conversationArchive);
+let archiveReady = null;
+
+// Captures are stored (and queued for the receiver) strictly in arrival
+// order, so a compaction record never overtakes the turns it cites.
+let captureChain = Promise.resolve();
+
+function inCaptureOrder(task) {
+    const run = captureChain.then(task);
+    captureChain = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Migrate legacy storage and apply retention once per worker lifetime.
+ * Failures are logged, never thrown — capture must keep working.
+ */
+function ensureArchiveReady() {
+    if (!archiveReady) {
+        archiveReady = migrateSessionBlobs()
+            .then(() => conversationArchive.applyRetention(CONFIG.archive))
+            .then(async expired => {
+                for (const sessionId of expired) {
+                    await searchIndex.removeSession(sessionId);
+                }
+                if (expired.length > 0) {
+                    console.log(`🧹 Archive retention removed ${expired.length} session(s)`);
+                }
+            })
+            .then(() => searchIndex.ensureBuilt())
+            .then(indexed => {
+                if (indexed > 0) {
+                    console.log(`🔎 Search index built from ${indexed} archived turn(s)`);
+                }
+            })
+            .catch(error => console.warn('⚠️ Archive maintenance failed:', error));
+    }
+    return archiveReady;
+}
+
 /**
- * Store a captured turn in chrome.storage.local.
+ * Move pre-IndexedDB `tw_session_*` blobs and the compaction log out of
+ * chrome.storage.local. Keys are removed only after their data is copied.
+ */
+async function migrateSessionBlobs() {
+    const stored = await chrome.storage.local.get(null);
+    const sessionKeys = Object.keys(stored)
+        .filter(key => key.startsWith('tw_session_') && key !== 'tw_session_index');
+
+    for (const key of sessionKeys) {
+        const tree = upgradeSessionTree(stored[key]);
+        await conversationArchive.importSession(tree, flattenSessionTree(tree));
+    }
+
+    for (const record of stored.tw_compaction_log || []) {
+        await conversationArchive.addCompaction(record);
+    }
+
+    const legacyKeys = [...sessionKeys, 'tw_session_index', 'tw_compaction_log']
+        .filter(key => key in stored);
+
+    if (legacyKeys.length > 0) {
+        await chrome.storage.local.remove(legacyKeys);
+        console.log(`📦 Migrated ${sessionKeys.length} captured session(s) to IndexedDB`);
+    }
+}
+
+/**
+ * Store a captured turn in the IndexedDB archive.
  * Turns are keyed by sessionId for retrieval.
  * Also forwards to Python stream receiver as belt-and-suspenders.
  */
@@ -706,39 +806,20 @@ async function handleTurnCapture(turn) {
         return;
     }
 
-    const storageKey = `tw_session_${turn.sessionId}`;
-
     try {
-        // Append to session array in storage
-        const result = await chrome.storage.local.get(storageKey);
-        const session = result[storageKey] || {
-            sessionId: turn.sessionId,
-            conversationUrl: turn.conversationUrl,
-            platform: turn.platform,
-            startedAt: new Date().toISOString(),
-            turns: []
-        };
+        await ensureArchiveReady();
 
-        session.turns.push(turn);
-        session.lastUpdated = new Date().toISOString();
-        session.turnCount = session.turns.length;
+        // Insert into the session's branch tree
+        const session = await conversationArchive.putTurn(turn);
 
-        await chrome.storage.local.set({ [storageKey]: session });
+        // Search is a convenience — never lose a capture over it
+        await searchIndex.indexTurn(turn)
+            .catch(error => console.warn('⚠️ Search indexing failed:', error));
 
-        // Update session index
-        const indexResult = await chrome.storage.local.get('tw_session_index');
-        const index = indexResult.tw_session_index || [];
-        if (!index.includes(turn.sessionId)) {
-            index.push(turn.sessionId);
-            // Keep last 100 sessions
-            if (index.length > 100) index.shift();
-            await chrome.storage.local.set({ tw_session_index: index });
-        }
+        // Queue for the Python receiver (delivered by the outbox)
+        await forwardToReceiver('/turn', turn);
 
-        // Forward to Python receiver (best-effort, fire-and-forget)
-        forwardToReceiver('/turn', turn);
-
-        console.log(`📝 Turn stored: ${turn.role} | session ${turn.sessionId.slice(0, 12)}... | total: ${session.turnCount}`);
+        console.log(`📝 Turn stored: ${turn.role} | session ${turn.sessionId.slice(0, 12)}... | total: ${session.turnCount} | branches: ${session.branchCount}`);
 
     } catch (error) {
         console.error('💥 Turn storage failed:', error);
@@ -746,8 +827,77 @@ async function handleTurnCapture(turn) {
     }
 }
 
+// ── Session tree ──
+//
+// A session is a forest of turn nodes keyed by turn id:
+//   { nodes: { [id]: { ...turn, parentId, childIds } }, rootIds, activeLeafId }
+// An edited prompt or regenerated reply shares its parentId with the turn
+// it replaced, so every explored branch can be rebuilt from storage.
+// ConversationArchive.getSessionTree() returns the same shape.
+
 /**
- * Handle compaction detection event.
+ * Convert a pre-branching session ({ turns: [] }) into a single-branch tree.
+ */
+function upgradeSessionTree(session) {
+    if (session.nodes) return session;
+
+    const { turns = [], ...rest } = session;
+    const tree = { ...rest, nodes: {}, rootIds: [], activeLeafId: null };
+    let parentId = null;
+
+    turns.forEach((turn, index) => {
+        const id = tree.nodes[turn.id] ? `${turn.id}_${index}` : turn.id;
+        insertTurnNode(tree, { ...turn, id, parentId, branchIndex: 0 });
+        parentId = id;
+    });
+
+    return tree;
+}
+
+/**
+ * Add a turn to an in-memory tree. A turn whose id is already present
+ * replaces the node's content but keeps its children.
+ */
+function insertTurnNode(session, turn) {
+    const existing = session.nodes[turn.id];
+    const parentId = turn.parentId && session.nodes[turn.parentId] ? turn.parentId : null;
+
+    if (existing) {
+        session.nodes[turn.id] = { ...existing, ...turn, parentId: existing.parentId, childIds: existing.childIds };
+    } else {
+        session.nodes[turn.id] = { ...turn, parentId, childIds: [] };
+        if (parentId) {
+            session.nodes[parentId].childIds.push(turn.id);
+        } else {
+            session.rootIds.push(turn.id);
+        }
+    }
+
+    session.activeLeafId = turn.id;
+    session.turnCount = Object.keys(session.nodes).length;
+    session.branchCount = Object.values(session.nodes).filter(node => node.childIds.length === 0).length;
+    return session;
+}
+
+/**
+ * Depth-first list of every node, first-explored branch first. Each entry
+ * keeps parentId/childIds so callers can rebuild the tree.
+ */
+function flattenSessionTree(session) {
+    const ordered = [];
+    const visit = (id) => {
+        const node = session.nodes[id];
+        if (!node) return;
+        ordered.push(node);
+        node.childIds.forEach(visit);
+    };
+    session.rootIds.forEach(visit);
+    return ordered;
+}
+
+/**
+ * Handle compaction detection event. The watcher has already pushed every
+ * turn it cites; `turnIds` is the pre-compaction branch, root → leaf.
  */
 async function handleCompactionEvent(event) {
     const compactionRecord = {
@@ -755,65 +905,355 @@ async function handleCompactionEvent(event) {
         sessionId: event.sessionId,
         conversationUrl: event.conversationUrl,
         timestamp: event.timestamp || new Date().toISOString(),
-        capturedTurns: event.capturedTurns || 0
+        capturedTurns: event.capturedTurns || 0,
+        turnIds: Array.isArray(event.turnIds) ? event.turnIds : [],
+        leafTurnId: event.leafTurnId || null,
+        pushedTurnIds: Array.isArray(event.pushedTurnIds) ? event.pushedTurnIds : [],
+        transcriptHash: event.transcriptHash || null,
+        schemaVersion: CONFIG.receiver.schemaVersion
     };
 
     // Store compaction events
-    const result = await chrome.storage.local.get('tw_compaction_log');
-    const log = result.tw_compaction_log || [];
-    log.push(compactionRecord);
-    if (log.length > 50) log.shift();
-    await chrome.storage.local.set({ tw_compaction_log: log });
+    await ensureArchiveReady();
+    await conversationArchive.addCompaction(compactionRecord);
 
-    // Forward to receiver
-    forwardToReceiver('/event', compactionRecord);
+    // Queue for the Python receiver
+    await forwardToReceiver('/event', compactionRecord);
 
     console.log('🚨 Compaction event logged:', compactionRecord);
 }
 
 /**
- * Retrieve captured turns for a session.
+ * Retrieve captured turns for a session — every branch, depth-first.
+ * With `limit`, returns one page of turns in capture order instead.
+ * Without a sessionId, returns a page of session summaries (newest first),
+ * optionally for one platform.
  */
-async function getCapturedTurns(sessionId) {
+async function getCapturedTurns(sessionId, { offset = 0, limit = null, platform = null } = {}) {
+    await ensureArchiveReady();
+
     if (!sessionId) {
-        // Return all session summaries
-        const indexResult = await chrome.storage.local.get('tw_session_index');
-        const index = indexResult.tw_session_index || [];
-        const summaries = [];
-
-        for (const sid of index.slice(-20)) {
-            const result = await chrome.storage.local.get(`tw_session_${sid}`);
-            const session = result[`tw_session_${sid}`];
-            if (session) {
-                summaries.push({
-                    sessionId: sid,
-                    conversationUrl: session.conversationUrl,
-                    turnCount: session.turnCount,
-                    startedAt: session.startedAt,
-                    lastUpdated: session.lastUpdated
-                });
-            }
-        }
+        const sessions = await conversationArchive.listSessions({ offset, limit: limit || 20, platform });
+        return sessions.map(summarizeSession);
+    }
 
-        return summaries;
+    if (limit) {
+        return conversationArchive.getTurns(sessionId, { offset, limit });
     }
 
-    const result = await chrome.storage.local.get(`tw_session_${sessionId}`);
-    return result[`tw_session_${sessionId}`]?.turns || [];
+    const tree = await conversationArchive.getSessionTree(sessionId);
+    return tree ? flattenSessionTree(tree) : [];
+}
+
+function summarizeSession(session) {
+    return {
+        sessionId: session.sessionId,
+        conversationUrl: session.conversationUrl,
+        platform: session.platform,
+        turnCount: session.turnCount,
+        branchCount: session.branchCount || 1,
+        activeLeafId: session.activeLeafId || null,
+        startedAt: session.startedAt,
+        lastUpdated: session.lastUpdated
+    };
 }
 
 /**
- * Forward data to the Python stream receiver (fire-and-forget).
+ * Full-text search over captured turns and thinking blocks.
+ * Request fields: query, platform, role, from, to, offset, limit.
  */
-function forwardToReceiver(endpoint, data) {
-    const url = `http://localhost:7749${endpoint}`;
-    fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(data)
-    }).catch(() => {
-        // Receiver not running — fine, storage has the data
+async function searchTurns({ query, platform = null, role = null, from = null, to = null, offset = 0, limit = 20 } = {}) {
+    await ensureArchiveReady();
+
+    const { results, total } = await searchIndex.search({
+        query,
+        platform,
+        role,
+        from,
+        to,
+        offset: Math.max(0, offset || 0),
+        limit: Math.min(100, Math.max(1, limit || 20))
     });
+
+    return {
+        results: results.map(result => ({
+            ...result,
+            session: result.session ? summarizeSession(result.session) : null
+        })),
+        total
+    };
+}
+
+// ══════════════════════════════════════════════
+// RECEIVER OUTBOX — reliable delivery to localhost:7749
+// ══════════════════════════════════════════════
+//
+// Every /turn and /event is written to the archive's outbox before any
+// network attempt. Pending items are delivered oldest-first; a failed item
+// holds back the rest of its session so the receiver always sees a session
+// in order. Retries back off exponentially and are woken by chrome.alarms,
+// so they survive service-worker restarts. The Idempotency-Key header stays
+// the same across retries, letting the receiver drop duplicates.
+//
+// Nothing is sent until the user has pasted the receiver's token into the
+// popup. Each flush first calls GET /handshake (cached for handshakeTtlMs)
+// to check the token and that the receiver accepts our schemaVersion.
+
+const OUTBOX_ALARM = 'receiver-outbox';
+let outboxFlush = null;
+let outboxFlushQueued = false;
+let receiverHandshakeCache = null;   // { token, checkedAt }
+let receiverHandshakeFailures = 0;
+let lastReceiverProblem = null;
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === OUTBOX_ALARM) {
+        flushOutbox();
+    }
+});
+
+// A new token may unblock everything that is waiting
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.receiverToken) {
+        receiverHandshakeCache = null;
+        receiverHandshakeFailures = 0;
+        flushOutbox();
+    }
+});
+
+/**
+ * Queue data for the Python stream receiver and kick off delivery.
+ */
+async function forwardToReceiver(endpoint, data) {
+    try {
+        await conversationArchive.enqueueOutbox({
+            endpoint,
+            payload: data,
+            sessionId: data.sessionId || null,
+            idempotencyKey: crypto.randomUUID()
+        });
+    } catch (error) {
+        console.warn('⚠️ Outbox enqueue failed:', error);
+        return;
+    }
+
+    flushOutbox();
+}
+
+/**
+ * Deliver pending outbox items. Calls made while a flush is running are
+ * coalesced into one more pass, so newly queued items are never stranded.
+ */
+function flushOutbox() {
+    if (outboxFlush) {
+        outboxFlushQueued = true;
+        return outboxFlush;
+    }
+
+    outboxFlush = (async () => {
+        do {
+            outboxFlushQueued = false;
+            await deliverPendingOutbox();
+        } while (outboxFlushQueued);
+    })()
+        .catch(error => console.warn('⚠️ Outbox flush failed:', error))
+        .finally(() => {
+            outboxFlush = null;
+        });
+
+    return outboxFlush;
+}
+
+async function deliverPendingOutbox() {
+    const settings = CONFIG.receiver;
+    const now = Date.now();
+    const expiresBefore = new Date(now - settings.maxPendingAgeDays * 24 * 60 * 60 * 1000).toISOString();
+    const blockedSessions = new Set();
+    const pending = [];
+    let delivered = 0;
+
+    // Expire first, so a receiver that never shows up can't grow the outbox forever
+    for (const item of await conversationArchive.getPendingOutbox()) {
+        if (item.createdAt < expiresBefore) {
+            item.status = 'expired';
+            await conversationArchive.updateOutboxItem(item);
+        } else {
+            pending.push(item);
+        }
+    }
+
+    await conversationArchive.pruneOutbox({ keepFinished: settings.keepDelivered });
+
+    if (pending.length === 0) {
+        await scheduleOutboxAlarm();
+        return;
+    }
+
+    const token = await getReceiverToken();
+    if (!token) {
+        reportReceiverProblem('no receiver token configured — deliveries wait in the outbox');
+        return; // the storage listener flushes once a token is saved
+    }
+
+    const handshake = await receiverHandshake(token);
+    if (!handshake.ok) {
+        receiverHandshakeFailures++;
+        reportReceiverProblem(handshake.error);
+        await scheduleOutboxAlarm(Date.now() + outboxBackoff(receiverHandshakeFailures));
+        return;
+    }
+    receiverHandshakeFailures = 0;
+    lastReceiverProblem = null;
+
+    for (const item of pending) {
+        const lane = item.sessionId || 'global';
+        if (blockedSessions.has(lane)) continue;
+
+        if (item.nextAttemptAt > now) {
+            blockedSessions.add(lane);
+            continue;
+        }
+
+        const result = await postToReceiver(item, token);
+        item.attempts++;
+
+        if (result.ok) {
+            item.status = 'delivered';
+            item.deliveredAt = new Date().toISOString();
+            item.lastError = null;
+            delivered++;
+        } else if (result.permanent) {
+            // The receiver refused the payload — retrying won't change that
+            item.status = 'rejected';
+            item.lastError = result.error;
+            console.warn(`⚠️ Receiver rejected ${item.endpoint} item ${item.id}: ${result.error}`);
+        } else {
+            item.lastError = result.error;
+            item.nextAttemptAt = Date.now() + outboxBackoff(item.attempts);
+            blockedSessions.add(lane);
+        }
+
+        await conversationArchive.updateOutboxItem(item);
+
+        // Receiver gone or token revoked — stop here, the alarm will retry
+        if (result.unreachable || result.unauthorized) break;
+    }
+
+    if (delivered > 0) {
+        console.log(`📬 Delivered ${delivered} queued item(s) to the stream receiver`);
+    }
+
+    await scheduleOutboxAlarm();
+}
+
+async function getReceiverToken() {
+    const result = await chrome.storage.local.get('receiverToken');
+    return result.receiverToken || null;
+}
+
+function reportReceiverProblem(message) {
+    if (message !== lastReceiverProblem) {
+        console.warn(`⚠️ Stream receiver: ${message}`);
+        lastReceiverProblem = message;
+    }
+}
+
+/**
+ * GET /handshake — confirms the token and that the receiver accepts our
+ * schemaVersion. Successful checks are cached per token.
+ */
+async function receiverHandshake(token) {
+    const { url, tokenHeader, schemaVersion, handshakeTtlMs, requestTimeoutMs } = CONFIG.receiver;
+    const cached = receiverHandshakeCache;
+    if (cached && cached.token === token && Date.now() - cached.checkedAt < handshakeTtlMs) {
+        return { ok: true };
+    }
+
+    try {
+        const response = await fetch(`${url}/handshake`, {
+            headers: { [tokenHeader]: token },
+            signal: AbortSignal.timeout(requestTimeoutMs)
+        });
+
+        if (response.status === 401 || response.status === 403) {
+            return { ok: false, error: 'token rejected — copy it again from the receiver output' };
+        }
+        if (!response.ok) {
+            return { ok: false, error: `handshake failed (HTTP ${response.status})` };
+        }
+
+        const info = await response.json();
+        const versions = Array.isArray(info.schemaVersions) ? info.schemaVersions : [];
+        if (!versions.includes(schemaVersion)) {
+            return {
+                ok: false,
+                error: `receiver accepts schema ${versions.join(', ') || 'none'}, extension sends ${schemaVersion}`
+            };
+        }
+
+        receiverHandshakeCache = { token, checkedAt: Date.now() };
+        return { ok: true };
+
+    } catch (error) {
+        return { ok: false, error: `not reachable (${error.message})` };
+    }
+}
+
+/**
+ * POST one outbox item. 409 means the receiver already has it (idempotency
+ * hit); other 4xx responses are permanent, except auth, timeouts and rate
+ * limits.
+ */
+async function postToReceiver(item, token) {
+    try {
+        const response = await fetch(`${CONFIG.receiver.url}${item.endpoint}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': item.idempotencyKey,
+                [CONFIG.receiver.tokenHeader]: token
+            },
+            body: JSON.stringify(item.payload),
+            signal: AbortSignal.timeout(CONFIG.receiver.requestTimeoutMs)
+        });
+
+        if (response.ok || response.status === 409) {
+            return { ok: true };
+        }
+
+        if (response.status === 401 || response.status === 403) {
+            receiverHandshakeCache = null;
+            return { ok: false, unauthorized: true, error: `HTTP ${response.status}` };
+        }
+
+        const permanent = response.status >= 400 && response.status < 500 &&
+            ![408, 429].includes(response.status);
+        return { ok: false, permanent, error: `HTTP ${response.status}` };
+
+    } catch (error) {
+        return { ok: false, unreachable: true, error: error.message };
+    }
+}
+
+function outboxBackoff(attempts) {
+    const { baseRetryMs, maxRetryMs } = CONFIG.receiver;
+    return Math.min(baseRetryMs * 2 ** (attempts - 1), maxRetryMs);
+}
+
+/**
+ * Point the outbox alarm at the earliest pending retry (but not before
+ * `notBefore`), or clear it when nothing is pending.
+ */
+async function scheduleOutboxAlarm(notBefore = 0) {
+    const pending = await conversationArchive.getPendingOutbox();
+
+    if (pending.length === 0) {
+        await chrome.alarms.clear(OUTBOX_ALARM);
+        return;
+    }
+
+    const nextAttemptAt = pending.reduce((earliest, item) => Math.min(earliest, item.nextAttemptAt), Infinity);
+    await chrome.alarms.create(OUTBOX_ALARM, { when: Math.max(nextAttemptAt, notBefore, Date.now() + 1000) });
 }
 
 console.log(`🚀 ${CONFIG.name} v${CONFIG.version} background script loaded`);
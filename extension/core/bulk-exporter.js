@@ -0,0 +1,455 @@
+/**
+ * BulkExporter — Export every conversation listed in the platform sidebar
+ *
+ * Walks the sidebar links one conversation at a time: navigate in-page
+ * (the SPA router handles the click), wait until the new conversation has
+ * rendered and gone quiet, then run the platform extractor, which hydrates
+ * virtualized history before it reads the DOM. Each result is serialized
+ * straight away so the raw page HTML of hundreds of conversations is never
+ * held at once. Everything lands in one JSON archive.
+ *
+ * Conversation IDs that made it into a downloaded archive are remembered in
+ * extension storage, so later runs can skip them. The queue itself lives in
+ * the page: pausing keeps it, reloading the tab ends the run.
+ */
+
+class BulkExporter {
+    constructor(options = {}) {
+        this.platformInfo = options.platformInfo || null;
+        this.platform = this.platformInfo?.platform || 'unknown';
+
+        // (exportData) => archive entry; defaults to the extractor output
+        this.serialize = options.serialize || ((data) => data);
+        // (content, filename, mimeType) => Promise
+        this.download = options.download || (() => Promise.resolve());
+        this.onProgress = options.onProgress || (() => {});
+
+        this.config = {
+            // How long a conversation may take to appear after navigating (ms)
+            navigationTimeoutMs: options.navigationTimeoutMs || 20000,
+            // DOM must be free of mutations this long before extracting (ms)
+            settleMs: options.settleMs || 1500,
+            // Pause between conversations, to stay polite to the platform (ms)
+            delayMs: options.delayMs !== undefined ? options.delayMs : 1000,
+            // Sidebar scroll rounds while looking for more links
+            maxSidebarScrolls: options.maxSidebarScrolls || 40
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        this.status = 'idle';  // idle | running | paused | done | cancelled
+        this.items = [];
+        this.results = [];
+        this.runPromise = null;
+        this.looping = false;
+        this.archive = null;
+    }
+
+    // ══════════════════════════════════════════════
+    // PUBLIC API
+    // ══════════════════════════════════════════════
+
+    /**
+     * Enumerate the sidebar and export every conversation in it. Resolves
+     * with the archive once the queue is drained, or null when paused or
+     * cancelled first.
+     */
+    async start({ skipExported = true } = {}) {
+        if (this.status === 'running' || this.status === 'paused') {
+            throw new Error('A bulk export is already in progress');
+        }
+
+        this.reset();
+        const links = await this.enumerateConversations();
+        if (links.length === 0) {
+            throw new Error('No conversations found in the sidebar');
+        }
+
+        const exported = skipExported ? await this.loadExportedIds() : new Set();
+        this.items = links.map((link) => ({
+            ...link,
+            status: exported.has(link.conversationId) ? 'skipped' : 'pending',
+            error: null
+        }));
+
+        console.log(`📦 Bulk export queued ${links.length} conversations (${exported.size} already exported)`);
+        this.status = 'running';
+        return this.run();
+    }
+
+    /**
+     * Stop after the conversation currently being extracted.
+     */
+    pause() {
+        if (this.status !== 'running') return;
+        this.status = 'paused';
+        this.emitProgress();
+    }
+
+    /**
+     * Continue a paused run. A pause that lands mid-extraction has not
+     * stopped the loop yet, so that loop simply carries on.
+     */
+    resume() {
+        if (this.status !== 'paused') return this.runPromise;
+        this.status = 'running';
+        if (this.looping) {
+            this.emitProgress();
+            return this.runPromise;
+        }
+        return this.run();
+    }
+
+    /**
+     * Stop now and download what has been exported so far.
+     */
+    async finish() {
+        if (this.status === 'running') {
+            this.status = 'paused';
+        }
+        if (this.looping) {
+            await this.runPromise;
+        }
+        if (this.status !== 'paused') return this.archive;
+        return this.complete();
+    }
+
+    /**
+     * Stop and drop the collected conversations without downloading.
+     */
+    cancel() {
+        if (this.status !== 'running' && this.status !== 'paused') return;
+        this.status = 'cancelled';
+        this.results = [];
+        this.emitProgress();
+    }
+
+    getProgress(current = null) {
+        const count = (status) => this.items.filter((item) => item.status === status).length;
+        return {
+            status: this.status,
+            total: this.items.length,
+            done: count('done'),
+            skipped: count('skipped'),
+            failed: count('failed'),
+            pending: count('pending'),
+            current: current ? { conversationId: current.conversationId, title: current.title } : null
+        };
+    }
+
+    // ══════════════════════════════════════════════
+    // QUEUE
+    // ══════════════════════════════════════════════
+
+    run() {
+        this.emitProgress();
+        this.runPromise = this.processQueue();
+        return this.runPromise;
+    }
+
+    async processQueue() {
+        this.looping = true;
+        try {
+            return await this.drainQueue();
+        } finally {
+            this.looping = false;
+        }
+    }
+
+    async drainQueue() {
+        while (this.status === 'running') {
+            const item = this.items.find((candidate) => candidate.status === 'pending');
+            if (!item) {
+                return this.complete();
+            }
+
+            item.status = 'active';
+            this.emitProgress(item);
+
+            try {
+                const data = await this.exportConversation(item);
+                if (this.status === 'cancelled') break;
+                this.results.push({
+                    conversationId: item.conversationId,
+                    url: item.url,
+                    title: data?.metadata?.title || item.title,
+                    data: this.serialize(data)
+                });
+                item.status = 'done';
+            } catch (error) {
+                console.warn(`⚠️ Bulk export failed for ${item.conversationId}:`, error.message);
+                item.status = 'failed';
+                item.error = error.message;
+            }
+
+            this.emitProgress();
+            if (this.status === 'running' && this.items.some((candidate) => candidate.status === 'pending')) {
+                await this.wait(this.config.delayMs);
+            }
+        }
+        return null;
+    }
+
+    async complete() {
+        this.status = 'done';
+        this.archive = this.buildArchive();
+
+        if (this.results.length > 0) {
+            const date = this.archive.exportedAt.slice(0, 10);
+            await this.download(
+                JSON.stringify(this.archive, null, 2),
+                `${this.platform}-bulk-export-${date}.json`,
+                'application/json'
+            );
+            await this.markExported(this.results.map((result) => result.conversationId));
+        }
+
+        console.log(`✅ Bulk export archived ${this.results.length} conversations`);
+        this.emitProgress();
+        return this.archive;
+    }
+
+    buildArchive() {
+        const describe = (item) => ({ conversationId: item.conversationId, url: item.url, title: item.title });
+        return {
+            format: 'uae-bulk-export',
+            version: BulkExporter.ARCHIVE_VERSION,
+            platform: this.platform,
+            exportedAt: new Date().toISOString(),
+            conversationCount: this.results.length,
+            conversations: this.results,
+            skipped: this.items.filter((item) => item.status === 'skipped').map(describe),
+            failed: this.items
+                .filter((item) => item.status === 'failed')
+                .map((item) => ({ ...describe(item), error: item.error })),
+            // Still queued when the run was finished early
+            remaining: this.items.filter((item) => item.status === 'pending').map(describe)
+        };
+    }
+
+    emitProgress(current = null) {
+        try {
+            this.onProgress(this.getProgress(current));
+        } catch (error) {
+            console.warn('⚠️ Bulk export progress handler failed:', error);
+        }
+    }
+
+    // ══════════════════════════════════════════════
+    // SIDEBAR
+    // ══════════════════════════════════════════════
+
+    getSidebarSelector() {
+        if (typeof PlatformDetector === 'undefined') return '';
+        const versions = new PlatformDetector().getSelectorVersions(this.platform);
+        return Object.values(versions).map((selectors) => selectors.sidebarLinks).find(Boolean) || '';
+    }
+
+    getSidebarAnchors() {
+        return this.safeQueryAll(this.getSidebarSelector()).filter((anchor) => anchor.getAttribute('href'));
+    }
+
+    /**
+     * Conversation id from a conversation URL: the last path segment of a
+     * path at least two segments deep (/chat/<id>, /c/<id>, /app/<id>).
+     */
+    getConversationId(url) {
+        try {
+            const segments = new URL(url, window.location.href).pathname.split('/').filter(Boolean);
+            return segments.length >= 2 ? decodeURIComponent(segments[segments.length - 1]) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    collectLinks(into = new Map()) {
+        this.getSidebarAnchors().forEach((anchor) => {
+            const url = new URL(anchor.getAttribute('href'), window.location.href).href;
+            const conversationId = this.getConversationId(url);
+            if (!conversationId || into.has(conversationId)) return;
+            into.set(conversationId, {
+                conversationId,
+                url,
+                title: (anchor.textContent || '').replace(/\s+/g, ' ').trim() || conversationId
+            });
+        });
+        return into;
+    }
+
+    /**
+     * Collect sidebar links, scrolling the sidebar until it stops loading
+     * more. Links are merged by id because virtualized lists drop the ones
+     * scrolled out of view.
+     */
+    async enumerateConversations() {
+        const links = this.collectLinks();
+        let stableRounds = 0;
+
+        for (let round = 0; round < this.config.maxSidebarScrolls && stableRounds < 2; round++) {
+            const anchors = this.getSidebarAnchors();
+            const scroller = this.findScrollableAncestor(anchors[anchors.length - 1]);
+            if (!scroller) break;
+
+            const before = links.size;
+            scroller.scrollTop = scroller.scrollHeight;
+            await this.wait(400);
+            this.collectLinks(links);
+            stableRounds = links.size > before ? 0 : stableRounds + 1;
+        }
+
+        return Array.from(links.values());
+    }
+
+    findScrollableAncestor(element) {
+        for (let node = element?.parentElement; node && node !== document.body; node = node.parentElement) {
+            if (node.scrollHeight > node.clientHeight + 20) return node;
+        }
+        return null;
+    }
+
+    // ══════════════════════════════════════════════
+    // NAVIGATION + EXTRACTION
+    // ══════════════════════════════════════════════
+
+    async exportConversation(item) {
+        if (this.getConversationId(window.location.href) !== item.conversationId) {
+            await this.navigateTo(item);
+        }
+
+        const ExtractorClass = window[this.platformInfo?.config?.extractor] || UniversalExtractor;
+        const extractor = new ExtractorClass(this.platformInfo);
+        return extractor.extractConversation();
+    }
+
+    /**
+     * Open a conversation through the sidebar link so the platform's router
+     * handles it; pushState + popstate covers links that have scrolled away.
+     */
+    async navigateTo(item) {
+        const previous = this.conversationSignature();
+        const anchor = this.getSidebarAnchors()
+            .find((candidate) => this.getConversationId(candidate.getAttribute('href')) === item.conversationId);
+
+        if (anchor) {
+            anchor.click();
+        } else {
+            history.pushState({}, '', item.url);
+            window.dispatchEvent(new PopStateEvent('popstate', { state: {} }));
+        }
+
+        const deadline = Date.now() + this.config.navigationTimeoutMs;
+        await this.waitFor(
+            () => this.getConversationId(window.location.href) === item.conversationId,
+            deadline,
+            'page did not navigate'
+        );
+        await this.waitFor(() => {
+            const signature = this.conversationSignature();
+            return signature !== '' && signature !== previous;
+        }, deadline, 'conversation did not render');
+        await this.waitForQuiet(deadline);
+    }
+
+    /**
+     * Cheap fingerprint of the rendered messages, used to tell the new
+     * conversation apart from the one it replaced.
+     */
+    conversationSignature() {
+        const nodes = this.safeQueryAll(this.platformInfo?.config?.selectors?.messages);
+        if (nodes.length === 0) return '';
+        const text = (node) => (node.textContent || '').replace(/\s+/g, ' ').trim();
+        return `${nodes.length}|${text(nodes[0]).slice(0, 200)}|${text(nodes[nodes.length - 1]).slice(-200)}`;
+    }
+
+    async waitFor(predicate, deadline, message) {
+        while (!predicate()) {
+            if (Date.now() >= deadline) {
+                throw new Error(message);
+            }
+            await this.wait(100);
+        }
+    }
+
+    /**
+     * Resolve once the page has gone settleMs without a mutation, or at the
+     * deadline — streaming and lazy rendering finish before extraction.
+     */
+    waitForQuiet(deadline) {
+        return new Promise((resolve) => {
+            let timer = null;
+            const done = () => {
+                observer.disconnect();
+                clearTimeout(timer);
+                clearTimeout(cap);
+                resolve();
+            };
+            const observer = new MutationObserver(() => {
+                clearTimeout(timer);
+                timer = setTimeout(done, this.config.settleMs);
+            });
+            observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+            timer = setTimeout(done, this.config.settleMs);
+            const cap = setTimeout(done, Math.max(0, deadline - Date.now()));
+        });
+    }
+
+    // ══════════════════════════════════════════════
+    // STORAGE
+    // ══════════════════════════════════════════════
+
+    getStorageArea() {
+        const extApi = typeof chrome !== 'undefined' ? chrome :
+                       typeof browser !== 'undefined' ? browser : null;
+        return extApi?.storage?.local || null;
+    }
+
+    loadExportedIds() {
+        const storageArea = this.getStorageArea();
+        if (!storageArea?.get) return Promise.resolve(new Set());
+
+        return new Promise((resolve) => {
+            storageArea.get(BulkExporter.STORAGE_KEY, (result = {}) => {
+                const byPlatform = result[BulkExporter.STORAGE_KEY] || {};
+                resolve(new Set(byPlatform[this.platform] || []));
+            });
+        });
+    }
+
+    markExported(conversationIds) {
+        const storageArea = this.getStorageArea();
+        if (!storageArea?.get || !storageArea?.set) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            storageArea.get(BulkExporter.STORAGE_KEY, (result = {}) => {
+                const byPlatform = result[BulkExporter.STORAGE_KEY] || {};
+                const ids = new Set([...(byPlatform[this.platform] || []), ...conversationIds]);
+                byPlatform[this.platform] = Array.from(ids);
+                storageArea.set({ [BulkExporter.STORAGE_KEY]: byPlatform }, () => resolve());
+            });
+        });
+    }
+
+    // ══════════════════════════════════════════════
+    // HELPERS
+    // ══════════════════════════════════════════════
+
+    safeQueryAll(selector, context = document) {
+        if (!selector) return [];
+        try {
+            return Array.from(context.querySelectorAll(selector));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    wait(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+}
+
+BulkExporter.ARCHIVE_VERSION = 1;
+BulkExporter.STORAGE_KEY = 'bulkExportedIds';
+
+window.BulkExporter = BulkExporter;
@@ -0,0 +1,438 @@
+/**
+ * ConversationArchive — IndexedDB store for TurnWatcher captures
+ *
+ * Replaces the per-session chrome.storage.local blobs. Each turn is its own
+ * record, so a capture writes one row instead of rewriting the session.
+ *
+ * Tables:
+ *   sessions     sessionId → { conversationUrl, platform, startedAt,
+ *                lastUpdated, turnCount, branchCount, activeLeafId }
+ *   turns        [sessionId, id] → turn + { parentId, childIds, seq }
+ *                (seq = capture order within the session, 0-based)
+ *   compactions  auto id → compaction record
+ *   outbox       auto id → pending receiver delivery
+ *                { endpoint, payload, sessionId, idempotencyKey, status,
+ *                attempts, nextAttemptAt, lastError, createdAt, deliveredAt }
+ *                (auto id = enqueue order)
+ *   searchDocs, searchPostings, searchMeta
+ *                full-text index, maintained by SearchIndex
+ *
+ * Loaded into the service worker with importScripts().
+ */
+
+class ConversationArchive {
+    constructor(config = {}) {
+        this.dbName = config.dbName || 'universal-exporter-archive';
+        this.dbVersion = 3;
+        this.dbPromise = null;
+    }
+
+    // ══════════════════════════════════════════════
+    // CONNECTION
+    // ══════════════════════════════════════════════
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+
+                if (event.oldVersion < 1) {
+                    this.createCaptureStores(db);
+                }
+
+                if (event.oldVersion < 2) {
+                    const outbox = db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                    outbox.createIndex('status', 'status');
+                    outbox.createIndex('idempotencyKey', 'idempotencyKey', { unique: true });
+                }
+
+                if (event.oldVersion < 3) {
+                    this.createSearchStores(db);
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        this.dbPromise.catch(() => {
+            this.dbPromise = null; // allow a retry on the next call
+        });
+
+        return this.dbPromise;
+    }
+
+    createCaptureStores(db) {
+        const sessions = db.createObjectStore('sessions', { keyPath: 'sessionId' });
+        sessions.createIndex('lastUpdated', 'lastUpdated');
+        sessions.createIndex('platform', 'platform');
+
+        const turns = db.createObjectStore('turns', { keyPath: ['sessionId', 'id'] });
+        turns.createIndex('sessionSeq', ['sessionId', 'seq']);
+
+        const compactions = db.createObjectStore('compactions', { keyPath: 'id', autoIncrement: true });
+        compactions.createIndex('sessionId', 'sessionId');
+        compactions.createIndex('timestamp', 'timestamp');
+    }
+
+    createSearchStores(db) {
+        db.createObjectStore('searchDocs', { keyPath: ['sessionId', 'turnId'] });
+        db.createObjectStore('searchPostings', { keyPath: ['term', 'sessionId', 'turnId'] });
+        db.createObjectStore('searchMeta', { keyPath: 'key' });
+    }
+
+    close() {
+        if (!this.dbPromise) return;
+        this.dbPromise.then(db => db.close()).catch(() => {});
+        this.dbPromise = null;
+    }
+
+    // ══════════════════════════════════════════════
+    // WRITES
+    // ══════════════════════════════════════════════
+
+    /**
+     * Insert a turn into its session's tree. A turn id that is already stored
+     * (re-sent after streaming finished) replaces the content in place and
+     * keeps its position and children. Returns the updated session record.
+     */
+    async putTurn(turn) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'turns'], 'readwrite');
+        const sessions = tx.objectStore('sessions');
+        const turns = tx.objectStore('turns');
+        const now = new Date().toISOString();
+
+        const session = await this.request(sessions.get(turn.sessionId)) || {
+            sessionId: turn.sessionId,
+            conversationUrl: turn.conversationUrl,
+            platform: turn.platform,
+            startedAt: now,
+            turnCount: 0,
+            branchCount: 0,
+            activeLeafId: null
+        };
+
+        const existing = await this.request(turns.get([turn.sessionId, turn.id]));
+        let record;
+
+        if (existing) {
+            record = { ...existing, ...turn, parentId: existing.parentId, childIds: existing.childIds, seq: existing.seq };
+        } else {
+            const parent = turn.parentId
+                ? await this.request(turns.get([turn.sessionId, turn.parentId]))
+                : null;
+
+            record = { ...turn, parentId: parent ? parent.id : null, childIds: [], seq: session.turnCount };
+
+            // branchCount counts leaves: a first child replaces its parent as the leaf
+            if (!parent || parent.childIds.length > 0) session.branchCount++;
+            if (parent) {
+                parent.childIds.push(turn.id);
+                turns.put(parent);
+            }
+            session.turnCount++;
+        }
+
+        session.activeLeafId = turn.id;
+        session.lastUpdated = now;
+
+        turns.put(record);
+        sessions.put(session);
+        await this.transactionDone(tx);
+
+        return session;
+    }
+
+    /**
+     * Copy a session that was stored elsewhere (legacy chrome.storage blob).
+     * `turns` must be parent-first; the original timestamps are preserved.
+     */
+    async importSession(session, turns) {
+        for (const turn of turns) {
+            await this.putTurn({ ...turn, sessionId: session.sessionId });
+        }
+
+        const db = await this.open();
+        const tx = db.transaction('sessions', 'readwrite');
+        const store = tx.objectStore('sessions');
+        const record = await this.request(store.get(session.sessionId));
+
+        if (record) {
+            store.put({
+                ...record,
+                conversationUrl: session.conversationUrl || record.conversationUrl,
+                platform: session.platform || record.platform,
+                startedAt: session.startedAt || record.startedAt,
+                lastUpdated: session.lastUpdated || record.lastUpdated
+            });
+        }
+
+        await this.transactionDone(tx);
+    }
+
+    async addCompaction(record) {
+        const db = await this.open();
+        const tx = db.transaction('compactions', 'readwrite');
+        const id = await this.request(tx.objectStore('compactions').add({ ...record }));
+        await this.transactionDone(tx);
+        return id;
+    }
+
+    /**
+     * Delete a session with all of its turns and compaction events.
+     */
+    async deleteSession(sessionId) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'turns', 'compactions'], 'readwrite');
+
+        tx.objectStore('sessions').delete(sessionId);
+        tx.objectStore('turns').delete(IDBKeyRange.bound([sessionId], [sessionId, []]));
+
+        const compactionIds = await this.request(
+            tx.objectStore('compactions').index('sessionId').getAllKeys(sessionId)
+        );
+        compactionIds.forEach(id => tx.objectStore('compactions').delete(id));
+
+        await this.transactionDone(tx);
+    }
+
+    /**
+     * Drop sessions beyond the retention policy:
+     *   maxSessions — keep only the N most recently updated
+     *   maxAgeDays  — drop sessions not updated within N days
+     * Returns the deleted session ids.
+     */
+    async applyRetention({ maxSessions = null, maxAgeDays = null } = {}) {
+        const cutoff = maxAgeDays
+            ? new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString()
+            : null;
+        const expired = [];
+        let kept = 0;
+
+        await this.iterate('sessions', 'lastUpdated', 'prev', (session) => {
+            const tooOld = cutoff && session.lastUpdated < cutoff;
+            const overLimit = maxSessions && kept >= maxSessions;
+            if (tooOld || overLimit) {
+                expired.push(session.sessionId);
+            } else {
+                kept++;
+            }
+            return true;
+        });
+
+        for (const sessionId of expired) {
+            await this.deleteSession(sessionId);
+        }
+
+        return expired;
+    }
+
+    // ══════════════════════════════════════════════
+    // PAGED READS
+    // ══════════════════════════════════════════════
+
+    async getSession(sessionId) {
+        const db = await this.open();
+        return this.request(db.transaction('sessions').objectStore('sessions').get(sessionId));
+    }
+
+    /**
+     * Sessions, most recently updated first.
+     */
+    async listSessions({ offset = 0, limit = 20, platform = null } = {}) {
+        const page = [];
+        let skipped = 0;
+
+        await this.iterate('sessions', 'lastUpdated', 'prev', (session) => {
+            if (platform && session.platform !== platform) return true;
+            if (skipped < offset) {
+                skipped++;
+                return true;
+            }
+            page.push(session);
+            return page.length < limit;
+        });
+
+        return page;
+    }
+
+    async countSessions() {
+        const db = await this.open();
+        return this.request(db.transaction('sessions').objectStore('sessions').count());
+    }
+
+    async getTurn(sessionId, turnId) {
+        const db = await this.open();
+        return this.request(db.transaction('turns').objectStore('turns').get([sessionId, turnId]));
+    }
+
+    /**
+     * Turns of one session in capture order.
+     */
+    async getTurns(sessionId, { offset = 0, limit = 100 } = {}) {
+        const db = await this.open();
+        const range = IDBKeyRange.bound([sessionId, offset], [sessionId, Infinity]);
+        const index = db.transaction('turns').objectStore('turns').index('sessionSeq');
+        return this.request(index.getAll(range, limit));
+    }
+
+    /**
+     * Whole session as { ...session, nodes, rootIds } — the same shape the
+     * chrome.storage blobs used, so tree helpers work on either.
+     */
+    async getSessionTree(sessionId) {
+        const session = await this.getSession(sessionId);
+        if (!session) return null;
+
+        const turns = await this.getTurns(sessionId, { limit: session.turnCount || undefined });
+        const nodes = {};
+        const rootIds = [];
+
+        turns.forEach(turn => {
+            nodes[turn.id] = turn;
+            if (!turn.parentId) rootIds.push(turn.id);
+        });
+
+        return { ...session, nodes, rootIds };
+    }
+
+    /**
+     * Compaction events, newest first; optionally for one session.
+     */
+    async getCompactions({ sessionId = null, offset = 0, limit = 50 } = {}) {
+        const page = [];
+        let skipped = 0;
+        const indexName = sessionId ? 'sessionId' : 'timestamp';
+        const query = sessionId ? IDBKeyRange.only(sessionId) : null;
+
+        await this.iterate('compactions', indexName, 'prev', (record) => {
+            if (skipped < offset) {
+                skipped++;
+                return true;
+            }
+            page.push(record);
+            return page.length < limit;
+        }, query);
+
+        return page;
+    }
+
+    // ══════════════════════════════════════════════
+    // OUTBOX — receiver deliveries
+    // ══════════════════════════════════════════════
+
+    /**
+     * Queue a delivery. Returns the stored item (with its auto id).
+     */
+    async enqueueOutbox({ endpoint, payload, sessionId = null, idempotencyKey }) {
+        const item = {
+            endpoint,
+            payload,
+            sessionId,
+            idempotencyKey,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: 0,
+            lastError: null,
+            createdAt: new Date().toISOString(),
+            deliveredAt: null
+        };
+
+        const db = await this.open();
+        const tx = db.transaction('outbox', 'readwrite');
+        item.id = await this.request(tx.objectStore('outbox').add(item));
+        await this.transactionDone(tx);
+        return item;
+    }
+
+    /**
+     * Pending items in enqueue order.
+     */
+    async getPendingOutbox() {
+        const db = await this.open();
+        const index = db.transaction('outbox').objectStore('outbox').index('status');
+        return this.request(index.getAll('pending'));
+    }
+
+    async updateOutboxItem(item) {
+        const db = await this.open();
+        const tx = db.transaction('outbox', 'readwrite');
+        tx.objectStore('outbox').put(item);
+        await this.transactionDone(tx);
+    }
+
+    async countOutbox() {
+        const db = await this.open();
+        const store = db.transaction('outbox').objectStore('outbox');
+        const [pending, delivered, total] = await Promise.all([
+            this.request(store.index('status').count('pending')),
+            this.request(store.index('status').count('delivered')),
+            this.request(store.count())
+        ]);
+        return { pending, delivered, other: total - pending - delivered };
+    }
+
+    /**
+     * Drop finished items: everything but the newest `keepFinished`
+     * delivered/rejected/expired records. Pending items are never pruned here.
+     */
+    async pruneOutbox({ keepFinished = 200 } = {}) {
+        const db = await this.open();
+        const tx = db.transaction('outbox', 'readwrite');
+        const store = tx.objectStore('outbox');
+        const items = await this.request(store.getAll());
+        const finished = items.filter(item => item.status !== 'pending');
+        const excess = finished.slice(0, Math.max(0, finished.length - keepFinished));
+
+        excess.forEach(item => store.delete(item.id));
+        await this.transactionDone(tx);
+        return excess.length;
+    }
+
+    // ══════════════════════════════════════════════
+    // UTILITIES
+    // ══════════════════════════════════════════════
+
+    /**
+     * Walk an index with a cursor. `visit` returns false to stop early.
+     */
+    async iterate(storeName, indexName, direction, visit, query = null) {
+        const db = await this.open();
+        const index = db.transaction(storeName).objectStore(storeName).index(indexName);
+
+        return new Promise((resolve, reject) => {
+            const request = index.openCursor(query, direction);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || visit(cursor.value) === false) {
+                    resolve();
+                    return;
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+self.ConversationArchive = ConversationArchive;
@@ -0,0 +1,537 @@
+/**
+ * DocxWriter — Markdown message text → docx paragraphs and tables
+ *
+ * Walks the bundled `marked` lexer's tokens (blank-line paragraphs when it
+ * is not loaded) and builds components for the docx library: headings,
+ * runs with bold / italic / strike and inline code, real hyperlinks,
+ * bulleted, numbered and task lists on Word numbering, fences as shaded
+ * monospace paragraphs (diffs coloured by line), GFM tables as native
+ * tables with a repeating header row, quotes and rules. `$$…$$` and the
+ * inline `$…$` sources listed in `options.math` become Office Math through
+ * LatexMath; display equations get their own centred paragraph.
+ *
+ * Everything is set in the named styles from `DocxWriter.styles()`, so
+ * the document can be restyled in Word. One writer serves a whole
+ * document: `numbering()` returns the list definitions it used, with a
+ * fresh instance per numbered list so each restarts at its own start.
+ */
+
+class DocxWriter {
+    constructor(docx = window.docx) {
+        this.docx = docx;
+        this.math = new Set();
+        this.equations = [];
+        this.style = undefined;
+        this.lists = 0;
+        this.starts = new Set();
+    }
+
+    convert(markdown, options = {}) {
+        this.math = new Set((options.math || []).map((latex) => String(latex).trim()));
+        this.equations = [];
+        this.style = options.style;
+        const source = this.protectMath(String(markdown || '').replace(/\r\n?/g, '\n'));
+        const marked = typeof window !== 'undefined' ? window.marked : null;
+        if (marked?.lexer) {
+            try {
+                return this.blocks(marked.lexer(source), {});
+            } catch (error) {
+                console.warn('⚠️ Markdown lexing failed, writing plain text:', error);
+            }
+        }
+        return this.plainBlocks(source, this.style);
+    }
+
+    /** Plain text: paragraphs on blank lines, line breaks kept. */
+    plain(text, options = {}) {
+        this.equations = [];
+        return this.plainBlocks(String(text || '').replace(/\r\n?/g, '\n'), options.style);
+    }
+
+    plainBlocks(text, style) {
+        return text.split(/\n{2,}/)
+            .filter((block) => block.trim())
+            .flatMap((block) => this.paragraphs(this.textRuns(block, {}), { style }));
+    }
+
+    static unescape(text) {
+        return String(text || '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, '\'')
+            .replace(/&amp;/g, '&');
+    }
+
+    /** Drops characters XML 1.0 cannot hold, which Word refuses to open. */
+    static clean(text) {
+        const value = String(text ?? '');
+        let out = '';
+        for (let i = 0; i < value.length; i++) {
+            const code = value.charCodeAt(i);
+            if (code >= 0x20 || code === 0x09 || code === 0x0a) out += value[i];
+        }
+        return out;
+    }
+
+    // ── Math ──
+
+    /**
+     * Swaps equations for private-use placeholders before lexing, so
+     * Markdown emphasis never sees `_` or `*` inside TeX.
+     */
+    protectMath(text) {
+        const keep = (source, latex, display) => {
+            this.equations.push({ source, latex: latex.trim(), display });
+            return `\uE000${this.equations.length - 1}\uE001`;
+        };
+        return text
+            .replace(/(?<!\\)\$\$([\s\S]+?)\$\$/g, (source, latex) => keep(source, latex, true))
+            .replace(/(?<![\\$])\$([^$\n]+?)\$(?!\$)/g, (source, latex) => (this.math.has(latex.trim()) ? keep(source, latex, false) : source));
+    }
+
+    /** Puts equation sources back, for code that must stay verbatim. */
+    restore(text) {
+        return String(text || '').replace(new RegExp(DocxWriter.PLACEHOLDER.source, 'g'), (match, index) => this.equations[index]?.source ?? match);
+    }
+
+    equation(latex) {
+        const { Math: OfficeMath, TextRun } = this.docx;
+        return typeof LatexMath !== 'undefined'
+            ? new OfficeMath({ children: LatexMath.toDocx(latex, this.docx) })
+            : new TextRun(`$${latex}$`);
+    }
+
+    // ── Blocks ──
+
+    blocks(tokens, context) {
+        const { Paragraph, TextRun } = this.docx;
+        const out = [];
+        (tokens || []).forEach((token) => {
+            switch (token.type) {
+                case 'heading':
+                    out.push(...this.paragraphs(this.inline(token.tokens), { style: `Heading${Math.min(6, token.depth + 2)}` }));
+                    break;
+                case 'paragraph':
+                case 'text':
+                    out.push(...this.paragraphs(this.inline(token.tokens || [token]), this.paragraphOptions(context)));
+                    break;
+                case 'list':
+                    out.push(...this.list(token, context));
+                    break;
+                case 'code':
+                    out.push(...this.codeBlock(this.restore(token.text), token.lang, context));
+                    break;
+                case 'table':
+                    out.push(this.table(token));
+                    break;
+                case 'blockquote':
+                    out.push(...this.blocks(token.tokens, { ...context, style: 'BlockQuote' }));
+                    break;
+                case 'hr':
+                    out.push(new Paragraph({ style: 'HorizontalRule', children: [] }));
+                    break;
+                case 'space':
+                    break;
+                default:
+                    if (token.text) {
+                        out.push(new Paragraph({ ...this.paragraphOptions(context), children: [new TextRun(DocxWriter.clean(this.restore(token.text)))] }));
+                    }
+            }
+        });
+        return out;
+    }
+
+    /**
+     * Style, plus the list number for an item's first paragraph and the
+     * item indent for the rest.
+     */
+    paragraphOptions(context) {
+        const options = { style: context.style ?? this.style };
+        if (context.item && !context.item.used) {
+            context.item.used = true;
+            options.numbering = context.item.numbering;
+        } else if (context.depth) {
+            options.indent = { left: DocxWriter.LIST_INDENT * context.depth };
+        }
+        return options;
+    }
+
+    /** Paragraphs from inline children; display equations split them. */
+    paragraphs(children, options) {
+        const { Paragraph, AlignmentType } = this.docx;
+        const out = [];
+        let runs = [];
+        const flush = (force) => {
+            if (runs.length > 0 || force) out.push(new Paragraph({ ...options, children: runs }));
+            runs = [];
+        };
+        children.forEach((child) => {
+            if (child?.display !== undefined) {
+                flush(false);
+                out.push(new Paragraph({ ...options, numbering: undefined, alignment: AlignmentType.CENTER, children: [this.equation(child.display)] }));
+            } else {
+                runs.push(child);
+            }
+        });
+        flush(out.length === 0);
+        return out;
+    }
+
+    list(token, context) {
+        const { TextRun } = this.docx;
+        const depth = context.depth || 0;
+        const start = Number(token.start) || 1;
+        let numbering;
+        if (token.ordered) {
+            this.starts.add(start);
+            numbering = { reference: `uae-ordered-${start}`, level: Math.min(depth, 8), instance: ++this.lists };
+        } else {
+            numbering = { reference: 'uae-bullets', level: Math.min(depth, 8) };
+        }
+
+        return (token.items || []).flatMap((item) => {
+            let tokens = item.tokens || [];
+            if (item.task) {
+                // The box goes in front of the item's first line
+                const box = { type: 'text', text: item.checked ? '☑ ' : '☐ ' };
+                const [first, ...rest] = tokens;
+                tokens = first && (first.type === 'text' || first.type === 'paragraph')
+                    ? [{ ...first, tokens: [box, ...(first.tokens || [{ type: 'text', text: first.text }])] }, ...rest]
+                    : [{ type: 'paragraph', tokens: [box] }, ...tokens];
+            }
+            const itemContext = { ...context, depth: depth + 1, item: { numbering, used: false } };
+            const out = this.blocks(tokens, itemContext);
+            // An item that opens with a nested list or code still gets its number
+            if (!itemContext.item.used) {
+                out.unshift(...this.paragraphs([new TextRun('')], { style: context.style ?? this.style, numbering }));
+            }
+            return out;
+        });
+    }
+
+    codeBlock(code, language, context = {}) {
+        const { Paragraph, TextRun } = this.docx;
+        const indent = context.depth ? { left: DocxWriter.LIST_INDENT * context.depth } : undefined;
+        const lines = String(code || '').replace(/\n$/, '').split('\n');
+        const diff = /^(diff|patch)$/i.test(language || '');
+        const out = [];
+        if (language) {
+            out.push(new Paragraph({ style: 'CodeLanguage', indent, children: [new TextRun(DocxWriter.clean(language))] }));
+        }
+        out.push(new Paragraph({
+            style: 'SourceCode',
+            indent,
+            children: lines.map((line, i) => new TextRun({
+                text: DocxWriter.clean(line.replace(/\t/g, '    ')),
+                break: i > 0 ? 1 : undefined,
+                color: diff ? DocxWriter.diffColor(line) : undefined
+            }))
+        }));
+        return out;
+    }
+
+    static diffColor(line) {
+        if (/^(\+\+\+|---)\s/.test(line) || line.startsWith('diff --git')) return DocxWriter.COLORS.muted;
+        if (line.startsWith('@@')) return DocxWriter.COLORS.diffHunk;
+        if (line.startsWith('+')) return DocxWriter.COLORS.diffAdd;
+        if (line.startsWith('-')) return DocxWriter.COLORS.diffRemove;
+        return undefined;
+    }
+
+    table(token) {
+        const { Table, TableRow, TableCell, Paragraph, WidthType, ShadingType, BorderStyle, AlignmentType } = this.docx;
+        const alignments = { left: AlignmentType.LEFT, center: AlignmentType.CENTER, right: AlignmentType.RIGHT };
+        const border = { style: BorderStyle.SINGLE, size: 4, color: DocxWriter.COLORS.tableBorder };
+        const row = (cells, header) => new TableRow({
+            tableHeader: header,
+            cantSplit: true,
+            children: cells.map((cell, c) => new TableCell({
+                shading: header ? { type: ShadingType.CLEAR, color: 'auto', fill: DocxWriter.COLORS.tableHeader } : undefined,
+                children: [new Paragraph({
+                    style: 'TableText',
+                    alignment: alignments[token.align?.[c]],
+                    children: this.inline(cell.tokens, header ? { bold: true } : {}).filter((child) => child?.display === undefined)
+                })]
+            }))
+        });
+        return new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            borders: {
+                top: border, bottom: border, left: border, right: border, insideHorizontal: border, insideVertical: border
+            },
+            rows: [row(token.header, true), ...token.rows.map((cells) => row(cells, false))]
+        });
+    }
+
+    // ── Inline ──
+
+    inline(tokens, format = {}) {
+        const { TextRun, ExternalHyperlink } = this.docx;
+        const out = [];
+        (tokens || []).forEach((token) => {
+            switch (token.type) {
+                case 'strong':
+                    out.push(...this.inline(token.tokens, { ...format, bold: true }));
+                    break;
+                case 'em':
+                    out.push(...this.inline(token.tokens, { ...format, italics: true }));
+                    break;
+                case 'del':
+                    out.push(...this.inline(token.tokens, { ...format, strike: true }));
+                    break;
+                case 'codespan':
+                    out.push(new TextRun({ ...format, style: 'InlineCode', text: DocxWriter.clean(this.restore(DocxWriter.unescape(token.text))) }));
+                    break;
+                case 'link':
+                case 'image': {
+                    const children = token.type === 'image'
+                        ? [new TextRun({ ...format, text: DocxWriter.clean(token.text || token.href) })]
+                        : this.inline(token.tokens, format);
+                    if (/^(https?:|mailto:)/i.test(token.href || '')) {
+                        const runs = token.type === 'image'
+                            ? [new TextRun({ ...format, style: 'Hyperlink', text: DocxWriter.clean(token.text || token.href) })]
+                            : this.inline(token.tokens, { ...format, style: 'Hyperlink' });
+                        out.push(new ExternalHyperlink({ link: token.href, children: runs.filter((child) => child?.display === undefined) }));
+                    } else {
+                        out.push(...children);
+                    }
+                    break;
+                }
+                case 'br':
+                    out.push(new TextRun({ ...format, text: '', break: 1 }));
+                    break;
+                case 'text':
+                    if (token.tokens) {
+                        out.push(...this.inline(token.tokens, format));
+                    } else {
+                        out.push(...this.textRuns(DocxWriter.unescape(token.text), format));
+                    }
+                    break;
+                default:
+                    out.push(...this.textRuns(DocxWriter.unescape(token.text || token.raw || ''), format));
+            }
+        });
+        return out;
+    }
+
+    /** Runs for text with line breaks kept and equation placeholders resolved. */
+    textRuns(text, format) {
+        const { TextRun } = this.docx;
+        const out = [];
+        String(text || '').split(DocxWriter.PLACEHOLDER).forEach((piece, i) => {
+            if (i % 2 === 1) {
+                const equation = this.equations[piece];
+                if (equation?.display) out.push({ display: equation.latex });
+                else if (equation) out.push(this.equation(equation.latex));
+                return;
+            }
+            piece.split('\n').forEach((line, j) => {
+                if (line || j > 0) {
+                    out.push(new TextRun({ ...format, text: DocxWriter.clean(line), break: j > 0 ? 1 : undefined }));
+                }
+            });
+        });
+        return out;
+    }
+
+    // ── Document parts ──
+
+    /** List definitions for `new Document({ numbering })`. */
+    numbering() {
+        const { LevelFormat, AlignmentType } = this.docx;
+        const level = (index, format, text, start = 1) => ({
+            level: index,
+            format,
+            text,
+            start,
+            alignment: AlignmentType.LEFT,
+            style: { paragraph: { indent: { left: DocxWriter.LIST_INDENT * (index + 1), hanging: 360 } } }
+        });
+        const levels = (make) => Array.from({ length: 9 }, (_, i) => make(i));
+        return {
+            config: [
+                {
+                    reference: 'uae-bullets',
+                    levels: levels((i) => level(i, LevelFormat.BULLET, DocxWriter.BULLETS[i % DocxWriter.BULLETS.length]))
+                },
+                ...Array.from(this.starts).map((start) => ({
+                    reference: `uae-ordered-${start}`,
+                    levels: levels((i) => (i === 0
+                        ? level(i, LevelFormat.DECIMAL, '%1.', start)
+                        : level(i, i % 2 === 1 ? LevelFormat.LOWER_LETTER : LevelFormat.LOWER_ROMAN, `%${i + 1}.`)))
+                }))
+            ]
+        };
+    }
+
+    /** Style ids for a block's label and body paragraphs. */
+    static blockStyles(type) {
+        const name = type !== 'default' && DocxWriter.BLOCKS[type] ? type.replace(/(^|_)(\w)/g, (match, sep, char) => char.toUpperCase()) : 'Block';
+        return { label: `${name}Label`, body: `${name}Body` };
+    }
+
+    /** Named styles for `new Document({ styles })`. */
+    static styles(docx = window.docx) {
+        const { ShadingType, BorderStyle } = docx;
+        const colors = DocxWriter.COLORS;
+        const mono = { font: DocxWriter.MONO_FONT };
+        const fill = (color) => ({ type: ShadingType.CLEAR, color: 'auto', fill: color });
+        const line = (color, size = 4, space = 1) => ({ style: BorderStyle.SINGLE, size, color, space });
+        const box = (color) => ({ top: line(color), bottom: line(color), left: line(color, 4, 4), right: line(color, 4, 4) });
+        const turn = (id, name, color) => ({
+            id,
+            name,
+            basedOn: 'Heading1',
+            next: 'Normal',
+            quickFormat: true,
+            run: { size: 26, bold: true, color },
+            paragraph: {
+                spacing: { before: 360, after: 120 },
+                border: { left: line(color, 24, 6) },
+                indent: { left: 120 },
+                keepNext: true
+            }
+        });
+
+        const blockStyles = Object.entries(DocxWriter.BLOCKS).flatMap(([type, block]) => {
+            const { label, body } = DocxWriter.blockStyles(type);
+            const title = type === 'default' ? 'Block' : type.replace(/_/g, ' ').replace(/\b\w/g, (char) => char.toUpperCase());
+            return [
+                {
+                    id: label,
+                    name: `${title} Label`,
+                    basedOn: 'Normal',
+                    next: body,
+                    run: { bold: true, size: 18, color: block.label },
+                    paragraph: { shading: fill(block.labelFill), border: box(block.border), spacing: { before: 160, after: 0 }, keepNext: true }
+                },
+                {
+                    id: body,
+                    name: `${title} Body`,
+                    basedOn: 'Normal',
+                    next: body,
+                    run: { size: 20, color: block.text },
+                    paragraph: { shading: fill(block.fill), border: box(block.border), spacing: { before: 0, after: 0 } }
+                }
+            ];
+        });
+
+        return {
+            default: {
+                document: { run: { font: 'Calibri', size: 22, color: colors.text }, paragraph: { spacing: { after: 120, line: 276 } } },
+                title: { run: { size: 40, bold: true, color: colors.heading } },
+                heading1: { run: { size: 30, bold: true, color: colors.heading }, paragraph: { spacing: { before: 240, after: 120 } } },
+                heading2: { run: { size: 26, bold: true, color: colors.heading }, paragraph: { spacing: { before: 240, after: 120 } } },
+                heading3: { run: { size: 24, bold: true, color: colors.heading }, paragraph: { spacing: { before: 200, after: 80 } } },
+                heading4: { run: { size: 22, bold: true, color: colors.heading }, paragraph: { spacing: { before: 160, after: 80 } } },
+                heading5: { run: { size: 22, bold: true, italics: true, color: colors.heading } },
+                heading6: { run: { size: 20, bold: true, color: colors.muted } },
+                hyperlink: { run: { color: colors.link, underline: {} } }
+            },
+            paragraphStyles: [
+                turn('UserTurn', 'User Turn', colors.user),
+                turn('AssistantTurn', 'Assistant Turn', colors.assistant),
+                {
+                    id: 'ExportMeta',
+                    name: 'Export Metadata',
+                    basedOn: 'Normal',
+                    run: { size: 18, color: colors.muted },
+                    paragraph: { spacing: { after: 40 } }
+                },
+                {
+                    id: 'ContentsHeading',
+                    name: 'Contents Heading',
+                    basedOn: 'Normal',
+                    next: 'Normal',
+                    run: { size: 30, bold: true, color: colors.heading },
+                    paragraph: { spacing: { before: 240, after: 120 } }
+                },
+                {
+                    id: 'SourceCode',
+                    name: 'Source Code',
+                    basedOn: 'Normal',
+                    run: { ...mono, size: 18 },
+                    paragraph: { shading: fill(colors.codeFill), border: box(colors.codeBorder), spacing: { before: 0, after: 160, line: 240 } }
+                },
+                {
+                    id: 'CodeLanguage',
+                    name: 'Code Language',
+                    basedOn: 'Normal',
+                    next: 'SourceCode',
+                    run: { ...mono, size: 14, color: colors.muted },
+                    paragraph: { spacing: { before: 120, after: 0 }, keepNext: true }
+                },
+                {
+                    id: 'BlockQuote',
+                    name: 'Block Quote',
+                    basedOn: 'Normal',
+                    run: { italics: true, color: colors.muted },
+                    paragraph: { indent: { left: 360 }, border: { left: line(colors.rule, 18, 8) } }
+                },
+                {
+                    id: 'TableText',
+                    name: 'Table Text',
+                    basedOn: 'Normal',
+                    run: { size: 20 },
+                    paragraph: { spacing: { before: 40, after: 40 } }
+                },
+                {
+                    id: 'HorizontalRule',
+                    name: 'Horizontal Rule',
+                    basedOn: 'Normal',
+                    paragraph: { border: { bottom: line(colors.rule, 6, 1) }, spacing: { after: 200 } }
+                },
+                {
+                    id: 'Sources',
+                    name: 'Sources',
+                    basedOn: 'Normal',
+                    run: { size: 17, color: colors.muted },
+                    paragraph: { spacing: { before: 80 } }
+                },
+                ...blockStyles
+            ],
+            characterStyles: [
+                {
+                    id: 'InlineCode',
+                    name: 'Inline Code',
+                    basedOn: 'DefaultParagraphFont',
+                    run: { ...mono, size: 19, shading: fill(colors.codeSpan) }
+                }
+            ]
+        };
+    }
+}
+
+DocxWriter.PLACEHOLDER = /\uE000(\d+)\uE001/;
+DocxWriter.LIST_INDENT = 360;
+DocxWriter.BULLETS = ['•', '◦', '▪'];
+DocxWriter.MONO_FONT = 'Consolas';
+// Colours as RRGGBB, matching the PDF layout and HTML export
+DocxWriter.COLORS = {
+    text: '1A1A2E',
+    heading: '1F2937',
+    muted: '6C757D',
+    link: '1A0DAB',
+    rule: 'D0D7DE',
+    user: '007BFF',
+    assistant: '28A745',
+    codeFill: 'F6F8FA',
+    codeBorder: 'D0D7DE',
+    codeSpan: 'EFF1F3',
+    tableHeader: 'F1F3F5',
+    tableBorder: 'CED4DA',
+    diffAdd: '22863A',
+    diffRemove: 'B31D28',
+    diffHunk: '6F42C1'
+};
+DocxWriter.BLOCKS = {
+    thinking: { fill: 'FFF3CD', border: 'FFEAA7', labelFill: 'FFEAA7', label: '856404', text: '5A4E1A' },
+    web_search: { fill: 'E8F4FD', border: 'B8DAFF', labelFill: 'B8DAFF', label: '004085', text: '1A3A5C' },
+    tool_call: { fill: 'F4F4F8', border: 'C9CBD6', labelFill: 'E3E4EC', label: '2F6B2F', text: '343A40' },
+    code: { fill: 'F6F8FA', border: 'D0D7DE', labelFill: 'E9ECEF', label: '8A6D1F', text: '343A40' },
+    file_edit: { fill: 'F0FFF4', border: 'C6F6D5', labelFill: 'C6F6D5', label: '276749', text: '2D3748' },
+    default: { fill: 'F8F9FA', border: 'DEE2E6', labelFill: 'E9ECEF', label: '495057', text: '343A40' }
+};
+
+window.DocxWriter = DocxWriter;
@@ -0,0 +1,348 @@
+/**
+ * EpubWriter — EPUB 3 books assembled in the browser
+ *
+ * Collects XHTML chapters and packs them with ZipWriter into an .epub
+ * container: the stored `mimetype` entry first, META-INF/container.xml,
+ * then under OEBPS/ the package document (Dublin Core metadata, manifest,
+ * spine), the navigation document with its contents list and landmarks, a
+ * toc.ncx for EPUB 2 reading systems, the stylesheet and the chapters.
+ *
+ * Chapter bodies are HTML fragments; `xhtml()` drops active content and
+ * remote images, keeps `epub:type` and re-serializes the rest as
+ * well-formed XHTML, so Markdown rendered by `marked` and captured MathML
+ * can go straight in.
+ */
+
+class EpubWriter {
+    constructor(metadata = {}) {
+        this.metadata = metadata;
+        this.chapters = [];
+        this.stylesheet = EpubWriter.STYLESHEET;
+    }
+
+    /**
+     * Queue a chapter. `body` is an HTML fragment; `children` are nested
+     * contents entries `{ title, anchor }`. `landmark` (e.g. 'titlepage',
+     * 'bodymatter', 'endnotes') lists it in the landmarks nav; `toc: false`
+     * keeps it out of the contents list; `link` is passed on to `xhtml()`.
+     */
+    addChapter(chapter) {
+        const id = chapter.id || `chapter-${String(this.chapters.length + 1).padStart(3, '0')}`;
+        if (!/^[A-Za-z][\w-]*$/.test(id) || this.chapters.some((other) => other.id === id)) {
+            throw new Error(`Invalid EPUB chapter id: ${id}`);
+        }
+        const body = EpubWriter.xhtml(chapter.body || '', { link: chapter.link });
+        this.chapters.push({
+            id,
+            href: `${id}.xhtml`,
+            title: String(chapter.title || id),
+            body,
+            children: chapter.children || [],
+            landmark: chapter.landmark || null,
+            toc: chapter.toc !== false,
+            mathml: body.includes('<math')
+        });
+        return this;
+    }
+
+    /**
+     * Build the container. Resolves with a Blob of type application/epub+zip.
+     */
+    async generate() {
+        if (typeof ZipWriter === 'undefined') {
+            throw new Error('Zip writer not available');
+        }
+        if (!this.chapters.length) {
+            throw new Error('EPUB has no chapters');
+        }
+
+        const date = this.modified();
+        const zip = new ZipWriter();
+        // Reading systems sniff the first entry: uncompressed, no extra field
+        zip.addFile('mimetype', 'application/epub+zip', { compress: false, date });
+        zip.addFile('META-INF/container.xml', this.container(), { date });
+        zip.addFile('OEBPS/content.opf', this.packageDocument(), { date });
+        zip.addFile('OEBPS/nav.xhtml', this.navigation(), { date });
+        zip.addFile('OEBPS/toc.ncx', this.ncx(), { date });
+        zip.addFile('OEBPS/styles.css', this.stylesheet, { date });
+        this.chapters.forEach((chapter) => {
+            zip.addFile(`OEBPS/${chapter.href}`, this.page(chapter.title, chapter.body), { date });
+        });
+
+        const blob = await zip.generate();
+        return new Blob([blob], { type: 'application/epub+zip' });
+    }
+
+    // ── Package ──
+
+    container() {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+    }
+
+    packageDocument() {
+        const meta = this.metadata;
+        const escape = EpubWriter.escape;
+        const dc = (name, value) => (value ? `    <dc:${name}>${escape(value)}</dc:${name}>\n` : '');
+        const extra = Object.entries(meta.properties || {})
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([name, value]) => `    <meta property="${escape(name)}">${escape(value)}</meta>\n`)
+            .join('');
+        const items = this.chapters.map((chapter) => {
+            const properties = chapter.mathml ? ' properties="mathml"' : '';
+            return `    <item id="${chapter.id}" href="${chapter.href}" media-type="application/xhtml+xml"${properties}/>\n`;
+        }).join('');
+        const spine = this.spineOrder().map((id) => `    <itemref idref="${id}"/>\n`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escape(this.language())}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escape(this.identifier())}</dc:identifier>
+    <dc:title>${escape(meta.title || 'Untitled')}</dc:title>
+    <dc:language>${escape(this.language())}</dc:language>
+${dc('creator', meta.creator)}${dc('publisher', meta.publisher)}${dc('date', EpubWriter.timestamp(meta.date))}${dc('source', meta.source)}${dc('subject', meta.subject)}${dc('description', meta.description)}    <meta property="dcterms:modified">${this.modified().toISOString().replace(/\.\d{3}Z$/, 'Z')}</meta>
+${extra}  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="css" href="styles.css" media-type="text/css"/>
+${items}  </manifest>
+  <spine toc="ncx">
+${spine}  </spine>
+</package>
+`;
+    }
+
+    /** Chapter ids in reading order, the contents page after any title page. */
+    spineOrder() {
+        const ids = this.chapters.map((chapter) => chapter.id);
+        const at = this.chapters[0].landmark === 'titlepage' ? 1 : 0;
+        ids.splice(at, 0, 'nav');
+        return ids;
+    }
+
+    // ── Navigation ──
+
+    navigation() {
+        const escape = EpubWriter.escape;
+        const entries = this.chapters.filter((chapter) => chapter.toc).map((chapter) => {
+            const children = chapter.children.length
+                ? `\n<ol>\n${chapter.children.map((child) => `<li><a href="${chapter.href}#${escape(child.anchor)}">${escape(child.title)}</a></li>`).join('\n')}\n</ol>\n`
+                : '';
+            return `<li><a href="${chapter.href}">${escape(chapter.title)}</a>${children}</li>`;
+        }).join('\n');
+        const landmarks = [
+            '<li><a epub:type="toc" href="nav.xhtml">Contents</a></li>',
+            ...this.chapters.filter((chapter) => chapter.landmark).map((chapter) => (
+                `<li><a epub:type="${chapter.landmark}" href="${chapter.href}">${escape(chapter.title)}</a></li>`
+            ))
+        ].join('\n');
+
+        return this.page('Contents', `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${entries}
+</ol>
+</nav>
+<nav epub:type="landmarks" id="landmarks" hidden="hidden">
+<ol>
+${landmarks}
+</ol>
+</nav>`);
+    }
+
+    ncx() {
+        const escape = EpubWriter.escape;
+        let order = 0;
+        const point = (title, src) => {
+            order += 1;
+            return `<navPoint id="point-${order}" playOrder="${order}"><navLabel><text>${escape(title)}</text></navLabel><content src="${escape(src)}"/></navPoint>`;
+        };
+        const points = this.chapters.filter((chapter) => chapter.toc).map((chapter) => {
+            const head = point(chapter.title, chapter.href);
+            const children = chapter.children.map((child) => point(child.title, `${chapter.href}#${child.anchor}`)).join('\n');
+            return children ? head.replace(/<\/navPoint>$/, `\n${children}\n</navPoint>`) : head;
+        }).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head>
+<meta name="dtb:uid" content="${escape(this.identifier())}"/>
+<meta name="dtb:depth" content="${this.chapters.some((chapter) => chapter.toc && chapter.children.length) ? 2 : 1}"/>
+<meta name="dtb:totalPageCount" content="0"/>
+<meta name="dtb:maxPageNumber" content="0"/>
+</head>
+<docTitle><text>${escape(this.metadata.title || 'Untitled')}</text></docTitle>
+<navMap>
+${points}
+</navMap>
+</ncx>
+`;
+    }
+
+    // ── Documents ──
+
+    /** A complete XHTML content document around a well-formed body. */
+    page(title, body) {
+        const language = EpubWriter.escape(this.language());
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+<meta charset="UTF-8"/>
+<title>${EpubWriter.escape(title)}</title>
+<link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Sanitize an HTML fragment and serialize it as XHTML. `options.link`
+     * is called with each surviving `<a href>` so callers can retarget it.
+     */
+    static xhtml(html, options = {}) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const root = template.content;
+
+        root.querySelectorAll(EpubWriter.UNSAFE).forEach((el) => el.remove());
+        // Remote images are not allowed in the container: keep a link instead
+        root.querySelectorAll('img').forEach((img) => {
+            const src = img.getAttribute('src') || '';
+            const label = img.getAttribute('alt') || 'image';
+            if (/^https?:/i.test(src)) {
+                const link = document.createElement('a');
+                link.setAttribute('href', src);
+                link.textContent = `[${label}]`;
+                img.replaceWith(link);
+            } else {
+                img.replaceWith(img.getAttribute('alt') || '');
+            }
+        });
+        root.querySelectorAll('*').forEach((el) => {
+            Array.from(el.attributes).forEach((attribute) => {
+                const name = attribute.name;
+                if (!/^(epub:type|[A-Za-z_][\w.-]*)$/.test(name) || /^on|^(style|src|srcset|action|formaction)$/i.test(name)) {
+                    el.removeAttribute(name);
+                } else if (name === 'href' && !EpubWriter.LINK.test(attribute.value.trim())) {
+                    el.removeAttribute(name);
+                }
+            });
+        });
+        if (typeof options.link === 'function') {
+            root.querySelectorAll('a[href]').forEach((anchor) => options.link(anchor));
+        }
+
+        const wrapper = document.createElement('div');
+        wrapper.appendChild(root);
+        const xml = new XMLSerializer().serializeToString(wrapper);
+        return EpubWriter.clean(xml.slice(xml.indexOf('>') + 1, xml.lastIndexOf('</div>')));
+    }
+
+    // ── Helpers ──
+
+    identifier() {
+        if (!this.metadata.identifier) {
+            this.metadata.identifier = EpubWriter.uuid();
+        }
+        return this.metadata.identifier;
+    }
+
+    language() {
+        return this.metadata.language || 'en';
+    }
+
+    modified() {
+        const date = new Date(this.metadata.modified || this.metadata.date || Date.now());
+        return Number.isNaN(date.getTime()) ? new Date() : date;
+    }
+
+    /**
+     * `urn:uuid:` from the first 128 bits of a hex digest (stable across
+     * re-exports of one conversation), or a random one without it.
+     */
+    static uuid(hex = '') {
+        let digits = /^[0-9a-f]{32}/i.test(hex) ? hex.slice(0, 32).toLowerCase() : '';
+        if (!digits) {
+            const bytes = new Uint8Array(16);
+            window.crypto.getRandomValues(bytes);
+            digits = Array.from(bytes).map((value) => value.toString(16).padStart(2, '0')).join('');
+        }
+        // Version 8 (custom), RFC 4122 variant
+        digits = `${digits.slice(0, 12)}8${digits.slice(13, 16)}${((parseInt(digits[16], 16) & 0x3) | 0x8).toString(16)}${digits.slice(17)}`;
+        return `urn:uuid:${digits.slice(0, 8)}-${digits.slice(8, 12)}-${digits.slice(12, 16)}-${digits.slice(16, 20)}-${digits.slice(20)}`;
+    }
+
+    /** W3C date-time without fractional seconds, or '' when unparseable. */
+    static timestamp(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? '' : date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+
+    static escape(value) {
+        return EpubWriter.clean(String(value ?? ''))
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /** Drop characters XML 1.0 does not allow (C0 controls but tab and newlines). */
+    static clean(text) {
+        let result = '';
+        for (const char of String(text ?? '')) {
+            const code = char.charCodeAt(0);
+            if (code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d) {
+                result += char;
+            }
+        }
+        return result;
+    }
+}
+
+EpubWriter.UNSAFE = 'script, style, iframe, frame, frameset, object, embed, applet, link, meta, base, form, input, button, '
+    + 'textarea, select, template, noscript, canvas, svg, video, audio, source, track';
+// Web and mail links, in-page anchors and links between the book's own documents
+EpubWriter.LINK = /^(https?:|mailto:|#|[\w-]+\.xhtml(#|$))/i;
+EpubWriter.STYLESHEET = `body { font-family: serif; line-height: 1.5; margin: 0 0.5em; }
+h1 { font-size: 1.4em; margin: 1em 0 0.6em; }
+h2 { font-size: 1.1em; margin: 1.4em 0 0.4em; }
+h3, h4, h5, h6 { font-size: 1em; margin: 1em 0 0.3em; }
+a { color: inherit; }
+pre { font-family: monospace; font-size: 0.8em; white-space: pre-wrap; word-wrap: break-word; background: #f6f8fa; padding: 0.5em; border: 1px solid #d0d7de; }
+code { font-family: monospace; font-size: 0.9em; }
+blockquote { margin: 0.6em 1em; padding-left: 0.6em; border-left: 3px solid #ccc; color: #555; }
+table { border-collapse: collapse; margin: 0.6em 0; font-size: 0.9em; }
+th, td { border: 1px solid #ccc; padding: 0.2em 0.4em; }
+th { background: #f1f3f5; }
+.meta { font-size: 0.9em; color: #555; }
+.meta dt { font-weight: bold; }
+.meta dd { margin: 0 0 0.4em 0; }
+.turn { margin: 0 0 1.2em; }
+.turn h2 { border-bottom: 1px solid #ccc; padding-bottom: 0.1em; }
+.turn.user h2 { color: #1d4f91; }
+.turn.assistant h2 { color: #1f6b34; }
+aside.block { margin: 0.6em 0; padding: 0.3em 0.6em; border-left: 3px solid #bbb; font-size: 0.9em; }
+aside.block-thinking { border-color: #d4a72c; }
+aside.block-web_search { border-color: #4a8ad4; }
+aside.block-tool_call, aside.block-code { border-color: #555; }
+aside.block-file_edit { border-color: #2f9e55; }
+aside.block summary { font-weight: bold; font-size: 0.9em; }
+.math-display { display: block; text-align: center; margin: 0.6em 0; }
+.sources { font-size: 0.85em; color: #555; }
+a.noteref { vertical-align: super; font-size: 0.75em; text-decoration: none; }
+.endnotes li { margin: 0 0 0.5em; }
+.endnotes .domain, .endnotes .cited { font-size: 0.85em; color: #555; }
+`;
+
+window.EpubWriter = EpubWriter;
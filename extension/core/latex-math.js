@@ -0,0 +1,265 @@
+/**
+ * LatexMath — small LaTeX math parser for document exports
+ *
+ * Covers what chat answers actually use: groups, sub/superscripts,
+ * \frac, \sqrt, \left…\right, sums and integrals, \text and the common
+ * Greek letters, operators and arrows. Anything it does not know is kept as
+ * literal text, so the output degrades to readable source, never to an
+ * error. `toDocx()` builds Office Math (OMML) components with the docx
+ * library; `parse()` returns the tree for other writers.
+ */
+
+class LatexMath {
+    static parse(latex) {
+        const parser = new LatexMath(String(latex || ''));
+        return parser.sequence(() => false);
+    }
+
+    constructor(source) {
+        this.tokens = source.match(/\\[a-zA-Z]+|\\[^a-zA-Z]|\s+|[^\s]/g) || [];
+        this.pos = 0;
+    }
+
+    peek() {
+        while (this.pos < this.tokens.length && /^\s+$/.test(this.tokens[this.pos])) this.pos++;
+        return this.tokens[this.pos];
+    }
+
+    next() {
+        const token = this.peek();
+        this.pos++;
+        return token;
+    }
+
+    // ══════════════════════════════════════════════
+    // PARSER
+    // ══════════════════════════════════════════════
+
+    sequence(isEnd) {
+        const nodes = [];
+        while (this.peek() !== undefined && !isEnd(this.peek())) {
+            const atom = this.atom();
+            if (atom) nodes.push(this.scripts(atom));
+        }
+        return nodes;
+    }
+
+    /**
+     * Attach trailing ^ and _ to an atom; n-ary operators also take the
+     * following atom as their body.
+     */
+    scripts(base) {
+        let sub = null;
+        let sup = null;
+        while (this.peek() === '^' || this.peek() === '_') {
+            const marker = this.next();
+            const argument = this.argument();
+            if (marker === '^') sup = argument;
+            else sub = argument;
+        }
+
+        if (base.type === 'nary') {
+            const body = this.peek() !== undefined && !['}', '\\right', '&', '\\\\'].includes(this.peek()) ? this.atom() : null;
+            return { ...base, sub, sup, body: body ? [this.scripts(body)] : [] };
+        }
+        if (sub || sup) {
+            return { type: 'scripts', base: [base], sub, sup };
+        }
+        return base;
+    }
+
+    argument() {
+        if (this.peek() === '{') return this.group();
+        const atom = this.atom();
+        return atom ? [atom] : [];
+    }
+
+    group() {
+        this.next();
+        const children = this.sequence((token) => token === '}');
+        this.next();
+        return children;
+    }
+
+    rawGroup() {
+        if (this.peek() !== '{') return this.next() || '';
+        this.pos++;
+        let depth = 1;
+        let text = '';
+        while (this.pos < this.tokens.length) {
+            const token = this.tokens[this.pos++];
+            if (token === '{') depth++;
+            if (token === '}' && --depth === 0) break;
+            text += token.length === 2 && token[0] === '\\' && !/[a-zA-Z]/.test(token[1]) ? token[1] : token;
+        }
+        return text;
+    }
+
+    atom() {
+        const token = this.next();
+        if (token === undefined) return null;
+        if (token === '{') {
+            this.pos--;
+            return { type: 'group', children: this.group() };
+        }
+        if (token === '}') return null;
+        if (token[0] !== '\\') return { type: 'text', value: token === '&' ? ' ' : token };
+
+        const name = token.slice(1);
+        if (['frac', 'dfrac', 'tfrac', 'cfrac'].includes(name)) {
+            return { type: 'frac', num: this.argument(), den: this.argument() };
+        }
+        if (name === 'sqrt') {
+            let degree = null;
+            if (this.peek() === '[') {
+                this.next();
+                degree = this.sequence((next) => next === ']');
+                this.next();
+            }
+            return { type: 'sqrt', degree, body: this.argument() };
+        }
+        if (name === 'left') {
+            const open = this.delimiter(this.next());
+            const children = this.sequence((next) => next === '\\right');
+            this.next();
+            return { type: 'fenced', open, close: this.delimiter(this.next()), children };
+        }
+        if (['text', 'textrm', 'textit', 'textbf', 'mathrm', 'operatorname', 'mbox'].includes(name)) {
+            return { type: 'text', value: this.rawGroup(), plain: true };
+        }
+        if (name === 'mathbb') {
+            const value = this.rawGroup();
+            return { type: 'text', value: value.replace(/[A-Z]/g, (char) => LatexMath.DOUBLE_STRUCK[char] || char) };
+        }
+        if (['mathbf', 'mathit', 'mathcal', 'mathsf', 'mathtt', 'boldsymbol', 'bm', 'displaystyle', 'textstyle'].includes(name)) {
+            return { type: 'group', children: this.argument() };
+        }
+        if (['begin', 'end'].includes(name)) {
+            this.rawGroup();
+            return null;
+        }
+        if (LatexMath.NARY[name]) return { type: 'nary', op: LatexMath.NARY[name], name };
+        if (LatexMath.FUNCTIONS.includes(name)) return { type: 'text', value: name, plain: true };
+        if (Object.prototype.hasOwnProperty.call(LatexMath.SYMBOLS, name)) {
+            return { type: 'text', value: LatexMath.SYMBOLS[name] };
+        }
+        // \, \; \{ \% … : spacing becomes a space, escapes the character
+        if (name.length === 1) return { type: 'text', value: /[,;:! \\]/.test(name) ? ' ' : name };
+        return { type: 'text', value: name, plain: true };
+    }
+
+    delimiter(token) {
+        if (!token || token === '.') return '';
+        if (token[0] !== '\\') return token;
+        const name = token.slice(1);
+        return LatexMath.SYMBOLS[name] || (name.length === 1 ? name : '');
+    }
+
+    // ══════════════════════════════════════════════
+    // WRITERS
+    // ══════════════════════════════════════════════
+
+    /**
+     * OMML components for a `new docx.Math({ children })`.
+     */
+    static toDocx(latex, docx) {
+        const convert = (nodes) => {
+            const out = [];
+            let run = '';
+            const flush = () => {
+                if (run) out.push(new docx.MathRun(run));
+                run = '';
+            };
+
+            (nodes || []).forEach((node) => {
+                if (node.type === 'text') {
+                    run += node.value;
+                    return;
+                }
+                flush();
+                out.push(...LatexMath.docxNode(node, convert, docx));
+            });
+            flush();
+            return out;
+        };
+        return convert(LatexMath.parse(latex));
+    }
+
+    static docxNode(node, convert, docx) {
+        switch (node.type) {
+            case 'group':
+                return convert(node.children);
+            case 'frac':
+                return [new docx.MathFraction({ numerator: convert(node.num), denominator: convert(node.den) })];
+            case 'sqrt':
+                return [new docx.MathRadical({ children: convert(node.body), degree: node.degree ? convert(node.degree) : undefined })];
+            case 'fenced': {
+                const children = convert(node.children);
+                const brackets = { '()': docx.MathRoundBrackets, '[]': docx.MathSquareBrackets, '{}': docx.MathCurlyBrackets, '⟨⟩': docx.MathAngledBrackets };
+                const Bracket = brackets[`${node.open}${node.close}`];
+                if (Bracket) return [new Bracket({ children })];
+                return [node.open && new docx.MathRun(node.open), ...children, node.close && new docx.MathRun(node.close)].filter(Boolean);
+            }
+            case 'nary': {
+                const options = {
+                    children: convert(node.body),
+                    subScript: node.sub ? convert(node.sub) : undefined,
+                    superScript: node.sup ? convert(node.sup) : undefined
+                };
+                if (node.name === 'sum') return [new docx.MathSum(options)];
+                if (node.name === 'int') return [new docx.MathIntegral(options)];
+                if (!node.sub && !node.sup) return [new docx.MathRun(node.op), ...options.children];
+                return [
+                    ...LatexMath.docxNode({ type: 'scripts', base: [{ type: 'text', value: node.op }], sub: node.sub, sup: node.sup }, convert, docx),
+                    ...options.children
+                ];
+            }
+            case 'scripts': {
+                const children = convert(node.base);
+                if (node.sub && node.sup) {
+                    return [new docx.MathSubSuperScript({ children, subScript: convert(node.sub), superScript: convert(node.sup) })];
+                }
+                if (node.sup) return [new docx.MathSuperScript({ children, superScript: convert(node.sup) })];
+                return [new docx.MathSubScript({ children, subScript: convert(node.sub) })];
+            }
+            default:
+                return [];
+        }
+    }
+}
+
+LatexMath.NARY = {
+    sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+    bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂'
+};
+
+LatexMath.FUNCTIONS = [
+    'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+    'log', 'ln', 'lg', 'exp', 'lim', 'limsup', 'liminf', 'max', 'min', 'sup', 'inf', 'det', 'dim',
+    'gcd', 'deg', 'arg', 'ker', 'Pr'
+];
+
+LatexMath.SYMBOLS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+    varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+    varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+    Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    cdot: '·', cdots: '⋯', ldots: '…', dots: '…', vdots: '⋮', ddots: '⋱', times: '×', div: '÷', pm: '±', mp: '∓',
+    ast: '∗', star: '⋆', circ: '∘', bullet: '•', oplus: '⊕', otimes: '⊗',
+    leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼', simeq: '≃',
+    cong: '≅', propto: '∝', ll: '≪', gg: '≫', prec: '≺', succ: '≻',
+    in: '∈', notin: '∉', ni: '∋', subset: '⊂', supset: '⊃', subseteq: '⊆', supseteq: '⊇', cup: '∪', cap: '∩',
+    emptyset: '∅', varnothing: '∅', setminus: '∖', forall: '∀', exists: '∃', nexists: '∄', neg: '¬',
+    land: '∧', wedge: '∧', lor: '∨', vee: '∨', infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', ell: 'ℓ',
+    Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ', prime: '′', angle: '∠', perp: '⊥', parallel: '∥', mid: '∣',
+    to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐',
+    Leftrightarrow: '⇔', implies: '⟹', iff: '⟺', mapsto: '↦', uparrow: '↑', downarrow: '↓',
+    langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖',
+    lbrace: '{', rbrace: '}', quad: ' ', qquad: '  ', colon: ':'
+};
+
+LatexMath.DOUBLE_STRUCK = { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' };
+
+window.LatexMath = LatexMath;
@@ -0,0 +1,365 @@
+/**
+ * LatexWriter — Markdown message text → LaTeX body
+ *
+ * Works on the text exports already use (`getMessageText()`): headings,
+ * paragraphs, nested and task lists, GFM tables, block quotes, fences as
+ * `lstlisting`, inline code, emphasis and links. Math is passed through
+ * untouched: `$$…$$` blocks always, inline `$…$` only when the source is in
+ * `options.math` (the message's math index), so prices and shell variables
+ * are escaped instead. `options.reference(url)` may return a bibliography
+ * entry `{ key, citation }`; citation links become `\cite{key}` and every
+ * key written is collected in `cited`. `options.citations` lists
+ * `{ text, key }` chips to cite where their text appears in plain prose.
+ */
+
+class LatexWriter {
+    constructor(options = {}) {
+        this.math = new Set((options.math || []).map((latex) => String(latex).trim()));
+        this.reference = typeof options.reference === 'function' ? options.reference : () => null;
+        this.citations = new Map();
+        (options.citations || []).forEach((citation) => {
+            const text = String(citation.text || '').trim();
+            if (text.length >= 2 && text.length <= 80 && citation.key) this.citations.set(text, citation.key);
+        });
+        this.citationPattern = this.citations.size > 0
+            ? new RegExp(`(${Array.from(this.citations.keys())
+                .sort((a, b) => b.length - a.length)
+                .map((text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+                .join('|')})`)
+            : null;
+        this.cited = new Set();
+    }
+
+    convert(markdown) {
+        const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        return this.blocks(lines).join('\n\n').trim();
+    }
+
+    static escape(text) {
+        return String(text || '').replace(/[\\{}$&#%_^~<>|]/g, (char) => LatexWriter.ESCAPES[char]);
+    }
+
+    /**
+     * URL for \url / \href: characters TeX cannot take in the argument are
+     * percent-encoded, comment and parameter characters escaped.
+     */
+    static url(value) {
+        return String(value || '')
+            .replace(/[\\{}\s]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)
+            .replace(/[%#]/g, '\\$&');
+    }
+
+    /**
+     * Text that must not contain its own closing line, e.g. `\end{lstlisting}`.
+     */
+    static verbatim(text, environment) {
+        return String(text || '').split(`\\end{${environment}}`).join(`\\end {${environment}}`);
+    }
+
+    // ══════════════════════════════════════════════
+    // BLOCKS
+    // ══════════════════════════════════════════════
+
+    blocks(lines) {
+        const out = [];
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(/^\s{0,3}(`{3,}|~{3,})\s*([^\s`]*)/);
+            if (fence) {
+                const code = [];
+                const closing = new RegExp(`^\\s{0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+                for (i++; i < lines.length && !closing.test(lines[i]); i++) code.push(lines[i]);
+                i++;
+                out.push(this.codeBlock(code.join('\n'), fence[2]));
+                continue;
+            }
+
+            if (/^\s*\$\$\s*$/.test(line)) {
+                const math = [];
+                for (i++; i < lines.length && !/^\s*\$\$\s*$/.test(lines[i]); i++) math.push(lines[i]);
+                i++;
+                out.push(this.displayMath(math.join('\n')));
+                continue;
+            }
+
+            const oneLineMath = line.match(/^\s*\$\$(.+)\$\$\s*$/);
+            if (oneLineMath) {
+                out.push(this.displayMath(oneLineMath[1]));
+                i++;
+                continue;
+            }
+
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const command = heading[1].length <= 2 ? 'subsection' : heading[1].length === 3 ? 'subsubsection' : 'paragraph';
+                out.push(`\\${command}*{${this.inline(heading[2])}}`);
+                i++;
+                continue;
+            }
+
+            if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                out.push('\\noindent\\rule{\\linewidth}{0.4pt}');
+                i++;
+                continue;
+            }
+
+            if (/^\s{0,3}>/.test(line)) {
+                const quoted = [];
+                for (; i < lines.length && /^\s{0,3}>/.test(lines[i]); i++) {
+                    quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+                }
+                out.push(`\\begin{quote}\n${this.blocks(quoted).join('\n\n')}\n\\end{quote}`);
+                continue;
+            }
+
+            if (line.includes('|') && LatexWriter.TABLE_RULE.test(lines[i + 1] || '')) {
+                const rows = [line, lines[i + 1]];
+                for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) rows.push(lines[i]);
+                out.push(this.table(rows));
+                continue;
+            }
+
+            if (LatexWriter.LIST_ITEM.test(line)) {
+                const start = i;
+                const indent = line.match(/^\s*/)[0].length;
+                for (i++; i < lines.length; i++) {
+                    if (lines[i].trim()) continue;
+                    // A blank line ends the list unless it is followed by more of it
+                    const next = lines[i + 1] || '';
+                    const nextIndent = next.match(/^\s*/)[0].length;
+                    if (!next.trim() || (nextIndent <= indent && !LatexWriter.LIST_ITEM.test(next))) break;
+                }
+                out.push(this.list(lines.slice(start, i)));
+                continue;
+            }
+
+            const paragraph = [];
+            for (; i < lines.length && lines[i].trim() && (paragraph.length === 0 || !this.startsBlock(lines[i], lines[i + 1])); i++) {
+                paragraph.push(lines[i]);
+            }
+            out.push(this.inline(paragraph.join('\n').trim()));
+        }
+        return out.filter(Boolean);
+    }
+
+    startsBlock(line, next) {
+        return /^\s{0,3}(`{3,}|~{3,}|#{1,6}\s|>|\$\$)/.test(line) ||
+            LatexWriter.LIST_ITEM.test(line) ||
+            (line.includes('|') && LatexWriter.TABLE_RULE.test(next || ''));
+    }
+
+    codeBlock(code, language) {
+        const name = String(language || '').toLowerCase();
+        const known = LatexWriter.LISTINGS_LANGUAGES[name];
+        const option = known ? `[language=${known}]` : name ? `[title={${LatexWriter.escape(name)}}]` : '';
+        return `\\begin{lstlisting}${option}\n${LatexWriter.verbatim(code, 'lstlisting')}\n\\end{lstlisting}`;
+    }
+
+    displayMath(latex) {
+        const source = String(latex || '').trim();
+        // Environments that are display math themselves cannot sit inside \[ \]
+        if (/^\\begin\{(equation|align|gather|multline|flalign|eqnarray)\*?\}/.test(source)) return source;
+        return `\\[\n${source}\n\\]`;
+    }
+
+    list(lines) {
+        const indent = lines[0].match(/^\s*/)[0].length;
+        const ordered = /^\s*\d/.test(lines[0]);
+        const items = [];
+        lines.forEach((line) => {
+            const marker = line.match(LatexWriter.LIST_ITEM);
+            if (marker && marker[1].length <= indent + 1) {
+                items.push({ lines: [line.slice(marker[0].length)], width: marker[0].length });
+            } else if (items.length > 0) {
+                const current = items[items.length - 1];
+                current.lines.push(line.replace(new RegExp(`^\\s{0,${current.width}}`), ''));
+            }
+        });
+
+        const start = parseInt(lines[0].trim(), 10);
+        const environment = ordered ? 'enumerate' : 'itemize';
+        const body = items.map((item) => {
+            const task = item.lines[0].match(/^\[([ xX])\]\s+/);
+            if (task) item.lines[0] = item.lines[0].slice(task[0].length);
+            const label = task ? `[${task[1] === ' ' ? '$\\square$' : '$\\boxtimes$'}]` : '';
+            return `\\item${label} ${this.blocks(item.lines).join('\n\n')}`;
+        });
+        const setStart = ordered && start > 1 ? `\\setcounter{enumi}{${start - 1}}\n` : '';
+        return `\\begin{${environment}}\n${setStart}${body.join('\n')}\n\\end{${environment}}`;
+    }
+
+    table(rows) {
+        const cells = (row) => row.trim()
+            .replace(/^\|/, '')
+            .replace(/(^|[^\\])\|$/, '$1')
+            .split(/(?<!\\)\|/)
+            .map((cell) => cell.trim());
+        const [header, rule, ...body] = rows.map(cells);
+        const width = Math.max(header.length, ...body.map((row) => row.length));
+        const columns = Array.from({ length: width }, (_, i) => {
+            const align = rule[i] || '';
+            if (/^:-+:$/.test(align)) return '>{\\centering\\arraybackslash}X';
+            if (/-:$/.test(align)) return '>{\\raggedleft\\arraybackslash}X';
+            return '>{\\raggedright\\arraybackslash}X';
+        });
+        const line = (values) => `${Array.from({ length: width }, (_, i) => this.inline(values[i] || '')).join(' & ')} \\\\`;
+        return [
+            `\\begin{tabularx}{\\linewidth}{${columns.join('')}}`,
+            '\\toprule',
+            line(header),
+            '\\midrule',
+            ...body.map(line),
+            '\\bottomrule',
+            '\\end{tabularx}'
+        ].join('\n');
+    }
+
+    // ══════════════════════════════════════════════
+    // INLINE
+    // ══════════════════════════════════════════════
+
+    inline(text) {
+        const pattern = new RegExp(LatexWriter.INLINE.source, 'g');
+        let out = '';
+        let cursor = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            out += this.plain(text.slice(cursor, match.index));
+            out += this.token(match.groups, match[0]);
+            cursor = match.index + match[0].length;
+        }
+        return out + this.plain(text.slice(cursor));
+    }
+
+    token(groups, source) {
+        if (groups.ticks) return `\\texttt{${LatexWriter.escape(groups.code.trim())}}`;
+        if (groups.escaped) return LatexWriter.escape(groups.escaped);
+        if (groups.display !== undefined) return `\\[ ${groups.display.trim()} \\]`;
+        if (groups.math !== undefined) {
+            return this.math.has(groups.math.trim())
+                ? `$${groups.math}$`
+                : `\\$${this.inline(groups.math)}\\$`;
+        }
+        if (groups.imageUrl) {
+            return `\\href{${LatexWriter.url(groups.imageUrl)}}{[${this.inline(groups.alt || 'image')}]}`;
+        }
+        if (groups.linkUrl) return this.link(groups.linkUrl, groups.label);
+        if (groups.autolink || groups.bare) return this.link(groups.autolink || groups.bare, '');
+        if (groups.strong !== undefined || groups.strongUnderscore !== undefined) {
+            return `\\textbf{${this.inline(groups.strong ?? groups.strongUnderscore)}}`;
+        }
+        if (groups.strike !== undefined) return `\\sout{${this.inline(groups.strike)}}`;
+        if (groups.em !== undefined || groups.emUnderscore !== undefined) {
+            return `\\emph{${this.inline(groups.em ?? groups.emUnderscore)}}`;
+        }
+        if (groups.hardBreak) return '\\\\\n';
+        return source;
+    }
+
+    link(url, label) {
+        const entry = this.reference(url);
+        if (entry?.citation) {
+            this.cited.add(entry.key);
+            return `\\cite{${entry.key}}`;
+        }
+        const text = String(label || '').trim();
+        if (!text || text === url) return `\\url{${LatexWriter.url(url)}}`;
+        return `\\href{${LatexWriter.url(url)}}{${this.inline(text)}}`;
+    }
+
+    plain(text) {
+        if (!text) return '';
+        if (!this.citationPattern) return LatexWriter.escape(text);
+        return text.split(this.citationPattern).map((part, index) => {
+            if (index % 2 === 0) return LatexWriter.escape(part);
+            const key = this.citations.get(part);
+            this.cited.add(key);
+            return `\\cite{${key}}`;
+        }).join('');
+    }
+}
+
+LatexWriter.ESCAPES = {
+    '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', $: '\\$', '&': '\\&', '#': '\\#', '%': '\\%',
+    _: '\\_', '^': '\\textasciicircum{}', '~': '\\textasciitilde{}', '<': '\\textless{}',
+    '>': '\\textgreater{}', '|': '\\textbar{}'
+};
+
+LatexWriter.LIST_ITEM = /^(\s*)(?:[-*+]|\d{1,9}[.)])\s+/;
+LatexWriter.TABLE_RULE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+LatexWriter.INLINE = new RegExp([
+    '(?<ticks>`+)(?<code>[\\s\\S]*?[^`])\\k<ticks>(?!`)',
+    '\\\\(?<escaped>[!-/:-@[-`{-~])',
+    '\\$\\$(?<display>[\\s\\S]+?)\\$\\$',
+    '\\$(?<math>[^$\\n]+?)\\$',
+    '!\\[(?<alt>[^\\]]*)\\]\\((?<imageUrl>[^)\\s]+)(?:\\s+"[^"]*")?\\)',
+    '\\[(?<label>(?:[^[\\]]|\\[[^\\]]*\\])*)\\]\\((?<linkUrl>[^)\\s]+)(?:\\s+"[^"]*")?\\)',
+    '<(?<autolink>https?:\\/\\/[^>\\s]+)>',
+    '(?<bare>https?:\\/\\/[^\\s<>"\')\\]]*[^\\s<>"\')\\].,;:!?])',
+    '\\*\\*(?<strong>[\\s\\S]+?)\\*\\*',
+    '(?<![\\w])__(?<strongUnderscore>[\\s\\S]+?)__(?![\\w])',
+    '~~(?<strike>[\\s\\S]+?)~~',
+    '\\*(?<em>[^*\\s](?:[\\s\\S]*?[^*\\s])?)\\*',
+    '(?<![\\w\\\\])_(?<emUnderscore>[^_\\s](?:[\\s\\S]*?[^_\\s\\\\])?)_(?![\\w])',
+    '(?<hardBreak> {2,}\\n)'
+].join('|'));
+
+/**
+ * `listings` names for fence languages; anything else is typeset plain
+ * with the fence tag as the listing title.
+ */
+LatexWriter.LISTINGS_LANGUAGES = {
+    python: 'Python', py: 'Python', java: 'Java', c: 'C', cpp: 'C++', 'c++': 'C++', cs: '[Sharp]C',
+    csharp: '[Sharp]C', bash: 'bash', sh: 'sh', shell: 'bash', zsh: 'bash', sql: 'SQL', html: 'HTML',
+    xml: 'XML', ruby: 'Ruby', rb: 'Ruby', perl: 'Perl', php: 'PHP', r: 'R', matlab: 'Matlab',
+    octave: 'Octave', haskell: 'Haskell', lua: 'Lua', fortran: 'Fortran', scala: 'Scala',
+    tex: '[LaTeX]TeX', latex: '[LaTeX]TeX', make: 'make', makefile: 'make', lisp: 'Lisp',
+    erlang: 'erlang', delphi: 'Delphi', pascal: 'Pascal', ada: 'Ada', cobol: 'Cobol'
+};
+
+LatexWriter.PREAMBLE = String.raw`\documentclass[11pt]{article}
+\usepackage{iftex}
+\ifPDFTeX
+  \usepackage[utf8]{inputenc}
+  \usepackage[T1]{fontenc}
+  \usepackage{lmodern}
+\else
+  \usepackage{fontspec}
+\fi
+\usepackage[margin=1in]{geometry}
+\usepackage{amsmath,amssymb}
+\usepackage{xcolor}
+\usepackage{listings}
+\usepackage{fvextra}
+\usepackage{array,booktabs,tabularx}
+\usepackage[normalem]{ulem}
+\usepackage[hidelinks]{hyperref}
+
+\definecolor{codebg}{gray}{0.96}
+\definecolor{thinkingrule}{gray}{0.55}
+\definecolor{thinkingtext}{gray}{0.35}
+\lstset{
+  basicstyle=\ttfamily\small,
+  backgroundcolor=\color{codebg},
+  frame=single,
+  rulecolor=\color{codebg},
+  breaklines=true,
+  columns=fullflexible,
+  keepspaces=true,
+  showstringspaces=false
+}
+
+% Model reasoning, kept verbatim and set apart from the answer
+\newenvironment{thinking}[1]%
+  {\par\medskip\noindent{\small\bfseries\color{thinkingrule}#1}\par\nopagebreak\small}%
+  {\par\medskip}
+\fvset{breaklines=true,breakanywhere=true,frame=leftline,rulecolor=\color{thinkingrule},formatcom=\color{thinkingtext}}`;
+
+window.LatexWriter = LatexWriter;
@@ -0,0 +1,295 @@
+/**
+ * MarkdownConverter — DOM → GitHub-flavoured Markdown
+ *
+ * Extractors store `content` from innerText, which flattens tables, lists,
+ * links and code fences. This walks the rendered message DOM instead and
+ * keeps that structure: headings, nested and task lists, GFM tables,
+ * language-tagged fences, inline code, emphasis, links and images.
+ * Accepts a live element or an HTML string (e.g. a stored `message.html`).
+ * `options.math(el)` may return `{ latex, display }` for rendered math
+ * nodes, which are then written as `$…$` / `$$…$$` instead of glyphs.
+ */
+
+class MarkdownConverter {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || (typeof document !== 'undefined' ? document.baseURI : '');
+        this.math = typeof options.math === 'function' ? options.math : null;
+    }
+
+    convert(source) {
+        const root = typeof source === 'string' ? MarkdownConverter.parse(source) : source;
+        if (!root) return '';
+        return this.blocks(root)
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    static parse(html) {
+        if (typeof document === 'undefined') return null;
+        const template = document.createElement('template');
+        template.innerHTML = String(html || '');
+        return template.content;
+    }
+
+    // ══════════════════════════════════════════════
+    // BLOCKS
+    // ══════════════════════════════════════════════
+
+    /**
+     * Render a container's children: runs of inline nodes become one
+     * paragraph, block children render on their own.
+     */
+    blocks(node, separator = '\n\n') {
+        const out = [];
+        let inline = '';
+        const flush = () => {
+            // Trim every line but keep the two-space hard breaks from <br>
+            const lines = inline.split('\n');
+            const text = lines
+                .map((line, index) => {
+                    const trimmed = line.trim();
+                    return trimmed && index < lines.length - 1 && / {2}$/.test(line) ? `${trimmed}  ` : trimmed;
+                })
+                .join('\n')
+                .trim();
+            if (text) out.push(text);
+            inline = '';
+        };
+
+        Array.from(node.childNodes).forEach((child) => {
+            if (this.isBlock(child)) {
+                flush();
+                const md = this.block(child);
+                if (md) out.push(md);
+            } else {
+                inline += this.inline(child);
+            }
+        });
+        flush();
+        return out.join(separator);
+    }
+
+    isBlock(node) {
+        if (node.nodeType !== 1) return false;
+        const math = this.mathSource(node);
+        if (math) return math.display;
+        if (this.isSkipped(node)) return false;
+        return MarkdownConverter.BLOCK_TAGS.has(node.tagName) ||
+            !!node.querySelector(MarkdownConverter.BLOCK_SELECTOR);
+    }
+
+    isSkipped(node) {
+        if (node.nodeType !== 1) return false;
+        return MarkdownConverter.SKIP_TAGS.has(node.tagName) ||
+            node.hidden ||
+            node.getAttribute('aria-hidden') === 'true' ||
+            node.classList.contains('sr-only');
+    }
+
+    mathSource(node) {
+        return this.math && node.nodeType === 1 ? this.math(node) : null;
+    }
+
+    block(el) {
+        const math = this.mathSource(el);
+        if (math) return `$$\n${math.latex}\n$$`;
+
+        const tag = el.tagName;
+        if (/^H[1-6]$/.test(tag)) {
+            const text = this.inlineChildren(el).replace(/\s*\n\s*/g, ' ').trim();
+            return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+        }
+
+        switch (tag) {
+            case 'PRE':
+                return this.codeBlock(el);
+            case 'UL':
+            case 'OL':
+                return this.list(el);
+            case 'TABLE':
+                return this.table(el);
+            case 'BLOCKQUOTE':
+                return this.blocks(el)
+                    .split('\n')
+                    .map((line) => (line ? `> ${line}` : '>'))
+                    .join('\n');
+            case 'HR':
+                return '---';
+            default:
+                return this.blocks(el);
+        }
+    }
+
+    codeBlock(pre) {
+        // Chat UIs put a language label and copy button next to <code>
+        const code = pre.querySelector('code') || pre;
+        const text = code.textContent.replace(/\n$/, '');
+        const language = this.codeLanguage(code) || this.codeLanguage(pre) || '';
+        const longest = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+        const fence = '`'.repeat(Math.max(3, longest + 1));
+        return `${fence}${language}\n${text}\n${fence}`;
+    }
+
+    codeLanguage(el) {
+        const match = (el.getAttribute('class') || '').match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/);
+        return match ? match[1] : (el.getAttribute('data-language') || el.getAttribute('data-lang') || '').trim();
+    }
+
+    list(el) {
+        const ordered = el.tagName === 'OL';
+        let number = parseInt(el.getAttribute('start'), 10) || 1;
+        const items = Array.from(el.children).filter((child) => child.tagName === 'LI');
+        const loose = items.some((item) => Array.from(item.children).some((child) => child.tagName === 'P'));
+
+        return items.map((item) => {
+            const marker = ordered ? `${number++}.` : '-';
+            const checkbox = Array.from(item.querySelectorAll('input[type="checkbox"]'))
+                .find((input) => input.closest('li') === item);
+            const task = checkbox ? `[${checkbox.checked || checkbox.hasAttribute('checked') ? 'x' : ' '}] ` : '';
+            const indent = ' '.repeat(marker.length + 1);
+            const body = this.blocks(item, loose ? '\n\n' : '\n')
+                .split('\n')
+                .map((line, index) => (index === 0 || !line ? line : `${indent}${line}`))
+                .join('\n');
+            return `${marker} ${task}${body}`;
+        }).join(loose ? '\n\n' : '\n');
+    }
+
+    table(el) {
+        const rows = Array.from(el.querySelectorAll('tr'))
+            .filter((row) => row.closest('table') === el)
+            .map((row) => Array.from(row.children).filter((cell) => cell.tagName === 'TH' || cell.tagName === 'TD'))
+            .filter((cells) => cells.length > 0);
+        if (rows.length === 0) return '';
+
+        const width = Math.max(...rows.map((cells) => cells.length));
+        const cellText = (cell) => this.blocks(cell, ' ')
+            .replace(/\s*\n\s*/g, ' ')
+            .replace(/\|/g, '\\|');
+        const line = (values) => `| ${Array.from({ length: width }, (_, i) => values[i] || '').join(' | ')} |`;
+        const alignment = (cell) => {
+            const align = ((cell && (cell.getAttribute('align') || cell.style.textAlign)) || '').toLowerCase();
+            if (align === 'center') return ':---:';
+            if (align === 'right') return '---:';
+            if (align === 'left') return ':---';
+            return '---';
+        };
+
+        // GFM needs a header row; the first row serves when there is no <thead>
+        const [header, ...body] = rows;
+        return [
+            line(header.map(cellText)),
+            line(Array.from({ length: width }, (_, i) => alignment(header[i]))),
+            ...body.map((cells) => line(cells.map(cellText)))
+        ].join('\n');
+    }
+
+    // ══════════════════════════════════════════════
+    // INLINE
+    // ══════════════════════════════════════════════
+
+    inlineChildren(el) {
+        return Array.from(el.childNodes).map((child) => this.inline(child)).join('');
+    }
+
+    inline(node) {
+        if (node.nodeType === 3) return this.text(node);
+        const math = this.mathSource(node);
+        if (math) return math.display ? `\n$$\n${math.latex}\n$$\n` : `$${math.latex}$`;
+        if (node.nodeType !== 1 || this.isSkipped(node)) return '';
+
+        switch (node.tagName) {
+            case 'BR':
+                return '  \n';
+            case 'STRONG':
+            case 'B':
+                return this.wrap(this.inlineChildren(node), '**');
+            case 'EM':
+            case 'I':
+                return this.wrap(this.inlineChildren(node), '*');
+            case 'DEL':
+            case 'S':
+            case 'STRIKE':
+                return this.wrap(this.inlineChildren(node), '~~');
+            case 'CODE':
+                return this.inlineCode(node.textContent);
+            case 'A':
+                return this.link(node);
+            case 'IMG':
+                return this.image(node);
+            case 'INPUT':
+                return '';
+            default:
+                return this.inlineChildren(node);
+        }
+    }
+
+    text(node) {
+        const preserve = node.parentElement?.closest('[class*="whitespace-pre"]');
+        const value = preserve
+            ? node.nodeValue.replace(/\n/g, '  \n')
+            : node.nodeValue.replace(/\s+/g, ' ');
+        return value
+            .replace(/([\\`*])/g, '\\$1')
+            .replace(/(^|[^\w])_|_(?=[^\w]|$)/g, (match) => match.replace('_', '\\_'));
+    }
+
+    wrap(content, marker) {
+        const inner = content.trim();
+        if (!inner) return content;
+        const lead = content.match(/^\s*/)[0];
+        const trail = content.match(/\s*$/)[0];
+        return `${lead}${marker}${inner}${marker}${trail}`;
+    }
+
+    inlineCode(value) {
+        const text = String(value || '').replace(/\s*\n\s*/g, ' ');
+        if (!text) return '';
+        const longest = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+        const ticks = '`'.repeat(longest + 1);
+        const pad = /^`|`$/.test(text) ? ' ' : '';
+        return `${ticks}${pad}${text}${pad}${ticks}`;
+    }
+
+    link(node) {
+        const text = this.inlineChildren(node).trim();
+        const href = this.resolveUrl(node.getAttribute('href'));
+        if (!href || /^javascript:/i.test(href)) return text;
+        if (!text) return '';
+        if (text === href) return `<${href}>`;
+        const title = node.getAttribute('title');
+        return `[${text}](${this.escapeUrl(href)}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+    }
+
+    image(node) {
+        const src = this.resolveUrl(node.getAttribute('src'));
+        if (!src) return '';
+        const alt = (node.getAttribute('alt') || '').replace(/[[\]]/g, '');
+        const title = node.getAttribute('title');
+        return `![${alt}](${this.escapeUrl(src)}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+    }
+
+    escapeUrl(url) {
+        return url.replace(/[()\s]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+    }
+
+    resolveUrl(value) {
+        const raw = String(value || '').trim();
+        if (!raw) return '';
+        try {
+            return new URL(raw, this.baseUrl || undefined).href;
+        } catch (error) {
+            return raw;
+        }
+    }
+}
+
+MarkdownConverter.BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+    'FIGCAPTION', 'FIGURE', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER',
+    'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL'
+]);
+MarkdownConverter.BLOCK_SELECTOR = Array.from(MarkdownConverter.BLOCK_TAGS).join(',').toLowerCase();
+MarkdownConverter.SKIP_TAGS = new Set(['BUTTON', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'svg', 'CANVAS', 'SELECT', 'TEXTAREA']);
+
+window.MarkdownConverter = MarkdownConverter;
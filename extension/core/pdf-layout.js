@@ -0,0 +1,838 @@
+/**
+ * PdfLayout — Markdown message text → laid-out jsPDF pages
+ *
+ * A small flow layout over a jsPDF document (millimetre units): headings,
+ * wrapped rich text with bold / italic / code / links, nested and task
+ * lists, shaded code boxes, GFM tables with repeated headers, block quotes
+ * and coloured callouts. Markdown is tokenized with the bundled `marked`
+ * lexer when it is loaded. Boxes are painted line by line as content is
+ * placed, so callouts and code split cleanly across pages.
+ *
+ * `position()` anchors link and bookmark targets; `reserveContents()` and
+ * `contents()` add a linked table of contents once pages are known, and
+ * `links` maps every external URL drawn to the pages it appears on.
+ *
+ * `options.fonts` lists TrueType files `{ family, style, role, base64 }`
+ * (role `sans`, `mono` or `fallback`); jsPDF embeds only the glyphs used.
+ * Each character is set in the first font that has a glyph for it —
+ * primary, then fallbacks — and anything left (emoji, or non-Latin-1 text
+ * with only the built-in Helvetica) is transliterated or dropped instead
+ * of printing as garbage.
+ */
+
+class PdfLayout {
+    constructor(doc, options = {}) {
+        this.doc = doc;
+        this.scale = options.scale || 1;
+        this.margin = options.margin || 18;
+        this.pageWidth = doc.internal.pageSize.getWidth();
+        this.pageHeight = doc.internal.pageSize.getHeight();
+        this.top = this.margin;
+        this.bottom = this.pageHeight - this.margin;
+        this.x = this.margin;
+        this.right = this.pageWidth - this.margin;
+        this.y = this.top;
+        this.frames = [];
+        this.marker = null;
+        this.links = new Map();
+        this.glyphs = new Map();
+        this.onPage = typeof options.onPage === 'function' ? options.onPage : null;
+        this.families = this.registerFonts(options.fonts || []);
+    }
+
+    registerFonts(fonts) {
+        const families = { sans: 'helvetica', mono: 'courier', fallbacks: [] };
+        this.styles = new Map();
+        fonts.forEach((font) => {
+            if (!font?.base64 || !font.family) return;
+            const style = font.style || 'normal';
+            try {
+                const file = `${font.family}-${style}.ttf`;
+                this.doc.addFileToVFS(file, font.base64);
+                this.doc.addFont(file, font.family, style);
+            } catch (error) {
+                console.warn('⚠️ PDF font not embedded:', font.family, style, error);
+                return;
+            }
+            if (!this.styles.has(font.family)) this.styles.set(font.family, new Set());
+            this.styles.get(font.family).add(style);
+            if (font.role === 'fallback') {
+                if (!families.fallbacks.includes(font.family)) families.fallbacks.push(font.family);
+            } else if (font.role === 'mono' || font.role === 'sans') {
+                families[font.role] = font.family;
+            }
+        });
+        // A family only counts once its regular face is in
+        ['sans', 'mono'].forEach((role) => {
+            if (this.styles.has(families[role]) && !this.styles.get(families[role]).has('normal')) {
+                families[role] = role === 'sans' ? 'helvetica' : 'courier';
+            }
+        });
+        families.fallbacks = families.fallbacks.filter((family) => this.styles.get(family).has('normal'));
+        return families;
+    }
+
+    static isStandardFont(family) {
+        return ['helvetica', 'courier', 'times'].includes(family);
+    }
+
+    /** jsPDF drops anything outside Latin-1 when setting the built-in fonts. */
+    static isLatin1(codePoint) {
+        return (codePoint >= 0x20 && codePoint <= 0x7e) || (codePoint >= 0xa0 && codePoint <= 0xff);
+    }
+
+    static unescape(text) {
+        return String(text || '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, '\'')
+            .replace(/&amp;/g, '&');
+    }
+
+    // ── Fonts and shaping ──
+
+    /** Closest registered face: the style asked for, else regular. */
+    styleFor(family, style) {
+        if (PdfLayout.isStandardFont(family)) return style;
+        return this.styles.get(family)?.has(style) ? style : 'normal';
+    }
+
+    hasGlyph(family, style, codePoint) {
+        if (PdfLayout.isStandardFont(family)) return PdfLayout.isLatin1(codePoint);
+        const key = `${family}:${style}:${codePoint}`;
+        if (!this.glyphs.has(key)) {
+            const metadata = this.doc.getFont(family, style)?.metadata;
+            this.glyphs.set(key, !!metadata?.characterToGlyph?.(codePoint));
+        }
+        return this.glyphs.get(key);
+    }
+
+    /**
+     * Split text into pieces `{ text, family, style }`, each set in a font
+     * that can draw it.
+     */
+    shape(text, style = 'normal', mono = false) {
+        const primary = mono ? this.families.mono : this.families.sans;
+        const chain = [primary, ...this.families.fallbacks];
+        if (mono) chain.push(this.families.sans);
+        const pieces = [];
+        const push = (value, family) => {
+            if (!value) return;
+            const faceStyle = this.styleFor(family, style);
+            const last = pieces[pieces.length - 1];
+            if (last && last.family === family && last.style === faceStyle) {
+                last.text += value;
+            } else {
+                pieces.push({ text: value, family, style: faceStyle });
+            }
+        };
+
+        const clean = String(text || '').replace(/\t/g, '    ').replace(/\r|[\u200b-\u200d]|\ufe0e|\ufe0f|[\u{1f3fb}-\u{1f3ff}]/gu, '');
+        for (const char of clean) {
+            const codePoint = char.codePointAt(0);
+            const family = chain.find((candidate) => this.hasGlyph(candidate, this.styleFor(candidate, style), codePoint));
+            if (family) {
+                push(char, family);
+            } else {
+                push(this.substitute(char, primary, style), primary);
+            }
+        }
+        return pieces;
+    }
+
+    /** Stand-in for a character no embedded font can draw. */
+    substitute(char, family, style) {
+        if (PdfLayout.SUBSTITUTES[char] !== undefined) return PdfLayout.SUBSTITUTES[char];
+        if (/\p{Extended_Pictographic}/u.test(char)) return '';
+        const stripped = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+        if (stripped && stripped !== char && [...stripped].every((c) => this.hasGlyph(family, this.styleFor(family, style), c.codePointAt(0)))) {
+            return stripped;
+        }
+        return '?';
+    }
+
+    setFont(family, style, size) {
+        this.doc.setFont(family, style);
+        this.doc.setFontSize(size);
+    }
+
+    measure(pieces, size) {
+        return pieces.reduce((width, piece) => {
+            this.setFont(piece.family, piece.style, size);
+            return width + this.doc.getTextWidth(piece.text);
+        }, 0);
+    }
+
+    lineHeight(size, factor = 1.4) {
+        return size * PdfLayout.PT * factor;
+    }
+
+    // ── Page flow ──
+
+    newPage() {
+        this.doc.addPage();
+        this.y = this.top;
+        if (this.onPage) this.onPage(this.doc.internal.getNumberOfPages());
+    }
+
+    /** Where the cursor is: `{ page, top }`, a link or outline target. */
+    position() {
+        return { page: this.doc.internal.getCurrentPageInfo().pageNumber, top: this.y };
+    }
+
+    /** Start a new page unless `height` still fits on this one. */
+    ensure(height) {
+        if (this.y + height > this.bottom && this.y > this.top) this.newPage();
+    }
+
+    /**
+     * Claim `height` at the cursor — on a new page if needed — and paint the
+     * open frames behind it. The caller draws and advances `y`.
+     */
+    reserve(height) {
+        this.ensure(height);
+        this.frames.forEach((frame) => this.paintFrame(frame, this.y, height));
+        return this.y;
+    }
+
+    space(height) {
+        if (this.frames.length === 0) {
+            this.y = Math.min(this.y + height, this.bottom);
+            return;
+        }
+        this.reserve(height);
+        this.y += height;
+    }
+
+    paintFrame(frame, y, height) {
+        const { doc } = this;
+        if (frame.fill) {
+            doc.setFillColor(frame.fill);
+            doc.rect(frame.x, y, frame.width, height, 'F');
+        }
+        if (frame.bar) {
+            doc.setFillColor(frame.bar);
+            doc.rect(frame.x, y, frame.barWidth || 1, height, 'F');
+        }
+        if (frame.border) {
+            doc.setDrawColor(frame.border);
+            doc.setLineWidth(0.2);
+            doc.line(frame.x, y, frame.x, y + height);
+            doc.line(frame.x + frame.width, y, frame.x + frame.width, y + height);
+        }
+    }
+
+    openFrame(frame) {
+        frame.x = this.x;
+        frame.width = this.right - this.x;
+        frame.previous = { x: this.x, right: this.right };
+        this.frames.push(frame);
+        this.x += (frame.barWidth || 0) + (frame.padding || 0);
+        this.right -= frame.padding || 0;
+        if (frame.border) this.hline(frame.x, frame.x + frame.width, this.y, frame.border);
+        return frame;
+    }
+
+    closeFrame() {
+        const frame = this.frames.pop();
+        this.x = frame.previous.x;
+        this.right = frame.previous.right;
+        if (frame.border) this.hline(frame.x, frame.x + frame.width, this.y, frame.border);
+        return frame;
+    }
+
+    hline(x1, x2, y, color) {
+        this.doc.setDrawColor(color);
+        this.doc.setLineWidth(0.2);
+        this.doc.line(x1, y, x2, y);
+    }
+
+    textColor() {
+        for (let i = this.frames.length - 1; i >= 0; i--) {
+            if (this.frames[i].color) return this.frames[i].color;
+        }
+        return PdfLayout.COLORS.text;
+    }
+
+    // ── Inline text ──
+
+    /**
+     * Break runs `{ text, bold, italic, code, link, target, strike, color }` into
+     * lines no wider than `width`; words longer than a line are split unless
+     * `options.keepWords`. Lines are arrays of fragments
+     * `{ text, family, style, width, run }`.
+     */
+    wrap(runs, width, size, options = {}) {
+        const lines = [[]];
+        let lineWidth = 0;
+        let pendingSpace = null;
+        const current = () => lines[lines.length - 1];
+        const breakLine = () => {
+            lines.push([]);
+            lineWidth = 0;
+            pendingSpace = null;
+        };
+        const place = (pieces, run) => {
+            pieces.forEach((piece) => {
+                const fragmentWidth = this.measure([piece], size);
+                current().push({ ...piece, width: fragmentWidth, run });
+                lineWidth += fragmentWidth;
+            });
+        };
+
+        runs.forEach((run) => {
+            const style = run.bold && run.italic ? 'bolditalic' : run.bold ? 'bold' : run.italic ? 'italic' : 'normal';
+            const mono = !!(run.code || options.mono);
+            String(run.text || '').split(/(\n| +)/).forEach((token) => {
+                if (!token) return;
+                if (token === '\n') {
+                    breakLine();
+                    return;
+                }
+                const pieces = this.shape(token, style, mono);
+                if (pieces.length === 0) return;
+                if (/^ +$/.test(token)) {
+                    // Leading spaces only survive where indentation matters
+                    if (current().length > 0 || options.preserveSpaces) {
+                        pendingSpace = { pieces, run };
+                    }
+                    return;
+                }
+                const tokenWidth = this.measure(pieces, size);
+                const spaceWidth = pendingSpace ? this.measure(pendingSpace.pieces, size) : 0;
+                if (current().length > 0 && lineWidth + spaceWidth + tokenWidth > width) {
+                    breakLine();
+                } else if (pendingSpace) {
+                    place(pendingSpace.pieces, pendingSpace.run);
+                }
+                pendingSpace = null;
+
+                if (tokenWidth <= width - lineWidth || options.keepWords) {
+                    place(pieces, run);
+                    return;
+                }
+                // Longer than a line: break between characters
+                pieces.forEach((piece) => {
+                    let chunk = '';
+                    for (const char of piece.text) {
+                        const next = chunk + char;
+                        if (lineWidth + this.measure([{ ...piece, text: next }], size) > width && (chunk || current().length > 0)) {
+                            if (chunk) place([{ ...piece, text: chunk }], run);
+                            breakLine();
+                            chunk = char;
+                        } else {
+                            chunk = next;
+                        }
+                    }
+                    if (chunk) place([{ ...piece, text: chunk }], run);
+                });
+            });
+        });
+        return lines;
+    }
+
+    /** Draw one wrapped line with its top edge at `top`. */
+    drawLine(line, x, top, size, height, options = {}) {
+        const { doc } = this;
+        const baseline = top + (height - size * PdfLayout.PT) / 2 + size * PdfLayout.PT * 0.8;
+        const lineWidth = line.reduce((sum, fragment) => sum + fragment.width, 0);
+        let cursor = x;
+        if (options.align === 'right') cursor = x + options.width - lineWidth;
+        if (options.align === 'center') cursor = x + (options.width - lineWidth) / 2;
+
+        if (this.marker) {
+            const markerPieces = this.shape(this.marker.text, 'normal', false);
+            const markerWidth = this.measure(markerPieces, size);
+            let markerX = x - markerWidth - 1.5;
+            markerPieces.forEach((piece) => {
+                this.setFont(piece.family, piece.style, size);
+                doc.setTextColor(this.textColor());
+                doc.text(piece.text, markerX, baseline);
+                markerX += this.measure([piece], size);
+            });
+            this.marker = null;
+        }
+
+        let position = cursor;
+        line.forEach((fragment) => {
+            if (fragment.run.code && !options.mono) {
+                doc.setFillColor(PdfLayout.COLORS.codeSpan);
+                doc.rect(position - 0.3, top + 0.3, fragment.width + 0.6, height - 0.6, 'F');
+            }
+            position += fragment.width;
+        });
+
+        position = cursor;
+        line.forEach((fragment) => {
+            const { run } = fragment;
+            const color = run.link || run.target ? PdfLayout.COLORS.link : run.color || options.color || this.textColor();
+            this.setFont(fragment.family, fragment.style, size);
+            doc.setTextColor(color);
+            doc.text(fragment.text, position, baseline);
+            if (run.link && fragment.text.trim()) {
+                doc.link(position, top, fragment.width, height, { url: run.link });
+                this.hline(position, position + fragment.width, baseline + 0.5, PdfLayout.COLORS.link);
+                this.recordLink(run.link, top);
+            } else if (run.target && fragment.text.trim()) {
+                doc.link(position, top, fragment.width, height, { pageNumber: run.target.page, top: run.target.top });
+            }
+            if (run.strike) {
+                this.hline(position, position + fragment.width, baseline - size * PdfLayout.PT * 0.3, color);
+            }
+            position += fragment.width;
+        });
+    }
+
+    /** Remember the first place on each page an external link is drawn. */
+    recordLink(url, top) {
+        const page = this.doc.internal.getCurrentPageInfo().pageNumber;
+        if (!this.links.has(url)) this.links.set(url, []);
+        const places = this.links.get(url);
+        if (!places.some((place) => place.page === page)) places.push({ page, top });
+    }
+
+    /** One line of `text`, cut with an ellipsis to fit `width`. */
+    fit(text, width, size, style = 'normal') {
+        const chars = [...String(text || '').replace(/\s+/g, ' ').trim()];
+        const layOut = (value) => this.wrap([{ text: value, bold: style === 'bold' }], Infinity, size)[0] || [];
+        const lineWidth = (line) => line.reduce((sum, fragment) => sum + fragment.width, 0);
+        let line = layOut(chars.join(''));
+        while (lineWidth(line) > width && chars.length > 0) {
+            chars.pop();
+            line = layOut(`${chars.join('').trimEnd()}…`);
+        }
+        return line;
+    }
+
+    /**
+     * Wrapped runs at the cursor. `options`: size (pt), gap after (mm),
+     * mono, preserveSpaces, color, fill (line background).
+     */
+    text(runs, options = {}) {
+        const size = (options.size || 10) * this.scale;
+        const height = this.lineHeight(size, options.mono ? 1.3 : 1.4);
+        const width = this.right - this.x;
+        this.wrap(runs, width, size, options).forEach((line) => {
+            const top = this.reserve(height);
+            if (options.fill) {
+                this.doc.setFillColor(options.fill);
+                this.doc.rect(this.x - (options.fillBleed || 0), top, width + (options.fillBleed || 0) * 2, height, 'F');
+            }
+            this.drawLine(line, this.x, top, size, height, options);
+            this.y += height;
+        });
+        if (options.gap) this.space(options.gap);
+    }
+
+    paragraph(text, options = {}) {
+        this.text(typeof text === 'string' ? [{ text }] : text, { gap: 2, ...options });
+    }
+
+    // ── Blocks ──
+
+    heading(runs, level = 2) {
+        const size = (PdfLayout.HEADING_SIZES[level] || 10) * this.scale;
+        this.space(level <= 2 ? 3 : 2);
+        // Keep a heading with at least two lines of what follows
+        this.ensure(this.lineHeight(size) + this.lineHeight(10 * this.scale) * 2);
+        this.text(runs.map((run) => ({ ...run, bold: true })), { size: size / this.scale, color: PdfLayout.COLORS.heading });
+        if (level <= 2) this.hline(this.x, this.right, this.y + 0.5, PdfLayout.COLORS.rule);
+        this.space(level <= 2 ? 2.5 : 1.5);
+    }
+
+    /** Monospace text in a shaded box, with the language as a caption. */
+    codeBlock(code, language = '') {
+        const lines = String(code || '').replace(/\n$/, '').split('\n').map((text) => ({ text }));
+        this.ensure(this.lineHeight(8.5 * this.scale, 1.3) * Math.min(lines.length, 3) + 6);
+        this.space(1);
+        this.openFrame({ fill: PdfLayout.COLORS.codeFill, border: PdfLayout.COLORS.codeBorder, padding: 2.5 });
+        this.space(2);
+        if (language) this.text([{ text: language }], { size: 7, color: PdfLayout.COLORS.muted });
+        this.monoLines(lines);
+        this.space(2);
+        this.closeFrame();
+        this.space(2.5);
+    }
+
+    /** Monospace lines `{ text, color, fill }` without a box of their own. */
+    monoLines(lines, options = {}) {
+        lines.forEach((line) => {
+            this.text([{ text: line.text || ' ', color: line.color }], {
+                size: options.size || 8.5,
+                mono: true,
+                preserveSpaces: true,
+                fill: line.fill,
+                fillBleed: line.fill ? 1.5 : 0
+            });
+        });
+    }
+
+    quote(render) {
+        this.openFrame({ bar: PdfLayout.COLORS.rule, barWidth: 0.8, padding: 3, color: PdfLayout.COLORS.muted });
+        render();
+        this.closeFrame();
+        this.space(1);
+    }
+
+    rule() {
+        this.space(2);
+        this.hline(this.x, this.right, this.y, PdfLayout.COLORS.rule);
+        this.space(3);
+    }
+
+    /**
+     * A labelled box styled like the HTML export's block containers;
+     * `theme` is a key of PdfLayout.CALLOUTS. Returns where the box starts.
+     */
+    callout(label, theme, render) {
+        const colors = PdfLayout.CALLOUTS[theme] || PdfLayout.CALLOUTS.default;
+        const labelSize = 7.5;
+        const labelHeight = this.lineHeight(labelSize * this.scale, 1.6);
+        this.space(1.5);
+        this.ensure(labelHeight + this.lineHeight(10 * this.scale) * 2 + 4);
+        const frame = this.openFrame({ fill: colors.fill, border: colors.border, padding: 3, color: colors.text });
+        const anchor = this.position();
+        const top = this.y;
+        this.doc.setFillColor(colors.labelFill);
+        this.doc.rect(frame.x, top, frame.width, labelHeight, 'F');
+        this.drawLine(this.wrap([{ text: label.toUpperCase(), bold: true }], frame.width, labelSize * this.scale)[0] || [],
+            this.x, top, labelSize * this.scale, labelHeight, { color: colors.label });
+        this.paintFrame({ ...frame, fill: null }, top, labelHeight);
+        this.y += labelHeight;
+        this.space(2);
+        render();
+        this.space(2);
+        this.closeFrame();
+        this.space(2.5);
+        return anchor;
+    }
+
+    /**
+     * `header` is an array of cells, `rows` an array of cell arrays; a cell
+     * is an array of runs. `align` holds 'left' | 'center' | 'right' | null.
+     */
+    table(header, rows, align = []) {
+        const size = 8.5 * this.scale;
+        const padding = 1.5;
+        const height = this.lineHeight(size, 1.35);
+        const available = this.right - this.x;
+        const columns = Math.max(header.length, ...rows.map((row) => row.length));
+        const cells = [header, ...rows].map((row) => Array.from({ length: columns }, (_, i) => row[i] || []));
+
+        // Natural (unwrapped) and minimum (longest word) widths per column
+        const natural = new Array(columns).fill(0);
+        const minimum = new Array(columns).fill(0);
+        cells.forEach((row, r) => row.forEach((runs, c) => {
+            const bold = r === 0 ? runs.map((run) => ({ ...run, bold: true })) : runs;
+            const lines = this.wrap(bold, Infinity, size);
+            natural[c] = Math.max(natural[c], ...lines.map((line) => line.reduce((sum, f) => sum + f.width, 0)));
+            const words = this.wrap(bold, 0, size, { keepWords: true });
+            minimum[c] = Math.max(minimum[c], ...words.map((line) => line.reduce((sum, f) => sum + f.width, 0)));
+        }));
+        const pad = (value) => Math.min(value, available / columns * 2) + padding * 2;
+        let widths = natural.map(pad);
+        if (widths.reduce((a, b) => a + b, 0) > available) {
+            const floors = minimum.map(pad);
+            const floorTotal = floors.reduce((a, b) => a + b, 0);
+            if (floorTotal >= available) {
+                widths = floors.map((width) => width * available / floorTotal);
+            } else {
+                const extra = widths.map((width, i) => width - floors[i]);
+                const extraTotal = extra.reduce((a, b) => a + b, 0) || 1;
+                widths = floors.map((width, i) => width + extra[i] * (available - floorTotal) / extraTotal);
+            }
+        }
+
+        const layoutRow = (row, isHeader) => {
+            const wrapped = row.map((runs, c) => this.wrap(isHeader ? runs.map((run) => ({ ...run, bold: true })) : runs, widths[c] - padding * 2, size));
+            return { wrapped, rowHeight: Math.max(...wrapped.map((lines) => lines.length)) * height + padding * 2 };
+        };
+        const drawRow = ({ wrapped, rowHeight }, isHeader) => {
+            const top = this.reserve(rowHeight);
+            let x = this.x;
+            wrapped.forEach((lines, c) => {
+                if (isHeader) {
+                    this.doc.setFillColor(PdfLayout.COLORS.tableHeader);
+                    this.doc.rect(x, top, widths[c], rowHeight, 'F');
+                }
+                this.doc.setDrawColor(PdfLayout.COLORS.tableBorder);
+                this.doc.setLineWidth(0.2);
+                this.doc.rect(x, top, widths[c], rowHeight, 'S');
+                lines.forEach((line, i) => {
+                    this.drawLine(line, x + padding, top + padding + i * height, size, height, {
+                        align: align[c], width: widths[c] - padding * 2
+                    });
+                });
+                x += widths[c];
+            });
+            this.y += rowHeight;
+        };
+
+        const head = layoutRow(cells[0], true);
+        this.space(1);
+        this.ensure(head.rowHeight + (cells[1] ? layoutRow(cells[1], false).rowHeight : 0));
+        drawRow(head, true);
+        cells.slice(1).forEach((row) => {
+            const laidOut = layoutRow(row, false);
+            if (this.y + laidOut.rowHeight > this.bottom && this.y > this.top) {
+                this.newPage();
+                drawRow(head, true);
+            }
+            drawRow(laidOut, false);
+        });
+        this.space(3);
+    }
+
+    list(token, depth = 0) {
+        const indent = 5;
+        const start = Number(token.start) || 1;
+        (token.items || []).forEach((item, index) => {
+            const bullet = token.ordered ? `${start + index}.` : PdfLayout.BULLETS[depth % PdfLayout.BULLETS.length];
+            let tokens = item.tokens || [];
+            if (item.task) {
+                // The box goes in front of the item's first line
+                const box = { type: 'text', text: item.checked ? '☑ ' : '☐ ' };
+                const [first, ...rest] = tokens;
+                tokens = first && (first.type === 'text' || first.type === 'paragraph')
+                    ? [{ ...first, tokens: [box, ...(first.tokens || [{ type: 'text', text: first.text }])] }, ...rest]
+                    : [{ type: 'paragraph', tokens: [box] }, ...tokens];
+            }
+            this.x += indent;
+            this.marker = { text: bullet };
+            this.renderTokens(tokens, { list: depth + 1, tight: !item.loose });
+            this.marker = null;
+            this.x -= indent;
+        });
+        if (depth === 0) this.space(1.5);
+    }
+
+    // ── Markdown ──
+
+    inlineRuns(tokens, style = {}) {
+        const runs = [];
+        (tokens || []).forEach((token) => {
+            switch (token.type) {
+                case 'strong':
+                    runs.push(...this.inlineRuns(token.tokens, { ...style, bold: true }));
+                    break;
+                case 'em':
+                    runs.push(...this.inlineRuns(token.tokens, { ...style, italic: true }));
+                    break;
+                case 'del':
+                    runs.push(...this.inlineRuns(token.tokens, { ...style, strike: true }));
+                    break;
+                case 'codespan':
+                    runs.push({ ...style, text: PdfLayout.unescape(token.text), code: true });
+                    break;
+                case 'link':
+                    runs.push(...this.inlineRuns(token.tokens, { ...style, link: token.href }));
+                    break;
+                case 'image':
+                    runs.push({ ...style, text: token.text || token.href, link: token.href });
+                    break;
+                case 'br':
+                    runs.push({ ...style, text: '\n' });
+                    break;
+                case 'text':
+                    if (token.tokens) {
+                        runs.push(...this.inlineRuns(token.tokens, style));
+                    } else {
+                        runs.push({ ...style, text: PdfLayout.unescape(token.text) });
+                    }
+                    break;
+                default:
+                    runs.push({ ...style, text: PdfLayout.unescape(token.text || token.raw || '') });
+            }
+        });
+        return runs;
+    }
+
+    renderTokens(tokens, context = {}) {
+        (tokens || []).forEach((token) => {
+            switch (token.type) {
+                case 'heading':
+                    this.heading(this.inlineRuns(token.tokens), token.depth);
+                    break;
+                case 'paragraph':
+                    this.paragraph(this.inlineRuns(token.tokens), context.list && context.tight ? { gap: 0.5 } : {});
+                    break;
+                case 'text':
+                    this.paragraph(this.inlineRuns(token.tokens || [token]), { gap: context.tight ? 0.5 : 2 });
+                    break;
+                case 'list':
+                    this.list(token, context.list || 0);
+                    break;
+                case 'code':
+                    this.codeBlock(token.text, token.lang);
+                    break;
+                case 'table':
+                    this.table(
+                        token.header.map((cell) => this.inlineRuns(cell.tokens)),
+                        token.rows.map((row) => row.map((cell) => this.inlineRuns(cell.tokens))),
+                        token.align
+                    );
+                    break;
+                case 'blockquote':
+                    this.quote(() => this.renderTokens(token.tokens));
+                    break;
+                case 'hr':
+                    this.rule();
+                    break;
+                case 'space':
+                    break;
+                default:
+                    if (token.text) this.paragraph(PdfLayout.unescape(token.text));
+            }
+        });
+    }
+
+    /** Lay out Markdown; without the `marked` lexer, blank-line paragraphs. */
+    markdown(text) {
+        const source = String(text || '').replace(/\r\n?/g, '\n');
+        const marked = typeof window !== 'undefined' ? window.marked : null;
+        if (marked?.lexer) {
+            try {
+                this.renderTokens(marked.lexer(source));
+                return;
+            } catch (error) {
+                console.warn('⚠️ Markdown lexing failed, laying out plain text:', error);
+            }
+        }
+        this.plain(source);
+    }
+
+    /** Plain text: paragraphs on blank lines, line breaks kept. */
+    plain(text, options = {}) {
+        String(text || '').split(/\n{2,}/).forEach((block) => {
+            if (block.trim()) this.paragraph([{ text: block }], options);
+        });
+    }
+
+    // ── Navigation ──
+
+    /** Contents rows from `top` on: `{ page, top }` per row, `page` relative. */
+    contentsRows(count, top, rowHeight) {
+        const rows = [];
+        let page = 0;
+        let y = top;
+        while (rows.length < count) {
+            const fit = Math.floor((this.bottom - y) / rowHeight + 1e-6);
+            for (let i = 0; i < fit && rows.length < count; i++) {
+                rows.push({ page, top: y + i * rowHeight });
+            }
+            if (rows.length < count) {
+                page++;
+                y = this.top;
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Head a contents list and leave room for `count` rows, which
+     * `contents()` fills once the targets' pages are known. Content
+     * continues on a fresh page.
+     */
+    reserveContents(title, count) {
+        this.heading([{ text: title }], 2);
+        const start = { ...this.position(), rowHeight: this.lineHeight(9.5 * this.scale, 1.6), count };
+        const rows = this.contentsRows(count, start.top, start.rowHeight);
+        const pages = rows.length > 0 ? rows[rows.length - 1].page : 0;
+        for (let i = 0; i < pages; i++) this.newPage();
+        this.newPage();
+        return start;
+    }
+
+    /**
+     * Fill reserved contents rows with `entries` (`{ title, depth, page, top }`):
+     * title, dot leaders and page number, each row linking to its target.
+     */
+    contents(start, entries) {
+        const { doc } = this;
+        const size = 9.5 * this.scale;
+        const current = doc.internal.getCurrentPageInfo().pageNumber;
+        const rows = this.contentsRows(Math.min(entries.length, start.count), start.top, start.rowHeight);
+        rows.forEach((row, i) => {
+            const entry = entries[i];
+            if (!entry.page) return;
+            doc.setPage(start.page + row.page);
+            const style = entry.depth ? 'normal' : 'bold';
+            const x = this.margin + (entry.depth || 0) * 5;
+            const number = this.shape(String(entry.page), style);
+            const numberWidth = this.measure(number, size);
+            const line = this.fit(entry.title, this.right - x - numberWidth - 8, size, style);
+            this.drawLine(line, x, row.top, size, start.rowHeight, { color: entry.depth ? PdfLayout.COLORS.muted : PdfLayout.COLORS.text });
+
+            // Dot leaders between the title and the page number
+            const lineWidth = line.reduce((sum, fragment) => sum + fragment.width, 0);
+            const leaderEnd = this.right - numberWidth - 1.5;
+            const dot = this.shape(' .', 'normal');
+            const dots = Math.floor((leaderEnd - x - lineWidth - 1.5) / this.measure(dot, size));
+            if (dots > 0) {
+                const leader = this.shape(' .'.repeat(dots), 'normal');
+                this.drawLine([{ ...leader[0], width: this.measure(leader, size), run: { color: PdfLayout.COLORS.rule } }],
+                    leaderEnd - this.measure(leader, size), row.top, size, start.rowHeight);
+            }
+            this.drawLine(this.wrap([{ text: String(entry.page), bold: !entry.depth }], Infinity, size)[0],
+                this.right - numberWidth, row.top, size, start.rowHeight);
+            doc.link(x, row.top, this.right - x, start.rowHeight, { pageNumber: entry.page, top: entry.top });
+        });
+        doc.setPage(current);
+    }
+
+    /** PDF bookmarks from `entries` (`{ title, page, children }`), nested as given. */
+    outline(entries, parent = null) {
+        if (!this.doc.outline) return;
+        entries.forEach((entry) => {
+            if (!entry.page) return;
+            const title = String(entry.title || '').replace(/\s+/g, ' ').trim();
+            const node = this.doc.outline.add(parent, title, { pageNumber: entry.page });
+            if (entry.children?.length) this.outline(entry.children, node);
+        });
+    }
+
+    /** "Page n of m" in the bottom right corner of every page. */
+    pageNumbers() {
+        const total = this.doc.internal.getNumberOfPages();
+        for (let page = 1; page <= total; page++) {
+            this.doc.setPage(page);
+            this.setFont(this.families.sans, 'normal', 8);
+            this.doc.setTextColor(PdfLayout.COLORS.muted);
+            this.doc.text(`Page ${page} of ${total}`, this.pageWidth - this.margin, this.pageHeight - 10, { align: 'right' });
+        }
+    }
+}
+
+// Millimetres per point
+PdfLayout.PT = 25.4 / 72;
+PdfLayout.HEADING_SIZES = { 1: 15, 2: 13.5, 3: 12, 4: 11, 5: 10.5, 6: 10 };
+PdfLayout.BULLETS = ['•', '–', '·'];
+PdfLayout.SUBSTITUTES = {
+    '→': '->', '←': '<-', '↔': '<->', '⇒': '=>', '≤': '<=', '≥': '>=', '≠': '!=', '≈': '~',
+    '•': '·', '–': '-', '—': '-', '‘': '\'', '’': '\'', '‚': ',', '“': '"', '”': '"', '„': '"', '€': 'EUR',
+    '✓': 'v', '✔': 'v', '✗': 'x', '✘': 'x', '☑': '[x]', '☐': '[ ]', '−': '-', '\u2011': '-', '\u2009': ' ', '\u202f': ' '
+};
+PdfLayout.COLORS = {
+    text: '#1a1a2e',
+    heading: '#1f2937',
+    muted: '#6c757d',
+    link: '#1a0dab',
+    rule: '#d0d7de',
+    codeFill: '#f6f8fa',
+    codeBorder: '#d0d7de',
+    codeSpan: '#eff1f3',
+    tableHeader: '#f1f3f5',
+    tableBorder: '#ced4da'
+};
+// Matches the block container styles of the HTML export
+PdfLayout.CALLOUTS = {
+    thinking: { fill: '#fff3cd', border: '#ffeaa7', labelFill: '#ffeaa7', label: '#856404', text: '#5a4e1a' },
+    web_search: { fill: '#e8f4fd', border: '#b8daff', labelFill: '#b8daff', label: '#004085', text: '#1a3a5c' },
+    tool_call: { fill: '#1e1e2e', border: '#333333', labelFill: '#181825', label: '#a6e3a1', text: '#cdd6f4' },
+    code: { fill: '#282c34', border: '#3e4451', labelFill: '#21252b', label: '#e5c07b', text: '#abb2bf' },
+    file_edit: { fill: '#f0fff4', border: '#c6f6d5', labelFill: '#c6f6d5', label: '#276749', text: '#2d3748' },
+    default: { fill: '#f8f9fa', border: '#dee2e6', labelFill: '#e9ecef', label: '#495057', text: '#343a40' }
+};
+
+window.PdfLayout = PdfLayout;
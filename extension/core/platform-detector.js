@@ -15,7 +15,15 @@ class PlatformDetector {
                     messages: '.mb-1.mt-6.group',
                     userMessages: '[data-testid="user-message"]',
                     assistantMessages: '.font-claude-response',
-                    thinkingBlocks: 'button[class*="group/status"]'
+                    thinkingBlocks: 'button[class*="group/status"]',
+                    responseBody: '.standard-markdown, .font-claude-response-body',
+                    // Live-capture signals (TurnWatcher)
+                    streamingIndicator: '[class*="stop"], [aria-label*="Stop"]',
+                    compactionBanner: '[class*="compaction"], [class*="summary"], [data-testid*="compact"]',
+                    // Sidebar conversation links (BulkExporter)
+                    sidebarLinks: 'nav a[href^="/chat/"], a[data-testid*="conversation"][href^="/chat/"]',
+                    // Page chrome hidden while screenshotting turns (VisualCapture)
+                    chrome: 'nav, header, fieldset, [data-testid="chat-input"]'
                 },
                 'v2025': {
                     conversation: '[data-testid="conversation"], .conversation-container',
@@ -35,9 +43,16 @@ class PlatformDetector {
             'chatgpt': {
                 'v2026': {
                     conversation: '[role="main"], main',
+                    turns: 'article[data-testid^="conversation-turn-"]',
                     messages: 'article[data-testid^="conversation-turn-"], [data-message-author-role], .group',
                     userMessages: '[data-message-author-role="user"], article[data-message-author-role="user"], [data-testid*="user-message"]',
-                    assistantMessages: '[data-message-author-role="assistant"], article[data-message-author-role="assistant"], [data-testid*="assistant-message"]'
+                    assistantMessages: '[data-message-author-role="assistant"], article[data-message-author-role="assistant"], [data-testid*="assistant-message"]',
+                    thinkingBlocks: 'details, [data-testid*="reasoning"], [data-testid*="thought"]',
+                    responseBody: '.markdown, .prose, .whitespace-pre-wrap',
+                    streamingIndicator: 'button[data-testid="stop-button"], button[aria-label*="Stop"]',
+                    compactionBanner: '',
+                    sidebarLinks: 'nav a[href*="/c/"]',
+                    chrome: '#stage-slideover-sidebar, nav, header, #thread-bottom-container, form'
                 },
                 'v2025': {
                     conversation: '[role="main"], .conversation-container',
@@ -51,6 +66,47 @@ class PlatformDetector {
                     userMessages: '.user, [data-role="user"], [data-message-author-role="user"]',
                     assistantMessages: '.assistant, [data-role="assistant"], [data-message-author-role="assistant"]'
                 }
+            },
+            'gemini': {
+                'v2026': {
+                    conversation: 'infinite-scroller.chat-history, .conversation-container, [role="main"], main',
+                    turns: 'user-query, model-response, .user-input, .model-response-text',
+                    messages: 'user-query, model-response, .user-input, .model-response-text',
+                    userMessages: 'user-query, .user-query-container, .user-input, [data-role="user"]',
+                    assistantMessages: 'model-response, .model-response-text, [data-role="model"]',
+                    thinkingBlocks: 'model-thoughts, [data-test-id*="thoughts"], [data-testid*="reasoning"], details',
+                    responseBody: 'message-content, .markdown',
+                    streamingIndicator: 'button[aria-label*="Stop"], .stop-icon',
+                    compactionBanner: '',
+                    sidebarLinks: 'a[data-test-id="conversation"], nav a[href^="/app/"]',
+                    chrome: 'bard-sidenav, side-navigation-v2, top-bar-actions, input-container'
+                },
+                'generic': {
+                    conversation: '.conversation-container, [role="main"]',
+                    messages: '.model-response-text, .user-input',
+                    userMessages: '.user-input, [data-role="user"]',
+                    assistantMessages: '.model-response-text, [data-role="model"]'
+                }
+            },
+            'perplexity': {
+                'v2026': {
+                    conversation: '[role="main"], main',
+                    turns: '[class*="group/query"], .user-message, [data-role="user"], .prose, .assistant-message, [data-role="assistant"]',
+                    messages: '[class*="group/query"], .user-message, [data-role="user"], .prose, .assistant-message, [data-role="assistant"]',
+                    userMessages: '[class*="group/query"], .user-message, [data-role="user"]',
+                    assistantMessages: '.prose, .assistant-message, [data-role="assistant"]',
+                    responseBody: '.prose',
+                    streamingIndicator: 'button[aria-label*="Stop"]',
+                    compactionBanner: '',
+                    sidebarLinks: 'nav a[href^="/search/"], a[href^="/search/"]',
+                    chrome: 'nav, header, aside, textarea'
+                },
+                'generic': {
+                    conversation: '.conversation, [role="main"]',
+                    messages: '.message-container, .prose',
+                    userMessages: '.user-message',
+                    assistantMessages: '.assistant-message'
+                }
             }
         };
         
@@ -241,6 +297,27 @@ class PlatformDetector {
         }
     }
     
+    /**
+     * Resolve the platform key whose domains match a hostname, without
+     * touching the DOM. Returns null for unsupported hosts.
+     */
+    findPlatformByHostname(hostname = window.location.hostname) {
+        for (const [platformName, platform] of Object.entries(this.platforms)) {
+            if (platform.domains.some(domain => hostname.includes(domain))) {
+                return platformName;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Versioned selector sets for a platform, newest first.
+     * Returns an empty object when the platform has no versioned table.
+     */
+    getSelectorVersions(platformName) {
+        return this.selectorVersions[platformName] || {};
+    }
+    
     detectPlatform() {
         const hostname = window.location.hostname;
         const pathname = window.location.pathname;
@@ -0,0 +1,412 @@
+/**
+ * SearchIndex — incremental full-text index over captured turns
+ *
+ * Lives in the ConversationArchive database (see its table list). Every
+ * stored turn is one document: its content followed by its thinking blocks.
+ *
+ *   searchDocs      [sessionId, turnId] → { platform, role, timestamp,
+ *                   length, contentLength, terms }
+ *   searchPostings  [term, sessionId, turnId] → { positions }
+ *   searchMeta      'stats' → { docCount, totalLength }
+ *                   'build' → { complete } (backfill of pre-index turns)
+ *
+ * Queries are whitespace-separated clauses, all of which must match:
+ *   word      exact term (case- and accent-insensitive)
+ *   wor*      prefix (at least 2 characters)
+ *   "a b c"   phrase — consecutive terms within one field
+ * Results are ranked with BM25 and carry a snippet around the first match.
+ *
+ * Loaded into the service worker with importScripts().
+ */
+
+class SearchIndex {
+    constructor(archive, config = {}) {
+        this.archive = archive;
+        this.snippetRadius = config.snippetRadius || 80;
+        this.maxPrefixTerms = config.maxPrefixTerms || 50;
+    }
+
+    // ══════════════════════════════════════════════
+    // TOKENIZING
+    // ══════════════════════════════════════════════
+
+    normalizeTerm(text) {
+        return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+    }
+
+    /**
+     * Terms of a text with their character offsets in the original.
+     */
+    scan(text) {
+        const tokens = [];
+        for (const match of String(text || '').matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+            const term = this.normalizeTerm(match[0]);
+            if (term && term.length <= SearchIndex.MAX_TERM_LENGTH) {
+                tokens.push({ term, start: match.index, end: match.index + match[0].length });
+            }
+        }
+        return tokens;
+    }
+
+    tokenize(text) {
+        return this.scan(text).map(token => token.term);
+    }
+
+    /**
+     * Term positions for one turn. Fields (content, then each thinking
+     * block) are separated by FIELD_GAP so phrases never span two of them.
+     */
+    buildDocument(turn) {
+        const fields = [turn.content, ...(turn.thinking || []).map(block => block.content)];
+        const positions = new Map();
+        let offset = 0;
+        let length = 0;
+        let contentLength = 0;
+
+        fields.forEach((text, i) => {
+            const terms = this.tokenize(text);
+            terms.forEach((term, position) => {
+                if (!positions.has(term)) positions.set(term, []);
+                positions.get(term).push(offset + position);
+            });
+            if (i === 0) contentLength = terms.length;
+            length += terms.length;
+            offset += terms.length + SearchIndex.FIELD_GAP;
+        });
+
+        return { positions, length, contentLength };
+    }
+
+    // ══════════════════════════════════════════════
+    // INDEXING
+    // ══════════════════════════════════════════════
+
+    /**
+     * Index (or re-index) one turn. A turn re-sent after it finished
+     * streaming replaces its previous postings.
+     */
+    async indexTurn(turn) {
+        const { positions, length, contentLength } = this.buildDocument(turn);
+        const db = await this.archive.open();
+        const tx = db.transaction(['searchDocs', 'searchPostings', 'searchMeta'], 'readwrite');
+        const docs = tx.objectStore('searchDocs');
+        const postings = tx.objectStore('searchPostings');
+        const meta = tx.objectStore('searchMeta');
+
+        const stats = await this.archive.request(meta.get('stats')) || { key: 'stats', docCount: 0, totalLength: 0 };
+        const existing = await this.archive.request(docs.get([turn.sessionId, turn.id]));
+
+        if (existing) {
+            existing.terms.forEach(term => postings.delete([term, turn.sessionId, turn.id]));
+            stats.docCount--;
+            stats.totalLength -= existing.length;
+        }
+
+        positions.forEach((termPositions, term) => {
+            postings.put({ term, sessionId: turn.sessionId, turnId: turn.id, positions: termPositions });
+        });
+
+        docs.put({
+            sessionId: turn.sessionId,
+            turnId: turn.id,
+            platform: turn.platform || null,
+            role: turn.role,
+            timestamp: turn.timestamp || new Date().toISOString(),
+            length,
+            contentLength,
+            terms: [...positions.keys()]
+        });
+
+        stats.docCount++;
+        stats.totalLength += length;
+        meta.put(stats);
+
+        await this.archive.transactionDone(tx);
+    }
+
+    /**
+     * Drop every document of a session (after retention deleted it).
+     */
+    async removeSession(sessionId) {
+        const db = await this.archive.open();
+        const tx = db.transaction(['searchDocs', 'searchPostings', 'searchMeta'], 'readwrite');
+        const docs = tx.objectStore('searchDocs');
+        const postings = tx.objectStore('searchPostings');
+        const meta = tx.objectStore('searchMeta');
+
+        const removed = await this.archive.request(docs.getAll(IDBKeyRange.bound([sessionId], [sessionId, []])));
+        if (removed.length === 0) {
+            tx.abort();
+            return 0;
+        }
+
+        const stats = await this.archive.request(meta.get('stats')) || { key: 'stats', docCount: 0, totalLength: 0 };
+        removed.forEach(doc => {
+            doc.terms.forEach(term => postings.delete([term, sessionId, doc.turnId]));
+            docs.delete([sessionId, doc.turnId]);
+            stats.docCount--;
+            stats.totalLength -= doc.length;
+        });
+        meta.put(stats);
+
+        await this.archive.transactionDone(tx);
+        return removed.length;
+    }
+
+    /**
+     * Index turns captured before the index existed. Runs once; an
+     * interrupted backfill starts over on the next worker start.
+     */
+    async ensureBuilt() {
+        const db = await this.archive.open();
+        const build = await this.archive.request(db.transaction('searchMeta').objectStore('searchMeta').get('build'));
+        if (build?.complete) return 0;
+
+        const sessions = await this.archive.listSessions({ limit: Infinity });
+        let indexed = 0;
+
+        for (const session of sessions) {
+            const turns = await this.archive.getTurns(session.sessionId, { limit: session.turnCount || undefined });
+            for (const turn of turns) {
+                await this.indexTurn({ platform: session.platform, ...turn });
+                indexed++;
+            }
+        }
+
+        const tx = (await this.archive.open()).transaction('searchMeta', 'readwrite');
+        tx.objectStore('searchMeta').put({ key: 'build', complete: true, indexed, builtAt: new Date().toISOString() });
+        await this.archive.transactionDone(tx);
+        return indexed;
+    }
+
+    // ══════════════════════════════════════════════
+    // QUERIES
+    // ══════════════════════════════════════════════
+
+    /**
+     * Split a query into term, prefix and phrase clauses.
+     */
+    parseQuery(query) {
+        const clauses = [];
+
+        for (const match of String(query || '').matchAll(/"([^"]*)"?|(\S+)/g)) {
+            const quoted = match[1] !== undefined;
+            const raw = quoted ? match[1] : match[2];
+            const isPrefix = !quoted && raw.endsWith('*');
+            const terms = this.tokenize(raw);
+            if (terms.length === 0) continue;
+
+            if (terms.length > 1) {
+                clauses.push({ type: 'phrase', terms });
+            } else if (isPrefix && terms[0].length >= 2) {
+                clauses.push({ type: 'prefix', term: terms[0] });
+            } else {
+                clauses.push({ type: 'term', term: terms[0] });
+            }
+        }
+
+        return clauses;
+    }
+
+    /**
+     * Search captured turns.
+     *   query     see parseQuery
+     *   platform  only turns captured on this platform
+     *   role      'user' | 'assistant'
+     *   from, to  ISO dates (a bare YYYY-MM-DD `to` includes that whole day)
+     * Returns { results, total } — results ranked best first.
+     */
+    async search({ query, platform = null, role = null, from = null, to = null, offset = 0, limit = 20 } = {}) {
+        const clauses = this.parseQuery(query);
+        if (clauses.length === 0) return { results: [], total: 0 };
+
+        const db = await this.archive.open();
+        const tx = db.transaction(['searchDocs', 'searchPostings', 'searchMeta']);
+        const postings = tx.objectStore('searchPostings');
+        const stats = await this.archive.request(tx.objectStore('searchMeta').get('stats'));
+        if (!stats || stats.docCount === 0) return { results: [], total: 0 };
+
+        // Docs matching every clause, with each clause's term frequency
+        let candidates = null;
+        const weights = [];
+
+        for (const clause of clauses) {
+            const matches = await this.matchClause(postings, clause);
+            weights.push(this.idf(stats.docCount, matches.size));
+
+            const next = new Map();
+            matches.forEach((match, key) => {
+                if (candidates && !candidates.has(key)) return;
+                const previous = candidates ? candidates.get(key) : { tfs: [], firstPosition: Infinity };
+                next.set(key, {
+                    tfs: [...previous.tfs, match.tf],
+                    firstPosition: Math.min(previous.firstPosition, match.firstPosition)
+                });
+            });
+
+            candidates = next;
+            if (candidates.size === 0) return { results: [], total: 0 };
+        }
+
+        const fromBound = this.normalizeDateBound(from, false);
+        const toBound = this.normalizeDateBound(to, true);
+        const docs = tx.objectStore('searchDocs');
+        const averageLength = stats.totalLength / stats.docCount || 1;
+        const ranked = [];
+
+        for (const [key, match] of candidates) {
+            const [sessionId, turnId] = JSON.parse(key);
+            const doc = await this.archive.request(docs.get([sessionId, turnId]));
+            if (!doc) continue;
+            if (platform && doc.platform !== platform) continue;
+            if (role && doc.role !== role) continue;
+            if (fromBound && doc.timestamp < fromBound) continue;
+            if (toBound && doc.timestamp >= toBound) continue;
+
+            const score = match.tfs.reduce((sum, tf, i) => sum + weights[i] * this.bm25(tf, doc.length, averageLength), 0);
+            ranked.push({ doc, score, field: match.firstPosition < doc.contentLength ? 'content' : 'thinking' });
+        }
+
+        ranked.sort((a, b) => b.score - a.score || b.doc.timestamp.localeCompare(a.doc.timestamp));
+
+        const page = ranked.slice(offset, offset + limit);
+        const sessions = new Map();
+        const results = [];
+
+        for (const { doc, score, field } of page) {
+            if (!sessions.has(doc.sessionId)) {
+                sessions.set(doc.sessionId, await this.archive.getSession(doc.sessionId));
+            }
+            const turn = await this.archive.getTurn(doc.sessionId, doc.turnId);
+            const text = field === 'content'
+                ? turn?.content
+                : (turn?.thinking || []).map(block => block.content).join('\n\n');
+
+            results.push({
+                sessionId: doc.sessionId,
+                turnId: doc.turnId,
+                role: doc.role,
+                platform: doc.platform,
+                timestamp: doc.timestamp,
+                score: Math.round(score * 1000) / 1000,
+                field,
+                ...this.buildSnippet(text || '', clauses),
+                session: sessions.get(doc.sessionId) || null
+            });
+        }
+
+        return { results, total: ranked.length };
+    }
+
+    /**
+     * Map of JSON [sessionId, turnId] → { tf, firstPosition } for a clause.
+     */
+    async matchClause(postings, clause) {
+        if (clause.type === 'phrase') {
+            return this.matchPhrase(postings, clause.terms);
+        }
+
+        const range = clause.type === 'prefix'
+            ? IDBKeyRange.bound([clause.term], [`${clause.term}\uffff`], false, true)
+            : IDBKeyRange.bound([clause.term], [clause.term, []]);
+        const rows = await this.archive.request(postings.getAll(range));
+        const matches = new Map();
+        const expansions = new Set();
+
+        rows.forEach(row => {
+            expansions.add(row.term);
+            if (expansions.size > this.maxPrefixTerms) return;
+
+            const key = JSON.stringify([row.sessionId, row.turnId]);
+            const match = matches.get(key) || { tf: 0, firstPosition: Infinity };
+            match.tf += row.positions.length;
+            match.firstPosition = Math.min(match.firstPosition, row.positions[0]);
+            matches.set(key, match);
+        });
+
+        return matches;
+    }
+
+    async matchPhrase(postings, terms) {
+        const perTerm = [];
+        for (const term of terms) {
+            const rows = await this.archive.request(postings.getAll(IDBKeyRange.bound([term], [term, []])));
+            perTerm.push(new Map(rows.map(row => [JSON.stringify([row.sessionId, row.turnId]), row.positions])));
+        }
+
+        const matches = new Map();
+        perTerm[0].forEach((starts, key) => {
+            const following = perTerm.slice(1).map(map => map.get(key));
+            if (following.some(positions => !positions)) return;
+
+            const sets = following.map(positions => new Set(positions));
+            const hits = starts.filter(start => sets.every((set, i) => set.has(start + i + 1)));
+            if (hits.length > 0) {
+                matches.set(key, { tf: hits.length, firstPosition: hits[0] });
+            }
+        });
+
+        return matches;
+    }
+
+    idf(docCount, docFrequency) {
+        return Math.log(1 + (docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+    }
+
+    bm25(tf, length, averageLength) {
+        const k1 = 1.2;
+        const b = 0.75;
+        return (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * length / averageLength));
+    }
+
+    normalizeDateBound(value, isUpper) {
+        if (!value) return null;
+
+        const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const date = new Date(dateOnly ? `${value}T00:00:00.000Z` : value);
+        if (!Number.isFinite(date.getTime())) return null;
+
+        if (isUpper) {
+            // `to` is inclusive: the whole day for a bare date, else the instant
+            date.setTime(date.getTime() + (dateOnly ? 24 * 60 * 60 * 1000 : 1));
+        }
+        return date.toISOString();
+    }
+
+    // ══════════════════════════════════════════════
+    // SNIPPETS
+    // ══════════════════════════════════════════════
+
+    /**
+     * Whitespace-collapsed excerpt around the first match, with the
+     * [start, end) offsets of every matching term inside it.
+     */
+    buildSnippet(text, clauses) {
+        const matchesTerm = (term) => clauses.some(clause => {
+            if (clause.type === 'prefix') return term.startsWith(clause.term);
+            if (clause.type === 'phrase') return clause.terms.includes(term);
+            return term === clause.term;
+        });
+
+        const first = this.scan(text).find(token => matchesTerm(token.term));
+        const center = first ? first.start : 0;
+        let start = Math.max(0, center - this.snippetRadius);
+        let end = Math.min(text.length, center + this.snippetRadius * 2);
+
+        // Don't cut words in half
+        while (start > 0 && /\S/.test(text[start - 1])) start--;
+        while (end < text.length && /\S/.test(text[end])) end++;
+
+        const snippet = `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+        const highlights = this.scan(snippet)
+            .filter(token => matchesTerm(token.term))
+            .map(token => [token.start, token.end]);
+
+        return { snippet, highlights };
+    }
+}
+
+SearchIndex.MAX_TERM_LENGTH = 40;
+SearchIndex.FIELD_GAP = 16;
+
+self.SearchIndex = SearchIndex;
@@ -3,20 +3,25 @@
  * 
  * Architecture:
  *   MutationObserver watches conversation container for new turns.
- *   When DOM settles (debounce), compares current turn count against
- *   last-known count. New turns are extracted and dispatched to the
- *   background script, which stores locally and forwards to the
- *   Python stream receiver (localhost:7749).
+ *   When DOM settles (debounce), the visible turns are reconciled against
+ *   the captured path. New turns — and edits/regenerations of turns we
+ *   already captured — are extracted and dispatched to the background
+ *   script, which stores them as a branch tree and queues them for the
+ *   Python stream receiver (localhost:7749) in its outbox. Only the
+ *   background holds the receiver token, so the watcher never POSTs itself.
  * 
  * This is the EPISODIC GROUND TRUTH layer — passive, complete,
  * continuous. It captures everything so retrieval can sort it out later.
  * 
  * Design:
- *   - Self-contained selectors (no dependency on ClaudeExtractor)
+ *   - Selectors come from PlatformDetector.selectorVersions (no dependency
+ *     on the platform extractors)
  *   - Lightweight extraction (text + thinking + metadata only)
- *   - Append-only mental model: never re-extracts captured turns
- *   - Graceful degradation: if background/receiver is down, logs to console
- *   - Platform-aware: currently Claude.ai, extensible to others
+ *   - Append-only mental model: a changed turn becomes a sibling branch
+ *     (same parentId), never an overwrite
+ *   - Graceful degradation: if the background is unreachable, logs to console
+ *   - Platform-aware: any platform with a versioned selector table
+ *     (Claude, ChatGPT, Gemini, Perplexity)
  */
 
 class TurnWatcher {
@@ -30,14 +35,14 @@ class TurnWatcher {
             // Minimum interval between extraction runs (ms) — prevents thrashing
             minIntervalMs: config.minIntervalMs || 1000,
 
-            // Where to POST turns (Python stream receiver)
-            receiverUrl: config.receiverUrl || 'http://localhost:7749/turn',
-
             // Enable/disable console logging
             debug: config.debug !== undefined ? config.debug : true,
 
-            // Platform (extensible later)
-            platform: config.platform || 'claude',
+            // Platform key in PlatformDetector.selectorVersions
+            platform: config.platform || TurnWatcher.detectPlatform() || 'claude',
+
+            // Optional explicit selector set (skips versioned resolution)
+            selectors: config.selectors || null,
 
             enabled: config.enabled !== undefined ? config.enabled : true
         };
@@ -46,39 +51,84 @@ class TurnWatcher {
         this.observer = null;
         this.debounceTimer = null;
         this.lastExtractionTime = 0;
-        this.capturedTurnCount = 0;
-        this.capturedTurnHashes = new Set();  // content hashes to detect duplicates
+        this.resetCaptureState();
         this.sessionId = this.generateSessionId();
         this.conversationUrl = window.location.href;
         this.isStreaming = false;
         this.started = false;
+        this.lastCompactionAt = 0;
+
+        // ── Selectors (resolved from PlatformDetector.selectorVersions) ──
+        this.selectorVersion = null;
+        this.selectors = this.resolveSelectors();
+
+        this.log('TurnWatcher initialized', {
+            sessionId: this.sessionId,
+            platform: this.config.platform,
+            selectorVersion: this.selectorVersion
+        });
+    }
+
+    // ══════════════════════════════════════════════
+    // SELECTOR RESOLUTION
+    // ══════════════════════════════════════════════
+
+    /**
+     * Platform key for the current page, or null when the host has no
+     * versioned selector table (TurnWatcher cannot capture there).
+     */
+    static detectPlatform(hostname = window.location.hostname) {
+        if (typeof PlatformDetector === 'undefined') return null;
+        const detector = new PlatformDetector();
+        const platform = detector.findPlatformByHostname(hostname);
+        if (!platform) return null;
+        return Object.keys(detector.getSelectorVersions(platform)).length > 0 ? platform : null;
+    }
 
-        // ── Selectors (Claude.ai 2026 DOM — self-contained) ──
-        this.selectors = {
-            // Conversation container candidates
-            containers: [
-                '.flex-1.flex.flex-col.px-4.max-w-3xl',
-                '.max-w-3xl.mx-auto',
-                '[class*="conversation"]'
-            ],
+    /**
+     * Pick the first selector version whose conversation container exists,
+     * falling back to the newest version while the page is still loading.
+     */
+    resolveSelectors() {
+        let source = this.config.selectors;
+
+        if (!source && typeof PlatformDetector !== 'undefined') {
+            const versions = new PlatformDetector().getSelectorVersions(this.config.platform);
+            const entries = Object.entries(versions);
+            const matched = entries.find(([, candidate]) =>
+                this.splitSelectorList(candidate.conversation).some(sel => this.safeQuery(sel))
+            ) || entries[0];
+
+            if (matched) {
+                this.selectorVersion = matched[0];
+                source = matched[1];
+            }
+        }
+
+        source = source || {};
+        const userMessage = source.userMessages || '';
+        const assistantRoot = source.assistantMessages || '';
+
+        return {
+            // Conversation container candidates, in priority order
+            containers: this.splitSelectorList(source.conversation),
 
             // Turn identification
-            userMessage:    '[data-testid="user-message"]',
-            assistantRoot:  '.font-claude-response',
+            turns: source.turns || '',
+            userMessage,
+            assistantRoot,
 
-            // Thinking blocks
-            thinkingButton: 'button[class*="group/status"]',
-            thinkingGrid:   '.grid.transition-\\[grid-template-rows\\]',
+            // Thinking blocks (toggle buttons, <details>, or inline panels)
+            thinkingBlocks: source.thinkingBlocks || '',
 
-            // Response body
-            responseMarkdown: '.standard-markdown',
-            responseBody:     '.font-claude-response-body',
+            // Response body candidates inside the assistant root
+            responseBody: source.responseBody || '',
 
             // Streaming indicator — when this exists, response is still generating
-            streamingIndicator: '[class*="stop"], [aria-label*="Stop"]',
+            streamingIndicator: source.streamingIndicator || '',
 
             // Compaction banner — signals context was compressed
-            compactionBanner: '[class*="compaction"], [class*="summary"], [data-testid*="compact"]',
+            compactionBanner: source.compactionBanner || '',
 
             // Elements to exclude from text
             excludeFromText: [
@@ -88,8 +138,38 @@ class TurnWatcher {
                 '[class*="action"]', '[class*="feedback"]', '[class*="copy"]'
             ].join(',')
         };
+    }
+
+    splitSelectorList(value) {
+        if (typeof value !== 'string') return [];
+        return value.split(',').map(sel => sel.trim()).filter(Boolean);
+    }
 
-        this.log('TurnWatcher initialized', { sessionId: this.sessionId });
+    safeQuery(selector, context = document) {
+        if (!selector) return null;
+        try {
+            return context.querySelector(selector);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    safeQueryAll(selector, context = document) {
+        if (!selector) return [];
+        try {
+            return Array.from(context.querySelectorAll(selector));
+        } catch (err) {
+            return [];
+        }
+    }
+
+    safeMatches(element, selector) {
+        if (!selector || !element?.matches) return false;
+        try {
+            return element.matches(selector);
+        } catch (err) {
+            return false;
+        }
     }
 
     // ══════════════════════════════════════════════
@@ -112,6 +192,8 @@ class TurnWatcher {
 
         const container = this.findContainer();
         if (!container) {
+            // The SPA may not have rendered yet — re-resolve the version on retry
+            if (!this.config.selectors) this.selectors = this.resolveSelectors();
             this.log('⚠️ No conversation container found. Retrying in 3s...');
             setTimeout(() => this.start(), 3000);
             return;
@@ -139,7 +221,8 @@ class TurnWatcher {
 
         this.started = true;
         this.log('✅ Watching conversation', {
-            container: container.className.slice(0, 60),
+            platform: this.config.platform,
+            container: String(container.className || container.tagName).slice(0, 60),
             existingTurns: this.capturedTurnCount
         });
     }
@@ -162,31 +245,13 @@ class TurnWatcher {
 
     /**
      * Force an immediate capture of all turns (manual trigger).
-     * Returns the full session as an array.
+     * Returns the visible branch as an array. Nothing is dispatched.
      */
     captureAll() {
         const container = this.findContainer();
         if (!container) return [];
 
-        // Reset state and recapture everything
-        const oldHashes = this.capturedTurnHashes;
-        const oldCount = this.capturedTurnCount;
-        this.capturedTurnHashes = new Set();
-        this.capturedTurnCount = 0;
-
-        const turns = this.discoverTurns(container);
-        const extracted = [];
-
-        turns.forEach((turn, i) => {
-            const msg = this.extractTurn(turn, i);
-            if (msg) extracted.push(msg);
-        });
-
-        // Restore state (don't double-dispatch already captured turns)
-        this.capturedTurnHashes = oldHashes;
-        this.capturedTurnCount = oldCount;
-
-        return extracted;
+        return this.extractTurns(this.discoverTurns(container));
     }
 
     // ══════════════════════════════════════════════
@@ -195,7 +260,7 @@ class TurnWatcher {
 
     onMutation(mutations) {
         // Check if streaming is happening (stop button visible)
-        const isStreaming = !!document.querySelector(this.selectors.streamingIndicator);
+        const isStreaming = !!this.safeQuery(this.selectors.streamingIndicator);
 
         if (isStreaming) {
             // While streaming, keep resetting the debounce timer
@@ -240,35 +305,111 @@ class TurnWatcher {
         if (!container) return;
 
         const turns = this.discoverTurns(container);
-        const currentCount = turns.length;
+        const dispatched = this.reconcileTurns(this.extractTurns(turns));
 
-        if (currentCount <= this.capturedTurnCount) {
-            return; // No new turns
+        if (dispatched.length > 0) {
+            this.log(`📝 ${dispatched.length} new or changed turn(s) detected`);
         }
+    }
+
+    // ══════════════════════════════════════════════
+    // BRANCH TRACKING — edits & regenerations
+    // ══════════════════════════════════════════════
+
+    /**
+     * Clear everything we know about the current conversation's turns.
+     */
+    resetCaptureState() {
+        this.capturedPath = [];            // nodes on the visible branch, by turn index
+        this.capturedNodes = new Map();    // `${parentId}|${hash}` → node
+        this.childCounts = new Map();      // parentId → children captured so far
+        this.depthCounts = new Map();      // turn index → nodes captured at that depth
+        this.capturedTurnCount = 0;
+    }
+
+    /**
+     * Walk the visible turns from the top and dispatch anything the tree
+     * doesn't hold yet. A turn is identified by its parent plus a content
+     * hash, so:
+     *   - unchanged turns are skipped
+     *   - an edited prompt / regenerated reply becomes a sibling of the
+     *     turn it replaced, and everything below it hangs off the new node
+     *   - flipping back to an earlier version re-points the path only
+     *   - a tail turn that merely grew (caught mid-stream) is re-sent
+     *     under the same id
+     * Takes extracted turns (see extractTurns). Returns the dispatched ids.
+     */
+    reconcileTurns(messages) {
+        let parentId = null;
+        const dispatched = [];
+        const path = [];
+
+        messages.forEach((msg) => {
+            const hash = this.hashContent(`${msg.role}:${msg.content}`);
+            const known = this.capturedNodes.get(`${parentId}|${hash}`);
+
+            if (known) {
+                path.push(known);
+                parentId = known.id;
+                return;
+            }
 
-        // Extract only the NEW turns
-        const newTurns = turns.slice(this.capturedTurnCount);
-        this.log(`📝 ${newTurns.length} new turn(s) detected`);
+            const previous = this.capturedPath[path.length];
+            const isTail = path.length === this.capturedPath.length - 1;
+            const grew = previous && isTail &&
+                previous.parentId === parentId &&
+                previous.role === msg.role &&
+                msg.content.startsWith(previous.content);
 
-        newTurns.forEach((turn, offset) => {
-            const index = this.capturedTurnCount + offset;
-            const msg = this.extractTurn(turn, index);
+            const node = grew
+                ? this.updateNode(previous, msg, hash)
+                : this.registerNode(msg, parentId, hash);
 
-            if (msg) {
-                // Deduplicate by content hash
-                const hash = this.hashContent(msg.content);
-                if (this.capturedTurnHashes.has(hash)) {
-                    this.log('⏭️ Skipping duplicate turn', { index, hash: hash.slice(0, 8) });
-                    return;
-                }
-                this.capturedTurnHashes.add(hash);
+            msg.id = node.id;
+            msg.parentId = node.parentId;
+            msg.branchIndex = node.branchIndex;
 
-                // Dispatch
-                this.dispatchTurn(msg);
+            if (node.branchIndex > 0 && !grew) {
+                this.log('🌿 Branch detected', { id: node.id, parentId, branchIndex: node.branchIndex });
             }
+
+            this.dispatchTurn(msg);
+            dispatched.push(node.id);
+            path.push(node);
+            parentId = node.id;
         });
 
-        this.capturedTurnCount = currentCount;
+        this.capturedPath = path;
+        this.capturedTurnCount = path.length;
+        return dispatched;
+    }
+
+    registerNode(msg, parentId, hash) {
+        const depth = msg.turnIndex;
+        const seenAtDepth = this.depthCounts.get(depth) || 0;
+        const branchIndex = this.childCounts.get(parentId) || 0;
+
+        const node = {
+            id: seenAtDepth === 0 ? `turn_${depth}` : `turn_${depth}_${seenAtDepth}`,
+            parentId,
+            branchIndex,
+            role: msg.role,
+            content: msg.content,
+            hash
+        };
+
+        this.depthCounts.set(depth, seenAtDepth + 1);
+        this.childCounts.set(parentId, branchIndex + 1);
+        this.capturedNodes.set(`${parentId}|${hash}`, node);
+        return node;
+    }
+
+    updateNode(node, msg, hash) {
+        this.capturedNodes.delete(`${node.parentId}|${node.hash}`);
+        node.content = msg.content;
+        node.hash = hash;
+        this.capturedNodes.set(`${node.parentId}|${hash}`, node);
+        return node;
     }
 
     // ══════════════════════════════════════════════
@@ -277,39 +418,81 @@ class TurnWatcher {
 
     findContainer() {
         for (const sel of this.selectors.containers) {
-            const el = document.querySelector(sel);
+            const el = this.safeQuery(sel);
             if (el) return el;
         }
         return null;
     }
 
+    classifyTurn(element) {
+        const { userMessage, assistantRoot } = this.selectors;
+        if (this.safeMatches(element, userMessage)) return 'user';
+        if (this.safeMatches(element, assistantRoot)) return 'assistant';
+
+        // Turn wrappers carry the role on a descendant
+        if (this.safeQuery(userMessage, element)) return 'user';
+        if (this.safeQuery(assistantRoot, element)) return 'assistant';
+
+        const roleAttr = element.getAttribute?.('data-message-author-role');
+        if (roleAttr) return roleAttr === 'user' ? 'user' : 'assistant';
+
+        return null;
+    }
+
     discoverTurns(container) {
-        const turns = [];
-        Array.from(container.children).forEach(child => {
-            const hasUser = !!child.querySelector(this.selectors.userMessage);
-            const hasAssistant = !!child.querySelector(this.selectors.assistantRoot);
-
-            if (hasUser) {
-                turns.push({ element: child, role: 'user' });
-            } else if (hasAssistant) {
-                turns.push({ element: child, role: 'assistant' });
-            }
-        });
+        let candidates = [];
+
+        // Strategy 1: explicit turn selector for this platform
+        if (this.selectors.turns) {
+            candidates = this.safeQueryAll(this.selectors.turns, container);
+        }
+
+        // Strategy 2: direct children of the conversation container
+        if (candidates.length === 0) {
+            candidates = Array.from(container.children);
+        }
+
+        let turns = this.toTurns(candidates);
 
         // Fallback: direct query
         if (turns.length === 0) {
-            const all = document.querySelectorAll(
-                `${this.selectors.userMessage}, ${this.selectors.assistantRoot}`
-            );
-            all.forEach(el => {
-                const isUser = el.matches(this.selectors.userMessage);
-                turns.push({ element: el, role: isUser ? 'user' : 'assistant' });
-            });
+            const roles = [this.selectors.userMessage, this.selectors.assistantRoot].filter(Boolean);
+            turns = this.toTurns(this.safeQueryAll(roles.join(', ')));
         }
 
         return turns;
     }
 
+    /**
+     * Keep outermost matches only — nested matches belong to the same
+     * turn (or thinking block) as their ancestor.
+     */
+    outermost(elements) {
+        return elements.filter(el =>
+            !elements.some(other => other !== el && other.contains(el))
+        );
+    }
+
+    toTurns(elements) {
+        const turns = [];
+        this.outermost(elements).forEach(element => {
+            const role = this.classifyTurn(element);
+            if (role) turns.push({ element, role });
+        });
+        return turns;
+    }
+
+    extractTurns(turns) {
+        const extracted = [];
+
+        turns.forEach((turn, i) => {
+            const msg = this.extractTurn(turn, i);
+            if (msg) extracted.push(msg);
+        });
+
+        return extracted;
+    }
+
     extractTurn(turn, index) {
         if (turn.role === 'user') {
             return this.extractUserTurn(turn.element, index);
@@ -319,7 +502,7 @@ class TurnWatcher {
     }
 
     extractUserTurn(wrapper, index) {
-        const msgEl = wrapper.querySelector(this.selectors.userMessage) || wrapper;
+        const msgEl = this.safeQuery(this.selectors.userMessage, wrapper) || wrapper;
         const content = this.getCleanText(msgEl);
         if (!content.trim()) return null;
 
@@ -337,7 +520,7 @@ class TurnWatcher {
     }
 
     extractAssistantTurn(wrapper, index) {
-        const respRoot = wrapper.querySelector(this.selectors.assistantRoot) || wrapper;
+        const respRoot = this.safeQuery(this.selectors.assistantRoot, wrapper) || wrapper;
 
         // Extract thinking
         const thinking = this.extractThinking(respRoot);
@@ -362,25 +545,42 @@ class TurnWatcher {
         };
     }
 
+    /**
+     * Locate thinking blocks inside a response. Each entry pairs the toggle
+     * element with the element holding its body:
+     *   - Claude: button[group/status] followed by a collapsible grid
+     *   - <details>: the panel itself (summary stripped)
+     *   - anything else: the matched element
+     */
+    findThinkingBlocks(respRoot) {
+        return this.outermost(this.safeQueryAll(this.selectors.thinkingBlocks, respRoot)).map(el => {
+            if (el.tagName === 'BUTTON') {
+                return { toggle: el, body: el.nextElementSibling, summary: el.textContent?.trim() || '' };
+            }
+            if (el.tagName === 'DETAILS') {
+                const summaryEl = el.querySelector('summary');
+                return { toggle: el, body: el, summary: summaryEl?.textContent?.trim() || '' };
+            }
+            return { toggle: el, body: el, summary: '' };
+        });
+    }
+
     extractThinking(respRoot) {
         const blocks = [];
-        const buttons = respRoot.querySelectorAll(this.selectors.thinkingButton);
 
-        buttons.forEach((btn, i) => {
-            const summary = btn.textContent?.trim() || '';
-            const grid = btn.nextElementSibling;
+        this.findThinkingBlocks(respRoot).forEach(({ body, summary }, i) => {
             let text = '';
 
-            if (grid) {
+            if (body) {
                 // Target .font-ui directly (avoids nested .overflow-hidden duplication)
-                const fontUi = grid.querySelector('.font-ui');
+                const fontUi = body.querySelector('.font-ui');
                 if (fontUi) {
                     const md = fontUi.querySelector('.standard-markdown');
                     text = this.getCleanText(md || fontUi);
                 } else {
-                    const allOH = grid.querySelectorAll('.overflow-hidden');
+                    const allOH = body.querySelectorAll('.overflow-hidden');
                     const innermost = allOH.length > 0 ? allOH[allOH.length - 1] : null;
-                    if (innermost) text = this.getCleanText(innermost);
+                    text = this.getCleanText(innermost || body, 'summary');
                 }
             }
 
@@ -394,43 +594,33 @@ class TurnWatcher {
     }
 
     extractResponseBody(respRoot) {
-        // Strategy 1: row-start-2 isolation
-        const mainGrid = respRoot.querySelector('[class*="grid-rows"]');
-        if (mainGrid) {
-            const rows = Array.from(mainGrid.children);
-            const responseRow = rows.find(r =>
-                r.className.includes('row-start-2') ||
-                (r.querySelector(this.selectors.responseMarkdown) &&
-                 !r.querySelector(this.selectors.thinkingButton))
-            );
-            if (responseRow) {
-                const md = responseRow.querySelector(this.selectors.responseMarkdown);
-                if (md) return this.getCleanText(md);
-                return this.getCleanText(responseRow);
-            }
+        const thinkingBodies = this.findThinkingBlocks(respRoot)
+            .flatMap(({ toggle, body }) => [toggle, body])
+            .filter(Boolean);
+        const insideThinking = (el) => thinkingBodies.some(t => t === el || t.contains(el));
+
+        // Strategy 1: platform response body not inside thinking
+        const candidates = this.safeQueryAll(this.selectors.responseBody, respRoot);
+        for (const body of candidates) {
+            if (!insideThinking(body)) return this.getCleanText(body);
         }
 
-        // Strategy 2: .standard-markdown not inside thinking
-        const allMd = respRoot.querySelectorAll(this.selectors.responseMarkdown);
-        for (const md of allMd) {
-            const insideThinking = md.closest('.overflow-hidden')?.closest(
-                '.grid.transition-\\[grid-template-rows\\]'
-            );
-            if (!insideThinking) return this.getCleanText(md);
-        }
-
-        // Strategy 3: response body class
-        const body = respRoot.querySelector(this.selectors.responseBody);
-        if (body) return this.getCleanText(body);
-
-        // Strategy 4: full text minus thinking
-        return this.getCleanText(respRoot);
+        // Strategy 2: full text minus thinking
+        const clone = respRoot.cloneNode(true);
+        const originals = Array.from(respRoot.querySelectorAll('*'));
+        const copies = Array.from(clone.querySelectorAll('*'));
+        thinkingBodies.forEach(el => {
+            const copy = copies[originals.indexOf(el)];
+            if (copy) copy.remove();
+        });
+        return this.getCleanText(clone);
     }
 
-    getCleanText(element) {
+    getCleanText(element, extraExclude = '') {
         if (!element) return '';
         const clone = element.cloneNode(true);
-        clone.querySelectorAll(this.selectors.excludeFromText).forEach(el => el.remove());
+        const exclude = [this.selectors.excludeFromText, extraExclude].filter(Boolean).join(',');
+        clone.querySelectorAll(exclude).forEach(el => el.remove());
         let text = clone.innerText || clone.textContent || '';
         text = text
             .replace(/\bDone\b/g, '')
@@ -445,57 +635,45 @@ class TurnWatcher {
     }
 
     // ══════════════════════════════════════════════
-    // DISPATCH — Send turns to background + receiver
+    // DISPATCH — Send turns to the background
     // ══════════════════════════════════════════════
 
     dispatchTurn(turn) {
+        turn.schemaVersion = TurnWatcher.SCHEMA_VERSION;
         this.log('📤 Dispatching turn', { id: turn.id, role: turn.role, words: turn.wordCount });
 
-        // 1. Send to background script (chrome.storage.local)
-        this.sendToBackground(turn);
-
-        // 2. POST to local Python receiver (best-effort)
-        this.sendToReceiver(turn);
+        // Background stores the turn and queues it for the receiver with retry
+        this.sendToBackground({ action: 'turn_captured', turn }, () => {
+            console.warn(`⚠️ Turn ${turn.id} not stored: background unreachable`);
+        });
     }
 
-    sendToBackground(turn) {
+    /**
+     * Send a message to the background script. `onFailure` runs when there
+     * is no extension runtime or the background did not store the data.
+     */
+    sendToBackground(message, onFailure = () => {}) {
         try {
             const extApi = typeof chrome !== 'undefined' ? chrome :
                            typeof browser !== 'undefined' ? browser : null;
 
-            if (extApi?.runtime?.sendMessage) {
-                extApi.runtime.sendMessage({
-                    action: 'turn_captured',
-                    turn: turn
-                }, (response) => {
-                    if (extApi.runtime.lastError) {
-                        this.log('⚠️ Background send failed:', extApi.runtime.lastError.message);
-                    }
-                });
+            if (!extApi?.runtime?.sendMessage) {
+                onFailure();
+                return;
             }
-        } catch (err) {
-            this.log('⚠️ Background dispatch error:', err.message);
-        }
-    }
 
-    async sendToReceiver(turn) {
-        try {
-            const resp = await fetch(this.config.receiverUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(turn)
+            extApi.runtime.sendMessage(message, (response) => {
+                if (extApi.runtime.lastError) {
+                    this.log('⚠️ Background send failed:', extApi.runtime.lastError.message);
+                    onFailure();
+                } else if (!response?.success) {
+                    this.log('⚠️ Background could not store:', response?.error);
+                    onFailure();
+                }
             });
-
-            if (!resp.ok) {
-                this.log('⚠️ Receiver returned', resp.status);
-            }
         } catch (err) {
-            // Receiver not running — totally fine, this is best-effort
-            // Only log once per session to avoid console spam
-            if (!this._receiverDownLogged) {
-                this.log('ℹ️ Stream receiver not running (this is OK — turns stored in extension)');
-                this._receiverDownLogged = true;
-            }
+            this.log('⚠️ Background dispatch error:', err.message);
+            onFailure();
         }
     }
 
@@ -507,16 +685,7 @@ class TurnWatcher {
         const turns = this.discoverTurns(container);
         this.log(`📋 Found ${turns.length} existing turns on page`);
 
-        turns.forEach((turn, i) => {
-            const msg = this.extractTurn(turn, i);
-            if (msg) {
-                const hash = this.hashContent(msg.content);
-                this.capturedTurnHashes.add(hash);
-                this.dispatchTurn(msg);
-            }
-        });
-
-        this.capturedTurnCount = turns.length;
+        this.reconcileTurns(this.extractTurns(turns));
     }
 
     // ══════════════════════════════════════════════
@@ -534,11 +703,9 @@ class TurnWatcher {
 
                 // Reset for new conversation
                 this.stop();
-                this.capturedTurnCount = 0;
-                this.capturedTurnHashes.clear();
+                this.resetCaptureState();
                 this.conversationUrl = currentUrl;
                 this.sessionId = this.generateSessionId();
-                this._receiverDownLogged = false;
 
                 // Restart after page settles
                 setTimeout(() => this.start(), 2000);
@@ -580,7 +747,7 @@ class TurnWatcher {
                         text.includes('conversation was summarized') ||
                         text.includes('compacted') ||
                         text.includes('Context was compressed') ||
-                        node.querySelector?.(this.selectors.compactionBanner)
+                        (this.selectors.compactionBanner && this.safeQuery(this.selectors.compactionBanner, node))
                     );
 
                     if (isCompaction) {
@@ -594,28 +761,42 @@ class TurnWatcher {
         bodyObserver.observe(document.body, { childList: true, subtree: true });
     }
 
+    /**
+     * Snapshot the transcript before the summary replaces it: capture every
+     * visible turn, push whatever the tree doesn't hold yet, then emit a
+     * record citing the exact turn ids (root → leaf) that existed. The
+     * transcriptHash lets the receiver check it holds that exact content.
+     */
     onCompaction() {
-        // Emit compaction event with everything we've captured so far
+        // One banner insert fires many mutations
+        const now = Date.now();
+        if (now - this.lastCompactionAt < 10000) return;
+        this.lastCompactionAt = now;
+
+        const pushedTurnIds = this.reconcileTurns(this.captureAll());
+        const path = this.capturedPath;
+
         const event = {
             type: 'compaction_detected',
             sessionId: this.sessionId,
             conversationUrl: this.conversationUrl,
             timestamp: new Date().toISOString(),
-            capturedTurns: this.capturedTurnCount
+            capturedTurns: path.length,
+            turnIds: path.map(node => node.id),
+            leafTurnId: path.length > 0 ? path[path.length - 1].id : null,
+            pushedTurnIds,
+            transcriptHash: this.hashTranscript(path),
+            schemaVersion: TurnWatcher.SCHEMA_VERSION
         };
 
-        this.sendToBackground({ ...event, action: 'compaction_detected' });
-
-        try {
-            fetch(this.config.receiverUrl.replace('/turn', '/event'), {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(event)
-            }).catch(() => {});
-        } catch (e) {
-            this.log('Compaction forward failed', e);
+        if (pushedTurnIds.length > 0) {
+            this.log(`📸 Pushed ${pushedTurnIds.length} missing turn(s) before compaction`);
         }
 
+        this.sendToBackground({ ...event, action: 'compaction_detected' }, () => {
+            console.warn('⚠️ Compaction event not stored: background unreachable');
+        });
+
         this.log('🚨 Compaction event dispatched');
     }
 
@@ -629,10 +810,19 @@ class TurnWatcher {
         return `tw_${ts}_${rand}`;
     }
 
+    /**
+     * Hash of a branch: FNV-1a over "id:contentHash" lines, root first.
+     * Node hashes are hashContent(`${role}:${content}`).
+     */
+    hashTranscript(path) {
+        return this.hashContent(path.map(node => `${node.id}:${node.hash}`).join('\n'));
+    }
+
     hashContent(text) {
-        // Simple FNV-1a hash for deduplication (not crypto)
+        // Simple FNV-1a hash for deduplication (not crypto). Covers the whole
+        // text — regenerations often share a long common prefix.
         let hash = 2166136261;
-        for (let i = 0; i < Math.min(text.length, 500); i++) {
+        for (let i = 0; i < text.length; i++) {
             hash ^= text.charCodeAt(i);
             hash = Math.imul(hash, 16777619);
         }
@@ -646,16 +836,22 @@ class TurnWatcher {
     }
 }
 
+// Receiver payload schema (see scripts/stream-receiver.js):
+//   1 — linear turns
+//   2 — turns carry parentId/branchIndex for edit and regeneration branches
+TurnWatcher.SCHEMA_VERSION = 2;
+
 // ══════════════════════════════════════════════
 // AUTO-START
 // ══════════════════════════════════════════════
 
-// Only activate on Claude.ai (extend this for other platforms later)
-if (window.location.hostname === 'claude.ai') {
+// Only activate on platforms with a versioned selector table
+const turnWatcherPlatform = TurnWatcher.detectPlatform();
+if (turnWatcherPlatform) {
     // Wait for page to be ready, then start
     const startWatcher = () => {
         if (!window._turnWatcher) {
-            window._turnWatcher = new TurnWatcher();
+            window._turnWatcher = new TurnWatcher({ platform: turnWatcherPlatform });
             window._turnWatcher.start();
         }
     };
@@ -0,0 +1,303 @@
+/**
+ * VisualCapture — screenshots of the live conversation, turn by turn
+ *
+ * Finds the outermost turn elements with the platform's `turns` selector
+ * (falling back to `messages`), scrolls each into view so lazily rendered
+ * content paints, and rasterizes it with html2canvas. While capturing,
+ * page chrome matched by the platform's `chrome` selector — sidebars,
+ * headers, the composer — and the exporter's own floating button and
+ * panel are hidden, then restored along with the scroll position.
+ *
+ * `toPdf()` packs the captures onto jsPDF pages at one common scale,
+ * keeping each turn's horizontal offset and slicing turns taller than a
+ * page; `toPng()` stitches them into one long image, shrunk to stay
+ * inside the browser's canvas limits.
+ */
+
+class VisualCapture {
+    constructor(options = {}) {
+        this.selectors = options.selectors || {};
+        this.render = options.render || window.html2canvas;
+        this.scale = options.scale || Math.min(2, window.devicePixelRatio || 1);
+        this.settle = options.settle ?? 250;
+        this.scrollable = options.scrollable || null;
+        this.onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+    }
+
+    // ── Turns ──
+
+    /**
+     * Visible turn elements in document order; matches nested inside
+     * another match are dropped so each turn is captured once.
+     */
+    findTurns() {
+        const matches = this.query(document, this.selectors.turns || this.selectors.messages);
+        return matches.filter((element) => {
+            if (matches.some((other) => other !== element && other.contains(element))) return false;
+            return !element.hidden && window.getComputedStyle(element).display !== 'none';
+        });
+    }
+
+    /**
+     * Hides chrome that neither contains nor sits inside a turn.
+     * Returns a function that shows it again.
+     */
+    hideChrome(turns) {
+        const attribute = VisualCapture.HIDDEN_ATTRIBUTE;
+        const hidden = [];
+        [...this.query(document, this.selectors.chrome), ...this.query(document, VisualCapture.OWN_UI)].forEach((element) => {
+            if (element.hasAttribute(attribute)) return;
+            if (turns.some((turn) => element.contains(turn) || turn.contains(element))) return;
+            element.setAttribute(attribute, '');
+            hidden.push(element);
+        });
+
+        const style = document.createElement('style');
+        style.textContent = `[${attribute}] { visibility: hidden !important; }`;
+        (document.head || document.documentElement).appendChild(style);
+
+        return () => {
+            hidden.forEach((element) => element.removeAttribute(attribute));
+            style.remove();
+        };
+    }
+
+    // ── Capture ──
+
+    /**
+     * Renders each turn to a canvas. Turns that fail are skipped with a
+     * warning; if none render, the error is thrown.
+     * Returns `[{ canvas, scale, left, width, height, background }]` with
+     * positions and sizes in CSS pixels.
+     */
+    async captureTurns(turns) {
+        if (typeof this.render !== 'function') {
+            throw new Error('html2canvas not available');
+        }
+
+        const scrollX = window.scrollX;
+        const scrollY = window.scrollY;
+        const scrollTop = this.scrollable?.scrollTop;
+        const background = this.pageBackground();
+        const restoreChrome = this.hideChrome(turns);
+        const captures = [];
+        let lastError = null;
+
+        try {
+            for (let i = 0; i < turns.length; i++) {
+                let element = turns[i];
+                // Virtualized lists can swap nodes out while scrolling
+                if (!element.isConnected) {
+                    element = this.findTurns()[i] || element;
+                }
+                try {
+                    element.scrollIntoView?.({ block: 'start' });
+                    await this.wait(this.settle);
+
+                    const rect = element.getBoundingClientRect();
+                    const height = rect.height || element.offsetHeight || 0;
+                    const scale = height > 0
+                        ? Math.min(this.scale, VisualCapture.MAX_CANVAS_SIDE / height)
+                        : this.scale;
+                    const canvas = await this.render(element, {
+                        scale,
+                        backgroundColor: background,
+                        useCORS: true,
+                        logging: false,
+                        ignoreElements: (node) => node.hasAttribute?.(VisualCapture.HIDDEN_ATTRIBUTE)
+                    });
+                    if (!canvas?.width || !canvas?.height) {
+                        throw new Error('empty capture');
+                    }
+
+                    captures.push({
+                        canvas,
+                        scale,
+                        left: rect.left + scrollX,
+                        width: canvas.width / scale,
+                        height: canvas.height / scale,
+                        background
+                    });
+                } catch (error) {
+                    lastError = error;
+                    console.warn(`⚠️ Visual capture skipped turn ${i + 1}:`, error.message);
+                }
+                this.onProgress?.(i + 1, turns.length);
+            }
+        } finally {
+            restoreChrome();
+            if (this.scrollable && typeof scrollTop === 'number') {
+                this.scrollable.scrollTop = scrollTop;
+            }
+            window.scrollTo?.(scrollX, scrollY);
+        }
+
+        if (!captures.length) {
+            throw new Error(`No turns could be captured${lastError ? `: ${lastError.message}` : ''}`);
+        }
+        return captures;
+    }
+
+    pageBackground() {
+        for (const element of [document.body, document.documentElement]) {
+            const color = element ? window.getComputedStyle(element).backgroundColor : '';
+            if (color && color !== 'transparent' && !/^rgba\(.*,\s*0\)$/.test(color)) {
+                return color;
+            }
+        }
+        return '#ffffff';
+    }
+
+    // ── Output ──
+
+    /**
+     * Lays captures out top to bottom on PDF pages. Every turn uses the
+     * same millimetres-per-pixel factor, fitted to the widest span, so
+     * user and assistant turns keep their relative widths and offsets.
+     */
+    static toPdf(captures, options = {}) {
+        const jsPDF = options.jsPDF || window.jspdf?.jsPDF;
+        if (!jsPDF) {
+            throw new Error('PDF library not available');
+        }
+
+        const doc = new jsPDF({
+            orientation: options.orientation || 'portrait',
+            unit: 'mm',
+            format: options.format || 'a4'
+        });
+        if (options.title) {
+            doc.setProperties({ title: options.title, creator: 'Universal AI Exporter' });
+        }
+
+        const margin = options.margin ?? 10;
+        const gap = options.gap ?? 4;
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const bottom = pageHeight - margin;
+        const { minLeft, span } = VisualCapture.extent(captures);
+        const mmPerPixel = (pageWidth - margin * 2) / span;
+        let y = margin;
+
+        captures.forEach((capture) => {
+            const x = margin + (capture.left - minLeft) * mmPerPixel;
+            const width = capture.width * mmPerPixel;
+            const height = capture.height * mmPerPixel;
+            if (height <= 0) return;
+
+            // A turn that fits on a page is not split across two
+            if (y > margin && y + height > bottom && height <= bottom - margin) {
+                doc.addPage();
+                y = margin;
+            }
+
+            let offset = 0;
+            while (height - offset > 0.01) {
+                if (bottom - y < Math.min(VisualCapture.MIN_SLICE, height - offset)) {
+                    doc.addPage();
+                    y = margin;
+                }
+                const slice = Math.min(bottom - y, height - offset);
+                const image = offset === 0 && slice >= height
+                    ? capture.canvas.toDataURL('image/jpeg', VisualCapture.JPEG_QUALITY)
+                    : VisualCapture.crop(capture, offset / height, slice / height);
+                doc.addImage(image, 'JPEG', x, y, width, slice);
+                offset += slice;
+                y += slice;
+            }
+            y += gap;
+        });
+
+        return doc.output('blob');
+    }
+
+    /**
+     * Stitches captures into one PNG at the smallest capture scale,
+     * shrunk further if the result would exceed canvas size limits.
+     */
+    static toPng(captures, options = {}) {
+        const gap = options.gap ?? 16;
+        const background = options.background || captures[0]?.background || '#ffffff';
+        const { minLeft, span } = VisualCapture.extent(captures);
+        const totalHeight = captures.reduce((sum, capture) => sum + capture.height, 0) + gap * (captures.length - 1);
+        const natural = Math.min(...captures.map((capture) => capture.scale));
+        const factor = natural * Math.min(
+            1,
+            VisualCapture.MAX_CANVAS_SIDE / (span * natural),
+            VisualCapture.MAX_CANVAS_SIDE / (totalHeight * natural),
+            Math.sqrt(VisualCapture.MAX_CANVAS_AREA / (span * totalHeight * natural * natural))
+        );
+
+        const canvas = VisualCapture.createCanvas(Math.ceil(span * factor), Math.ceil(totalHeight * factor));
+        const context = canvas.getContext('2d');
+        context.fillStyle = background;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        let y = 0;
+        captures.forEach((capture) => {
+            context.drawImage(
+                capture.canvas,
+                (capture.left - minLeft) * factor,
+                y * factor,
+                capture.width * factor,
+                capture.height * factor
+            );
+            y += capture.height + gap;
+        });
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+        });
+    }
+
+    static extent(captures) {
+        const minLeft = Math.min(...captures.map((capture) => capture.left));
+        const span = Math.max(...captures.map((capture) => capture.left - minLeft + capture.width));
+        return { minLeft, span: span || 1 };
+    }
+
+    /** JPEG data URL for a horizontal band of a capture (fractions of its height). */
+    static crop(capture, from, fraction) {
+        const source = capture.canvas;
+        const top = Math.round(from * source.height);
+        const height = Math.max(1, Math.min(source.height - top, Math.round(fraction * source.height)));
+        const canvas = VisualCapture.createCanvas(source.width, height);
+        const context = canvas.getContext('2d');
+        context.fillStyle = capture.background || '#ffffff';
+        context.fillRect(0, 0, source.width, height);
+        context.drawImage(source, 0, top, source.width, height, 0, 0, source.width, height);
+        return canvas.toDataURL('image/jpeg', VisualCapture.JPEG_QUALITY);
+    }
+
+    static createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    // ── Helpers ──
+
+    query(context, selector) {
+        if (!selector) return [];
+        try {
+            return Array.from(context.querySelectorAll(selector));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    wait(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+}
+
+VisualCapture.HIDDEN_ATTRIBUTE = 'data-uae-capture-hidden';
+VisualCapture.OWN_UI = '#uae-floating-button, #universal-ai-exporter-ui';
+// Browsers refuse canvases past these (Chrome: 32767px per side, 16384² area)
+VisualCapture.MAX_CANVAS_SIDE = 32767;
+VisualCapture.MAX_CANVAS_AREA = 268435456;
+VisualCapture.MIN_SLICE = 20;
+VisualCapture.JPEG_QUALITY = 0.92;
+
+window.VisualCapture = VisualCapture;
@@ -0,0 +1,234 @@
+/**
+ * ZipWriter — Minimal client-side ZIP archive builder
+ *
+ * Writes a standard PKZIP archive (local headers, central directory, end
+ * record) with UTF-8 names. Entries are deflated with the browser's
+ * CompressionStream('deflate-raw') when it exists and actually saves space,
+ * and stored otherwise, so there is no third-party or network dependency.
+ * No ZIP64: an archive is limited to 65,535 entries of under 4 GiB.
+ */
+
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.names = new Set();
+    }
+
+    /**
+     * Queue a file. `content` may be a string, Blob, ArrayBuffer or typed
+     * array; `compress: false` forces a stored entry (e.g. EPUB mimetype).
+     */
+    addFile(name, content, options = {}) {
+        const path = String(name || '').replace(/\\/g, '/').replace(/^\/+/, '');
+        if (!path || path.endsWith('/')) {
+            throw new Error(`Invalid zip entry name: ${name}`);
+        }
+        if (this.names.has(path)) {
+            throw new Error(`Duplicate zip entry: ${path}`);
+        }
+        this.names.add(path);
+        this.entries.push({
+            name: path,
+            content,
+            date: options.date || new Date(),
+            compress: options.compress !== false
+        });
+        return this;
+    }
+
+    /**
+     * Queue an explicit (possibly empty) directory entry, e.g. `attachments/`.
+     */
+    addDirectory(name, options = {}) {
+        const path = `${String(name || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '')}/`;
+        if (path === '/') {
+            throw new Error(`Invalid zip directory name: ${name}`);
+        }
+        if (!this.names.has(path)) {
+            this.names.add(path);
+            this.entries.push({ name: path, content: '', date: options.date || new Date(), compress: false, directory: true });
+        }
+        return this;
+    }
+
+    has(name) {
+        return this.names.has(name);
+    }
+
+    /**
+     * Build the archive. Resolves with a Blob of type application/zip.
+     */
+    async generate() {
+        if (this.entries.length > 0xffff) {
+            throw new Error('Too many zip entries');
+        }
+
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        for (const entry of this.entries) {
+            const nameBytes = encoder.encode(entry.name);
+            const data = await ZipWriter.toBytes(entry.content);
+            const crc = ZipWriter.crc32(data);
+            const deflated = entry.compress ? await ZipWriter.deflate(data) : null;
+            const useDeflate = deflated && deflated.length < data.length;
+            const body = useDeflate ? deflated : data;
+            if (data.length >= 0xffffffff || offset >= 0xffffffff) {
+                throw new Error(`Zip entry too large: ${entry.name}`);
+            }
+
+            const { time, date } = ZipWriter.dosDateTime(entry.date);
+            const fields = {
+                method: useDeflate ? 8 : 0,
+                time,
+                date,
+                crc,
+                compressedSize: body.length,
+                size: data.length
+            };
+
+            const local = ZipWriter.header(0x04034b50, 30, nameBytes, fields);
+            central.push(ZipWriter.header(0x02014b50, 46, nameBytes, {
+                ...fields,
+                offset,
+                externalAttributes: entry.directory ? 0x10 : 0
+            }));
+            chunks.push(local, body);
+            offset += local.length + body.length;
+        }
+
+        const centralSize = central.reduce((sum, record) => sum + record.length, 0);
+        const end = new Uint8Array(22);
+        const view = new DataView(end.buffer);
+        view.setUint32(0, 0x06054b50, true);
+        view.setUint16(8, this.entries.length, true);
+        view.setUint16(10, this.entries.length, true);
+        view.setUint32(12, centralSize, true);
+        view.setUint32(16, offset, true);
+
+        return new Blob([...chunks, ...central, end], { type: 'application/zip' });
+    }
+
+    // ══════════════════════════════════════════════
+    // RECORDS
+    // ══════════════════════════════════════════════
+
+    /**
+     * Local file header (30 bytes) or central directory record (46 bytes),
+     * followed by the entry name. Bit 11 flags the name as UTF-8.
+     */
+    static header(signature, size, nameBytes, fields) {
+        const record = new Uint8Array(size + nameBytes.length);
+        const view = new DataView(record.buffer);
+        const isCentral = size === 46;
+        let pos = 0;
+        const u16 = (value) => { view.setUint16(pos, value, true); pos += 2; };
+        const u32 = (value) => { view.setUint32(pos, value >>> 0, true); pos += 4; };
+
+        u32(signature);
+        if (isCentral) u16(20);       // version made by
+        u16(20);                      // version needed to extract
+        u16(0x0800);                  // flags: UTF-8 names
+        u16(fields.method);
+        u16(fields.time);
+        u16(fields.date);
+        u32(fields.crc);
+        u32(fields.compressedSize);
+        u32(fields.size);
+        u16(nameBytes.length);
+        u16(0);                       // extra field length
+        if (isCentral) {
+            u16(0);                   // comment length
+            u16(0);                   // disk number
+            u16(0);                   // internal attributes
+            u32(fields.externalAttributes || 0); // external attributes (0x10: directory)
+            u32(fields.offset);
+        }
+
+        record.set(nameBytes, size);
+        return record;
+    }
+
+    static dosDateTime(value) {
+        const date = value instanceof Date && Number.isFinite(value.getTime()) ? value : new Date();
+        const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    // ══════════════════════════════════════════════
+    // BYTES
+    // ══════════════════════════════════════════════
+
+    static async toBytes(content) {
+        if (content instanceof Uint8Array) return content;
+        if (content instanceof ArrayBuffer) return new Uint8Array(content);
+        if (ArrayBuffer.isView(content)) {
+            return new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+        }
+        if (typeof Blob !== 'undefined' && content instanceof Blob) {
+            return new Uint8Array(await content.arrayBuffer());
+        }
+        return new TextEncoder().encode(content == null ? '' : String(content));
+    }
+
+    /**
+     * Raw DEFLATE via CompressionStream, or null when the browser lacks it.
+     */
+    static async deflate(bytes) {
+        if (typeof CompressionStream === 'undefined' || bytes.length === 0) return null;
+        try {
+            const stream = new CompressionStream('deflate-raw');
+            const writer = stream.writable.getWriter();
+            writer.write(bytes).catch(() => {});
+            writer.close().catch(() => {});
+
+            const parts = [];
+            let length = 0;
+            const reader = stream.readable.getReader();
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                parts.push(value);
+                length += value.length;
+            }
+
+            const output = new Uint8Array(length);
+            let pos = 0;
+            parts.forEach((part) => {
+                output.set(part, pos);
+                pos += part.length;
+            });
+            return output;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+ZipWriter.crcTable = null;
+
+window.ZipWriter = ZipWriter;
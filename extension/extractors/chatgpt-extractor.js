@@ -34,7 +34,6 @@ class ChatGPTExtractor extends UniversalExtractor {
         this.exportData.metadata.gptModel = this.detectGPTModel();
         this.exportData.metadata.conversationId = this.extractConversationId();
         this.exportData.codeBlocks = [];
-        this.exportData.mathExpressions = [];
         this.exportData.regeneratedMessages = [];
     }
     
@@ -91,7 +90,7 @@ class ChatGPTExtractor extends UniversalExtractor {
             messageId: this.extractMessageId(msgEl),
             isRegenerated: this.isRegeneratedMessage(msgEl),
             hasCodeBlocks: this.extractCodeBlocks(msgEl).length > 0,
-            mathExpressions: this.extractMathExpressions(msgEl),
+            mathExpressions: message.math || [],
             messageActions: this.extractMessageActions(msgEl),
             reasoningTraceCount: traceBlocks.filter((block) => block.type === 'thinking').length,
             toolCallTraceCount: traceBlocks.filter((block) => block.type === 'tool_call').length,
@@ -279,38 +278,6 @@ class ChatGPTExtractor extends UniversalExtractor {
         return 'text';
     }
     
-    extractMathExpressions(msgEl) {
-        const mathExpressions = [];
-        const mathElements = msgEl.querySelectorAll(this.selectors.mathBlocks);
-        
-        mathElements.forEach((mathEl, index) => {
-            const mathExpr = {
-                id: `chatgpt_math_${index}`,
-                content: mathEl.textContent || '',
-                latex: mathEl.getAttribute('data-latex') || this.extractLatex(mathEl),
-                html: mathEl.outerHTML,
-                isInline: !mathEl.closest('.math-block, .display-math')
-            };
-            
-            mathExpressions.push(mathExpr);
-            this.exportData.mathExpressions.push(mathExpr);
-        });
-        
-        return mathExpressions;
-    }
-    
-    extractLatex(mathEl) {
-        const latexSources = [
-            mathEl.getAttribute('data-latex'),
-            mathEl.getAttribute('title'),
-            mathEl.querySelector('[data-latex]')?.getAttribute('data-latex'),
-            mathEl.textContent
-        ];
-        
-        for (const latex of latexSources) if (latex && latex.trim()) return latex.trim();
-        return '';
-    }
-    
     extractMessageActions(msgEl) {
         const actions = [];
         const actionElements = msgEl.querySelectorAll(this.selectors.messageActions + ' button');
@@ -407,16 +374,6 @@ class ChatGPTExtractor extends UniversalExtractor {
         if (hasRegeneration) return 'iterative';
         return 'general';
     }
-    
-    identifyProgrammingLanguages() {
-        const languages = {};
-        this.exportData.codeBlocks.forEach(block => {
-            const lang = block.language;
-            if (lang && lang !== 'text') languages[lang] = (languages[lang] || 0) + 1;
-        });
-        
-        return Object.entries(languages).sort(([,a], [,b]) => b - a).reduce((obj, [lang, count]) => ({ ...obj, [lang]: count }), {});
-    }
 }
 
 window.ChatGPTExtractor = ChatGPTExtractor;
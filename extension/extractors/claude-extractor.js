@@ -256,6 +256,16 @@ class ClaudeExtractor extends UniversalExtractor {
             characterCount: content.length
         };
 
+        const markdown = this.getCleanMarkdown(msgEl);
+        if (markdown) {
+            message.markdown = markdown;
+        }
+
+        const math = this.extractMathExpressions(msgEl, message.id);
+        if (math.length > 0) {
+            message.math = math;
+        }
+
         if (this.hasReferences(references)) {
             message.references = references;
         }
@@ -291,6 +301,17 @@ class ClaudeExtractor extends UniversalExtractor {
             characterCount: responseContent.length
         };
 
+        const bodyElement = this.findResponseBodyElement(respRoot);
+        const markdown = this.getCleanMarkdown(bodyElement);
+        if (markdown) {
+            message.markdown = markdown;
+        }
+
+        const math = this.extractMathExpressions(bodyElement, message.id);
+        if (math.length > 0) {
+            message.math = math;
+        }
+
         if (thinkingData.length > 0) {
             message.thinkingBlocks = thinkingData;
         }
@@ -308,7 +329,8 @@ class ClaudeExtractor extends UniversalExtractor {
 
         message.claude = {
             codeBlocks: this.extractCodeBlocks(respRoot),
-            hasArtifacts: !!respRoot.querySelector(this.claude.artifacts)
+            hasArtifacts: !!respRoot.querySelector(this.claude.artifacts),
+            artifacts: this.extractArtifacts(respRoot)
         };
 
         return message;
@@ -394,6 +416,8 @@ class ClaudeExtractor extends UniversalExtractor {
             structuredData = this.parseToolCallContent(content);
         } else if (type === 'prompt_chain') {
             structuredData = this.parsePromptChainContent(content);
+        } else if (type === 'file_edit') {
+            structuredData = this.parseFileEditContent(content, summary);
         }
 
         // Fall back to summary ONLY if truly empty
@@ -504,6 +528,7 @@ class ClaudeExtractor extends UniversalExtractor {
 
         const clone = element.cloneNode(true);
         clone.querySelectorAll(this.claude.excludeFromText).forEach(el => el.remove());
+        this.replaceMathNodes(clone);
 
         let text = clone.innerText || clone.textContent || '';
 
@@ -520,6 +545,51 @@ class ClaudeExtractor extends UniversalExtractor {
         return text;
     }
 
+    /**
+     * The element holding the response body, outside any collapsible block.
+     */
+    findResponseBodyElement(respRoot) {
+        // Strategy 1: Find response row (row-start-2)
+        const mainGrid = respRoot.querySelector('[class*="grid-rows"]');
+        if (mainGrid) {
+            const rows = Array.from(mainGrid.children);
+            const responseRow = rows.find(r =>
+                r.className.includes('row-start-2') ||
+                (r.querySelector(this.claude.responseMarkdown) &&
+                 !r.querySelector(this.claude.thinkingButton))
+            );
+
+            if (responseRow) {
+                return responseRow.querySelector(this.claude.responseMarkdown) || responseRow;
+            }
+        }
+
+        // Strategy 2: .standard-markdown NOT inside thinking
+        const allMarkdown = respRoot.querySelectorAll(this.claude.responseMarkdown);
+        for (const md of allMarkdown) {
+            const isInsideThinking = md.closest('.overflow-hidden')?.closest(
+                '.grid.transition-\\[grid-template-rows\\]'
+            );
+            if (!isInsideThinking) {
+                return md;
+            }
+        }
+
+        // Strategy 3: .font-claude-response-body
+        return respRoot.querySelector(this.claude.responseBody) || null;
+    }
+
+    /**
+     * Markdown twin of getCleanText(): same exclusions, structure kept.
+     */
+    getCleanMarkdown(element) {
+        if (!element) return '';
+
+        const clone = element.cloneNode(true);
+        clone.querySelectorAll(this.claude.excludeFromText).forEach(el => el.remove());
+        return this.toMarkdown(clone);
+    }
+
     // ================================================================
     //  BLOCK TYPE DETECTION
     // ================================================================
@@ -691,6 +761,119 @@ class ClaudeExtractor extends UniversalExtractor {
         return data;
     }
 
+    /**
+     * Parse a file edit into files and hunks. Accepts unified diffs, with or
+     * without `diff --git` / `---` / `+++` headers, and bare +/- listings;
+     * the path falls back to the one named in the summary. Hunk line counts
+     * are recomputed from the lines. A bare listing has no line numbers, so
+     * unless it only adds lines (a new file) the file is marked `unanchored`
+     * and cannot be applied as a patch.
+     */
+    parseFileEditContent(content, summary) {
+        const data = { files: [], added: 0, removed: 0 };
+        if (!content) return data;
+
+        const summaryPath = this.extractEditPath(summary);
+        const stripPrefix = (value) => {
+            const path = value.replace(/\t.*$/, '').trim();
+            return path === '/dev/null' ? null : path.replace(/^[ab]\//, '');
+        };
+        let file = null;
+        let hunk = null;
+        let oldRemaining = 0;
+        let newRemaining = 0;
+        const startFile = (path) => {
+            file = { path, oldPath: path, isNew: false, isDeleted: false, added: 0, removed: 0, hunks: [] };
+            data.files.push(file);
+            hunk = null;
+        };
+        const startHunk = (oldStart, newStart, section, counted) => {
+            if (!file) startFile(summaryPath);
+            hunk = { oldStart, oldLines: 0, newStart, newLines: 0, section, counted, lines: [] };
+            file.hunks.push(hunk);
+        };
+
+        const lines = content.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n');
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            let match;
+
+            // Inside a hunk with known counts every line belongs to it
+            if (hunk?.counted && (oldRemaining > 0 || newRemaining > 0)) {
+                const marker = line[0] || ' ';
+                const type = marker === '+' ? 'add' : marker === '-' ? 'remove' : 'context';
+                hunk.lines.push({ type, text: line.slice(1) });
+                if (type !== 'add') oldRemaining--;
+                if (type !== 'remove') newRemaining--;
+                continue;
+            }
+
+            if ((match = line.match(/^diff --git a\/(\S+) b\/(\S+)/))) {
+                startFile(match[2]);
+                file.oldPath = match[1];
+            } else if ((match = line.match(/^--- (.+)$/)) && /^\+\+\+ /.test(lines[i + 1] || '')) {
+                const oldPath = stripPrefix(match[1]);
+                const newPath = stripPrefix(lines[i + 1].slice(4));
+                if (!file || file.hunks.length > 0) startFile(newPath || oldPath);
+                file.path = newPath || oldPath || file.path;
+                file.oldPath = oldPath || file.path;
+                file.isNew = file.isNew || !oldPath;
+                file.isDeleted = file.isDeleted || !newPath;
+                i++;
+            } else if (file && !hunk && /^new file mode /.test(line)) {
+                file.isNew = true;
+            } else if (file && !hunk && /^deleted file mode /.test(line)) {
+                file.isDeleted = true;
+            } else if ((match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/))) {
+                startHunk(Number(match[1]), Number(match[3]), match[5], true);
+                oldRemaining = match[2] === undefined ? 1 : Number(match[2]);
+                newRemaining = match[4] === undefined ? 1 : Number(match[4]);
+            } else if (line.startsWith('\\') && hunk) {
+                hunk.lines.push({ type: 'note', text: line });
+            } else if (/^[+-]/.test(line) || (hunk && !hunk.counted && /^( |$)/.test(line))) {
+                // Bare listing without @@ headers: one hunk from the top of the file
+                if (!hunk) startHunk(1, 1, '', false);
+                const type = line[0] === '+' ? 'add' : line[0] === '-' ? 'remove' : 'context';
+                hunk.lines.push({ type, text: line.slice(1) });
+            }
+        }
+
+        data.files = data.files.filter((entry) => entry.hunks.length > 0 || entry.isNew || entry.isDeleted);
+        data.files.forEach((entry) => {
+            entry.hunks.forEach((item) => {
+                while (!item.counted && item.lines.length && item.lines[item.lines.length - 1].type === 'context' && !item.lines[item.lines.length - 1].text) {
+                    item.lines.pop();
+                }
+                item.oldLines = item.lines.filter((l) => l.type === 'context' || l.type === 'remove').length;
+                item.newLines = item.lines.filter((l) => l.type === 'context' || l.type === 'add').length;
+                entry.added += item.lines.filter((l) => l.type === 'add').length;
+                entry.removed += item.lines.filter((l) => l.type === 'remove').length;
+            });
+            // Additions with nothing around them can only be a new file
+            if (!entry.isNew && entry.hunks.length === 1 && !entry.hunks[0].counted && entry.hunks[0].oldLines === 0) {
+                entry.isNew = true;
+            }
+            if (!entry.isNew && entry.hunks.some((item) => !item.counted)) {
+                entry.unanchored = true;
+            }
+            if (entry.isNew) entry.hunks.forEach((item) => { item.oldStart = 0; });
+            if (entry.isDeleted) entry.hunks.forEach((item) => { item.newStart = 0; });
+            entry.hunks.forEach((item) => { delete item.counted; });
+            data.added += entry.added;
+            data.removed += entry.removed;
+        });
+
+        return data;
+    }
+
+    /**
+     * Path named in a file edit summary such as "+12 -3 src/app.ts".
+     */
+    extractEditPath(summary) {
+        const match = (summary || '').match(/(?:^|\s)((?:[\w@.-]+\/)*[\w@-][\w.@-]*\.[A-Za-z0-9]{1,10})(?=[\s,:;)]|$)/);
+        return match ? match[1] : null;
+    }
+
     parsePromptChainContent(content) {
         const data = { steps: [] };
         if (!content) return data;
@@ -719,38 +902,9 @@ class ClaudeExtractor extends UniversalExtractor {
     // ================================================================
 
     extractResponseBody(respRoot) {
-        // Strategy 1: Find response row (row-start-2)
-        const mainGrid = respRoot.querySelector('[class*="grid-rows"]');
-        if (mainGrid) {
-            const rows = Array.from(mainGrid.children);
-            const responseRow = rows.find(r =>
-                r.className.includes('row-start-2') ||
-                (r.querySelector(this.claude.responseMarkdown) &&
-                 !r.querySelector(this.claude.thinkingButton))
-            );
-
-            if (responseRow) {
-                const md = responseRow.querySelector(this.claude.responseMarkdown);
-                if (md) return this.getCleanText(md);
-                return this.getCleanText(responseRow);
-            }
-        }
-
-        // Strategy 2: .standard-markdown NOT inside thinking
-        const allMarkdown = respRoot.querySelectorAll(this.claude.responseMarkdown);
-        for (const md of allMarkdown) {
-            const isInsideThinking = md.closest('.overflow-hidden')?.closest(
-                '.grid.transition-\\[grid-template-rows\\]'
-            );
-            if (!isInsideThinking) {
-                return this.getCleanText(md);
-            }
-        }
-
-        // Strategy 3: .font-claude-response-body
-        const responseBody = respRoot.querySelector(this.claude.responseBody);
-        if (responseBody) {
-            return this.getCleanText(responseBody);
+        const bodyElement = this.findResponseBodyElement(respRoot);
+        if (bodyElement) {
+            return this.getCleanText(bodyElement);
         }
 
         // Strategy 4: full text minus block text
@@ -785,6 +939,30 @@ class ClaudeExtractor extends UniversalExtractor {
         return blocks;
     }
 
+    /**
+     * Artifacts whose code is rendered in the conversation; cards that only
+     * link to the side panel carry no source and are skipped.
+     */
+    extractArtifacts(container) {
+        const artifacts = [];
+        container.querySelectorAll(this.claude.artifacts).forEach((artifactEl) => {
+            const codeEl = artifactEl.querySelector('pre code') || artifactEl.querySelector('pre, code');
+            const content = codeEl?.textContent || '';
+            if (!content.trim()) return;
+
+            const titleEl = artifactEl.querySelector('[data-testid="artifact-title"], .artifact-title, h2, h3');
+            const artifact = {
+                id: `artifact_${this.exportData.artifacts.length}`,
+                title: (artifactEl.getAttribute('data-artifact-title') || titleEl?.textContent || artifactEl.getAttribute('aria-label') || '').trim(),
+                language: this.detectCodeLanguage(codeEl),
+                content
+            };
+            artifacts.push(artifact);
+            this.exportData.artifacts.push(artifact);
+        });
+        return artifacts;
+    }
+
     detectCodeLanguage(codeEl) {
         const classList = codeEl.className;
         const langMatch = classList.match(/language-(\w+)/);
@@ -826,6 +1004,7 @@ class ClaudeExtractor extends UniversalExtractor {
 
         this.exportData.metadata.claude = {
             codeBlockCount: this.exportData.codeBlocks.length,
+            programmingLanguages: this.identifyProgrammingLanguages(),
             thinkingIntensity: this.calculateThinkingIntensity(),
             conversationType: this.determineConversationType(),
             blockTypeBreakdown: this.summarizeBlockTypes()
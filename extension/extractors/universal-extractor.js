@@ -30,6 +30,7 @@ class UniversalExtractor {
             },
             messages: [],
             thinkingBlocks: [],
+            mathExpressions: [],
             rawHtml: {
                 original: null,
                 expanded: null
@@ -537,7 +538,7 @@ class UniversalExtractor {
     
     extractMessage(msgEl, index) {
         const author = this.determineAuthor(msgEl);
-        const content = this.getTextContent(msgEl);
+        const content = this.replaceRenderedMath(this.getTextContent(msgEl), msgEl);
 
         if (!content.trim()) {
             return null;
@@ -553,6 +554,16 @@ class UniversalExtractor {
             characterCount: content.length
         };
 
+        const markdown = this.getMessageMarkdown(msgEl);
+        if (markdown) {
+            message.markdown = markdown;
+        }
+
+        const math = this.extractMathExpressions(msgEl, message.id);
+        if (math.length > 0) {
+            message.math = math;
+        }
+
         const embeddedThinking = this.extractEmbeddedThinking(msgEl);
         if (embeddedThinking.length > 0) {
             message.thinkingBlocks = embeddedThinking;
@@ -677,6 +688,142 @@ class UniversalExtractor {
         return element.innerText || element.textContent || '';
     }
 
+    /**
+     * Structure-preserving Markdown (tables, lists, fences, links) for a
+     * live element or stored HTML. Empty when MarkdownConverter is not loaded.
+     */
+    toMarkdown(source) {
+        if (!source || typeof MarkdownConverter === 'undefined') return '';
+        try {
+            return new MarkdownConverter({ math: (el) => this.getMathSource(el) }).convert(source);
+        } catch (error) {
+            console.warn('⚠️ Markdown conversion failed:', error);
+            return '';
+        }
+    }
+
+    /**
+     * Markdown for the message body: the `messageContent` containers when the
+     * platform has them, otherwise the message element minus its thinking
+     * blocks (those are exported separately).
+     */
+    getMessageMarkdown(msgEl) {
+        const bodies = this.safeQuerySelectorAll(this.selectors.messageContent, msgEl)
+            .filter((el, index, all) => !all.some((other) => other !== el && other.contains(el)));
+        if (bodies.length > 0) {
+            return bodies.map((el) => this.toMarkdown(el)).filter(Boolean).join('\n\n');
+        }
+
+        const clone = msgEl.cloneNode(true);
+        this.safeQuerySelectorAll(this.selectors.thinkingBlocks, clone).forEach((el) => el.remove());
+        return this.toMarkdown(clone);
+    }
+
+    // ══════════════════════════════════════════════
+    // MATH
+    // ══════════════════════════════════════════════
+
+    /**
+     * Outermost rendered math nodes (KaTeX, MathJax 2/3, platform
+     * `mathBlocks`) that still carry their TeX source.
+     */
+    findMathElements(element) {
+        if (!element) return [];
+        const candidates = this.safeQuerySelectorAll(this.getMathSelector(), element)
+            .filter((el) => this.getMathSource(el));
+        return candidates.filter((el) => !candidates.some((other) => other !== el && other.contains(el)));
+    }
+
+    getMathSelector() {
+        return [UniversalExtractor.MATH_SELECTOR, this.getSelector(this.selectors.mathBlocks)]
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    /**
+     * TeX source and display mode of a rendered math node, or null when the
+     * node is not math or its source is gone.
+     */
+    getMathSource(el) {
+        if (!el || el.nodeType !== 1) return null;
+        try {
+            if (!el.matches(this.getMathSelector())) return null;
+        } catch (error) {
+            return null;
+        }
+
+        const mathJaxScript = /MathJax/.test(el.className || '') && el.nextElementSibling?.matches('script[type^="math/tex"]')
+            ? el.nextElementSibling
+            : null;
+        const latex = (
+            el.getAttribute('data-latex') ||
+            el.getAttribute('data-math') ||
+            el.querySelector('annotation[encoding="application/x-tex"]')?.textContent ||
+            el.querySelector('[data-latex]')?.getAttribute('data-latex') ||
+            mathJaxScript?.textContent ||
+            ''
+        ).trim();
+        if (!latex) return null;
+
+        const display = el.matches('.katex-display, .MathJax_Display, mjx-container[display="true"]') ||
+            !!el.querySelector('.katex-display, math[display="block"]') ||
+            !!el.closest('.katex-display, .math-display, .math-block, .display-math') ||
+            /mode=display/.test(mathJaxScript?.getAttribute('type') || '');
+        return { latex, display };
+    }
+
+    formatMathSource(latex, display) {
+        return display ? `$$${latex}$$` : `$${latex}$`;
+    }
+
+    /**
+     * Per-message expression index; every entry is also added to the
+     * conversation-wide `mathExpressions` in postProcess().
+     */
+    extractMathExpressions(element, messageId = null) {
+        return this.findMathElements(element).map((mathEl, index) => {
+            const { latex, display } = this.getMathSource(mathEl);
+            return {
+                id: `${messageId || 'math'}_math_${index}`,
+                messageId,
+                latex,
+                display,
+                html: mathEl.outerHTML
+            };
+        });
+    }
+
+    /**
+     * Replace math nodes in a detached clone with text nodes holding their
+     * `$…$` / `$$…$$` source, before the clone's text is read.
+     */
+    replaceMathNodes(root) {
+        this.findMathElements(root).forEach((mathEl) => {
+            const { latex, display } = this.getMathSource(mathEl);
+            mathEl.replaceWith(mathEl.ownerDocument.createTextNode(this.formatMathSource(latex, display)));
+        });
+        return root;
+    }
+
+    /**
+     * Swap each math node's rendered text (glyphs, MathML fallback) in a
+     * text extraction of `element` for its `$…$` / `$$…$$` source.
+     */
+    replaceRenderedMath(text, element) {
+        if (!text) return text;
+        let result = '';
+        let cursor = 0;
+        this.findMathElements(element).forEach((mathEl) => {
+            const rendered = (mathEl.innerText || mathEl.textContent || '').trim();
+            const at = rendered ? text.indexOf(rendered, cursor) : -1;
+            if (at < 0) return;
+            const source = this.getMathSource(mathEl);
+            result += text.slice(cursor, at) + this.formatMathSource(source.latex, source.display);
+            cursor = at + rendered.length;
+        });
+        return result + text.slice(cursor);
+    }
+
     /**
      * Get response body content, attempting to exclude thinking block content
      * to prevent duplication. Falls back to full content if filtering fails.
@@ -1010,6 +1157,9 @@ class UniversalExtractor {
         this.exportData.metadata.citationCount = referenceIndex.citations.length;
         this.exportData.metadata.uploadedDocuments = this.extractUploadedDocumentsFromMessages(this.exportData.messages);
         this.exportData.metadata.uploadedDocumentCount = this.exportData.metadata.uploadedDocuments.length;
+
+        this.exportData.mathExpressions = this.exportData.messages.flatMap((msg) => msg.math || []);
+        this.exportData.metadata.mathExpressionCount = this.exportData.mathExpressions.length;
         
         const firstMessageContent = this.exportData.messages[0]?.content;
         const lastMessageContent = this.exportData.messages[this.exportData.messages.length - 1]?.content;
@@ -1034,6 +1184,19 @@ class UniversalExtractor {
             durationMs: last.getTime() - first.getTime()
         };
     }
+
+    /**
+     * Fence languages of the collected code blocks, most used first.
+     */
+    identifyProgrammingLanguages() {
+        const languages = {};
+        (this.exportData.codeBlocks || []).forEach(block => {
+            const lang = block.language;
+            if (lang && lang !== 'text') languages[lang] = (languages[lang] || 0) + 1;
+        });
+        
+        return Object.entries(languages).sort(([,a], [,b]) => b - a).reduce((obj, [lang, count]) => ({ ...obj, [lang]: count }), {});
+    }
     
     wait(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
@@ -1044,4 +1207,15 @@ class UniversalExtractor {
     }
 }
 
+// Rendered math roots; platforms add their own through `mathBlocks`
+UniversalExtractor.MATH_SELECTOR = [
+    '.katex-display',
+    '.katex',
+    'mjx-container',
+    '.MathJax',
+    '.MathJax_Display',
+    '[data-latex]',
+    '[data-math]'
+].join(', ');
+
 window.UniversalExtractor = UniversalExtractor;
@@ -0,0 +1,433 @@
+/**
+ * Universal AI Exporter - Captured Session Library
+ * Browses the sessions TurnWatcher stored in the background archive and
+ * exports them through the ExportInterface generators, without revisiting
+ * the original chat page.
+ */
+
+class SessionLibrary {
+    constructor() {
+        this.pageSize = 50;
+        this.sessions = [];
+        this.hasMore = false;
+        this.searchResults = null;  // { query, results, total } while a search is shown
+        this.current = null;    // { summary, nodes, leafIds, leafId, path }
+        this.exporter = new ExportInterface();
+
+        this.exportFormats = ['markdown', 'json', 'html', 'pdf'];
+    }
+
+    async initialize() {
+        this.bindEvents();
+        await this.loadSessions();
+    }
+
+    bindEvents() {
+        document.getElementById('library-filter').addEventListener('input', () => this.renderSessions());
+        document.getElementById('library-platform').addEventListener('change', () => {
+            if (this.searchResults) this.runSearch();
+            this.loadSessions();
+        });
+        document.getElementById('library-more').addEventListener('click', () => this.loadSessions({ append: true }));
+
+        document.getElementById('library-search-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.runSearch();
+        });
+
+        document.getElementById('library-session-list').addEventListener('click', (e) => {
+            const item = e.target.closest('.library-session');
+            if (item) this.openSession(item.dataset.sessionId, item.dataset.turnId || null);
+        });
+
+        document.getElementById('library-detail').addEventListener('change', (e) => {
+            if (e.target.id === 'library-branch') this.showBranch(e.target.value);
+        });
+
+        document.getElementById('library-export').addEventListener('click', (e) => {
+            const button = e.target.closest('.library-export-btn');
+            if (button) this.exportCurrent(button.dataset.format);
+        });
+    }
+
+    // ══════════════════════════════════════════════
+    // DATA — via the background worker's archive
+    // ══════════════════════════════════════════════
+
+    sendRuntimeMessage(message) {
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage(message, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else if (response?.error) {
+                    reject(new Error(response.error));
+                } else {
+                    resolve(response || {});
+                }
+            });
+        });
+    }
+
+    async requestCaptured(message) {
+        const response = await this.sendRuntimeMessage({ action: 'get_captured_turns', ...message });
+        return response.turns || [];
+    }
+
+    async loadSessions({ append = false } = {}) {
+        const platform = document.getElementById('library-platform').value || null;
+        const offset = append ? this.sessions.length : 0;
+
+        try {
+            // One extra row tells us whether another page exists
+            const page = await this.requestCaptured({ offset, limit: this.pageSize + 1, platform });
+            const sessions = page.slice(0, this.pageSize);
+            this.hasMore = page.length > this.pageSize;
+            this.sessions = append ? [...this.sessions, ...sessions] : sessions;
+        } catch (error) {
+            console.error('❌ Failed to load captured sessions:', error);
+            this.renderMessage('library-session-list', `Failed to load sessions: ${error.message}`);
+            return;
+        }
+
+        this.renderSessions();
+    }
+
+    /**
+     * Search turns and thinking via the background index. An empty query
+     * goes back to the session list.
+     */
+    async runSearch() {
+        const query = document.getElementById('library-search').value.trim();
+        if (!query) {
+            this.searchResults = null;
+            this.renderSessions();
+            return;
+        }
+
+        try {
+            const { results = [], total = 0 } = await this.sendRuntimeMessage({
+                action: 'search_turns',
+                query,
+                platform: document.getElementById('library-platform').value || null,
+                role: document.getElementById('library-role').value || null,
+                from: document.getElementById('library-from').value || null,
+                to: document.getElementById('library-to').value || null,
+                limit: 50
+            });
+            this.searchResults = { query, results, total };
+        } catch (error) {
+            console.error('❌ Search failed:', error);
+            this.renderMessage('library-session-list', `Search failed: ${error.message}`);
+            return;
+        }
+
+        this.renderSessions();
+    }
+
+    /**
+     * Open a session on its latest branch — or, with `turnId`, on a branch
+     * through that turn, scrolled to it.
+     */
+    async openSession(sessionId, turnId = null) {
+        const summary = this.sessions.find(session => session.sessionId === sessionId) ||
+            this.searchResults?.results.find(result => result.sessionId === sessionId)?.session;
+        if (!summary) return;
+
+        try {
+            const turns = await this.requestCaptured({ sessionId });
+            const nodes = new Map(turns.map(turn => [turn.id, turn]));
+            const leafIds = turns.filter(turn => !turn.childIds || turn.childIds.length === 0).map(turn => turn.id);
+
+            this.current = { summary, nodes, leafIds, leafId: null, path: [] };
+
+            let leafId = nodes.has(summary.activeLeafId) ? summary.activeLeafId : leafIds[leafIds.length - 1];
+            if (turnId && nodes.has(turnId) && !this.getBranch(leafId).some(turn => turn.id === turnId)) {
+                leafId = this.findLeafBelow(turnId);
+            }
+            this.showBranch(leafId);
+
+            const hit = turnId && [...document.querySelectorAll('.library-turn')].find(el => el.dataset.turnId === turnId);
+            if (hit) {
+                hit.classList.add('library-turn-hit');
+                hit.scrollIntoView?.({ block: 'center' });
+            }
+        } catch (error) {
+            console.error(`❌ Failed to open session ${sessionId}:`, error);
+            this.renderMessage('library-detail', `Failed to open session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Turns from the root down to `leafId` — one edit/regeneration branch.
+     */
+    getBranch(leafId) {
+        const path = [];
+        let node = this.current.nodes.get(leafId);
+        while (node) {
+            path.unshift(node);
+            node = node.parentId ? this.current.nodes.get(node.parentId) : null;
+        }
+        return path;
+    }
+
+    /**
+     * Most recent leaf under a turn (following the newest child).
+     */
+    findLeafBelow(turnId) {
+        let node = this.current.nodes.get(turnId);
+        while (node.childIds && node.childIds.length > 0) {
+            node = this.current.nodes.get(node.childIds[node.childIds.length - 1]);
+        }
+        return node.id;
+    }
+
+    showBranch(leafId) {
+        this.current.leafId = leafId;
+        this.current.path = this.getBranch(leafId);
+        this.renderSessions();
+        this.renderDetail();
+    }
+
+    // ══════════════════════════════════════════════
+    // EXPORT — same generators as the in-page UI
+    // ══════════════════════════════════════════════
+
+    /**
+     * Shape a captured branch like an extractor's exportData.
+     */
+    buildExportData(summary, path) {
+        const messages = path.map(turn => ({
+            id: turn.id,
+            author: turn.role,
+            content: turn.content || '',
+            timestamp: turn.timestamp,
+            wordCount: turn.wordCount,
+            thinkingBlocks: (turn.thinking || []).map((block, i) => ({
+                id: block.id || `thinking_${i}`,
+                type: block.type || 'thinking',
+                summary: block.summary || '',
+                content: block.content || ''
+            }))
+        }));
+
+        return {
+            metadata: {
+                platform: summary.platform,
+                url: summary.conversationUrl,
+                title: this.getSessionTitle(summary, path),
+                exportDate: new Date().toISOString(),
+                exporterVersion: this.exporter.version,
+                source: 'turn-watcher',
+                sessionId: summary.sessionId,
+                capturedFrom: summary.startedAt,
+                capturedUntil: summary.lastUpdated,
+                branchLeafId: path.length > 0 ? path[path.length - 1].id : null,
+                totalWordCount: messages.reduce((sum, message) => sum + (message.wordCount || 0), 0)
+            },
+            messages,
+            thinkingBlocks: [],
+            rawHtml: { original: null, expanded: null }
+        };
+    }
+
+    async exportCurrent(format) {
+        if (!this.current || !this.exportFormats.includes(format)) return;
+
+        // Fresh copy each time: the generators normalize exportData in place
+        this.exporter.exportData = this.buildExportData(this.current.summary, this.current.path);
+        this.exporter.platformInfo = { platform: this.current.summary.platform };
+        await this.exporter.exportFormat(format);
+    }
+
+    // ══════════════════════════════════════════════
+    // RENDERING
+    // ══════════════════════════════════════════════
+
+    getSessionTitle(summary, path = []) {
+        const firstPrompt = path.find(turn => turn.role === 'user')?.content?.trim();
+        if (firstPrompt) {
+            const line = firstPrompt.split('\n')[0];
+            return line.length > 80 ? `${line.slice(0, 79)}…` : line;
+        }
+
+        try {
+            const url = new URL(summary.conversationUrl);
+            return `${url.hostname}${url.pathname}`;
+        } catch (error) {
+            return summary.sessionId;
+        }
+    }
+
+    formatDate(value) {
+        const date = new Date(value);
+        return Number.isFinite(date.getTime()) ? date.toLocaleString() : '—';
+    }
+
+    renderSessions() {
+        if (this.searchResults) {
+            this.renderSearchResults();
+            return;
+        }
+
+        const list = document.getElementById('library-session-list');
+        const filter = document.getElementById('library-filter').value.trim().toLowerCase();
+        const visible = this.sessions.filter(session =>
+            !filter || (session.conversationUrl || '').toLowerCase().includes(filter));
+
+        list.replaceChildren();
+        document.getElementById('library-more').hidden = !this.hasMore;
+
+        if (visible.length === 0) {
+            this.renderMessage('library-session-list', this.sessions.length === 0
+                ? 'No captured sessions yet. Conversations are captured as you chat on supported platforms.'
+                : 'No sessions match the filter.');
+            return;
+        }
+
+        visible.forEach(session => {
+            const item = this.createElement('button', 'library-session');
+            item.type = 'button';
+            item.dataset.sessionId = session.sessionId;
+            item.classList.toggle('active', this.current?.summary.sessionId === session.sessionId);
+
+            const branches = session.branchCount > 1 ? ` • ${session.branchCount} branches` : '';
+            item.append(
+                this.createElement('div', 'library-session-title', this.getSessionTitle(session,
+                    this.current?.summary.sessionId === session.sessionId ? this.current.path : [])),
+                this.createElement('div', 'library-session-meta',
+                    `${this.exporter.formatPlatformName(session.platform)} • ${session.turnCount} turns${branches}`),
+                this.createElement('div', 'library-session-meta',
+                    `${this.formatDate(session.startedAt)} → ${this.formatDate(session.lastUpdated)}`),
+                this.createElement('div', 'library-session-url', session.conversationUrl || '')
+            );
+            list.appendChild(item);
+        });
+    }
+
+    renderSearchResults() {
+        const list = document.getElementById('library-session-list');
+        const { query, results, total } = this.searchResults;
+
+        list.replaceChildren();
+        document.getElementById('library-more').hidden = true;
+
+        if (results.length === 0) {
+            this.renderMessage('library-session-list', `No turns match “${query}”.`);
+            return;
+        }
+
+        const shown = total > results.length ? `top ${results.length} of ${total}` : `${total}`;
+        list.appendChild(this.createElement('div', 'library-search-summary', `${shown} matching turns — clear the search box to browse`));
+
+        results.forEach(result => {
+            const item = this.createElement('button', 'library-session library-result');
+            item.type = 'button';
+            item.dataset.sessionId = result.sessionId;
+            item.dataset.turnId = result.turnId;
+
+            const where = result.field === 'thinking' ? ' (thinking)' : '';
+            item.append(
+                this.createElement('div', 'library-session-title', this.getSessionTitle(result.session || result)),
+                this.createElement('div', 'library-session-meta',
+                    `${this.exporter.formatPlatformName(result.platform)} • ${result.role}${where} • ${this.formatDate(result.timestamp)}`),
+                this.renderSnippet(result.snippet, result.highlights)
+            );
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Snippet text with <mark> around each [start, end) highlight.
+     */
+    renderSnippet(snippet, highlights = []) {
+        const element = this.createElement('div', 'library-result-snippet');
+        let cursor = 0;
+
+        highlights.forEach(([start, end]) => {
+            if (start > cursor) element.appendChild(document.createTextNode(snippet.slice(cursor, start)));
+            element.appendChild(this.createElement('mark', null, snippet.slice(start, end)));
+            cursor = end;
+        });
+        if (cursor < snippet.length) element.appendChild(document.createTextNode(snippet.slice(cursor)));
+
+        return element;
+    }
+
+    renderDetail() {
+        const { summary, path, leafIds, leafId } = this.current;
+        const detail = document.getElementById('library-detail');
+        detail.replaceChildren();
+
+        const header = this.createElement('div', 'library-detail-header');
+        header.appendChild(this.createElement('h2', null, this.getSessionTitle(summary, path)));
+
+        if (leafIds.length > 1) {
+            const select = this.createElement('select');
+            select.id = 'library-branch';
+            leafIds.forEach((id, i) => {
+                const latest = id === summary.activeLeafId ? ' (latest)' : '';
+                const option = this.createElement('option', null, `Branch ${i + 1} of ${leafIds.length}${latest}`);
+                option.value = id;
+                option.selected = id === leafId;
+                select.appendChild(option);
+            });
+            header.appendChild(select);
+        }
+        detail.appendChild(header);
+
+        const meta = this.createElement('div', 'library-session-meta',
+            `${this.exporter.formatPlatformName(summary.platform)} • ${path.length} turns on this branch • ` +
+            `captured ${this.formatDate(summary.startedAt)} → ${this.formatDate(summary.lastUpdated)}`);
+        detail.appendChild(meta);
+
+        if (/^https?:\/\//.test(summary.conversationUrl || '')) {
+            const link = this.createElement('a', 'library-session-url', summary.conversationUrl);
+            link.href = summary.conversationUrl;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            detail.appendChild(link);
+        }
+
+        path.forEach(turn => detail.appendChild(this.renderTurn(turn)));
+        document.getElementById('library-export').hidden = false;
+    }
+
+    renderTurn(turn) {
+        const role = turn.role === 'user' ? 'user' : 'assistant';
+        const element = this.createElement('article', `library-turn ${role}`);
+        element.dataset.turnId = turn.id;
+        const label = role === 'user' ? 'User' : this.exporter.formatPlatformName(turn.platform || this.current.summary.platform);
+        element.appendChild(this.createElement('div', 'library-turn-role', `${label} • ${this.formatDate(turn.timestamp)}`));
+
+        (turn.thinking || []).forEach(block => {
+            const details = this.createElement('details', 'library-thinking');
+            details.append(
+                this.createElement('summary', null, `💭 ${block.summary || 'Thinking'}`),
+                this.createElement('div', null, block.content || '')
+            );
+            element.appendChild(details);
+        });
+
+        element.appendChild(this.createElement('div', 'library-turn-content', turn.content || ''));
+        return element;
+    }
+
+    renderMessage(containerId, text) {
+        const container = document.getElementById(containerId);
+        container.replaceChildren(this.createElement('div', 'library-empty', text));
+    }
+
+    createElement(tag, className = null, text = null) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== null) element.textContent = text;
+        return element;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.sessionLibrary = new SessionLibrary();
+    window.sessionLibrary.initialize();
+});
+
+window.SessionLibrary = SessionLibrary;
@@ -6,4 +6,24 @@ document.getElementById('anonymize-toggle').addEventListener('change', (e) => {
 // Load current value
 chrome.storage.sync.get('anonymizeAnalytics', (result) => {
     document.getElementById('anonymize-toggle').checked = result.anonymizeAnalytics !== false;
-});
\ No newline at end of file
+});
+// Receiver token stays on this device (local, not sync storage)
+const receiverTokenInput = document.getElementById('receiver-token');
+
+receiverTokenInput.addEventListener('change', (e) => {
+    const token = e.target.value.trim();
+    if (token) {
+        chrome.storage.local.set({ receiverToken: token });
+    } else {
+        chrome.storage.local.remove('receiverToken');
+    }
+});
+
+chrome.storage.local.get('receiverToken', (result) => {
+    receiverTokenInput.value = result.receiverToken || '';
+});
+
+// Captured-session library (the extension's options page)
+document.getElementById('open-library').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+});
@@ -11,6 +11,7 @@ class ExportInterface {
         this.exportData = null;
         this.platformInfo = null;
         this.filenameManuallyEdited = false;
+        this.bulkExporter = null;
         
         this.formats = {
             'pdf': {
@@ -69,6 +70,13 @@ class ExportInterface {
                 premium: false,
                 clientSide: true
             },
+            'epub': {
+                name: 'EPUB',
+                icon: '📖',
+                description: 'E-book with a chapter per exchange',
+                premium: false,
+                clientSide: true
+            },
             'txt': {
                 name: 'Text',
                 icon: '📄',
@@ -82,6 +90,107 @@ class ExportInterface {
                 description: 'Complete research package',
                 premium: true,
                 clientSide: true
+            },
+            'openai': {
+                name: 'OpenAI JSONL',
+                icon: '🎯',
+                description: 'Chat fine-tuning dataset',
+                premium: false,
+                clientSide: true
+            },
+            'anthropic': {
+                name: 'Anthropic Messages',
+                icon: '🧾',
+                description: 'Messages API dataset',
+                premium: false,
+                clientSide: true
+            },
+            'sharegpt': {
+                name: 'ShareGPT',
+                icon: '🗣️',
+                description: 'ShareGPT conversations dataset',
+                premium: false,
+                clientSide: true
+            },
+            'obsidian': {
+                name: 'Obsidian Vault',
+                icon: '🗃️',
+                description: 'Notes with frontmatter and wikilinks (.zip)',
+                premium: false,
+                clientSide: true
+            },
+            'latex': {
+                name: 'LaTeX',
+                icon: '🎓',
+                description: '.tex paper draft with BibTeX (.zip)',
+                premium: false,
+                clientSide: true
+            },
+            'ipynb': {
+                name: 'Jupyter Notebook',
+                icon: '📓',
+                description: 'Code cells with tool outputs (.ipynb)',
+                premium: false,
+                clientSide: true
+            },
+            'project': {
+                name: 'Code Project',
+                icon: '🗂️',
+                description: 'Latest version of each file written (.zip)',
+                premium: false,
+                clientSide: true
+            },
+            'patch': {
+                name: 'Patch',
+                icon: '🩹',
+                description: 'File edits as a unified diff for git apply',
+                premium: false,
+                clientSide: true
+            },
+            'bibtex': {
+                name: 'BibTeX',
+                icon: '📚',
+                description: 'Cited sources as .bib references',
+                premium: false,
+                clientSide: true
+            },
+            'ris': {
+                name: 'RIS',
+                icon: '🔖',
+                description: 'Sources for Zotero, Mendeley and EndNote',
+                premium: false,
+                clientSide: true
+            },
+            'csljson': {
+                name: 'CSL-JSON',
+                icon: '📎',
+                description: 'Citation Style Language items',
+                premium: false,
+                clientSide: true
+            },
+            'visualpdf': {
+                name: 'Screenshot PDF',
+                icon: '📸',
+                description: 'Each turn as it looks on the page',
+                premium: false,
+                clientSide: true,
+                live: true
+            },
+            'visualpng': {
+                name: 'Screenshot PNG',
+                icon: '🖼️',
+                description: 'The whole conversation as one long image',
+                premium: false,
+                clientSide: true,
+                live: true
+            },
+            'bundle': {
+                name: 'Bundle (.zip)',
+                icon: '🗜️',
+                description: 'Every format in one archive',
+                premium: false,
+                clientSide: true,
+                composite: true
             }
         };
         
@@ -214,6 +323,70 @@ class ExportInterface {
                             <label for="pdf-font-scale">Font Scale</label>
                             <input type="range" id="pdf-font-scale" min="0.8" max="1.4" step="0.1" value="1.0" />
                         </div>
+                        <label class="uae-checkbox" for="pdf-contents">
+                            <input type="checkbox" id="pdf-contents" checked>
+                            <span class="checkmark"></span>
+                            Table of contents page
+                        </label>
+                    </div>
+
+                    <div class="uae-docx-settings">
+                        <div class="uae-section-title">DOCX Options</div>
+                        <label class="uae-checkbox" for="docx-contents">
+                            <input type="checkbox" id="docx-contents" checked>
+                            <span class="checkmark"></span>
+                            Table of contents field
+                        </label>
+                        <label class="uae-checkbox" for="docx-thinking-comments">
+                            <input type="checkbox" id="docx-thinking-comments">
+                            <span class="checkmark"></span>
+                            Thinking as Word comments
+                        </label>
+                    </div>
+
+                    <div class="uae-epub-settings">
+                        <div class="uae-section-title">EPUB Options</div>
+                        <div class="uae-range-item">
+                            <label for="epub-chapters">Chapters</label>
+                            <select id="epub-chapters">
+                                <option value="exchange" selected>One per exchange</option>
+                                <option value="turn">One per turn</option>
+                            </select>
+                        </div>
+                    </div>
+
+                    <div class="uae-dataset-settings">
+                        <div class="uae-section-title">Dataset Options</div>
+                        <div class="uae-filename-group">
+                            <label for="dataset-system-prompt">System Prompt</label>
+                            <input type="text" id="dataset-system-prompt" placeholder="Optional system message for every sample" aria-label="Dataset system prompt" />
+                        </div>
+                        <div class="uae-option-group">
+                            <label class="uae-checkbox" for="dataset-reasoning">
+                                <input type="checkbox" id="dataset-reasoning" checked>
+                                <span class="checkmark"></span>
+                                Thinking blocks as reasoning fields
+                            </label>
+                            <label class="uae-checkbox" for="dataset-split-turns">
+                                <input type="checkbox" id="dataset-split-turns">
+                                <span class="checkmark"></span>
+                                One sample per assistant turn
+                            </label>
+                            <label class="uae-checkbox" for="dataset-token-estimate">
+                                <input type="checkbox" id="dataset-token-estimate" checked>
+                                <span class="checkmark"></span>
+                                Add token estimate to each sample
+                            </label>
+                        </div>
+                    </div>
+
+                    <div class="uae-obsidian-settings">
+                        <div class="uae-section-title">Obsidian Options</div>
+                        <label class="uae-checkbox" for="obsidian-thinking-notes">
+                            <input type="checkbox" id="obsidian-thinking-notes" checked>
+                            <span class="checkmark"></span>
+                            Long thinking blocks as linked notes
+                        </label>
                     </div>
                 </div>
                 
@@ -231,6 +404,22 @@ class ExportInterface {
                         📦 Export All Formats
                     </button>
                 </div>
+
+                <div class="uae-bulk" id="uae-bulk">
+                    <div class="uae-section-title">Bulk Export</div>
+                    <label class="uae-checkbox" for="bulk-skip-exported">
+                        <input type="checkbox" id="bulk-skip-exported" checked>
+                        <span class="checkmark"></span>
+                        Skip already-exported conversations
+                    </label>
+                    <div class="uae-bulk-summary" id="uae-bulk-summary">Exports every conversation in the sidebar into one archive</div>
+                    <div class="uae-bulk-actions">
+                        <button class="uae-btn uae-btn-secondary" id="bulk-start-btn" aria-label="Export every sidebar conversation">🗂️ Export Sidebar</button>
+                        <button class="uae-btn uae-btn-secondary" id="bulk-pause-btn" aria-label="Pause bulk export" hidden>⏸ Pause</button>
+                        <button class="uae-btn uae-btn-secondary" id="bulk-resume-btn" aria-label="Resume bulk export" hidden>▶ Resume</button>
+                        <button class="uae-btn uae-btn-secondary" id="bulk-finish-btn" aria-label="Finish and download the archive" hidden>⏹ Finish</button>
+                    </div>
+                </div>
                 
                 <div class="uae-results" id="uae-results" style="display: none;">
                     <h4>📊 Research Mode</h4>
@@ -252,6 +441,9 @@ class ExportInterface {
         
         document.body.appendChild(this.ui);
         this.updateScopeControls();
+        if (this.bulkExporter) {
+            this.updateBulkProgress(this.bulkExporter.getProgress());
+        }
     }
     
     createFormatButtons() {
@@ -300,6 +492,22 @@ class ExportInterface {
             if (e.target.id === 'export-all-btn') {
                 this.exportAllFormats();
             }
+
+            if (e.target.id === 'bulk-start-btn') {
+                this.startBulkExport();
+            }
+
+            if (e.target.id === 'bulk-pause-btn') {
+                this.bulkExporter?.pause();
+            }
+
+            if (e.target.id === 'bulk-resume-btn') {
+                this.bulkExporter?.resume();
+            }
+
+            if (e.target.id === 'bulk-finish-btn') {
+                this.bulkExporter?.finish();
+            }
             
             const formatButton = e.target.closest?.('.uae-format-btn');
             if (formatButton) {
@@ -383,7 +591,7 @@ class ExportInterface {
             }
             this.normalizeAndValidateExportData();
             
-            const formats = Object.keys(this.formats);
+            const formats = this.getSingleFormats();
             for (let i = 0; i < formats.length; i++) {
                 const format = formats[i];
                 this.updateStatus(`Generating ${format.toUpperCase()}... (${i + 1}/${formats.length})`, 
@@ -405,6 +613,83 @@ class ExportInterface {
         }
     }
     
+    /**
+     * Export every conversation in the platform sidebar into one archive.
+     * Each conversation goes through generateJSON with the current options.
+     */
+    async startBulkExport() {
+        if (typeof BulkExporter === 'undefined') {
+            this.showError('Bulk export is not available on this page');
+            return;
+        }
+        if (this.bulkExporter && ['running', 'paused'].includes(this.bulkExporter.status)) {
+            return;
+        }
+
+        const options = this.getExportOptions();
+        this.bulkExporter = new BulkExporter({
+            platformInfo: this.platformInfo,
+            serialize: (data) => this.serializeBulkConversation(data, options),
+            download: (content, filename, mimeType) => this.downloadFile(content, filename, mimeType),
+            onProgress: (progress) => this.updateBulkProgress(progress)
+        });
+
+        try {
+            await this.bulkExporter.start({
+                skipExported: document.getElementById('bulk-skip-exported')?.checked ?? true
+            });
+        } catch (error) {
+            console.error('❌ Sidebar export failed:', error);
+            this.showError('Sidebar export failed: ' + error.message);
+        } finally {
+            // The page now shows another conversation than the one analyzed
+            this.exportData = null;
+        }
+    }
+
+    serializeBulkConversation(data, options) {
+        const previous = this.exportData;
+        try {
+            this.exportData = data;
+            this.normalizeAndValidateExportData();
+            return JSON.parse(this.generateJSON({ ...options, scope: 'all' }));
+        } finally {
+            this.exportData = previous;
+        }
+    }
+
+    updateBulkProgress(progress) {
+        const queued = progress.total - progress.skipped;
+        const processed = progress.done + progress.failed;
+        const percent = queued > 0 ? Math.round((processed / queued) * 100) : 100;
+
+        const labels = {
+            running: progress.current ? `Exporting "${progress.current.title}"` : 'Exporting',
+            paused: 'Paused',
+            done: 'Archive downloaded',
+            cancelled: 'Cancelled'
+        };
+        const label = progress.status === 'done' && progress.done === 0
+            ? 'Nothing new to export'
+            : labels[progress.status] || 'Ready';
+        this.updateStatus(`Bulk export ${processed}/${queued}: ${label}`, percent);
+
+        const summary = document.getElementById('uae-bulk-summary');
+        if (summary) {
+            summary.textContent = `${progress.done} exported • ${progress.skipped} skipped • ${progress.failed} failed • ${progress.pending} left`;
+        }
+
+        const active = progress.status === 'running' || progress.status === 'paused';
+        const toggle = (id, visible) => {
+            const button = document.getElementById(id);
+            if (button) button.hidden = !visible;
+        };
+        toggle('bulk-start-btn', !active);
+        toggle('bulk-pause-btn', progress.status === 'running');
+        toggle('bulk-resume-btn', progress.status === 'paused');
+        toggle('bulk-finish-btn', active);
+    }
+
     async generateFormat(format) {
         this.normalizeAndValidateExportData();
         const options = this.getExportOptions();
@@ -425,16 +710,121 @@ class ExportInterface {
             case 'csv':
                 return this.generateCSV(options);
             case 'html':
+                await this.loadKatexStyles();
                 return this.generateHTML(options);
+            case 'epub':
+                return await this.generateEPUB(options);
             case 'txt':
                 return this.generateText(options);
             case 'research':
                 return this.generateResearchArchive(options);
+            case 'openai':
+                return this.generateOpenAIDataset(options);
+            case 'anthropic':
+                return this.generateAnthropicDataset(options);
+            case 'sharegpt':
+                return this.generateShareGPTDataset(options);
+            case 'obsidian':
+                return await this.generateObsidianVault(options);
+            case 'latex':
+                return await this.generateLatex(options);
+            case 'ipynb':
+                return this.generateNotebook(options);
+            case 'project':
+                return await this.generateCodeProject(options);
+            case 'patch':
+                return this.generatePatch(options);
+            case 'bibtex':
+                return this.generateBibtex(options);
+            case 'ris':
+                return this.generateRis(options);
+            case 'csljson':
+                return this.generateCslJson(options);
+            case 'visualpdf':
+                return await this.generateVisual(options, 'pdf');
+            case 'visualpng':
+                return await this.generateVisual(options, 'png');
+            case 'bundle':
+                return await this.generateBundle(options);
             default:
                 throw new Error(`Unknown format: ${format}`);
         }
     }
 
+    /**
+     * Formats produced by a single generator from the extracted data
+     * (everything except bundles and screenshots, which drive the live page).
+     */
+    getSingleFormats() {
+        return Object.keys(this.formats).filter((format) => !this.formats[format].composite && !this.formats[format].live);
+    }
+
+    /**
+     * One .zip holding every generator's output, the raw HTML snapshots when
+     * includeHtml is on, and manifest.json with the SHA-256 of each entry.
+     * A generator that fails is listed under `skipped` instead of aborting.
+     */
+    async generateBundle(options) {
+        if (typeof ZipWriter === 'undefined') {
+            throw new Error('Zip writer not available');
+        }
+
+        const zip = new ZipWriter();
+        const entries = [];
+        const skipped = [];
+        const addEntry = async (name, content, mimeType, source) => {
+            const bytes = await ZipWriter.toBytes(content);
+            zip.addFile(name, bytes);
+            entries.push({ name, source, mimeType, bytes: bytes.length, sha256: await this.sha256ForBytes(bytes) });
+        };
+
+        const formats = this.getSingleFormats();
+        for (let i = 0; i < formats.length; i++) {
+            const format = formats[i];
+            this.updateStatus(`Bundling ${format.toUpperCase()}... (${i + 1}/${formats.length})`, (i / formats.length) * 90);
+            try {
+                const content = await this.generateFormat(format);
+                let name = this.getFilename(format);
+                let mimeType = this.getMimeType(format);
+                // generatePDF falls back to HTML when jsPDF fails
+                if (format === 'pdf' && content?.type === 'text/html') {
+                    name = `${name}.html`;
+                    mimeType = 'text/html';
+                }
+                await addEntry(name, content, mimeType, format);
+            } catch (error) {
+                console.warn(`⚠️ Bundle skipped ${format}:`, error.message);
+                skipped.push({ source: format, error: error.message });
+            }
+        }
+
+        const rawHtml = this.getPreparedExportData(options).rawHtml;
+        if (options.includeHtml && rawHtml) {
+            for (const state of ['original', 'expanded']) {
+                if (rawHtml[state]) {
+                    await addEntry(`raw/${state}.html`, rawHtml[state], 'text/html', `rawHtml.${state}`);
+                }
+            }
+        }
+
+        const manifest = {
+            schemaVersion: '1.0',
+            generatedAt: new Date().toISOString(),
+            exporterVersion: this.version,
+            entries,
+            skipped,
+            context: {
+                platform: this.exportData?.metadata?.platform || this.platformInfo?.platform || 'unknown',
+                scope: options.scope || 'all',
+                includeHtml: !!options.includeHtml
+            }
+        };
+        zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+
+        this.updateStatus('Compressing bundle...', 95);
+        return zip.generate();
+    }
+
     updateScopeControls() {
         const scope = document.getElementById('export-scope')?.value || 'all';
         const rangeGroup = document.getElementById('uae-range-group');
@@ -611,6 +1001,35 @@ class ExportInterface {
         if (normalized === 'user') return 'User';
         return this.getAssistantLabel(sourceData);
     }
+
+    /**
+     * Split message text into text and math segments using the message's
+     * math index; each `$…$` / `$$…$$` source found in order becomes
+     * `{ type: 'math', latex, display, expression }`.
+     */
+    getMessageSegments(message, text = message?.content || '') {
+        const segments = [];
+        let cursor = 0;
+        (Array.isArray(message?.math) ? message.math : []).forEach((expression) => {
+            const source = expression.display ? `$$${expression.latex}$$` : `$${expression.latex}$`;
+            const at = text.indexOf(source, cursor);
+            if (at < 0) return;
+            if (at > cursor) segments.push({ type: 'text', value: text.slice(cursor, at) });
+            segments.push({ type: 'math', latex: expression.latex, display: !!expression.display, expression });
+            cursor = at + source.length;
+        });
+        if (cursor < text.length) segments.push({ type: 'text', value: text.slice(cursor) });
+        return segments;
+    }
+
+    /**
+     * Message body for text formats: the structure-preserving `markdown`
+     * when the extractor produced it, the flattened `content` otherwise.
+     */
+    getMessageText(message) {
+        const markdown = typeof message?.markdown === 'string' ? message.markdown.trim() : '';
+        return markdown || message?.content || '';
+    }
     
     async generatePDF(options) {
         try {
@@ -618,110 +1037,81 @@ class ExportInterface {
             if (!window.jspdf || !window.jspdf.jsPDF) {
                 throw new Error('PDF library not available');
             }
-            
+            if (typeof PdfLayout === 'undefined') {
+                throw new Error('PDF layout not available');
+            }
+
             const { jsPDF } = window.jspdf;
             const scoped = this.getPreparedExportData(options);
+            const metadata = scoped.metadata || {};
             const doc = new jsPDF({
                 orientation: options.pdfOrientation || 'portrait',
                 format: options.pdfPageSize || 'a4'
             });
             const scale = Math.max(0.8, Math.min(1.4, Number(options.pdfFontScale || 1)));
-            const lineWidth = options.pdfOrientation === 'landscape' ? 245 : 170;
-            
+
             // Add metadata
             doc.setProperties({
-                title: `AI Conversation - ${scoped.metadata.platform}`,
+                title: metadata.title || `AI Conversation - ${metadata.platform}`,
                 creator: 'Universal AI Exporter',
                 subject: 'AI Conversation Export'
             });
-            
-            // Header
-            doc.setFontSize(Math.round(16 * scale));
-            doc.text('AI Conversation Export', 20, 20);
-            
-            // Metadata section
-            doc.setFontSize(Math.round(12 * scale));
-            doc.text(`Platform: ${scoped.metadata.platform}`, 20, 40);
-            doc.text(`Date: ${scoped.metadata.exportDate}`, 20, 50);
-            doc.text(`Messages: ${scoped.metadata.messageCount}`, 20, 60);
-            
-            if (options.includeThinking && scoped.metadata.thinkingBlockCount > 0) {
-                doc.text(`Thinking Blocks: ${scoped.metadata.thinkingBlockCount}`, 20, 70);
-            }
-            
-            let yPosition = 90;
+
             let pageCount = 1;
-            
-            // Process messages in chunks to avoid memory issues
-            const batchSize = 10;
-            for (let i = 0; i < scoped.messages.length; i += batchSize) {
-                const batch = scoped.messages.slice(i, i + batchSize);
-                
-                for (const message of batch) {
-                    // Check if we need a new page
-                    if (yPosition > 250) {
-                        doc.addPage();
-                        yPosition = 20;
-                        pageCount++;
-                        
-                        // Progress update for large PDFs
-                        if (pageCount % 5 === 0) {
-                            const progress = Math.min(85, 40 + (i / scoped.messages.length) * 40);
-                            this.updateStatus(`Generating PDF... page ${pageCount}`, progress);
-                            await new Promise(resolve => setTimeout(resolve, 10)); // Allow UI update
-                        }
-                    }
-                    
-                    // Message header
-                    doc.setFontSize(Math.round(10 * scale));
-                    doc.setFont(undefined, 'bold');
-                    doc.text(`${this.getAuthorLabel(message.author, scoped).toUpperCase()}:`, 20, yPosition);
-                    
-                    // Message content
-                    doc.setFont(undefined, 'normal');
-                    const lines = doc.splitTextToSize(message.content, lineWidth);
-                    doc.text(lines, 20, yPosition + 10);
-                    
-                    yPosition += 10 + (lines.length * 5) + 10;
-                    
-                    // Thinking blocks if enabled
-                    if (options.includeThinking && message.thinkingBlocks) {
-                        for (const thinking of message.thinkingBlocks) {
-                            if (yPosition > 240) {
-                                doc.addPage();
-                                yPosition = 20;
-                                pageCount++;
-                            }
-                            
-                            doc.setFontSize(Math.round(8 * scale));
-                            doc.setFont(undefined, 'italic');
-                            doc.text('💭 THINKING:', 25, yPosition);
-                            
-                            const thinkingLines = doc.splitTextToSize(thinking.content, lineWidth - 5);
-                            doc.text(thinkingLines, 25, yPosition + 8);
-                            
-                            yPosition += 8 + (thinkingLines.length * 4) + 5;
-                        }
-                    }
-                }
-                
-                // Small delay between batches to prevent blocking
-                if (i + batchSize < scoped.messages.length) {
-                    await new Promise(resolve => setTimeout(resolve, 50));
+            const layout = new PdfLayout(doc, {
+                scale,
+                fonts: await this.loadPdfFonts(),
+                onPage: (page) => { pageCount = page; }
+            });
+
+            // Header and metadata section
+            layout.text([{ text: metadata.title || 'AI Conversation Export', bold: true }], { size: 18, color: PdfLayout.COLORS.heading, gap: 2 });
+            const facts = [
+                `Platform: ${this.getAssistantLabel(scoped)}`,
+                `Date: ${metadata.exportDate}`,
+                `Messages: ${metadata.messageCount}`
+            ];
+            if (options.includeThinking && metadata.thinkingBlockCount > 0) {
+                facts.push(`Blocks: ${metadata.thinkingBlockCount} (${this.formatBlockBreakdown(scoped)})`);
+            }
+            layout.text([{ text: facts.join('\n'), color: PdfLayout.COLORS.muted }], { size: 9 });
+            if (metadata.url) {
+                layout.text([{ text: metadata.url, link: metadata.url }], { size: 9 });
+            }
+            layout.rule();
+
+            const outline = this.collectPdfOutline(scoped, options);
+            const rowCount = outline.reduce((count, entry) => count + 1 + entry.children.length, 0);
+            const contents = options.pdfContents && outline.length > 1 ? layout.reserveContents('Contents', rowCount) : null;
+
+            for (let i = 0; i < scoped.messages.length; i++) {
+                this.renderPdfMessage(layout, scoped.messages[i], scoped, options, outline[i]);
+
+                // Let the UI breathe between batches on long conversations
+                if ((i + 1) % 10 === 0 && i + 1 < scoped.messages.length) {
+                    const progress = Math.min(85, 40 + (i / scoped.messages.length) * 40);
+                    this.updateStatus(`Generating PDF... page ${pageCount}`, progress);
+                    await new Promise(resolve => setTimeout(resolve, 10));
                 }
             }
-            
-            // Footer with page numbers
-            const totalPages = doc.internal.getNumberOfPages();
-            for (let i = 1; i <= totalPages; i++) {
-                doc.setPage(i);
-                doc.setFontSize(8);
-                doc.text(`Page ${i} of ${totalPages}`, doc.internal.pageSize.width - 40, doc.internal.pageSize.height - 10);
+
+            const linkIndex = this.renderPdfLinkIndex(layout, scoped);
+            if (contents) {
+                layout.contents(contents, outline.flatMap((entry) => [
+                    { ...entry, depth: 0 },
+                    ...entry.children.map((child) => ({ ...child, depth: 1 }))
+                ]));
             }
-            
-            console.log(`✅ PDF generated successfully: ${pageCount} pages, ${scoped.messages.length} messages`);
+            layout.outline([
+                ...(contents ? [{ title: 'Contents', page: contents.page }] : []),
+                ...outline,
+                ...(linkIndex ? [linkIndex] : [])
+            ]);
+            layout.pageNumbers();
+
+            console.log(`✅ PDF generated successfully: ${doc.internal.getNumberOfPages()} pages, ${scoped.messages.length} messages`);
             return doc.output('blob');
-            
+
         } catch (error) {
             console.error('💥 PDF generation failed:', error);
             
@@ -745,78 +1135,444 @@ class ExportInterface {
         }
     }
 
-    async generateDOCX(options) {
-        if (!window.docx) {
-            throw new Error('DOCX library not available');
+    /**
+     * First line of prose in `text` with Markdown syntax and code fences
+     * stripped, cut at 70 characters: a title for outlines and contents.
+     */
+    getOutlineExcerpt(text) {
+        const line = String(text || '')
+            .replace(/```[\s\S]*?(```|$)/g, ' ')
+            .split('\n')
+            .map((value) => value.replace(/\]\([^)]*\)/g, ']').replace(/[#>*_`~|[\]]/g, '').replace(/\s+/g, ' ').trim())
+            .find(Boolean) || '';
+        return line.length > 70 ? `${line.slice(0, 69).trimEnd()}…` : line;
+    }
+
+    /**
+     * Bookmarks for the PDF: one entry per turn, titled with its opening
+     * words, and with includeThinking one child per block.
+     * `renderPdfMessage` fills in where each lands.
+     */
+    collectPdfOutline(scoped, options) {
+        return scoped.messages.map((message, index) => {
+            const words = this.getOutlineExcerpt(this.getMessageText(message));
+            const blocks = options.includeThinking && Array.isArray(message.thinkingBlocks) ? message.thinkingBlocks : [];
+            return {
+                title: `${index + 1}. ${this.getAuthorLabel(message.author, scoped)}${words ? `: ${words}` : ''}`,
+                children: blocks.map((block) => {
+                    const summary = this.getOutlineExcerpt(block.summary);
+                    return { title: `${this.getBlockLabel(block.type || 'thinking')}${summary ? `: ${summary}` : ''}` };
+                })
+            };
+        });
+    }
+
+    /**
+     * One turn: the author in its role colour, blocks as callouts (with
+     * includeThinking) in the order the HTML export shows them, the
+     * Markdown body, then the message's sources as links. Positions go into
+     * `entry`, the turn's outline entry.
+     */
+    renderPdfMessage(layout, message, scoped, options, entry = { children: [] }) {
+        const color = (message.author || '').toLowerCase() === 'user' ? '#007bff' : '#28a745';
+        layout.space(3);
+        layout.ensure(layout.lineHeight(11 * layout.scale) * 3);
+        Object.assign(entry, layout.position());
+        layout.openFrame({ bar: color, barWidth: 1.2, padding: 2.5 });
+        layout.text([{ text: this.getAuthorLabel(message.author, scoped), bold: true, color }], { size: 11 });
+        layout.closeFrame();
+        layout.space(2);
+
+        if (options.includeThinking && Array.isArray(message.thinkingBlocks)) {
+            message.thinkingBlocks.forEach((block, index) => {
+                const type = block.type || 'thinking';
+                const anchor = layout.callout(this.getBlockLabel(type), type, () => this.renderPdfBlockBody(layout, block));
+                if (entry.children[index]) Object.assign(entry.children[index], anchor);
+            });
         }
 
-        const scoped = this.getPreparedExportData(options);
-        const { Document, Packer, Paragraph, TextRun, HeadingLevel } = window.docx;
-        const children = [];
-
-        children.push(
-            new Paragraph({
-                heading: HeadingLevel.HEADING_1,
-                children: [new TextRun('AI Conversation Export')]
-            }),
-            new Paragraph(`Platform: ${scoped.metadata.platform}`),
-            new Paragraph(`Date: ${scoped.metadata.exportDate}`),
-            new Paragraph(`Messages: ${scoped.metadata.messageCount}`),
-            new Paragraph('')
-        );
+        layout.markdown(this.getMessageText(message));
 
-        scoped.messages.forEach((message) => {
-            children.push(
-                new Paragraph({
-                    heading: HeadingLevel.HEADING_2,
-                    children: [new TextRun(this.getAuthorLabel(message.author, scoped).toUpperCase())]
-                }),
-                new Paragraph(message.content || '')
-            );
+        const sources = this.getMessageSources(message);
+        if (sources.length > 0) {
+            layout.paragraph([{ text: 'Sources: ', bold: true }, ...sources.flatMap((source, i) => [
+                { text: i === 0 ? '' : ' · ' },
+                { text: source.label, link: source.url }
+            ])], { size: 8.5, color: PdfLayout.COLORS.muted });
+        }
+    }
 
-            if (options.includeThinking && Array.isArray(message.thinkingBlocks)) {
-                message.thinkingBlocks.forEach((block) => {
-                    children.push(
-                        new Paragraph({
-                            children: [
-                                new TextRun({ text: `[${(block.type || 'thinking').toUpperCase()}] `, bold: true }),
-                                new TextRun(block.content || '')
-                            ]
-                        })
-                    );
-                });
-            }
+    /**
+     * A message's citations and Perplexity sources, one per normalized
+     * URL, labelled by their title or, for bare citation chips, the host.
+     */
+    getMessageSources(message) {
+        const refs = this.normalizeReferenceSet(message.references);
+        return this.dedupeBySignature([
+            ...refs.citations.map((item) => ({ url: item.url, title: item.text })),
+            ...(message.perplexity?.sources || []).map((item) => ({ url: item.url, title: item.title }))
+        ], (item) => this.normalizeReferenceUrl(item.url)).map((source) => ({
+            ...source,
+            label: this.isCitationLabel(source.title, source.url) ? new URL(source.url).hostname.replace(/^www\./, '') : source.title
+        }));
+    }
 
-            children.push(new Paragraph(''));
+    /**
+     * A closing index of every external URL the PDF cites — inline links,
+     * search results and message sources, then the rest of the reference
+     * index — numbered in order of first appearance, each with the pages
+     * citing it as internal links. Returns its outline entry, or null when
+     * nothing is cited.
+     */
+    renderPdfLinkIndex(layout, scoped) {
+        const own = this.normalizeReferenceUrl(scoped.metadata?.url);
+        const bibliography = new Map(this.collectBibliography(scoped).map((entry) => [entry.normalizedUrl, entry]));
+        const cited = new Map();
+        const cite = (url, places) => {
+            const normalizedUrl = this.normalizeReferenceUrl(url);
+            if (!normalizedUrl || normalizedUrl === own) return;
+            if (!cited.has(normalizedUrl)) cited.set(normalizedUrl, { url, places: [] });
+            const item = cited.get(normalizedUrl);
+            places.forEach((place) => {
+                if (!item.places.some((known) => known.page === place.page)) item.places.push(place);
+            });
+        };
+        layout.links.forEach((places, url) => cite(url, places));
+        bibliography.forEach((entry) => cite(entry.url, []));
+        if (cited.size === 0) return null;
+
+        layout.newPage();
+        const anchor = layout.position();
+        layout.heading([{ text: 'Cited URLs' }], 1);
+        let number = 0;
+        cited.forEach((item, normalizedUrl) => {
+            number++;
+            const title = bibliography.get(normalizedUrl)?.title || new URL(normalizedUrl).hostname.replace(/^www\./, '');
+            const places = item.places.sort((a, b) => a.page - b.page || a.top - b.top);
+            const pages = places.flatMap((place, i) => [{ text: i === 0 ? '' : ', ' }, { text: String(place.page), target: place }]);
+            layout.paragraph([
+                { text: `[${number}] `, bold: true },
+                { text: title, link: item.url },
+                { text: `\n${normalizedUrl}`, color: PdfLayout.COLORS.muted },
+                ...(places.length > 0 ? [{ text: `\n${places.length === 1 ? 'Page' : 'Pages'} `, color: PdfLayout.COLORS.muted }, ...pages] : [])
+            ], { size: 9, gap: 1.5 });
         });
+        return { title: 'Cited URLs', ...anchor };
+    }
 
-        const doc = new Document({
-            sections: [{ children }]
-        });
+    renderPdfBlockBody(layout, block) {
+        const type = block.type || 'thinking';
+        const data = block.structuredData;
 
-        return Packer.toBlob(doc);
+        if (type === 'web_search' && data?.results?.length > 0) {
+            (data.queries || []).forEach((query) => layout.paragraph([{ text: `Searched: "${query}"`, bold: true }], { gap: 1.5 }));
+            data.results.forEach((result) => {
+                const url = result.url || '';
+                const domain = url.replace(/^https?:\/\//, '').replace(/\/.*$/, '') || result.domain || '';
+                layout.paragraph([
+                    { text: result.title, bold: true, link: url.startsWith('http') ? url : undefined },
+                    { text: `\n${domain}`, color: '#006621' }
+                ], { size: 9, gap: 1.5 });
+            });
+        } else if (type === 'tool_call' && (data?.commands?.length > 0 || data?.outputs?.length > 0)) {
+            if (data.description) layout.monoLines([{ text: `# ${data.description}`, color: '#a6e3a1' }]);
+            data.commands.forEach((command) => {
+                layout.monoLines(command.split('\n').map((text, i) => ({ text: `${i === 0 ? '$ ' : '  '}${text}`, color: '#89b4fa' })));
+            });
+            (data.outputs || []).forEach((output) => {
+                layout.space(1);
+                layout.monoLines(output.split('\n').map((text) => ({ text, color: '#9399b2' })));
+            });
+        } else if (type === 'file_edit' && data?.files?.length > 0) {
+            data.files.forEach((file) => {
+                layout.paragraph([
+                    { text: file.path || 'unnamed file', bold: true },
+                    { text: `  +${file.added} -${file.removed}`, color: PdfLayout.COLORS.muted }
+                ], { size: 9, gap: 1 });
+                file.hunks.forEach((hunk) => {
+                    layout.monoLines([
+                        { text: this.formatHunkHeader(hunk), ...ExportInterface.PDF_DIFF_COLORS.hunk },
+                        ...hunk.lines.map((line) => {
+                            const marker = line.type === 'add' ? '+' : line.type === 'remove' ? '-' : line.type === 'note' ? '' : ' ';
+                            return { text: `${marker}${line.text}`, ...ExportInterface.PDF_DIFF_COLORS[line.type] };
+                        })
+                    ]);
+                });
+                layout.space(1.5);
+            });
+        } else if (type === 'prompt_chain' && data?.steps?.length > 0) {
+            data.steps.forEach((step, i) => layout.paragraph(`${i + 1}. ${step}`, { gap: 1 }));
+        } else if (type === 'code' || type === 'tool_call' || type === 'file_edit') {
+            layout.monoLines(String(block.content || '').split('\n').map((text) => ({ text })));
+        } else {
+            layout.plain(block.content);
+        }
     }
 
-    applySensitiveRedaction(text) {
-        if (!text || typeof text !== 'string') return text;
-
-        return text
-            .replace(/\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi, '[REDACTED_EMAIL]')
-            .replace(/\b(?:\+?1[-.\s]?)?(?:\(?\d{3}\)?[-.\s]?){2}\d{4}\b/g, '[REDACTED_PHONE]')
-            .replace(/\b(?:sk-[A-Za-z0-9]{12,}|xox[baprs]-[A-Za-z0-9-]{10,}|ghp_[A-Za-z0-9]{20,}|AIza[0-9A-Za-z-_]{20,})\b/g, '[REDACTED_TOKEN]')
-            .replace(/\b(?:password|passwd|api[_-]?key|secret|token)\s*[:=]\s*[^\s]+/gi, '[REDACTED_CREDENTIAL]')
-            .replace(/\b[\w.-]+\.(pdf|doc|docx|txt|md|csv|xlsx|xls|ppt|pptx|json|xml|yaml|yml)\b/gi, '[REDACTED_FILE].$1');
+    /**
+     * The bundled PDF fonts (ExportInterface.PDF_FONTS under libs/fonts,
+     * rebuilt by `npm run download-fonts`) as base64, read once. A file that
+     * fails to load is skipped; with none the layout uses the built-in
+     * Helvetica.
+     */
+    async loadPdfFonts() {
+        if (Array.isArray(this.pdfFonts)) return this.pdfFonts;
+        this.pdfFonts = [];
+        if (typeof chrome === 'undefined' || !chrome.runtime?.getURL) return this.pdfFonts;
+        for (const font of ExportInterface.PDF_FONTS) {
+            try {
+                const response = await fetch(chrome.runtime.getURL(font.file));
+                if (!response.ok) continue;
+                this.pdfFonts.push({ ...font, base64: this.toBase64(await response.arrayBuffer()) });
+            } catch (error) {
+                console.warn(`⚠️ PDF font ${font.file} failed to load:`, error.message);
+            }
+        }
+        if (this.pdfFonts.length === 0) {
+            console.warn('⚠️ PDF fonts unavailable; non-Latin-1 text will be transliterated');
+        }
+        return this.pdfFonts;
     }
 
-    redactFilename(value) {
-        if (!value || typeof value !== 'string') return value;
-        const extMatch = value.trim().match(/\.([a-z0-9]+)$/i);
-        const ext = extMatch ? `.${extMatch[1].toLowerCase()}` : '';
-        return `[REDACTED_FILE]${ext}`;
+    toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
     }
 
-    redactUrl(value) {
-        if (!value || typeof value !== 'string') return value;
+    /**
+     * Screenshots of the turns in scope, as rendered on the page, stitched
+     * into a paginated PDF or one long PNG. The full history is hydrated
+     * first so every turn exists in the DOM.
+     */
+    async generateVisual(options, output) {
+        if (typeof VisualCapture === 'undefined') {
+            throw new Error('Visual capture not available');
+        }
+        if (options.redactSensitive) {
+            throw new Error('Screenshots cannot be redacted; turn off redaction or use the PDF export');
+        }
+
+        this.updateStatus('Loading full conversation...', 5);
+        await this.extractor?.hydrateConversationHistory?.();
+
+        const capture = new VisualCapture({
+            selectors: this.platformInfo?.config?.selectors || {},
+            scrollable: this.extractor?.getScrollableElement?.() || null,
+            onProgress: (done, total) => {
+                this.updateStatus(`Capturing turn ${done}/${total}...`, 10 + (done / total) * 80);
+            }
+        });
+        const turns = capture.findTurns();
+        if (turns.length === 0) {
+            throw new Error('No conversation turns found on the page');
+        }
+        const range = this.resolveMessageRange(options, turns.length);
+        const captures = await capture.captureTurns(turns.slice(range.start, range.end + 1));
+
+        this.updateStatus(`Stitching ${output.toUpperCase()}...`, 95);
+        if (output === 'png') {
+            return VisualCapture.toPng(captures);
+        }
+        const metadata = this.exportData?.metadata || {};
+        return VisualCapture.toPdf(captures, {
+            format: options.pdfPageSize || 'a4',
+            orientation: options.pdfOrientation || 'portrait',
+            title: metadata.title || `AI Conversation - ${metadata.platform}`
+        });
+    }
+
+    /**
+     * Word document in named styles (turns, block types, code, quotes):
+     * Markdown bodies through DocxWriter with native tables, lists and
+     * hyperlinks, an optional TOC field over the turns, and title,
+     * platform and export date in the document properties. With
+     * docxThinkingComments, thinking blocks become Word comments on the
+     * response they belong to instead of shaded sections.
+     */
+    async generateDOCX(options) {
+        if (!window.docx) {
+            throw new Error('DOCX library not available');
+        }
+        if (typeof DocxWriter === 'undefined') {
+            throw new Error('DOCX writer not available');
+        }
+
+        const scoped = this.getPreparedExportData(options);
+        const metadata = scoped.metadata || {};
+        const { Document, Packer, Paragraph, TextRun, ExternalHyperlink, TableOfContents, StyleLevel, PageBreak } = window.docx;
+        const writer = new DocxWriter(window.docx);
+        const platform = this.formatPlatformName(metadata.platform || '');
+        const title = metadata.title || `AI Conversation - ${platform}`;
+        const contents = options.docxContents && scoped.messages.length > 1;
+        const comments = [];
+        const children = [
+            new Paragraph({ style: 'Title', children: [new TextRun(DocxWriter.clean(title))] }),
+            new Paragraph({ style: 'ExportMeta', children: [new TextRun(`Platform: ${platform}`)] }),
+            new Paragraph({ style: 'ExportMeta', children: [new TextRun(`Date: ${metadata.exportDate || ''}`)] }),
+            new Paragraph({ style: 'ExportMeta', children: [new TextRun(`Messages: ${metadata.messageCount ?? scoped.messages.length}`)] })
+        ];
+        if (/^https?:/.test(metadata.url || '')) {
+            children.push(new Paragraph({
+                style: 'ExportMeta',
+                children: [
+                    new TextRun('Source: '),
+                    new ExternalHyperlink({ link: metadata.url, children: [new TextRun({ text: metadata.url, style: 'Hyperlink' })] })
+                ]
+            }));
+        }
+
+        if (contents) {
+            children.push(
+                new Paragraph({ style: 'ContentsHeading', children: [new TextRun('Contents')] }),
+                new TableOfContents('Contents', {
+                    hyperlink: true,
+                    stylesWithLevels: [
+                        new StyleLevel('UserTurn', 1),
+                        new StyleLevel('AssistantTurn', 1),
+                        ...Object.keys(DocxWriter.BLOCKS).map((type) => new StyleLevel(DocxWriter.blockStyles(type).label, 2))
+                    ]
+                }),
+                new Paragraph({ children: [new PageBreak()] })
+            );
+        } else {
+            children.push(new Paragraph(''));
+        }
+
+        scoped.messages.forEach((message) => {
+            children.push(...this.buildDocxMessage(writer, message, scoped, options, comments));
+        });
+
+        const exportDate = metadata.exportDate || new Date().toISOString();
+        const doc = new Document({
+            title,
+            subject: `${platform} conversation`,
+            creator: 'Universal AI Exporter',
+            lastModifiedBy: 'Universal AI Exporter',
+            keywords: [platform, 'AI conversation'].filter(Boolean).join(', '),
+            description: `Exported from ${metadata.url || platform} on ${exportDate}`,
+            customProperties: [
+                { name: 'Platform', value: platform },
+                { name: 'Export Date', value: exportDate },
+                { name: 'Source URL', value: metadata.url || '' },
+                { name: 'Message Count', value: String(scoped.messages.length) }
+            ],
+            features: { updateFields: contents },
+            styles: DocxWriter.styles(window.docx),
+            numbering: writer.numbering(),
+            comments: { children: comments },
+            sections: [{ children }]
+        });
+
+        return Packer.toBlob(doc);
+    }
+
+    /**
+     * One turn: its styled heading, blocks (with includeThinking), the
+     * Markdown body and its sources. Thinking blocks sent to `comments`
+     * span from the heading to the end of the body.
+     */
+    buildDocxMessage(writer, message, scoped, options, comments) {
+        const { Paragraph, TextRun, ExternalHyperlink, CommentRangeStart, CommentRangeEnd, CommentReference } = window.docx;
+        const label = this.getAuthorLabel(message.author, scoped);
+        const body = [];
+        const notes = [];
+
+        if (options.includeThinking && Array.isArray(message.thinkingBlocks)) {
+            message.thinkingBlocks.forEach((block) => {
+                if ((block.type || 'thinking') === 'thinking' && options.docxThinkingComments) {
+                    notes.push(block);
+                } else {
+                    body.push(...this.buildDocxBlock(writer, block));
+                }
+            });
+        }
+
+        body.push(...writer.convert(this.getMessageText(message), {
+            math: (Array.isArray(message.math) ? message.math : []).map((expression) => expression.latex)
+        }));
+
+        const sources = this.getMessageSources(message);
+        if (sources.length > 0) {
+            body.push(new Paragraph({
+                style: 'Sources',
+                children: [new TextRun({ text: 'Sources: ', bold: true }), ...sources.flatMap((source, i) => [
+                    ...(i === 0 ? [] : [new TextRun(' · ')]),
+                    new ExternalHyperlink({ link: source.url, children: [new TextRun({ text: DocxWriter.clean(source.label), style: 'Hyperlink' })] })
+                ])]
+            }));
+        }
+
+        const date = new Date(scoped.metadata?.exportDate || Date.now());
+        const ids = notes.map((block) => {
+            const id = comments.length;
+            const summary = block.summary ? `: ${block.summary}` : '';
+            comments.push({
+                id,
+                author: label,
+                initials: label.slice(0, 2).toUpperCase(),
+                date: Number.isNaN(date.getTime()) ? new Date() : date,
+                children: [
+                    new Paragraph({ children: [new TextRun({ text: DocxWriter.clean(`${this.getBlockLabel('thinking')}${summary}`), bold: true })] }),
+                    ...writer.plain(block.content)
+                ]
+            });
+            return id;
+        });
+
+        const heading = new Paragraph({
+            style: (message.author || '').toLowerCase() === 'user' ? 'UserTurn' : 'AssistantTurn',
+            children: [...ids.map((id) => new CommentRangeStart(id)), new TextRun(DocxWriter.clean(label))]
+        });
+        if (ids.length > 0) {
+            const ends = ids.flatMap((id) => [new CommentRangeEnd(id), new TextRun({ children: [new CommentReference(id)] })]);
+            const last = body[body.length - 1];
+            if (last instanceof Paragraph) {
+                ends.forEach((end) => last.addChildElement(end));
+            } else {
+                body.push(new Paragraph({ children: ends }));
+            }
+        }
+        return [heading, ...body];
+    }
+
+    /** A block as a labelled section in its type's styles. */
+    buildDocxBlock(writer, block) {
+        const { Paragraph, TextRun } = window.docx;
+        const type = block.type || 'thinking';
+        const styles = DocxWriter.blockStyles(type);
+        const summary = block.summary ? `: ${block.summary}` : '';
+        return [
+            new Paragraph({ style: styles.label, children: [new TextRun(DocxWriter.clean(`${this.getBlockLabel(type)}${summary}`))] }),
+            ...(type === 'thinking'
+                ? writer.plain(block.content, { style: styles.body })
+                : writer.convert(this.renderBlockMarkdownBody(block), { style: styles.body }))
+        ];
+    }
+
+    applySensitiveRedaction(text) {
+        if (!text || typeof text !== 'string') return text;
+
+        return text
+            .replace(/\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi, '[REDACTED_EMAIL]')
+            .replace(/\b(?:\+?1[-.\s]?)?(?:\(?\d{3}\)?[-.\s]?){2}\d{4}\b/g, '[REDACTED_PHONE]')
+            .replace(/\b(?:sk-[A-Za-z0-9]{12,}|xox[baprs]-[A-Za-z0-9-]{10,}|ghp_[A-Za-z0-9]{20,}|AIza[0-9A-Za-z-_]{20,})\b/g, '[REDACTED_TOKEN]')
+            .replace(/\b(?:password|passwd|api[_-]?key|secret|token)\s*[:=]\s*[^\s]+/gi, '[REDACTED_CREDENTIAL]')
+            .replace(/\b[\w.-]+\.(pdf|doc|docx|txt|md|csv|xlsx|xls|ppt|pptx|json|xml|yaml|yml)\b/gi, '[REDACTED_FILE].$1');
+    }
+
+    redactFilename(value) {
+        if (!value || typeof value !== 'string') return value;
+        const extMatch = value.trim().match(/\.([a-z0-9]+)$/i);
+        const ext = extMatch ? `.${extMatch[1].toLowerCase()}` : '';
+        return `[REDACTED_FILE]${ext}`;
+    }
+
+    redactUrl(value) {
+        if (!value || typeof value !== 'string') return value;
         try {
             const url = new URL(value);
             return `${url.origin}/[REDACTED_PATH]`;
@@ -863,6 +1619,7 @@ class ExportInterface {
         clone.messages = (clone.messages || []).map((message) => ({
             ...message,
             content: this.applySensitiveRedaction(message.content || ''),
+            markdown: message.markdown ? this.applySensitiveRedaction(message.markdown) : message.markdown,
             html: this.applySensitiveRedaction(message.html || ''),
             references: this.redactReferenceSet(message.references),
             thinkingBlocks: (message.thinkingBlocks || []).map((block) => ({
@@ -935,7 +1692,7 @@ class ExportInterface {
                 });
             }
 
-            md += `${message.content}\n\n---\n\n`;
+            md += `${this.getMessageText(message)}\n\n---\n\n`;
         });
 
         if (options.includeMetadata) {
@@ -960,11 +1717,7 @@ class ExportInterface {
         return md;
     }
 
-    /**
-     * Render a block as Markdown based on its type.
-     */
-    renderBlockMarkdown(block) {
-        const type = block.type || 'thinking';
+    getBlockLabel(type) {
         const labels = {
             thinking: 'Extended Thinking',
             web_search: 'Web Search',
@@ -973,9 +1726,19 @@ class ExportInterface {
             code: 'Code',
             file_edit: 'File Edit'
         };
-        let md = '';
+        return labels[type || 'thinking'] || 'Block';
+    }
 
-        md += `### ${labels[type] || 'Block'}\n\n`;
+    /**
+     * Render a block as Markdown based on its type.
+     */
+    renderBlockMarkdown(block) {
+        return `### ${this.getBlockLabel(block.type)}\n\n${this.renderBlockMarkdownBody(block)}`;
+    }
+
+    renderBlockMarkdownBody(block) {
+        const type = block.type || 'thinking';
+        let md = '';
 
         if (type === 'web_search' && block.structuredData) {
             const data = block.structuredData;
@@ -1009,6 +1772,8 @@ class ExportInterface {
             }
         } else if (type === 'code') {
             md += `\`\`\`\n${block.content}\n\`\`\`\n\n`;
+        } else if (type === 'file_edit' && block.structuredData?.files?.length > 0) {
+            md += `\`\`\`diff\n${block.structuredData.files.map((file) => this.formatFileDiff(file)).join('')}\`\`\`\n\n`;
         } else {
             // thinking or file_edit — use fenced block
             md += `\`\`\`${type}\n${block.content}\n\`\`\`\n\n`;
@@ -1052,146 +1817,1231 @@ class ExportInterface {
         const nodes = [];
         const edges = [];
 
-        const conversationId = `conversation:${scoped.metadata.platform}:${scoped.metadata.exportDate}`;
-        nodes.push({
-            id: conversationId,
-            type: 'conversation',
-            label: `Conversation (${scoped.metadata.platform})`,
-            metadata: {
-                platform: scoped.metadata.platform,
-                exportDate: scoped.metadata.exportDate,
-                scope: scoped.metadata.scope || 'all'
+        const conversationId = `conversation:${scoped.metadata.platform}:${scoped.metadata.exportDate}`;
+        nodes.push({
+            id: conversationId,
+            type: 'conversation',
+            label: `Conversation (${scoped.metadata.platform})`,
+            metadata: {
+                platform: scoped.metadata.platform,
+                exportDate: scoped.metadata.exportDate,
+                scope: scoped.metadata.scope || 'all'
+            }
+        });
+
+        const pushNode = (node) => {
+            if (!nodes.some((existing) => existing.id === node.id)) {
+                nodes.push(node);
+            }
+        };
+
+        scoped.messages.forEach((message, msgIndex) => {
+            const messageId = `message:${message.id || msgIndex}`;
+            pushNode({
+                id: messageId,
+                type: 'message',
+                label: `${message.author} #${msgIndex + 1}`,
+                metadata: {
+                    author: message.author,
+                    timestamp: message.timestamp || null,
+                    wordCount: message.wordCount || 0
+                }
+            });
+            edges.push({ from: conversationId, to: messageId, type: 'contains' });
+
+            (message.thinkingBlocks || []).forEach((block, blockIndex) => {
+                const blockId = `block:${messageId}:${block.id || blockIndex}`;
+                pushNode({
+                    id: blockId,
+                    type: block.type || 'thinking',
+                    label: (block.summary || block.type || 'thinking').slice(0, 120),
+                    metadata: {
+                        wordCount: block.wordCount || 0
+                    }
+                });
+                edges.push({ from: messageId, to: blockId, type: 'has_trace' });
+            });
+
+            const refs = this.normalizeReferenceSet(message.references);
+            refs.links.forEach((link, refIndex) => {
+                const refId = `ref:link:${messageId}:${refIndex}:${link.url || link.title || 'unknown'}`;
+                pushNode({
+                    id: refId,
+                    type: 'link',
+                    label: link.title || link.url || 'link',
+                    metadata: { url: link.url || '', domain: link.domain || '' }
+                });
+                edges.push({ from: messageId, to: refId, type: 'references' });
+            });
+
+            refs.documents.forEach((doc, refIndex) => {
+                const refId = `ref:document:${messageId}:${refIndex}:${doc.url || doc.name || 'unknown'}`;
+                pushNode({
+                    id: refId,
+                    type: 'document',
+                    label: doc.name || doc.url || 'document',
+                    metadata: { url: doc.url || '', docType: doc.type || '' }
+                });
+                edges.push({ from: messageId, to: refId, type: 'references' });
+            });
+
+            refs.attachments.forEach((attachment, refIndex) => {
+                const refId = `ref:attachment:${messageId}:${refIndex}:${attachment.name || 'attachment'}`;
+                pushNode({
+                    id: refId,
+                    type: 'attachment',
+                    label: attachment.name || 'attachment',
+                    metadata: { url: attachment.url || '', attachmentType: attachment.type || '' }
+                });
+                edges.push({ from: messageId, to: refId, type: 'attached' });
+            });
+        });
+
+        return JSON.stringify({
+            schemaVersion: '1.0',
+            generatedAt: new Date().toISOString(),
+            graph: { nodes, edges }
+        }, null, 2);
+    }
+
+    generateMemoryPack(options) {
+        const scoped = this.getPreparedExportData(options);
+        const graphPayload = JSON.parse(this.generateGraphJSON(options));
+        const research = {
+            thinkingAnalysis: this.analyzeThinkingPatterns(),
+            conversationFlow: this.analyzeConversationFlow(),
+            topicEvolution: this.analyzeTopicEvolution(),
+            complexityMetrics: this.calculateComplexityMetrics()
+        };
+
+        return JSON.stringify({
+            schemaVersion: '1.0',
+            generatedAt: new Date().toISOString(),
+            platform: scoped.metadata.platform,
+            metadata: scoped.metadata,
+            canonical: {
+                messages: scoped.messages,
+                thinkingBlocks: scoped.thinkingBlocks
+            },
+            graph: graphPayload.graph,
+            research
+        }, null, 2);
+    }
+    
+    generateCSV(options) {
+        const scoped = this.getPreparedExportData(options);
+        let csv = 'id,author,type,content,word_count,timestamp\n';
+        
+        scoped.messages.forEach(message => {
+            const content = this.getMessageText(message).replace(/"/g, '""');
+            const authorLabel = this.getAuthorLabel(message.author, scoped).replace(/"/g, '""');
+            csv += `"${message.id}","${authorLabel}","message","${content}","${message.wordCount || 0}","${message.timestamp}"\n`;
+            
+            if (options.includeThinking && message.thinkingBlocks) {
+                message.thinkingBlocks.forEach(block => {
+                    const thinkingContent = block.content.replace(/"/g, '""');
+                    const type = block.type || 'thinking';
+                    csv += `"${block.id}","${authorLabel}","${type}","${thinkingContent}","${block.wordCount || 0}","${message.timestamp}"\n`;
+                });
+            }
+        });
+
+        (scoped.metadata.uploadedDocuments || []).forEach((doc, index) => {
+            const content = [doc.name || 'document', doc.type || 'file', doc.sizeLabel || '', doc.url || '']
+                .filter(Boolean)
+                .join(' | ')
+                .replace(/"/g, '""');
+            csv += `"upload_${index}","User","uploaded_document","${content}","0",""\n`;
+        });
+        
+        return csv;
+    }
+    
+    // ── Training datasets ──
+
+    /**
+     * Alternating user/assistant turns for dataset exports. Consecutive
+     * messages from one side are merged, and `reasoning` carries the
+     * message's thinking blocks (other block types are not training text).
+     */
+    buildDatasetTurns(scoped, options) {
+        const withReasoning = options.includeThinking && options.datasetReasoning;
+        const turns = [];
+
+        scoped.messages.forEach((message) => {
+            const role = String(message.author || '').toLowerCase() === 'user' ? 'user' : 'assistant';
+            const content = this.getMessageText(message).trim();
+            const reasoning = withReasoning
+                ? (message.thinkingBlocks || [])
+                    .filter((block) => (block.type || 'thinking') === 'thinking')
+                    .map((block) => (block.content || '').trim())
+                    .filter(Boolean)
+                    .join('\n\n')
+                : '';
+            if (!content && !reasoning) return;
+
+            const previous = turns[turns.length - 1];
+            if (previous && previous.role === role) {
+                previous.content = [previous.content, content].filter(Boolean).join('\n\n');
+                previous.reasoning = [previous.reasoning, reasoning].filter(Boolean).join('\n\n');
+            } else {
+                turns.push({ role, content, reasoning });
+            }
+        });
+
+        return turns;
+    }
+
+    /**
+     * Samples as turn lists that end on an assistant reply: the whole
+     * conversation, or one per assistant turn (with its preceding context)
+     * when datasetSplitTurns is on.
+     */
+    buildDatasetSamples(options) {
+        const scoped = this.getPreparedExportData(options);
+        const turns = this.buildDatasetTurns(scoped, options);
+        const ends = turns
+            .map((turn, index) => (turn.role === 'assistant' ? index + 1 : 0))
+            .filter(Boolean);
+        if (ends.length === 0) {
+            throw new Error('No assistant replies to build a dataset from');
+        }
+
+        const cuts = options.datasetSplitTurns ? ends : [ends[ends.length - 1]];
+        return cuts.map((end) => turns.slice(0, end));
+    }
+
+    /**
+     * Rough token count: ~4 characters per token plus the usual per-message
+     * framing overhead of chat formats. Good for budgeting, not billing.
+     */
+    estimateTokens(turns, systemPrompt = '') {
+        const count = (text) => Math.ceil((text || '').length / 4);
+        const messages = systemPrompt ? [{ content: systemPrompt }, ...turns] : turns;
+        return 3 + messages.reduce((sum, turn) => sum + 4 + count(turn.content) + count(turn.reasoning), 0);
+    }
+
+    getDatasetSampleId(index) {
+        const base = this.getConversationTitleBase() || 'conversation';
+        return `${base}-${index + 1}`;
+    }
+
+    generateOpenAIDataset(options) {
+        return this.buildDatasetSamples(options).map((turns) => {
+            const messages = [];
+            if (options.datasetSystemPrompt) {
+                messages.push({ role: 'system', content: options.datasetSystemPrompt });
+            }
+            turns.forEach((turn) => {
+                const message = { role: turn.role, content: turn.content };
+                if (turn.role === 'assistant' && turn.reasoning) {
+                    message.reasoning_content = turn.reasoning;
+                }
+                messages.push(message);
+            });
+
+            const sample = { messages };
+            if (options.datasetTokenEstimate) {
+                sample.estimated_tokens = this.estimateTokens(turns, options.datasetSystemPrompt);
+            }
+            return JSON.stringify(sample);
+        }).join('\n') + '\n';
+    }
+
+    generateAnthropicDataset(options) {
+        const samples = this.buildDatasetSamples(options).map((allTurns) => {
+            // The Messages API requires the first message to come from the user
+            const start = allTurns.findIndex((turn) => turn.role === 'user');
+            const turns = start >= 0 ? allTurns.slice(start) : [];
+            if (turns.length < 2) return null;
+
+            const sample = {};
+            if (options.datasetSystemPrompt) {
+                sample.system = options.datasetSystemPrompt;
+            }
+            sample.messages = turns.map((turn) => {
+                if (turn.role !== 'assistant' || !turn.reasoning) {
+                    return { role: turn.role, content: turn.content };
+                }
+                const content = [{ type: 'thinking', thinking: turn.reasoning }];
+                if (turn.content) content.push({ type: 'text', text: turn.content });
+                return { role: turn.role, content };
+            });
+            if (options.datasetTokenEstimate) {
+                sample.estimated_tokens = this.estimateTokens(turns, options.datasetSystemPrompt);
+            }
+            return sample;
+        }).filter(Boolean);
+
+        return JSON.stringify(samples, null, 2);
+    }
+
+    generateShareGPTDataset(options) {
+        const samples = this.buildDatasetSamples(options).map((turns, index) => {
+            const conversations = [];
+            if (options.datasetSystemPrompt) {
+                conversations.push({ from: 'system', value: options.datasetSystemPrompt });
+            }
+            turns.forEach((turn) => {
+                const entry = { from: turn.role === 'user' ? 'human' : 'gpt', value: turn.content };
+                if (turn.role === 'assistant' && turn.reasoning) {
+                    entry.reasoning = turn.reasoning;
+                }
+                conversations.push(entry);
+            });
+
+            const sample = { id: this.getDatasetSampleId(index), conversations };
+            if (options.datasetTokenEstimate) {
+                sample.estimated_tokens = this.estimateTokens(turns, options.datasetSystemPrompt);
+            }
+            return sample;
+        });
+
+        return JSON.stringify(samples, null, 2);
+    }
+
+    // ── Obsidian vault ──
+
+    /**
+     * Note name that is valid as both a file name and a [[wikilink]] target.
+     */
+    sanitizeNoteName(value) {
+        const name = String(value || '')
+            .replace(/[\\/:*?"<>|#^[\]]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/^\.+/, '')
+            .slice(0, 120)
+            .trim();
+        return name || 'AI Conversation';
+    }
+
+    getConversationId(metadata = {}) {
+        if (metadata.conversationId || metadata.sessionId) {
+            return metadata.conversationId || metadata.sessionId;
+        }
+        try {
+            const segments = new URL(metadata.url).pathname.split('/').filter(Boolean);
+            return segments.length >= 2 ? segments[segments.length - 1] : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getConversationModel(metadata = {}) {
+        const model = metadata.model || metadata.gptModel || metadata.searchModel ||
+            metadata.chatgpt?.gptModel || metadata.perplexity?.searchModel || null;
+        return model && !/unknown/i.test(model) ? model : null;
+    }
+
+    /**
+     * YAML frontmatter; strings are emitted as JSON, which YAML accepts.
+     */
+    renderFrontmatter(fields) {
+        const lines = ['---'];
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value === null || value === undefined || value === '') return;
+            if (Array.isArray(value)) {
+                lines.push(`${key}:`);
+                value.forEach((item) => lines.push(`  - ${JSON.stringify(String(item))}`));
+            } else {
+                lines.push(`${key}: ${typeof value === 'string' ? JSON.stringify(value) : value}`);
+            }
+        });
+        lines.push('---', '');
+        return lines.join('\n');
+    }
+
+    renderCallout(type, title, body, collapsed = false) {
+        const lines = String(body || '').replace(/\n+$/, '').split('\n');
+        return `> [!${type}]${collapsed ? '-' : ''} ${title}\n${lines.map((line) => (line ? `> ${line}` : '>')).join('\n')}\n\n`;
+    }
+
+    /**
+     * A zip holding one folder: the conversation note (YAML frontmatter,
+     * callouts for blocks, references and uploads), `thinking/` notes for
+     * long thinking blocks linked with [[wikilinks]], and `attachments/`
+     * with the raw page snapshots and any inline (data:) uploads.
+     */
+    async generateObsidianVault(options) {
+        if (typeof ZipWriter === 'undefined') {
+            throw new Error('Zip writer not available');
+        }
+
+        const scoped = this.getPreparedExportData(options);
+        const metadata = scoped.metadata || {};
+        const noteName = this.sanitizeNoteName(metadata.title || this.getConversationTitleBase());
+        const folder = this.sanitizeNoteName(options.filename || noteName);
+        const platform = String(metadata.platform || this.platformInfo?.platform || 'unknown').toLowerCase();
+        const zip = new ZipWriter();
+        zip.addDirectory(`${folder}/attachments`);
+
+        const attachments = [];
+        const addAttachment = (name, content) => {
+            let fileName = this.sanitizeNoteName(name);
+            for (let n = 2; zip.has(`${folder}/attachments/${fileName}`); n++) {
+                fileName = this.sanitizeNoteName(name).replace(/(\.[^.]*)?$/, ` ${n}$1`);
+            }
+            zip.addFile(`${folder}/attachments/${fileName}`, content);
+            attachments.push(fileName);
+            return fileName;
+        };
+
+        let md = this.renderFrontmatter({
+            platform,
+            title: metadata.title || noteName,
+            conversationId: this.getConversationId(metadata),
+            url: metadata.url,
+            tags: ['ai-conversation', platform.replace(/[^a-z0-9_-]/g, '-')],
+            exportDate: metadata.exportDate,
+            model: this.getConversationModel(metadata),
+            messageCount: metadata.messageCount
+        });
+        md += `# ${noteName}\n\n`;
+
+        let thinkingNoteCount = 0;
+        scoped.messages.forEach((message) => {
+            md += `## ${this.getAuthorLabel(message.author, scoped)}\n\n`;
+
+            if (options.includeThinking && Array.isArray(message.thinkingBlocks)) {
+                message.thinkingBlocks.forEach((block) => {
+                    const type = block.type || 'thinking';
+                    const content = (block.content || '').trim();
+                    const label = block.summary ? `${this.getBlockLabel(type)}: ${block.summary}` : this.getBlockLabel(type);
+
+                    if (type === 'thinking' && options.obsidianThinkingNotes && content.length > ExportInterface.OBSIDIAN_THINKING_NOTE_CHARS) {
+                        thinkingNoteCount += 1;
+                        const thinkingNote = `${noteName} - Thinking ${thinkingNoteCount}`;
+                        const thinkingMd = this.renderFrontmatter({
+                            platform,
+                            type: 'thinking',
+                            conversation: `[[${noteName}]]`,
+                            tags: ['ai-thinking', platform.replace(/[^a-z0-9_-]/g, '-')]
+                        }) + `# ${label}\n\n${content}\n\n← [[${noteName}]]\n`;
+                        zip.addFile(`${folder}/thinking/${thinkingNote}.md`, thinkingMd);
+                        md += this.renderCallout('quote', label, `[[${thinkingNote}]]`, true);
+                    } else if (type === 'thinking') {
+                        md += this.renderCallout('quote', label, content, true);
+                    } else {
+                        md += this.renderCallout(type === 'web_search' ? 'info' : 'example', label, this.renderBlockMarkdownBody(block), true);
+                    }
+                });
+            }
+
+            md += `${this.getMessageText(message)}\n\n`;
+        });
+
+        const refs = metadata.referenceIndex || {};
+        const referenceLines = [
+            ...(refs.links || []).map((item) => `- [${(item.title || item.url).replace(/[[\]]/g, '')}](${item.url})`),
+            ...(refs.citations || []).map((item) => `- ${item.text || item.url}${item.url && item.text ? ` — ${item.url}` : ''}`)
+        ];
+        if (referenceLines.length > 0) {
+            md += this.renderCallout('cite', 'References', referenceLines.join('\n'));
+        }
+
+        const uploads = (metadata.uploadedDocuments || []).map((doc) => {
+            const size = doc.sizeLabel ? ` • ${doc.sizeLabel}` : '';
+            const url = doc.url || '';
+            const inline = url.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+            if (inline) {
+                let data;
+                try {
+                    data = inline[2] ? Uint8Array.from(atob(inline[3]), (c) => c.charCodeAt(0)) : decodeURIComponent(inline[3]);
+                } catch (error) {
+                    // Malformed base64 or a stray `%`: list the upload without attaching it
+                    return `- ${doc.name} (${doc.type || 'file'}${size})`;
+                }
+                return `- ![[${addAttachment(doc.name || 'upload', data)}]] (${doc.type || 'file'}${size})`;
+            }
+            return url ? `- [${doc.name}](${url}) (${doc.type || 'file'}${size})` : `- ${doc.name} (${doc.type || 'file'}${size})`;
+        });
+        if (uploads.length > 0) {
+            md += this.renderCallout('info', 'Uploaded documents', uploads.join('\n'));
+        }
+
+        if (options.includeHtml && scoped.rawHtml) {
+            const snapshots = ['original', 'expanded']
+                .filter((state) => scoped.rawHtml[state])
+                .map((state) => `- [[attachments/${addAttachment(`${noteName} (${state}).html`, scoped.rawHtml[state])}|${state} page]]`);
+            if (snapshots.length > 0) {
+                md += this.renderCallout('note', 'Page snapshots', snapshots.join('\n'), true);
+            }
+        }
+
+        zip.addFile(`${folder}/${noteName}.md`, md);
+        console.log(`🗃️ Obsidian vault: 1 note, ${thinkingNoteCount} thinking notes, ${attachments.length} attachments`);
+        return zip.generate();
+    }
+
+    // ── References and LaTeX ──
+
+    /**
+     * Comparable form of a reference URL: http(s) only, no fragment, no
+     * utm_* tracking parameters, no trailing slash.
+     */
+    normalizeReferenceUrl(value) {
+        try {
+            const url = new URL(String(value || '').trim());
+            if (!/^https?:$/.test(url.protocol)) return null;
+            url.hash = '';
+            Array.from(url.searchParams.keys())
+                .filter((key) => /^utm_/i.test(key))
+                .forEach((key) => url.searchParams.delete(key));
+            return url.href.replace(/\/$/, '');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Chip text such as "[3]" or the bare domain says nothing about the source.
+     */
+    isCitationLabel(text, url) {
+        const value = String(text || '').trim();
+        if (!value || /^\[?\d+\]?$/.test(value)) return true;
+        try {
+            return value.replace(/^www\./, '') === new URL(url).hostname.replace(/^www\./, '');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * One entry per normalized URL in first-seen order: per-message
+     * citations, Perplexity sources, documents and links, then whatever else
+     * the reference index holds. Keys are `<site><year>` with a letter suffix
+     * on collisions; `messageIds` / `turns` record every message citing the
+     * source, and `describeReference()` adds the item type and identifiers.
+     */
+    collectBibliography(scoped) {
+        const metadata = scoped.metadata || {};
+        const year = /^\d{4}/.test(metadata.exportDate || '') ? metadata.exportDate.slice(0, 4) : String(new Date().getFullYear());
+        const turns = new Map((scoped.messages || []).map((message, index) => [message.id, index + 1]));
+        const entries = [];
+        const byUrl = new Map();
+        const keys = new Set();
+
+        const add = (url, fields, messageId) => {
+            const normalizedUrl = this.normalizeReferenceUrl(url);
+            if (!normalizedUrl) return;
+            let entry = byUrl.get(normalizedUrl);
+            if (!entry) {
+                const host = new URL(normalizedUrl).hostname.replace(/^www\./, '');
+                const stem = (host.split('.')[0] || 'ref').toLowerCase().replace(/[^a-z0-9]/g, '') || 'ref';
+                let key = `${stem}${year}`;
+                for (let n = 0; keys.has(key); n++) {
+                    key = `${stem}${year}${String.fromCharCode(97 + (n % 26))}${n >= 26 ? Math.floor(n / 26) : ''}`;
+                }
+                keys.add(key);
+                entry = {
+                    key, url: normalizedUrl, normalizedUrl, title: '', domain: host, snippet: '',
+                    documentType: null, citation: false, messageIds: [], turns: []
+                };
+                byUrl.set(normalizedUrl, entry);
+                entries.push(entry);
+            }
+            const title = String(fields.title || '').trim();
+            if (title && (!entry.title || (this.isCitationLabel(entry.title, entry.url) && !this.isCitationLabel(title, entry.url)))) {
+                entry.title = title;
+            }
+            entry.snippet = entry.snippet || String(fields.snippet || '').trim();
+            entry.documentType = entry.documentType || fields.documentType || null;
+            entry.citation = entry.citation || !!fields.citation;
+            if (messageId && !entry.messageIds.includes(messageId)) {
+                entry.messageIds.push(messageId);
+                if (turns.has(messageId)) entry.turns.push(turns.get(messageId));
+            }
+        };
+
+        const addSet = (refs, sources, messageId) => {
+            refs.citations.forEach((item) => add(item.url, { title: item.text, citation: true }, messageId));
+            sources.forEach((item) => add(item.url, { title: item.title, snippet: item.snippet, citation: true }, messageId));
+            refs.documents.forEach((item) => add(item.url, { title: item.name, documentType: item.type }, messageId));
+            refs.links.forEach((item) => add(item.url, { title: item.title }, messageId));
+        };
+        (scoped.messages || []).forEach((message) => {
+            addSet(this.normalizeReferenceSet(message.references), message.perplexity?.sources || [], message.id);
+        });
+        addSet(this.normalizeReferenceSet(metadata.referenceIndex), [], null);
+
+        return entries.map((entry) => ({
+            ...entry,
+            title: this.isCitationLabel(entry.title, entry.url) ? entry.domain : entry.title,
+            ...this.describeReference(entry)
+        }));
+    }
+
+    /**
+     * CSL item type and identifiers from the URL: DOIs and arXiv papers are
+     * journal articles, linked PDFs and office documents reports, the rest
+     * web pages.
+     */
+    describeReference(entry) {
+        const url = new URL(entry.url);
+        let path = url.pathname;
+        try {
+            path = decodeURIComponent(path);
+        } catch (error) {
+            // A literal `%` (e.g. /deals/50%off) is valid in a URL but not an escape
+        }
+        const arxivId = /(^|\.)arxiv\.org$/.test(url.hostname)
+            ? (path.match(/^\/(?:abs|pdf)\/(.+?)(?:v\d+)?(?:\.pdf)?$/) || [])[1] || null
+            : null;
+        const doi = /(^|\.)doi\.org$/.test(url.hostname)
+            ? path.slice(1) || null
+            : (path.match(/\b10\.\d{4,9}\/\S+/) || [])[0] || (arxivId ? `10.48550/arXiv.${arxivId}` : null);
+        // New-style arXiv ids start with the submission year and month
+        const arxivYear = arxivId && /^\d{4}\./.test(arxivId) ? `20${arxivId.slice(0, 2)}` : null;
+
+        let type = 'webpage';
+        if (doi || arxivId) type = 'article-journal';
+        else if (ExportInterface.REPORT_DOCUMENT_TYPES.includes(entry.documentType) || /\.pdf$/i.test(path)) type = 'report';
+
+        return {
+            type,
+            doi,
+            arxivId,
+            year: arxivYear,
+            container: arxivId ? `arXiv preprint arXiv:${arxivId}` : entry.domain
+        };
+    }
+
+    describeCitingTurns(entry) {
+        if (entry.turns.length === 0) return '';
+        const list = entry.turns.map((turn, index) => `${turn} (${entry.messageIds[index]})`).join(', ');
+        return `Cited in turn${entry.turns.length > 1 ? 's' : ''} ${list}`;
+    }
+
+    renderBibtex(entries, scoped) {
+        const accessed = String(scoped.metadata?.exportDate || new Date().toISOString()).slice(0, 10);
+        const types = { webpage: 'misc', report: 'techreport', 'article-journal': 'article' };
+        const header = `% BibTeX references — ${entries.length} sources cited in ${scoped.metadata?.url || 'an AI conversation'}\n`;
+
+        return header + entries.map((entry) => {
+            const type = types[entry.type] || 'misc';
+            const cited = LatexWriter.escape(this.describeCitingTurns(entry));
+            // Only @misc prints howpublished; other types carry the link in the note
+            const note = [type === 'misc' ? '' : `\\url{${LatexWriter.url(entry.url)}}`, `Accessed ${accessed}`, cited]
+                .filter(Boolean)
+                .join('. ');
+            const fields = [
+                ['title', `{${LatexWriter.escape(entry.title)}}`],
+                type === 'article' && ['journal', LatexWriter.escape(entry.container)],
+                type === 'techreport' && ['institution', LatexWriter.escape(entry.container)],
+                entry.year && ['year', entry.year],
+                entry.doi && ['doi', entry.doi],
+                entry.arxivId && ['eprint', entry.arxivId],
+                entry.arxivId && ['archiveprefix', 'arXiv'],
+                type === 'misc' && ['howpublished', `\\url{${LatexWriter.url(entry.url)}}`],
+                ['url', entry.url],
+                ['urldate', accessed],
+                entry.snippet && ['abstract', LatexWriter.escape(entry.snippet)],
+                ['note', note]
+            ].filter(Boolean);
+            return `@${type}{${entry.key},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n')}\n}`;
+        }).join('\n\n') + '\n';
+    }
+
+    renderRis(entries, scoped) {
+        const accessed = String(scoped.metadata?.exportDate || new Date().toISOString()).slice(0, 10);
+        const types = { webpage: 'ELEC', report: 'RPRT', 'article-journal': 'JOUR' };
+        const line = (tag, value) => `${tag}  - ${String(value).replace(/\s+/g, ' ').trim()}`;
+
+        return entries.map((entry) => [
+            line('TY', types[entry.type] || 'ELEC'),
+            line('ID', entry.key),
+            line('TI', entry.title),
+            entry.type === 'article-journal' ? line('T2', entry.container) : line('PB', entry.container),
+            entry.year && line('PY', entry.year),
+            entry.doi && line('DO', entry.doi),
+            line('UR', entry.url),
+            line('Y2', accessed.replace(/-/g, '/')),
+            entry.snippet && line('AB', entry.snippet),
+            entry.turns.length > 0 && line('N1', this.describeCitingTurns(entry)),
+            'ER  - '
+        ].filter(Boolean).join('\r\n')).join('\r\n\r\n') + '\r\n';
+    }
+
+    renderCslJson(entries, scoped) {
+        const accessed = String(scoped.metadata?.exportDate || new Date().toISOString()).slice(0, 10);
+        const items = entries.map((entry) => {
+            const item = {
+                id: entry.key,
+                type: entry.type,
+                title: entry.title,
+                'container-title': entry.container,
+                URL: entry.url,
+                accessed: { 'date-parts': [accessed.split('-').map(Number)] }
+            };
+            if (entry.doi) item.DOI = entry.doi;
+            if (entry.year) item.issued = { 'date-parts': [[Number(entry.year)]] };
+            if (entry.snippet) item.abstract = entry.snippet;
+            if (entry.turns.length > 0) item.note = this.describeCitingTurns(entry);
+            item.custom = { messageIds: entry.messageIds, turns: entry.turns, citation: entry.citation };
+            return item;
+        });
+        return JSON.stringify(items, null, 2);
+    }
+
+    generateBibtex(options) {
+        const scoped = this.getPreparedExportData(options);
+        return this.renderBibtex(this.collectBibliography(scoped), scoped);
+    }
+
+    generateRis(options) {
+        const scoped = this.getPreparedExportData(options);
+        return this.renderRis(this.collectBibliography(scoped), scoped);
+    }
+
+    generateCslJson(options) {
+        const scoped = this.getPreparedExportData(options);
+        return this.renderCslJson(this.collectBibliography(scoped), scoped);
+    }
+
+    renderLatexBlock(block) {
+        const type = block.type || 'thinking';
+        const label = block.summary ? `${this.getBlockLabel(type)}: ${block.summary}` : this.getBlockLabel(type);
+        if (type === 'thinking') {
+            return [
+                `\\begin{thinking}{${LatexWriter.escape(label)}}`,
+                '\\begin{Verbatim}',
+                LatexWriter.verbatim(String(block.content || '').trim(), 'Verbatim'),
+                '\\end{Verbatim}',
+                '\\end{thinking}'
+            ].join('\n');
+        }
+        return `\\paragraph*{${LatexWriter.escape(label)}}\n${new LatexWriter().convert(this.renderBlockMarkdownBody(block))}`;
+    }
+
+    /**
+     * A zip with `<name>.tex` (one section per turn, lstlisting code, math
+     * passed through, thinking blocks verbatim) and `<name>.bib` built from
+     * citations, Perplexity sources and links. Citations are `\cite`d where
+     * they occur, or at the end of the turn when their position is unknown.
+     */
+    async generateLatex(options) {
+        if (typeof ZipWriter === 'undefined') {
+            throw new Error('Zip writer not available');
+        }
+        if (typeof LatexWriter === 'undefined') {
+            throw new Error('LaTeX writer not available');
+        }
+
+        const scoped = this.getPreparedExportData(options);
+        const metadata = scoped.metadata || {};
+        const name = this.sanitizeFilenameBase(options.filename) || 'conversation-export';
+        const bibliography = this.collectBibliography(scoped);
+        const byUrl = new Map(bibliography.map((entry) => [entry.normalizedUrl, entry]));
+        const reference = (url) => byUrl.get(this.normalizeReferenceUrl(url)) || null;
+        const escape = LatexWriter.escape;
+
+        const tex = [
+            `% ${metadata.title || 'AI conversation'} — exported by Universal AI Exporter ${this.version}`,
+            `% Build: pdflatex ${name} && bibtex ${name} && pdflatex ${name} && pdflatex ${name}`,
+            '% (lualatex or xelatex for scripts beyond Latin in code listings)',
+            LatexWriter.PREAMBLE,
+            '',
+            `\\title{${escape(metadata.title || 'AI Conversation Export')}}`,
+            `\\author{${escape(this.getAssistantLabel(scoped))} conversation}`,
+            `\\date{${escape(String(metadata.exportDate || '').slice(0, 10))}}`,
+            '',
+            '\\begin{document}',
+            '\\maketitle',
+            ''
+        ];
+
+        if (options.includeMetadata) {
+            tex.push('\\begin{description}');
+            tex.push(`  \\item[Platform] ${escape(metadata.platform || 'unknown')}`);
+            if (metadata.url) tex.push(`  \\item[Source] \\url{${LatexWriter.url(metadata.url)}}`);
+            tex.push(`  \\item[Messages] ${scoped.messages.length}`);
+            tex.push('\\end{description}', '');
+        }
+
+        scoped.messages.forEach((message, index) => {
+            tex.push(`\\section{${escape(this.getAuthorLabel(message.author, scoped))}}\\label{turn:${index + 1}}`, '');
+
+            if (options.includeThinking && Array.isArray(message.thinkingBlocks)) {
+                message.thinkingBlocks.forEach((block) => tex.push(this.renderLatexBlock(block), ''));
+            }
+
+            const refs = this.normalizeReferenceSet(message.references);
+            // Only label-like chip text ("[2]", a domain) is safe to swap for \cite in prose
+            const citations = refs.citations
+                .filter((item) => this.isCitationLabel(item.text, item.url))
+                .map((item) => ({ text: item.text, key: reference(item.url)?.key }))
+                .filter((item) => item.key);
+            const writer = new LatexWriter({
+                math: (Array.isArray(message.math) ? message.math : []).map((expression) => expression.latex),
+                reference,
+                citations
+            });
+            const body = writer.convert(this.getMessageText(message));
+            if (body) tex.push(body, '');
+
+            const sources = (message.perplexity?.sources || []).filter((source) => reference(source.url));
+            if (sources.length > 0) {
+                tex.push('\\paragraph*{Sources}', '\\begin{enumerate}');
+                sources.forEach((source) => {
+                    const key = reference(source.url).key;
+                    writer.cited.add(key);
+                    tex.push(`  \\item ${escape(source.title || source.domain || source.url)}~\\cite{${key}}`);
+                });
+                tex.push('\\end{enumerate}', '');
+            }
+
+            const unplaced = Array.from(new Set(refs.citations
+                .map((item) => reference(item.url)?.key)
+                .filter((key) => key && !writer.cited.has(key))));
+            if (unplaced.length > 0) {
+                tex.push(`\\noindent\\textit{Sources:}~\\cite{${unplaced.join(',')}}`, '');
+            }
+        });
+
+        if (bibliography.length > 0) {
+            // Links are listed too, even where the text never cites them
+            tex.push('\\nocite{*}', '\\bibliographystyle{plain}', `\\bibliography{${name}}`, '');
+        }
+        tex.push('\\end{document}', '');
+
+        const zip = new ZipWriter();
+        zip.addFile(`${name}.tex`, tex.join('\n'));
+        zip.addFile(`${name}.bib`, this.renderBibtex(bibliography, scoped));
+        console.log(`🎓 LaTeX export: ${scoped.messages.length} sections, ${bibliography.length} BibTeX entries`);
+        return zip.generate();
+    }
+
+    // ── Jupyter notebook ──
+
+    normalizeCodeLanguage(value) {
+        const language = String(value || '').trim().toLowerCase();
+        return ExportInterface.CODE_LANGUAGE_ALIASES[language] || language;
+    }
+
+    /**
+     * Split message text into prose and fenced code, keeping each fence's
+     * info string and original markup for code that stays in a markdown cell.
+     */
+    splitCodeFences(text) {
+        const segments = [];
+        const lines = String(text || '').split('\n');
+        let prose = [];
+        for (let i = 0; i < lines.length; i++) {
+            const fence = lines[i].match(/^\s{0,3}(`{3,}|~{3,})\s*([^\s`]*)([^`]*)$/);
+            if (!fence) {
+                prose.push(lines[i]);
+                continue;
+            }
+            const closing = new RegExp(`^\\s{0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+            const start = i;
+            const code = [];
+            for (i++; i < lines.length && !closing.test(lines[i]); i++) code.push(lines[i]);
+            if (prose.join('\n').trim()) segments.push({ type: 'prose', text: prose.join('\n').trim() });
+            prose = [];
+            segments.push({
+                type: 'code',
+                language: this.normalizeCodeLanguage(fence[2]),
+                info: `${fence[2]}${fence[3]}`.trim(),
+                code: code.join('\n'),
+                markdown: lines.slice(start, Math.min(i + 1, lines.length)).join('\n')
+            });
+        }
+        if (prose.join('\n').trim()) segments.push({ type: 'prose', text: prose.join('\n').trim() });
+        return segments;
+    }
+
+    /**
+     * Kernel language: the top entry of the extractor's
+     * `identifyProgrammingLanguages()` tally that has a known kernel, else
+     * the most used fence language in the exported messages, else Python.
+     */
+    getNotebookLanguage(scoped) {
+        const metadata = scoped.metadata || {};
+        const tally = { ...(metadata.chatgpt?.programmingLanguages || metadata.claude?.programmingLanguages || {}) };
+        if (Object.keys(tally).length === 0) {
+            scoped.messages.forEach((message) => {
+                this.splitCodeFences(this.getMessageText(message))
+                    .filter((segment) => segment.type === 'code' && segment.language)
+                    .forEach((segment) => { tally[segment.language] = (tally[segment.language] || 0) + 1; });
+            });
+        }
+        const ranked = Object.entries(tally)
+            .map(([language, count]) => [this.normalizeCodeLanguage(language), count])
+            .sort(([, a], [, b]) => b - a);
+        return ranked.map(([language]) => language).find((language) => ExportInterface.NOTEBOOK_KERNELS[language]) || 'python';
+    }
+
+    /**
+     * nbformat 4.5 notebook: prose as markdown cells, fences in the kernel
+     * language as code cells (shell under a Python kernel via %%bash), and
+     * tool calls as code cells with their parsed outputs as stream output.
+     */
+    generateNotebook(options) {
+        const scoped = this.getPreparedExportData(options);
+        const metadata = scoped.metadata || {};
+        const language = this.getNotebookLanguage(scoped);
+        const kernel = ExportInterface.NOTEBOOK_KERNELS[language];
+        const cells = [];
+        const source = (text) => String(text).split(/(?<=\n)/);
+        const cellMetadata = (message, extra = {}) => ({ universal_exporter: { messageId: message.id || null, author: message.author || null, ...extra } });
+        const runnable = (codeLanguage) => {
+            if (codeLanguage === language) return '';
+            if (language === 'python' && ['bash', 'sh'].includes(codeLanguage)) return '%%bash\n';
+            return null;
+        };
+
+        let markdown = [];
+        const flush = (message) => {
+            if (markdown.length === 0) return;
+            cells.push({ cell_type: 'markdown', id: `cell-${cells.length + 1}`, metadata: cellMetadata(message), source: source(markdown.join('\n\n')) });
+            markdown = [];
+        };
+        const codeCell = (message, code, outputs = [], extra = {}) => {
+            flush(message);
+            cells.push({
+                cell_type: 'code',
+                id: `cell-${cells.length + 1}`,
+                execution_count: null,
+                metadata: cellMetadata(message, extra),
+                outputs,
+                source: source(code)
+            });
+        };
+
+        scoped.messages.forEach((message) => {
+            markdown.push(`### ${this.getAuthorLabel(message.author, scoped)}`);
+
+            if (options.includeThinking && Array.isArray(message.thinkingBlocks)) {
+                message.thinkingBlocks.forEach((block) => {
+                    const type = block.type || 'thinking';
+                    const data = block.structuredData;
+                    if (type === 'tool_call' && data && (data.commands?.length > 0 || data.outputs?.length > 0)) {
+                        if (data.description) markdown.push(`*${this.getBlockLabel(type)}:* ${data.description}`);
+                        const prefix = runnable('bash') ?? '';
+                        const outputs = (data.outputs || []).map((text) => ({ output_type: 'stream', name: 'stdout', text: source(`${text}\n`) }));
+                        codeCell(message, `${prefix}${(data.commands || []).join('\n')}`, outputs, { blockType: type });
+                    } else if (type === 'thinking') {
+                        const label = block.summary ? `${this.getBlockLabel(type)}: ${block.summary}` : this.getBlockLabel(type);
+                        markdown.push(`<details>\n<summary>${this.escapeHtml(label)}</summary>\n\n${(block.content || '').trim()}\n\n</details>`);
+                    } else {
+                        markdown.push(this.renderBlockMarkdown(block).trim());
+                    }
+                });
+            }
+
+            this.splitCodeFences(this.getMessageText(message)).forEach((segment) => {
+                const prefix = segment.type === 'code' ? runnable(segment.language) : null;
+                if (prefix === null) {
+                    markdown.push(segment.type === 'code' ? segment.markdown : segment.text);
+                } else {
+                    codeCell(message, `${prefix}${segment.code}`);
+                }
+            });
+            flush(message);
+        });
+
+        const notebook = {
+            cells,
+            metadata: {
+                kernelspec: kernel.kernelspec,
+                language_info: kernel.language_info,
+                universal_exporter: {
+                    platform: metadata.platform || null,
+                    title: metadata.title || null,
+                    url: metadata.url || null,
+                    exportDate: metadata.exportDate || null,
+                    messageCount: scoped.messages.length
+                }
+            },
+            nbformat: 4,
+            nbformat_minor: 5
+        };
+        return JSON.stringify(notebook, null, 1);
+    }
+
+    // ── Code project ──
+
+    /**
+     * First path-like token with a source-file extension (or a Dockerfile /
+     * Makefile) in a summary, fence info string or line of prose.
+     */
+    inferFilename(text) {
+        const pattern = /(?:^|[\s`'"*([:=/])((?:[\w@.-]+\/)*(?:Dockerfile|Makefile|[\w-][\w.-]*\.([A-Za-z0-9]{1,10})))(?=$|[\s`'"*)\]:,;])/g;
+        let match;
+        while ((match = pattern.exec(String(text || ''))) !== null) {
+            if (ExportInterface.PROJECT_FILENAME_EXCLUSIONS.includes(match[1].toLowerCase())) continue;
+            if (!match[2] || ExportInterface.PROJECT_FILE_EXTENSIONS.includes(match[2].toLowerCase())) {
+                return this.sanitizeProjectPath(match[1]);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Relative path inside the project folder: `.` and `..` resolved without
+     * climbing above it, no characters file systems reject.
+     */
+    sanitizeProjectPath(value) {
+        const segments = [];
+        String(value || '').split(/[\\/]+/).forEach((part) => {
+            const segment = part.replace(/[<>:"|?*]/g, '-').trim();
+            if (segment === '..') {
+                segments.pop();
+            } else if (segment && segment !== '.') {
+                segments.push(segment);
             }
         });
+        return segments.join('/').slice(0, 200);
+    }
 
-        const pushNode = (node) => {
-            if (!nodes.some((existing) => existing.id === node.id)) {
-                nodes.push(node);
-            }
-        };
+    /**
+     * Filename written in the code's own first line, e.g. `# file: app.py`
+     * or `// src/index.ts`.
+     */
+    inferFilenameFromCode(code) {
+        const firstLine = String(code || '').split('\n')[0].trim();
+        const match = firstLine.match(/^(?:#|\/\/|--|;|\/\*|<!--)\s*(?:file(?:name)?\s*:\s*)?(\S+?)\s*(?:\*\/|-->)?$/i);
+        return match ? this.inferFilename(match[1]) : null;
+    }
 
-        scoped.messages.forEach((message, msgIndex) => {
-            const messageId = `message:${message.id || msgIndex}`;
-            pushNode({
-                id: messageId,
-                type: 'message',
-                label: `${message.author} #${msgIndex + 1}`,
-                metadata: {
-                    author: message.author,
-                    timestamp: message.timestamp || null,
-                    wordCount: message.wordCount || 0
-                }
-            });
-            edges.push({ from: conversationId, to: messageId, type: 'contains' });
+    looksLikeDiff(content) {
+        const lines = String(content || '').split('\n').filter((line) => line.trim());
+        if (lines.some((line) => /^@@ .* @@/.test(line) || /^(---|\+\+\+) \S/.test(line))) return true;
+        const changed = lines.filter((line) => /^[+-]/.test(line)).length;
+        return lines.length > 0 && changed / lines.length > 0.5;
+    }
 
-            (message.thinkingBlocks || []).forEach((block, blockIndex) => {
-                const blockId = `block:${messageId}:${block.id || blockIndex}`;
-                pushNode({
-                    id: blockId,
-                    type: block.type || 'thinking',
-                    label: (block.summary || block.type || 'thinking').slice(0, 120),
-                    metadata: {
-                        wordCount: block.wordCount || 0
-                    }
-                });
-                edges.push({ from: messageId, to: blockId, type: 'has_trace' });
+    /**
+     * Files written by the assistant, keyed by path, last version wins.
+     * Sources in turn order: `code` / `file_edit` blocks, fenced code in the
+     * reply, then Claude artifacts. Names come from the block summary, the
+     * fence info string, the code's first-line comment or the prose line
+     * before the fence; unnamed code lands in `snippets/`. A `file_edit`
+     * that creates a file is written out; other diffs cannot be replayed
+     * here and are listed in `edits` (the .patch export carries them).
+     */
+    collectProjectFiles(scoped) {
+        const files = new Map();
+        const edits = [];
+        let snippetCount = 0;
+
+        const record = (name, code, language, context) => {
+            const content = String(code || '').replace(/\n*$/, '\n');
+            if (!content.trim()) return;
+            let path = name;
+            if (!path) {
+                snippetCount += 1;
+                const extension = ExportInterface.CODE_FILE_EXTENSIONS[language] || 'txt';
+                path = `snippets/turn-${context.turn}-${snippetCount}.${extension}`;
+            }
+            const previous = files.get(path);
+            // Re-inserting keeps the map in order of each file's latest version
+            files.delete(path);
+            files.set(path, {
+                path,
+                content,
+                language: language || null,
+                turn: context.turn,
+                messageId: context.messageId,
+                source: context.source,
+                versions: (previous?.versions || 0) + 1,
+                snippet: !name
             });
+        };
 
-            const refs = this.normalizeReferenceSet(message.references);
-            refs.links.forEach((link, refIndex) => {
-                const refId = `ref:link:${messageId}:${refIndex}:${link.url || link.title || 'unknown'}`;
-                pushNode({
-                    id: refId,
-                    type: 'link',
-                    label: link.title || link.url || 'link',
-                    metadata: { url: link.url || '', domain: link.domain || '' }
+        scoped.messages.forEach((message, index) => {
+            if ((message.author || '').toLowerCase() === 'user') return;
+            const context = { turn: index + 1, messageId: message.id || null };
+
+            (Array.isArray(message.thinkingBlocks) ? message.thinkingBlocks : []).forEach((block) => {
+                const type = block.type || 'thinking';
+                if (type !== 'code' && type !== 'file_edit') return;
+                const summaryName = this.inferFilename(block.summary);
+                const blockContext = { ...context, source: type };
+                if (type === 'file_edit' && block.structuredData?.files?.length > 0) {
+                    block.structuredData.files.forEach((file) => {
+                        const path = this.sanitizeProjectPath(file.path) || null;
+                        if (path && file.isNew && file.hunks.length === 1) {
+                            const added = file.hunks[0].lines.filter((line) => line.type === 'add').map((line) => line.text);
+                            record(path, added.join('\n'), null, blockContext);
+                        } else {
+                            edits.push({ path, turn: context.turn, messageId: context.messageId, summary: block.summary || '' });
+                        }
+                    });
+                    return;
+                }
+                if (type === 'file_edit' && this.looksLikeDiff(block.content)) {
+                    edits.push({ path: summaryName, turn: context.turn, messageId: context.messageId, summary: block.summary || '' });
+                    return;
+                }
+                const fences = this.splitCodeFences(block.content).filter((segment) => segment.type === 'code');
+                if (fences.length === 0) {
+                    const extension = (summaryName || '').split('.').pop().toLowerCase();
+                    const language = Object.keys(ExportInterface.CODE_FILE_EXTENSIONS).find((key) => ExportInterface.CODE_FILE_EXTENSIONS[key] === extension);
+                    record(summaryName || this.inferFilenameFromCode(block.content), block.content, language, blockContext);
+                    return;
+                }
+                fences.forEach((fence, fenceIndex) => {
+                    const name = (fenceIndex === 0 && summaryName) || this.inferFilename(fence.info) || this.inferFilenameFromCode(fence.code);
+                    record(name, fence.code, fence.language, blockContext);
                 });
-                edges.push({ from: messageId, to: refId, type: 'references' });
             });
 
-            refs.documents.forEach((doc, refIndex) => {
-                const refId = `ref:document:${messageId}:${refIndex}:${doc.url || doc.name || 'unknown'}`;
-                pushNode({
-                    id: refId,
-                    type: 'document',
-                    label: doc.name || doc.url || 'document',
-                    metadata: { url: doc.url || '', docType: doc.type || '' }
-                });
-                edges.push({ from: messageId, to: refId, type: 'references' });
+            let lastProse = '';
+            this.splitCodeFences(this.getMessageText(message)).forEach((segment) => {
+                if (segment.type === 'prose') {
+                    lastProse = segment.text.split('\n').filter((line) => line.trim()).pop() || '';
+                    return;
+                }
+                const name = this.inferFilename(segment.info) || this.inferFilenameFromCode(segment.code) || this.inferFilename(lastProse);
+                record(name, segment.code, segment.language, { ...context, source: 'code block' });
+                lastProse = '';
             });
 
-            refs.attachments.forEach((attachment, refIndex) => {
-                const refId = `ref:attachment:${messageId}:${refIndex}:${attachment.name || 'attachment'}`;
-                pushNode({
-                    id: refId,
-                    type: 'attachment',
-                    label: attachment.name || 'attachment',
-                    metadata: { url: attachment.url || '', attachmentType: attachment.type || '' }
-                });
-                edges.push({ from: messageId, to: refId, type: 'attached' });
+            (message.claude?.artifacts || []).forEach((artifact) => {
+                const language = this.normalizeCodeLanguage(artifact.language === 'text' ? '' : artifact.language);
+                const name = this.inferFilename(artifact.title) || this.inferFilenameFromCode(artifact.content) ||
+                    (artifact.title && ExportInterface.CODE_FILE_EXTENSIONS[language]
+                        ? `${this.sanitizeFilenameBase(artifact.title).toLowerCase()}.${ExportInterface.CODE_FILE_EXTENSIONS[language]}`
+                        : null);
+                record(name, artifact.content, language, { ...context, source: 'artifact' });
             });
         });
 
-        return JSON.stringify({
-            schemaVersion: '1.0',
-            generatedAt: new Date().toISOString(),
-            graph: { nodes, edges }
-        }, null, 2);
+        // A snippet that is also saved under a real name is the same file
+        const named = new Set(Array.from(files.values()).filter((file) => !file.snippet).map((file) => file.content));
+        return {
+            files: Array.from(files.values()).filter((file) => !file.snippet || !named.has(file.content)),
+            edits
+        };
     }
 
-    generateMemoryPack(options) {
+    /**
+     * A zip with one folder holding the reconstructed files and a README
+     * listing the turn that produced each one.
+     */
+    async generateCodeProject(options) {
+        if (typeof ZipWriter === 'undefined') {
+            throw new Error('Zip writer not available');
+        }
+
         const scoped = this.getPreparedExportData(options);
-        const graphPayload = JSON.parse(this.generateGraphJSON(options));
-        const research = {
-            thinkingAnalysis: this.analyzeThinkingPatterns(),
-            conversationFlow: this.analyzeConversationFlow(),
-            topicEvolution: this.analyzeTopicEvolution(),
-            complexityMetrics: this.calculateComplexityMetrics()
-        };
+        const metadata = scoped.metadata || {};
+        const folder = this.sanitizeFilenameBase(options.filename) || 'conversation-export';
+        const { files, edits } = this.collectProjectFiles(scoped);
+        const zip = new ZipWriter();
+
+        const readme = [
+            `# ${metadata.title || 'AI Conversation'} — code`,
+            '',
+            `Files reconstructed from a ${this.getAssistantLabel(scoped)} conversation${metadata.url ? ` (${metadata.url})` : ''}, exported ${String(metadata.exportDate || '').slice(0, 10)}.`,
+            'Each file is the latest version written in the conversation.',
+            ''
+        ];
+        if (files.length > 0) {
+            readme.push('| File | Turn | Source | Versions |', '| --- | ---: | --- | ---: |');
+            files.forEach((file) => {
+                readme.push(`| \`${file.path}\` | ${file.turn} | ${file.source} | ${file.versions} |`);
+            });
+        } else {
+            readme.push('No code was found in the exported messages.');
+        }
+        if (edits.length > 0) {
+            readme.push('', '## Edits not applied', '', 'These file edits were recorded as diffs only; the Patch export replays them with `git apply`:', '');
+            edits.forEach((edit) => readme.push(`- Turn ${edit.turn}: ${edit.path ? `\`${edit.path}\`` : edit.summary || 'unnamed file'}`));
+        }
 
-        return JSON.stringify({
-            schemaVersion: '1.0',
-            generatedAt: new Date().toISOString(),
-            platform: scoped.metadata.platform,
-            metadata: scoped.metadata,
-            canonical: {
-                messages: scoped.messages,
-                thinkingBlocks: scoped.thinkingBlocks
-            },
-            graph: graphPayload.graph,
-            research
-        }, null, 2);
+        files.forEach((file) => zip.addFile(`${folder}/${file.path}`, file.content));
+        zip.addFile(`${folder}/${files.some((file) => file.path.toLowerCase() === 'readme.md') ? 'EXPORT-README.md' : 'README.md'}`, `${readme.join('\n')}\n`);
+        console.log(`📦 Code project: ${files.length} files, ${edits.length} unapplied edits`);
+        return zip.generate();
     }
-    
-    generateCSV(options) {
-        const scoped = this.getPreparedExportData(options);
-        let csv = 'id,author,type,content,word_count,timestamp\n';
-        
-        scoped.messages.forEach(message => {
-            const content = message.content.replace(/"/g, '""');
-            const authorLabel = this.getAuthorLabel(message.author, scoped).replace(/"/g, '""');
-            csv += `"${message.id}","${authorLabel}","message","${content}","${message.wordCount || 0}","${message.timestamp}"\n`;
-            
-            if (options.includeThinking && message.thinkingBlocks) {
-                message.thinkingBlocks.forEach(block => {
-                    const thinkingContent = block.content.replace(/"/g, '""');
-                    const type = block.type || 'thinking';
-                    csv += `"${block.id}","${authorLabel}","${type}","${thinkingContent}","${block.wordCount || 0}","${message.timestamp}"\n`;
+
+    // ── File edits ──
+
+    formatHunkHeader(hunk) {
+        return `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@${hunk.section ? ` ${hunk.section}` : ''}`;
+    }
+
+    /**
+     * A parsed file edit (see ClaudeExtractor.parseFileEditContent) as a
+     * git-style unified diff.
+     */
+    formatFileDiff(file) {
+        const oldPath = file.oldPath || file.path;
+        const lines = [`diff --git a/${oldPath} b/${file.path}`];
+        if (file.isNew) lines.push('new file mode 100644');
+        if (file.isDeleted) lines.push('deleted file mode 100644');
+        lines.push(file.isNew ? '--- /dev/null' : `--- a/${oldPath}`);
+        lines.push(file.isDeleted ? '+++ /dev/null' : `+++ b/${file.path}`);
+        file.hunks.forEach((hunk) => {
+            lines.push(this.formatHunkHeader(hunk));
+            hunk.lines.forEach((line) => {
+                const marker = line.type === 'add' ? '+' : line.type === 'remove' ? '-' : line.type === 'note' ? '' : ' ';
+                lines.push(`${marker}${line.text}`);
+            });
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Parsed file edits from every exported message, in conversation order.
+     */
+    collectFileEdits(scoped) {
+        const edits = [];
+        scoped.messages.forEach((message, index) => {
+            (Array.isArray(message.thinkingBlocks) ? message.thinkingBlocks : []).forEach((block) => {
+                if (block.type !== 'file_edit' || !block.structuredData?.files?.length) return;
+                edits.push({
+                    turn: index + 1,
+                    messageId: message.id || null,
+                    summary: block.summary || '',
+                    files: block.structuredData.files
                 });
-            }
+            });
         });
+        return edits;
+    }
 
-        (scoped.metadata.uploadedDocuments || []).forEach((doc, index) => {
-            const content = [doc.name || 'document', doc.type || 'file', doc.sizeLabel || '', doc.url || '']
-                .filter(Boolean)
-                .join(' | ')
-                .replace(/"/g, '""');
-            csv += `"upload_${index}","User","uploaded_document","${content}","0",""\n`;
+    /**
+     * Every file edit as one patch, in the order the edits were made, so a
+     * session can be replayed with `git apply`. Each edit is introduced by a
+     * comment line, which git skips; edits without a file path or without
+     * line numbers (`unanchored` bare listings) are listed but cannot be
+     * applied.
+     */
+    generatePatch(options) {
+        const scoped = this.getPreparedExportData(options);
+        const metadata = scoped.metadata || {};
+        const edits = this.collectFileEdits(scoped);
+        const lines = [
+            `# ${metadata.title || 'AI Conversation'}`,
+            `# ${this.getAssistantLabel(scoped)} file edits${metadata.url ? ` from ${metadata.url}` : ''}, exported ${String(metadata.exportDate || '').slice(0, 10)}`,
+            '# Apply with: git apply --verbose <this file>',
+            ''
+        ];
+        if (edits.length === 0) {
+            lines.push('# No file edits in the exported messages');
+        }
+        edits.forEach((edit) => {
+            lines.push(`# Turn ${edit.turn}${edit.messageId ? ` (${edit.messageId})` : ''}${edit.summary ? `: ${edit.summary.replace(/\s+/g, ' ')}` : ''}`);
+            edit.files.forEach((file) => {
+                if (!file.path) {
+                    lines.push('# Skipped: no file path');
+                    return;
+                }
+                if (file.unanchored) {
+                    lines.push(`# Skipped: ${file.path} has no line numbers`);
+                    return;
+                }
+                lines.push(this.formatFileDiff(file).replace(/\n$/, ''));
+            });
+            lines.push('');
         });
-        
-        return csv;
+        return `${lines.join('\n').replace(/\n+$/, '')}\n`;
     }
-    
+
     generateHTML(options) {
         const scoped = this.getPreparedExportData(options);
         return `<!DOCTYPE html>
@@ -1242,6 +3092,16 @@ class ExportInterface {
         .block-file_edit { background: #f0fff4; border: 1px solid #c6f6d5; }
         .block-file_edit .block-label { color: #276749; background: #c6f6d5; }
         .block-file_edit .block-content { font-family: 'SF Mono', monospace; color: #2d3748; font-size: 0.85em; }
+        .block-file_edit .diff { padding: 0 0 8px; background: #ffffff; }
+        .diff-file { font-weight: 600; padding: 6px 14px; background: #f6f8fa; border-bottom: 1px solid #d0d7de; }
+        .diff-stat { font-weight: normal; color: #57606a; margin-left: 8px; }
+        .diff-stat-add { color: #1a7f37; }
+        .diff-stat-remove { color: #cf222e; }
+        .diff-line { padding: 0 14px; }
+        .diff-hunk { color: #57606a; background: #ddf4ff; }
+        .diff-add { background: #e6ffec; color: #116329; }
+        .diff-remove { background: #ffebe9; color: #82071e; }
+        .diff-note { color: #6e7781; font-style: italic; }
 
         /* Summary toggle (for long blocks) */
         .block-summary { font-size: 0.8em; color: #6c757d; font-style: italic; padding: 4px 12px; cursor: pointer; }
@@ -1249,6 +3109,7 @@ class ExportInterface {
 
         /* Response content */
         .response-content { white-space: pre-wrap; word-wrap: break-word; }
+        ${scoped.messages.some((message) => Array.isArray(message.math) && message.math.length > 0) ? this.getMathStyles() : ''}
     </style>
 </head>
 <body>
@@ -1270,7 +3131,7 @@ class ExportInterface {
                 message.thinkingBlocks.map(block => this.renderBlock(block)).join('')
             : ''}
 
-            <div class="response-content">${this.escapeHtml(message.content)}</div>
+            <div class="response-content">${this.renderMessageHtml(message)}</div>
         </div>
     `).join('')}
 
@@ -1295,6 +3156,286 @@ class ExportInterface {
 </html>`;
     }
 
+    // ── EPUB ──
+
+    /**
+     * EPUB 3 book: a title page with the export metadata, one XHTML chapter
+     * per exchange (a user turn and the replies to it) or, with
+     * epubChapters 'turn', per turn, and a Notes chapter holding every
+     * reference. Blocks become collapsible asides (with includeThinking);
+     * citation chips and each turn's sources link to their endnote, and
+     * each endnote links back to the turns citing it.
+     */
+    async generateEPUB(options) {
+        if (typeof EpubWriter === 'undefined') {
+            throw new Error('EPUB writer not available');
+        }
+
+        const scoped = this.getPreparedExportData(options);
+        const metadata = scoped.metadata || {};
+        const platform = this.formatPlatformName(metadata.platform || '');
+        const title = metadata.title || `AI Conversation - ${platform}`;
+        const exportDate = metadata.exportDate || new Date().toISOString();
+        const source = /^https?:/.test(metadata.url || '') ? metadata.url : '';
+        // Same conversation, same identifier: e-readers replace the old copy
+        const digest = await this.sha256ForBytes(new TextEncoder().encode(source || `${title}\n${exportDate}`));
+        const book = new EpubWriter({
+            identifier: EpubWriter.uuid(digest || ''),
+            title,
+            language: metadata.language || document.documentElement?.lang || 'en',
+            creator: platform,
+            publisher: 'Universal AI Exporter',
+            date: exportDate,
+            source,
+            subject: `${platform} conversation`,
+            description: `Exported from ${source || platform} on ${exportDate}`
+        });
+
+        const notes = this.collectBibliography(scoped).map((entry, index) => ({ ...entry, number: index + 1 }));
+        const byUrl = new Map(notes.map((entry) => [entry.normalizedUrl, entry]));
+        const groups = this.groupEpubTurns(scoped, options);
+        const chapterOf = new Map();
+        groups.forEach((group, i) => {
+            group.id = `chapter-${String(i + 1).padStart(3, '0')}`;
+            group.turns.forEach(({ index }) => chapterOf.set(index + 1, `${group.id}.xhtml`));
+        });
+
+        const meta = [
+            ['Platform', this.escapeHtml(platform)],
+            ['Date', this.escapeHtml(exportDate)],
+            ['Messages', String(metadata.messageCount ?? scoped.messages.length)],
+            options.includeThinking && metadata.thinkingBlockCount ? ['Blocks', `${metadata.thinkingBlockCount} (${this.escapeHtml(this.formatBlockBreakdown(scoped))})`] : null,
+            source ? ['Source', `<a href="${this.escapeHtml(source).replace(/"/g, '&quot;')}">${this.escapeHtml(source)}</a>`] : null
+        ].filter(Boolean);
+        book.addChapter({
+            id: 'title',
+            title,
+            landmark: 'titlepage',
+            toc: false,
+            body: `<section epub:type="titlepage" class="titlepage"><h1>${this.escapeHtml(title)}</h1>`
+                + `<dl class="meta">${meta.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}</dl></section>`
+        });
+
+        const citation = (anchor) => {
+            const entry = byUrl.get(this.normalizeReferenceUrl(anchor.getAttribute('href')));
+            if (!entry || !this.isCitationLabel(anchor.textContent, entry.url)) return;
+            anchor.setAttribute('href', `endnotes.xhtml#note-${entry.number}`);
+            anchor.setAttribute('epub:type', 'noteref');
+            anchor.setAttribute('class', 'noteref');
+            anchor.textContent = String(entry.number);
+        };
+        groups.forEach((group, i) => {
+            const [first] = group.turns;
+            const label = this.getAuthorLabel(first.message.author, scoped);
+            const words = this.getOutlineExcerpt(this.getMessageText(first.message));
+            book.addChapter({
+                id: group.id,
+                title: options.epubChapters === 'turn'
+                    ? `${first.index + 1}. ${label}${words ? `: ${words}` : ''}`
+                    : `${i + 1}. ${words || label}`,
+                landmark: i === 0 ? 'bodymatter' : null,
+                children: group.turns.length > 1
+                    ? group.turns.map(({ message, index }) => ({ title: `${index + 1}. ${this.getAuthorLabel(message.author, scoped)}`, anchor: `turn-${index + 1}` }))
+                    : [],
+                body: `<section epub:type="chapter">${group.turns.map(({ message, index }) => this.renderEpubTurn(message, index, scoped, options, notes)).join('')}</section>`,
+                link: citation
+            });
+        });
+
+        if (notes.length > 0) {
+            book.addChapter({
+                id: 'endnotes',
+                title: 'Notes',
+                landmark: 'endnotes',
+                body: `<section epub:type="endnotes" class="endnotes"><h1>Notes</h1><ol>${notes.map((entry) => {
+                    const turns = entry.turns.filter((turn) => chapterOf.has(turn));
+                    const cited = turns.length
+                        ? `<p class="cited">Cited in ${turns.map((turn) => `<a href="${chapterOf.get(turn)}#turn-${turn}">turn ${turn}</a>`).join(', ')}</p>`
+                        : '';
+                    const domain = entry.title !== entry.domain ? ` <span class="domain">${this.escapeHtml(entry.domain)}</span>` : '';
+                    return `<li epub:type="endnote" id="note-${entry.number}"><p><a href="${this.escapeHtml(entry.url).replace(/"/g, '&quot;')}">${this.escapeHtml(entry.title)}</a>`
+                        + `${domain}</p>${cited}</li>`;
+                }).join('')}</ol></section>`
+            });
+        }
+
+        return book.generate();
+    }
+
+    /**
+     * Turns grouped into chapters: each user turn opens a new one (replies
+     * before the first user turn get their own), or one per turn.
+     */
+    groupEpubTurns(scoped, options) {
+        const groups = [];
+        scoped.messages.forEach((message, index) => {
+            const user = String(message.author || '').toLowerCase() === 'user';
+            if (options.epubChapters === 'turn' || user || groups.length === 0) {
+                groups.push({ turns: [] });
+            }
+            groups[groups.length - 1].turns.push({ message, index });
+        });
+        return groups;
+    }
+
+    /** One turn: heading, block asides, the Markdown body, then its sources as note references. */
+    renderEpubTurn(message, index, scoped, options, notes) {
+        const role = String(message.author || '').toLowerCase() === 'user' ? 'user' : 'assistant';
+        const blocks = options.includeThinking && Array.isArray(message.thinkingBlocks)
+            ? message.thinkingBlocks.map((block) => this.renderEpubBlock(block)).join('')
+            : '';
+        const cited = notes.filter((entry) => entry.messageIds.includes(message.id));
+        const sources = cited.length > 0
+            ? `<p class="sources">Sources: ${cited.map((entry) => (
+                `${this.escapeHtml(entry.title)}<a class="noteref" epub:type="noteref" href="endnotes.xhtml#note-${entry.number}">${entry.number}</a>`
+            )).join(' · ')}</p>`
+            : '';
+        return `<section class="turn ${role}" id="turn-${index + 1}">`
+            + `<h2>${this.escapeHtml(this.getAuthorLabel(message.author, scoped))}</h2>${blocks}`
+            + `<div class="response">${this.renderEpubMarkdown(this.getMessageText(message), message)}</div>${sources}</section>`;
+    }
+
+    /**
+     * A block as an aside that reading systems can collapse, opened by its
+     * label. Thinking reads as prose; other blocks as their Markdown form.
+     */
+    renderEpubBlock(block) {
+        const type = String(block.type || 'thinking').replace(/[^\w-]/g, '');
+        const summary = String(block.summary || '').trim();
+        const label = `${this.getBlockLabel(type)}${summary ? `: ${summary}` : ''}`;
+        const body = type === 'thinking' ? block.content : this.renderBlockMarkdownBody(block);
+        return `<aside epub:type="sidebar" class="block block-${type}"><details><summary>${this.escapeHtml(label)}</summary>`
+            + `${this.renderEpubMarkdown(body || '')}</details></aside>`;
+    }
+
+    /**
+     * Markdown rendered by the bundled `marked` (blank-line paragraphs
+     * without it), the message's math swapped in afterwards so the parser
+     * never sees TeX.
+     */
+    renderEpubMarkdown(text, message = null) {
+        const equations = [];
+        const source = this.getMessageSegments(message, text).map((segment) => {
+            if (segment.type === 'text') return segment.value;
+            equations.push(segment);
+            return `\uE000${equations.length - 1}\uE001`;
+        }).join('');
+
+        let html = null;
+        if (typeof window.marked?.parse === 'function') {
+            try {
+                html = window.marked.parse(source, { headerIds: false, mangle: false });
+            } catch (error) {
+                console.warn('⚠️ EPUB Markdown rendering failed:', error.message);
+            }
+        }
+        if (html === null) {
+            html = source.split(/\n\s*\n/).filter((paragraph) => paragraph.trim())
+                .map((paragraph) => `<p>${this.escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+                .join('');
+        }
+        return html.replace(/\uE000(\d+)\uE001/g, (match, i) => this.renderEpubMath(equations[Number(i)]));
+    }
+
+    /**
+     * The MathML copy KaTeX / MathJax kept beside their HTML (EPUB 3
+     * renders it natively), or the TeX source in code.
+     */
+    renderEpubMath(segment) {
+        const template = document.createElement('template');
+        template.innerHTML = this.sanitizeMathHtml(segment.expression?.html);
+        const math = template.content.querySelector('math');
+        if (math) {
+            math.setAttribute('display', segment.display ? 'block' : 'inline');
+            math.setAttribute('alttext', segment.latex);
+            return math.outerHTML;
+        }
+        const code = `<code>${this.escapeHtml(segment.display ? `$$${segment.latex}$$` : `$${segment.latex}$`)}</code>`;
+        return segment.display ? `<span class="math-display">${code}</span>` : code;
+    }
+
+    /**
+     * Escaped message text with math re-rendered from the captured KaTeX /
+     * MathJax markup (sanitized), or its TeX source when none was kept.
+     */
+    renderMessageHtml(message) {
+        return this.getMessageSegments(message).map((segment) => {
+            if (segment.type === 'text') return this.escapeHtml(segment.value);
+            const tag = segment.display ? 'div' : 'span';
+            const className = `math math-${segment.display ? 'display' : 'inline'}`;
+            const rendered = this.sanitizeMathHtml(segment.expression.html);
+            const source = this.escapeHtml(segment.display ? `$$${segment.latex}$$` : `$${segment.latex}$`);
+            return `<${tag} class="${className}" title="${this.escapeHtml(segment.latex).replace(/"/g, '&quot;')}">${rendered || `<code>${source}</code>`}</${tag}>`;
+        }).join('');
+    }
+
+    /**
+     * Keep only the markup KaTeX and MathJax produce (ExportInterface.MATH_TAGS
+     * and MATH_ATTRIBUTES); any other element is dropped with its content.
+     * Inline styles that load a URL are dropped too.
+     */
+    sanitizeMathHtml(html) {
+        if (!html) return '';
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        template.content.querySelectorAll('*').forEach((el) => {
+            const tag = el.localName.toLowerCase();
+            if (!ExportInterface.MATH_TAGS.has(tag) && !/^mjx-[a-z-]+$/.test(tag)) {
+                el.remove();
+                return;
+            }
+            Array.from(el.attributes).forEach((attribute) => {
+                const name = attribute.name.toLowerCase();
+                const allowed = ExportInterface.MATH_ATTRIBUTES.has(name) || /^aria-[a-z-]+$/.test(name);
+                if (!allowed || (name === 'style' && /url\s*\(|expression\s*\(|@import/i.test(attribute.value))) {
+                    el.removeAttribute(attribute.name);
+                }
+            });
+        });
+        return template.innerHTML;
+    }
+
+    /**
+     * The bundled KaTeX stylesheet (libs/katex) with its woff2 fonts inlined
+     * as data URIs, so the exported file renders math offline; the woff and
+     * ttf alternatives are not bundled and are dropped. Read once; empty
+     * when the stylesheet or a font is missing.
+     */
+    async loadKatexStyles() {
+        if (typeof this.katexCss === 'string') return this.katexCss;
+        this.katexCss = '';
+        try {
+            if (typeof chrome !== 'undefined' && chrome.runtime?.getURL) {
+                const response = await fetch(chrome.runtime.getURL('libs/katex/katex.min.css'));
+                if (!response.ok) return this.katexCss;
+                const css = (await response.text())
+                    .replace(/,url\(fonts\/[^)]+\) format\("(?:woff|truetype)"\)/g, '');
+                const fonts = new Map();
+                for (const [, file] of css.matchAll(/url\(fonts\/([^)]+\.woff2)\)/g)) {
+                    if (fonts.has(file)) continue;
+                    const font = await fetch(chrome.runtime.getURL(`libs/katex/fonts/${file}`));
+                    if (!font.ok) throw new Error(`${file} missing`);
+                    fonts.set(file, `data:font/woff2;base64,${this.toBase64(await font.arrayBuffer())}`);
+                }
+                this.katexCss = css.replace(/url\(fonts\/([^)]+\.woff2)\)/g, (match, file) => `url(${fonts.get(file)})`);
+            }
+        } catch (error) {
+            console.warn('⚠️ KaTeX styles not available:', error.message);
+        }
+        return this.katexCss;
+    }
+
+    getMathStyles() {
+        const base = '.math-display { display: block; text-align: center; margin: 12px 0; white-space: normal; }';
+        if (this.katexCss) {
+            return `${base}\n${this.katexCss}`;
+        }
+        // Without KaTeX's stylesheet, show the MathML copy browsers render natively
+        return `${base}
+        .math .katex-html, .math mjx-container > mjx-math { display: none; }
+        .math .katex-mathml, .math mjx-assistive-mml { position: static !important; clip: auto !important; width: auto !important; height: auto !important; }`;
+    }
+
     /**
      * Render a single thinking/tool/search block as HTML based on its type.
      */
@@ -1316,6 +3457,8 @@ class ExportInterface {
             contentHtml = this.renderWebSearchBlock(block);
         } else if (type === 'tool_call' && block.structuredData) {
             contentHtml = this.renderToolCallBlock(block);
+        } else if (type === 'file_edit' && block.structuredData?.files?.length > 0) {
+            contentHtml = this.renderFileEditBlock(block);
         } else {
             // Default: render the full text content
             contentHtml = `<div class="block-content">${this.escapeHtml(block.content)}</div>`;
@@ -1399,6 +3542,29 @@ class ExportInterface {
         return html;
     }
 
+    /**
+     * Render a file edit block as a coloured diff, one section per file.
+     */
+    renderFileEditBlock(block) {
+        let html = '<div class="block-content diff">';
+
+        block.structuredData.files.forEach((file) => {
+            const label = file.isNew ? 'new file' : file.isDeleted ? 'deleted' : file.oldPath !== file.path ? `renamed from ${file.oldPath}` : '';
+            html += `<div class="diff-file">${this.escapeHtml(file.path || 'unnamed file')}`;
+            html += ` <span class="diff-stat"><span class="diff-stat-add">+${file.added}</span> <span class="diff-stat-remove">-${file.removed}</span>${label ? ` ${this.escapeHtml(label)}` : ''}</span></div>`;
+            file.hunks.forEach((hunk) => {
+                html += `<div class="diff-line diff-hunk">${this.escapeHtml(this.formatHunkHeader(hunk))}</div>`;
+                hunk.lines.forEach((line) => {
+                    const marker = line.type === 'add' ? '+' : line.type === 'remove' ? '-' : line.type === 'note' ? '' : ' ';
+                    html += `<div class="diff-line diff-${line.type}">${this.escapeHtml(`${marker}${line.text}`) || ' '}</div>`;
+                });
+            });
+        });
+
+        html += '</div>';
+        return html;
+    }
+
     /**
      * Format block type breakdown for metadata display.
      */
@@ -1477,7 +3643,7 @@ class ExportInterface {
                 text += `\n`;
             }
 
-            text += `${message.content}\n\n`;
+            text += `${this.getMessageText(message)}\n\n`;
             text += `${'-'.repeat(40)}\n\n`;
         });
 
@@ -1826,7 +3992,16 @@ class ExportInterface {
             includeSignature: document.getElementById('include-signature')?.checked ?? false,
             pdfPageSize: document.getElementById('pdf-page-size')?.value || 'a4',
             pdfOrientation: document.getElementById('pdf-orientation')?.value || 'portrait',
-            pdfFontScale: Number(document.getElementById('pdf-font-scale')?.value || '1')
+            pdfFontScale: Number(document.getElementById('pdf-font-scale')?.value || '1'),
+            pdfContents: document.getElementById('pdf-contents')?.checked ?? true,
+            docxContents: document.getElementById('docx-contents')?.checked ?? true,
+            docxThinkingComments: document.getElementById('docx-thinking-comments')?.checked ?? false,
+            epubChapters: document.getElementById('epub-chapters')?.value || 'exchange',
+            datasetSystemPrompt: (document.getElementById('dataset-system-prompt')?.value || '').trim(),
+            datasetReasoning: document.getElementById('dataset-reasoning')?.checked ?? true,
+            datasetSplitTurns: document.getElementById('dataset-split-turns')?.checked ?? false,
+            datasetTokenEstimate: document.getElementById('dataset-token-estimate')?.checked ?? true,
+            obsidianThinkingNotes: document.getElementById('obsidian-thinking-notes')?.checked ?? true
         };
     }
 
@@ -1874,8 +4049,23 @@ class ExportInterface {
             'memorypack': 'memorypack.json',
             'csv': 'csv',
             'html': 'html',
+            'epub': 'epub',
             'txt': 'txt',
-            'research': 'research.json'
+            'research': 'research.json',
+            'openai': 'openai.jsonl',
+            'anthropic': 'anthropic.json',
+            'sharegpt': 'sharegpt.json',
+            'obsidian': 'obsidian.zip',
+            'latex': 'latex.zip',
+            'ipynb': 'ipynb',
+            'project': 'project.zip',
+            'patch': 'patch',
+            'bibtex': 'bib',
+            'ris': 'ris',
+            'csljson': 'csl.json',
+            'visualpdf': 'visual.pdf',
+            'visualpng': 'visual.png',
+            'bundle': 'zip'
         };
 
         const coreName = template
@@ -1902,8 +4092,23 @@ class ExportInterface {
             'memorypack': 'application/json',
             'csv': 'text/csv',
             'html': 'text/html',
+            'epub': 'application/epub+zip',
             'txt': 'text/plain',
-            'research': 'application/json'
+            'research': 'application/json',
+            'openai': 'application/jsonl',
+            'anthropic': 'application/json',
+            'sharegpt': 'application/json',
+            'obsidian': 'application/zip',
+            'latex': 'application/zip',
+            'ipynb': 'application/x-ipynb+json',
+            'project': 'application/zip',
+            'patch': 'text/x-diff',
+            'bibtex': 'application/x-bibtex',
+            'ris': 'application/x-research-info-systems',
+            'csljson': 'application/vnd.citationstyles.csl+json',
+            'visualpdf': 'application/pdf',
+            'visualpng': 'image/png',
+            'bundle': 'application/zip'
         };
         
         return mimeTypes[format] || 'text/plain';
@@ -1911,8 +4116,12 @@ class ExportInterface {
     
     async sha256ForBlob(blob) {
         if (!window.crypto?.subtle) return null;
-        const buffer = await blob.arrayBuffer();
-        const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+        return this.sha256ForBytes(await blob.arrayBuffer());
+    }
+
+    async sha256ForBytes(bytes) {
+        if (!window.crypto?.subtle) return null;
+        const digest = await window.crypto.subtle.digest('SHA-256', bytes);
         return Array.from(new Uint8Array(digest)).map((value) => value.toString(16).padStart(2, '0')).join('');
     }
 
@@ -2043,4 +4252,96 @@ class ExportInterface {
     }
 }
 
+// Thinking blocks longer than this get their own note in Obsidian exports
+ExportInterface.OBSIDIAN_THINKING_NOTE_CHARS = 1200;
+ExportInterface.REPORT_DOCUMENT_TYPES = ['pdf', 'doc', 'docx', 'odt', 'rtf'];
+ExportInterface.CODE_LANGUAGE_ALIASES = {
+    py: 'python', python3: 'python', ipython: 'python', js: 'javascript', node: 'javascript',
+    ts: 'typescript', sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', jl: 'julia', rs: 'rust'
+};
+ExportInterface.NOTEBOOK_KERNELS = {
+    python: {
+        kernelspec: { name: 'python3', display_name: 'Python 3', language: 'python' },
+        language_info: {
+            name: 'python', file_extension: '.py', mimetype: 'text/x-python',
+            codemirror_mode: { name: 'ipython', version: 3 }, pygments_lexer: 'ipython3'
+        }
+    },
+    r: {
+        kernelspec: { name: 'ir', display_name: 'R', language: 'R' },
+        language_info: { name: 'R', file_extension: '.r', mimetype: 'text/x-r-source', codemirror_mode: 'r' }
+    },
+    julia: {
+        kernelspec: { name: 'julia', display_name: 'Julia', language: 'julia' },
+        language_info: { name: 'julia', file_extension: '.jl', mimetype: 'application/julia' }
+    },
+    javascript: {
+        kernelspec: { name: 'javascript', display_name: 'JavaScript (Node.js)', language: 'javascript' },
+        language_info: { name: 'javascript', file_extension: '.js', mimetype: 'application/javascript' }
+    },
+    typescript: {
+        kernelspec: { name: 'tslab', display_name: 'TypeScript', language: 'typescript' },
+        language_info: { name: 'typescript', file_extension: '.ts', mimetype: 'text/typescript' }
+    },
+    bash: {
+        kernelspec: { name: 'bash', display_name: 'Bash', language: 'bash' },
+        language_info: { name: 'bash', file_extension: '.sh', mimetype: 'text/x-sh', codemirror_mode: 'shell' }
+    },
+    rust: {
+        kernelspec: { name: 'rust', display_name: 'Rust', language: 'rust' },
+        language_info: { name: 'Rust', file_extension: '.rs', mimetype: 'text/rust' }
+    }
+};
+
+// Extension written for unnamed code in the code project export
+ExportInterface.CODE_FILE_EXTENSIONS = {
+    python: 'py', javascript: 'js', typescript: 'ts', jsx: 'jsx', tsx: 'tsx', bash: 'sh', r: 'r', julia: 'jl',
+    rust: 'rs', go: 'go', java: 'java', kotlin: 'kt', swift: 'swift', c: 'c', cpp: 'cpp', csharp: 'cs',
+    ruby: 'rb', php: 'php', sql: 'sql', html: 'html', css: 'css', scss: 'scss', json: 'json', yaml: 'yml',
+    toml: 'toml', xml: 'xml', markdown: 'md'
+};
+// Extensions that make a token in prose or a summary count as a filename
+ExportInterface.PROJECT_FILE_EXTENSIONS = [
+    'py', 'js', 'mjs', 'cjs', 'ts', 'jsx', 'tsx', 'sh', 'r', 'jl', 'rs', 'go', 'java', 'kt', 'swift', 'c', 'h',
+    'cpp', 'hpp', 'cs', 'rb', 'php', 'sql', 'html', 'css', 'scss', 'vue', 'svelte', 'json', 'yml', 'yaml',
+    'toml', 'xml', 'md', 'txt', 'ini', 'cfg', 'env', 'lock', 'gradle', 'ipynb'
+];
+// Library names that look like filenames in prose
+ExportInterface.PROJECT_FILENAME_EXCLUSIONS = ['node.js', 'next.js', 'nuxt.js', 'vue.js', 'react.js', 'express.js', 'three.js', 'd3.js', 'chart.js'];
+// TrueType fonts for PDF exports (`npm run download-fonts`); jsPDF embeds
+// only the glyphs a document uses. fallback.ttf is optional: any TrueType
+// CJK font saved under that name covers what DejaVu lacks.
+ExportInterface.PDF_FONTS = [
+    { family: 'DejaVuSans', style: 'normal', role: 'sans', file: 'libs/fonts/DejaVuSans.ttf' },
+    { family: 'DejaVuSans', style: 'bold', role: 'sans', file: 'libs/fonts/DejaVuSans-Bold.ttf' },
+    { family: 'DejaVuSans', style: 'italic', role: 'sans', file: 'libs/fonts/DejaVuSans-Oblique.ttf' },
+    { family: 'DejaVuSans', style: 'bolditalic', role: 'sans', file: 'libs/fonts/DejaVuSans-BoldOblique.ttf' },
+    { family: 'DejaVuSansMono', style: 'normal', role: 'mono', file: 'libs/fonts/DejaVuSansMono.ttf' },
+    { family: 'DejaVuSansMono', style: 'bold', role: 'mono', file: 'libs/fonts/DejaVuSansMono-Bold.ttf' },
+    { family: 'FallbackSans', style: 'normal', role: 'fallback', file: 'libs/fonts/fallback.ttf' }
+];
+// Elements KaTeX / MathJax output is made of (plus MathJax's mjx-* tags)
+ExportInterface.MATH_TAGS = new Set([
+    'span', 'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace',
+    'msup', 'msub', 'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover',
+    'mtable', 'mtr', 'mtd', 'mlabeledtr', 'mstyle', 'mpadded', 'mphantom', 'menclose', 'merror',
+    'mmultiscripts', 'mprescripts', 'none', 'svg', 'path', 'line'
+]);
+// Presentational attributes those elements need; never URLs or handlers
+ExportInterface.MATH_ATTRIBUTES = new Set([
+    'class', 'style', 'xmlns', 'encoding', 'display', 'displaystyle', 'scriptlevel', 'mathvariant',
+    'stretchy', 'fence', 'separator', 'accent', 'accentunder', 'movablelimits', 'lspace', 'rspace',
+    'minsize', 'maxsize', 'symmetric', 'largeop', 'linethickness', 'notation', 'columnalign',
+    'rowalign', 'columnspacing', 'rowspacing', 'columnlines', 'rowlines', 'frame', 'width', 'height',
+    'depth', 'voffset', 'viewbox', 'preserveaspectratio', 'd', 'x1', 'y1', 'x2', 'y2', 'stroke-width'
+]);
+// Diff line colours shared with the HTML export's .diff-* styles
+ExportInterface.PDF_DIFF_COLORS = {
+    hunk: { color: '#57606a', fill: '#ddf4ff' },
+    add: { color: '#116329', fill: '#e6ffec' },
+    remove: { color: '#82071e', fill: '#ffebe9' },
+    context: {},
+    note: { color: '#6e7781' }
+};
+
 window.ExportInterface = ExportInterface;
@@ -0,0 +1,78 @@
+// scripts/background-harness.js
+// Loads extension/background.js into a VM context for tests, with
+// in-memory chrome.storage.local and alarms and a fresh fake IndexedDB.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const extensionDir = path.join(path.resolve(__dirname, '..'), 'extension');
+const backgroundPath = path.join(extensionDir, 'background.js');
+
+function read(filePath) {
+    return fs.readFileSync(filePath, 'utf8');
+}
+
+/**
+ * Run background.js against an in-memory chrome.storage.local and a fresh
+ * fake IndexedDB. Every other chrome.* API is a no-op proxy so the listener
+ * registrations succeed.
+ */
+function loadBackground(store = {}, { fetch = async () => ({ ok: true, status: 200 }), alarms = {} } = {}) {
+    const noop = new Proxy(function () {}, {
+        get: (target, prop) => (prop === 'then' ? undefined : noop),
+        apply: () => noop
+    });
+    const local = {
+        get: async (key) => {
+            if (key === null) return JSON.parse(JSON.stringify(store));
+            return key in store ? { [key]: JSON.parse(JSON.stringify(store[key])) } : {};
+        },
+        set: async (items) => {
+            Object.assign(store, JSON.parse(JSON.stringify(items)));
+        },
+        remove: async (keys) => {
+            [].concat(keys).forEach((key) => delete store[key]);
+        }
+    };
+    const chrome = new Proxy({}, {
+        get: (target, prop) => {
+            if (prop === 'storage') return { local, onChanged: { addListener() {} } };
+            if (prop === 'alarms') {
+                return {
+                    onAlarm: { addListener() {} },
+                    create: async (name, info) => { alarms[name] = info.when; },
+                    clear: async (name) => { delete alarms[name]; }
+                };
+            }
+            return noop;
+        }
+    });
+
+    const context = vm.createContext({
+        chrome,
+        console: { log() {}, warn() {}, error: console.error },
+        fetch,
+        crypto,
+        AbortSignal,
+        setTimeout,
+        clearTimeout,
+        setInterval: () => 0,
+        Date,
+        URL,
+        indexedDB: new IDBFactory(),
+        IDBKeyRange
+    });
+    context.self = context;
+    context.importScripts = (...files) => {
+        files.forEach((file) => {
+            const filePath = path.join(extensionDir, file);
+            vm.runInContext(read(filePath), context, { filename: filePath });
+        });
+    };
+    vm.runInContext(read(backgroundPath), context, { filename: backgroundPath });
+    return { context, store };
+}
+
+module.exports = { loadBackground };
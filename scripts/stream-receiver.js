@@ -0,0 +1,509 @@
+// scripts/stream-receiver.js
+// Reference receiver for TurnWatcher's live capture stream (localhost:7749).
+//
+//   GET  /handshake     supported schema versions (also verifies the token)
+//   POST /turn          one captured turn — validated, appended to JSONL
+//   POST /event         session event (e.g. compaction_detected)
+//   GET  /health        liveness only — the one route without a token
+//   GET  /sessions      session summaries, most recent first
+//   GET  /sessions/:id  every record of one session, in arrival order
+//
+// Every other route requires the shared token in the X-Exporter-Token
+// header. The token comes from --token / RECEIVER_TOKEN, else from
+// <dataDir>/receiver-token (generated on first run). Paste it into the
+// extension popup. CORS is only granted to extension origins, so web pages
+// can't read captured sessions.
+//
+// Payloads carry `schemaVersion`. Older supported versions are upgraded to
+// the current one before they are stored; unknown versions are rejected.
+//
+// Storage is append-only: <dataDir>/<sessionId>.jsonl, one record per line
+//   { kind: 'turn' | 'event', receivedAt, idempotencyKey, data }
+// A request whose Idempotency-Key is already stored for that session is
+// acknowledged ({ duplicate: true }) without writing again, so outbox
+// retries land exactly once.
+//
+// A compaction_detected event lists the pre-compaction branch (`turnIds`,
+// root → leaf) and its `transcriptHash`. The receiver checks both against
+// the turns it holds and stores the outcome on the record as
+//   verification: { complete, missingTurnIds, transcriptHashMatches }
+//
+// Usage: node scripts/stream-receiver.js [--port 7749] [--data-dir ./receiver-data] [--token <secret>]
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 7749;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const TURN_ROLES = ['user', 'assistant'];
+const TOKEN_HEADER = 'x-exporter-token';
+const TOKEN_FILE = 'receiver-token';
+const EXTENSION_ORIGIN_PATTERN = /^(chrome|moz|safari-web)-extension:\/\//;
+
+// 1 — linear turns (no branch pointers)
+// 2 — turns carry parentId/branchIndex for edit and regeneration branches
+const CURRENT_SCHEMA_VERSION = 2;
+const SUPPORTED_SCHEMA_VERSIONS = [1, 2];
+
+// ── Schema validation ──
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isDateString(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function validateSessionId(value, errors) {
+    if (typeof value !== 'string' || !SESSION_ID_PATTERN.test(value)) {
+        errors.push('sessionId must be 1-128 characters of [A-Za-z0-9_-]');
+    }
+}
+
+/**
+ * Validate a turn as produced by TurnWatcher.extractUserTurn /
+ * extractAssistantTurn. Returns a list of problems (empty when valid).
+ */
+function validateTurn(turn) {
+    if (!isObject(turn)) return ['turn must be a JSON object'];
+
+    const errors = [];
+    validateSessionId(turn.sessionId, errors);
+
+    if (typeof turn.id !== 'string' || !turn.id) errors.push('id must be a non-empty string');
+    if (!TURN_ROLES.includes(turn.role)) errors.push(`role must be one of ${TURN_ROLES.join(', ')}`);
+    if (typeof turn.content !== 'string') errors.push('content must be a string');
+    if (!isDateString(turn.timestamp)) errors.push('timestamp must be an ISO date string');
+    if (!isCount(turn.turnIndex)) errors.push('turnIndex must be a non-negative integer');
+    if (typeof turn.platform !== 'string' || !turn.platform) errors.push('platform must be a non-empty string');
+
+    if (turn.parentId !== undefined && turn.parentId !== null && typeof turn.parentId !== 'string') {
+        errors.push('parentId must be a string or null');
+    }
+    if (turn.branchIndex !== undefined && !isCount(turn.branchIndex)) {
+        errors.push('branchIndex must be a non-negative integer');
+    }
+    if (turn.conversationUrl !== undefined && typeof turn.conversationUrl !== 'string') {
+        errors.push('conversationUrl must be a string');
+    }
+    ['wordCount', 'thinkingWordCount'].forEach((field) => {
+        if (turn[field] !== undefined && !isCount(turn[field])) {
+            errors.push(`${field} must be a non-negative integer`);
+        }
+    });
+
+    if (turn.thinking !== undefined) {
+        if (!Array.isArray(turn.thinking)) {
+            errors.push('thinking must be an array');
+        } else if (turn.thinking.some((block) => !isObject(block) || typeof block.content !== 'string')) {
+            errors.push('thinking blocks must be objects with a string content');
+        }
+    }
+
+    if (turn.role === 'user' && turn.thinking !== undefined) {
+        errors.push('user turns cannot carry thinking blocks');
+    }
+
+    return errors;
+}
+
+/**
+ * Bring a payload up to CURRENT_SCHEMA_VERSION. Payloads without a version
+ * predate versioning and are treated as v1. Returns { payload } or { error }.
+ */
+function upgradePayload(kind, payload) {
+    if (!isObject(payload)) return { payload };
+
+    const version = payload.schemaVersion === undefined ? 1 : payload.schemaVersion;
+    if (!SUPPORTED_SCHEMA_VERSIONS.includes(version)) {
+        return { error: `Unsupported schemaVersion ${JSON.stringify(payload.schemaVersion)}` };
+    }
+
+    const upgraded = { ...payload, schemaVersion: CURRENT_SCHEMA_VERSION };
+
+    // v1 turns were a single linear chain: turn_<n> follows turn_<n-1>
+    if (version < 2 && kind === 'turn') {
+        upgraded.parentId = isCount(payload.turnIndex) && payload.turnIndex > 0
+            ? `turn_${payload.turnIndex - 1}`
+            : null;
+        upgraded.branchIndex = 0;
+    }
+
+    return { payload: upgraded };
+}
+
+function validateEvent(event) {
+    if (!isObject(event)) return ['event must be a JSON object'];
+
+    const errors = [];
+    validateSessionId(event.sessionId, errors);
+
+    if (typeof event.type !== 'string' || !event.type) errors.push('type must be a non-empty string');
+    if (event.timestamp !== undefined && !isDateString(event.timestamp)) {
+        errors.push('timestamp must be an ISO date string');
+    }
+    if (event.turnIds !== undefined &&
+        !(Array.isArray(event.turnIds) && event.turnIds.every((id) => typeof id === 'string' && id))) {
+        errors.push('turnIds must be an array of turn ids');
+    }
+    if (event.transcriptHash !== undefined && event.transcriptHash !== null && typeof event.transcriptHash !== 'string') {
+        errors.push('transcriptHash must be a string');
+    }
+
+    return errors;
+}
+
+// ── Compaction snapshots ──
+
+/**
+ * FNV-1a, identical to TurnWatcher.hashContent.
+ */
+function hashContent(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return (hash >>> 0).toString(16);
+}
+
+/**
+ * Check a compaction event's cited turns against the stored records. A
+ * turn updated while streaming is stored more than once; the latest wins.
+ */
+function verifyTranscript(records, event) {
+    const latest = new Map();
+    records
+        .filter((record) => record.kind === 'turn')
+        .forEach((record) => latest.set(record.data.id, record.data));
+
+    const missingTurnIds = event.turnIds.filter((id) => !latest.has(id));
+    const complete = missingTurnIds.length === 0;
+    const transcriptHash = complete
+        ? hashContent(event.turnIds.map((id) => {
+            const turn = latest.get(id);
+            return `${id}:${hashContent(`${turn.role}:${turn.content}`)}`;
+        }).join('\n'))
+        : null;
+
+    return {
+        complete,
+        missingTurnIds,
+        transcriptHashMatches: complete && transcriptHash === event.transcriptHash
+    };
+}
+
+// ── Storage ──
+
+class SessionStore {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.sessions = new Map();
+
+        fs.mkdirSync(dataDir, { recursive: true });
+        this.load();
+    }
+
+    /**
+     * Rebuild summaries (and seen idempotency keys) from existing files.
+     */
+    load() {
+        fs.readdirSync(this.dataDir)
+            .filter((name) => name.endsWith('.jsonl'))
+            .forEach((name) => {
+                const sessionId = name.slice(0, -'.jsonl'.length);
+                if (!SESSION_ID_PATTERN.test(sessionId)) return;
+                this.readRecords(sessionId).forEach((record) => this.track(sessionId, record));
+            });
+    }
+
+    filePath(sessionId) {
+        return path.join(this.dataDir, `${sessionId}.jsonl`);
+    }
+
+    readRecords(sessionId) {
+        const file = this.filePath(sessionId);
+        if (!fs.existsSync(file)) return [];
+
+        return fs.readFileSync(file, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .flatMap((line) => {
+                try {
+                    return [JSON.parse(line)];
+                } catch (error) {
+                    return []; // torn final line after a crash
+                }
+            });
+    }
+
+    track(sessionId, record) {
+        let summary = this.sessions.get(sessionId);
+        if (!summary) {
+            summary = {
+                sessionId,
+                platform: null,
+                conversationUrl: null,
+                turnCount: 0,
+                eventCount: 0,
+                firstReceivedAt: record.receivedAt,
+                lastReceivedAt: record.receivedAt,
+                idempotencyKeys: new Set()
+            };
+            this.sessions.set(sessionId, summary);
+        }
+
+        if (record.kind === 'turn') {
+            summary.turnCount++;
+            summary.platform = record.data.platform || summary.platform;
+            summary.conversationUrl = record.data.conversationUrl || summary.conversationUrl;
+        } else {
+            summary.eventCount++;
+        }
+
+        if (record.idempotencyKey) summary.idempotencyKeys.add(record.idempotencyKey);
+        summary.lastReceivedAt = record.receivedAt;
+    }
+
+    hasKey(sessionId, idempotencyKey) {
+        return !!idempotencyKey && !!this.sessions.get(sessionId)?.idempotencyKeys.has(idempotencyKey);
+    }
+
+    append(sessionId, kind, data, idempotencyKey = null, verification = null) {
+        const record = {
+            kind,
+            receivedAt: new Date().toISOString(),
+            idempotencyKey,
+            data
+        };
+        if (verification) record.verification = verification;
+
+        fs.appendFileSync(this.filePath(sessionId), `${JSON.stringify(record)}\n`);
+        this.track(sessionId, record);
+        return record;
+    }
+
+    list() {
+        return [...this.sessions.values()]
+            .map(({ idempotencyKeys, ...summary }) => summary)
+            .sort((a, b) => b.lastReceivedAt.localeCompare(a.lastReceivedAt));
+    }
+
+    get(sessionId) {
+        const summary = this.sessions.get(sessionId);
+        if (!summary) return null;
+
+        const { idempotencyKeys, ...rest } = summary;
+        return { ...rest, records: this.readRecords(sessionId) };
+    }
+}
+
+// ── Auth ──
+
+/**
+ * Token from options/env, else the persisted token file, else a new one.
+ */
+function loadOrCreateToken(dataDir) {
+    const file = path.join(dataDir, TOKEN_FILE);
+    if (fs.existsSync(file)) {
+        return fs.readFileSync(file, 'utf8').trim();
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.writeFileSync(file, `${token}\n`, { mode: 0o600 });
+    return token;
+}
+
+function tokenMatches(expected, provided) {
+    if (typeof provided !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(provided);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ── HTTP ──
+
+function sendJson(req, res, status, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    const origin = req.headers.origin;
+
+    // Extension pages/workers only — a web page must not read captures
+    if (origin && EXTENSION_ORIGIN_PATTERN.test(origin)) {
+        headers['Access-Control-Allow-Origin'] = origin;
+        headers['Access-Control-Allow-Headers'] = 'Content-Type, Idempotency-Key, X-Exporter-Token';
+        headers['Access-Control-Allow-Methods'] = 'GET, POST, OPTIONS';
+        headers.Vary = 'Origin';
+    }
+
+    res.writeHead(status, headers);
+    res.end(status === 204 ? undefined : JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Create the receiver's HTTP server (not yet listening).
+ */
+function createReceiver({ dataDir, token = null, logger = console } = {}) {
+    const store = new SessionStore(dataDir);
+    const sharedToken = token || loadOrCreateToken(dataDir);
+    const startedAt = Date.now();
+
+    const ingest = async (req, res, kind) => {
+        const upgrade = upgradePayload(kind, await readJsonBody(req));
+        if (upgrade.error) {
+            sendJson(req, res, 422, { error: upgrade.error, supportedSchemaVersions: SUPPORTED_SCHEMA_VERSIONS });
+            return;
+        }
+
+        const body = upgrade.payload;
+        const errors = kind === 'turn' ? validateTurn(body) : validateEvent(body);
+        if (errors.length > 0) {
+            sendJson(req, res, 400, { error: `Invalid ${kind}`, details: errors });
+            return;
+        }
+
+        const idempotencyKey = req.headers['idempotency-key'] || null;
+        if (store.hasKey(body.sessionId, idempotencyKey)) {
+            sendJson(req, res, 200, { ok: true, duplicate: true });
+            return;
+        }
+
+        const verification = kind === 'event' && Array.isArray(body.turnIds)
+            ? verifyTranscript(store.readRecords(body.sessionId), body)
+            : null;
+
+        store.append(body.sessionId, kind, body, idempotencyKey, verification);
+        logger.log(`📥 ${kind} ${body.id || body.type} | session ${body.sessionId}`);
+        if (verification && !verification.transcriptHashMatches) {
+            logger.log(`⚠️ ${body.type} transcript not verified | missing: ${verification.missingTurnIds.join(', ') || 'none'}`);
+        }
+        sendJson(req, res, 201, verification ? { ok: true, verification } : { ok: true });
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        try {
+            if (req.method === 'OPTIONS') {
+                sendJson(req, res, 204);
+            } else if (req.method === 'GET' && pathname === '/health') {
+                sendJson(req, res, 200, {
+                    status: 'ok',
+                    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+                });
+            } else if (!tokenMatches(sharedToken, req.headers[TOKEN_HEADER])) {
+                sendJson(req, res, 401, { error: 'Missing or invalid X-Exporter-Token' });
+            } else if (req.method === 'GET' && pathname === '/handshake') {
+                sendJson(req, res, 200, {
+                    receiver: 'universal-ai-exporter-reference',
+                    schemaVersions: SUPPORTED_SCHEMA_VERSIONS,
+                    currentSchemaVersion: CURRENT_SCHEMA_VERSION,
+                    sessions: store.sessions.size
+                });
+            } else if (req.method === 'POST' && pathname === '/turn') {
+                await ingest(req, res, 'turn');
+            } else if (req.method === 'POST' && pathname === '/event') {
+                await ingest(req, res, 'event');
+            } else if (req.method === 'GET' && pathname === '/sessions') {
+                sendJson(req, res, 200, { sessions: store.list() });
+            } else if (req.method === 'GET' && pathname.startsWith('/sessions/')) {
+                let sessionId = null;
+                try {
+                    sessionId = decodeURIComponent(pathname.slice('/sessions/'.length));
+                } catch (error) {
+                    // Malformed escape such as %E0: bad input, not a receiver fault
+                }
+                const session = sessionId !== null && store.get(sessionId);
+                if (sessionId === null) {
+                    sendJson(req, res, 400, { error: 'Malformed session id' });
+                } else if (session) {
+                    sendJson(req, res, 200, session);
+                } else {
+                    sendJson(req, res, 404, { error: 'Unknown session' });
+                }
+            } else {
+                sendJson(req, res, 404, { error: 'Not found' });
+            }
+        } catch (error) {
+            if (!res.headersSent) {
+                sendJson(req, res, error.status || 500, { error: error.message });
+            }
+            if (!error.status) logger.error('💥 Receiver error:', error);
+        }
+    });
+
+    server.store = store;
+    server.token = sharedToken;
+    return server;
+}
+
+function parseArgs(argv) {
+    const options = {
+        port: Number(process.env.RECEIVER_PORT) || DEFAULT_PORT,
+        dataDir: process.env.RECEIVER_DATA_DIR || path.join(process.cwd(), 'receiver-data'),
+        token: process.env.RECEIVER_TOKEN || null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        if (argv[i] === '--data-dir') options.dataDir = path.resolve(argv[++i]);
+        if (argv[i] === '--token') options.token = argv[++i];
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    const { port, dataDir, token } = parseArgs(process.argv.slice(2));
+    const server = createReceiver({ dataDir, token });
+
+    server.listen(port, DEFAULT_HOST, () => {
+        console.log(`✅ Stream receiver listening on http://${DEFAULT_HOST}:${port} (data: ${dataDir})`);
+        console.log(`🔑 Token (paste into the extension popup): ${server.token}`);
+    });
+}
+
+module.exports = {
+    CURRENT_SCHEMA_VERSION,
+    SUPPORTED_SCHEMA_VERSIONS,
+    createReceiver,
+    upgradePayload,
+    validateTurn,
+    validateEvent,
+    verifyTranscript,
+    SessionStore
+};
@@ -0,0 +1,61 @@
+// scripts/subset-fallback-font.js
+// Builds extension/libs/fonts/fallback.ttf, the CJK fallback font for PDF
+// exports: Noto Sans SC (SIL OFL 1.1) cut down to the GB2312 hanzi, kana,
+// CJK punctuation and fullwidth forms. The full font is ~10 MB; the subset
+// keeps everyday Chinese and Japanese text at a fraction of that.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const subsetFont = require('subset-font');
+
+const PACKAGE = '@expo-google-fonts/noto-sans-sc@0.4.3';
+const SOURCE = 'package/400Regular/NotoSansSC_400Regular.ttf';
+const fontsDir = path.join(__dirname, '../extension/libs/fonts');
+
+function range(first, last) {
+    let text = '';
+    for (let codePoint = first; codePoint <= last; codePoint++) {
+        text += String.fromCodePoint(codePoint);
+    }
+    return text;
+}
+
+/** Every character of GB2312 levels 1 and 2 (rows 0xB0–0xF7). */
+function gb2312Hanzi() {
+    const decoder = new TextDecoder('gbk');
+    let text = '';
+    for (let high = 0xB0; high <= 0xF7; high++) {
+        for (let low = 0xA1; low <= 0xFE; low++) {
+            const char = decoder.decode(Uint8Array.of(high, low));
+            if (char !== '�') text += char;
+        }
+    }
+    return text;
+}
+
+async function main() {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fallback-font-'));
+    try {
+        const tarball = execFileSync('npm', ['pack', PACKAGE, '--silent'], { cwd: workDir, encoding: 'utf8' }).trim();
+        execFileSync('tar', ['xzf', tarball, SOURCE, 'package/LICENSE_FONT'], { cwd: workDir });
+
+        const text = gb2312Hanzi()
+            + range(0x3000, 0x30FF) // CJK punctuation, hiragana, katakana
+            + range(0xFF00, 0xFFEF); // Halfwidth and fullwidth forms
+        const font = await subsetFont(fs.readFileSync(path.join(workDir, SOURCE)), text, { targetFormat: 'truetype' });
+
+        fs.mkdirSync(fontsDir, { recursive: true });
+        fs.writeFileSync(path.join(fontsDir, 'fallback.ttf'), font);
+        fs.copyFileSync(path.join(workDir, 'package/LICENSE_FONT'), path.join(fontsDir, 'LICENSE-NotoSansSC.txt'));
+        console.log(`✅ fallback.ttf: ${[...text].length} characters, ${Math.round(font.length / 1024)} KB`);
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ Fallback font: ${error.message}`);
+    process.exit(1);
+});
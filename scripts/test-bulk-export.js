@@ -0,0 +1,191 @@
+// scripts/test-bulk-export.js
+// Drives BulkExporter through a fake ChatGPT sidebar: pause/resume, archive
+// contents, skipping exported conversations and navigation failures.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const scripts = [
+    'core/platform-detector.js',
+    'extractors/universal-extractor.js',
+    'extractors/chatgpt-extractor.js',
+    'core/bulk-exporter.js',
+    'ui/export-interface.js'
+].map((relativePath) => path.join(extensionDir, relativePath));
+
+const conversations = {
+    alpha: ['What is a monad?', 'A monoid in the category of endofunctors.'],
+    beta: ['Sort this list.', 'Use a merge sort for stability.'],
+    gamma: ['Summarize the paper.', 'It proposes a sparse attention scheme.']
+};
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function renderConversation(document, id) {
+    const main = document.querySelector('main');
+    main.innerHTML = conversations[id].map((text, index) => `
+        <article data-testid="conversation-turn-${index + 1}" data-message-author-role="${index % 2 ? 'assistant' : 'user'}">
+            <div class="prose">${text}</div>
+        </article>
+    `).join('');
+    document.title = `Chat ${id}`;
+}
+
+function buildPage() {
+    const links = Object.keys(conversations)
+        .map((id) => `<a href="/c/${id}">Chat ${id}</a>`)
+        .join('');
+    return `<!DOCTYPE html><html><head><title>ChatGPT</title></head><body>
+        <nav>${links}<a href="/gpts">Explore GPTs</a></nav>
+        <main role="main"></main>
+    </body></html>`;
+}
+
+function loadPage() {
+    const dom = new JSDOM(buildPage(), {
+        url: 'https://chatgpt.com/c/alpha',
+        pretendToBeVisual: true,
+        runScripts: 'outside-only'
+    });
+    const { document } = dom.window;
+    renderConversation(document, 'alpha');
+
+    // SPA router: a click updates the URL first and renders a moment later
+    document.querySelector('nav').addEventListener('click', (event) => {
+        const anchor = event.target.closest('a');
+        if (!anchor) return;
+        event.preventDefault();
+        const id = anchor.getAttribute('href').split('/').pop();
+        if (!conversations[id]) return;
+        dom.window.history.pushState({}, '', anchor.href);
+        setTimeout(() => renderConversation(document, id), 30);
+    });
+
+    const stored = {};
+    const context = dom.getInternalVMContext();
+    context.console = { log() {}, warn() {}, error: console.error };
+    context.navigator = dom.window.navigator;
+    context.chrome = {
+        runtime: { lastError: null },
+        storage: {
+            local: {
+                get: (key, callback) => setTimeout(() => callback({ [key]: stored[key] }), 0),
+                set: (items, callback) => {
+                    Object.assign(stored, JSON.parse(JSON.stringify(items)));
+                    setTimeout(() => callback && callback(), 0);
+                }
+            }
+        }
+    };
+
+    scripts.forEach((filePath) => {
+        vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+    });
+
+    return { dom, stored };
+}
+
+async function main() {
+    const { dom, stored } = loadPage();
+    const { window } = dom;
+    const { document } = window;
+
+    try {
+        const platformInfo = new window.PlatformDetector().detectPlatform();
+        assert(platformInfo?.platform === 'chatgpt', 'fixture not detected as ChatGPT');
+
+        const exportInterface = new window.ExportInterface();
+        exportInterface.platformInfo = platformInfo;
+        const downloads = [];
+        const download = async (content, filename, mimeType) => {
+            downloads.push({ content, filename, mimeType });
+        };
+        const options = { ...exportInterface.getExportOptions(), includeHtml: false };
+
+        const progress = [];
+        let pauseRequested = false;
+        const exporter = new window.BulkExporter({
+            platformInfo,
+            serialize: (data) => exportInterface.serializeBulkConversation(data, options),
+            download,
+            onProgress: (update) => {
+                progress.push(update);
+                if (!pauseRequested && update.status === 'running' && update.done === 1) {
+                    pauseRequested = true;
+                    exporter.pause();
+                }
+            },
+            settleMs: 50,
+            delayMs: 0,
+            navigationTimeoutMs: 2000
+        });
+
+        // 1. Enumerate: conversation links only, in sidebar order
+        const links = await exporter.enumerateConversations();
+        assert(links.map((link) => link.conversationId).join() === 'alpha,beta,gamma', `links: ${links.map((l) => l.conversationId)}`);
+
+        // 2. Pause after the first conversation
+        const paused = await exporter.start();
+        assert(paused === null && exporter.status === 'paused', `expected a paused run, got ${exporter.status}`);
+        assert(exporter.results.length === 1 && downloads.length === 0, 'paused run exported too much');
+        assert(progress[progress.length - 1].pending === 2, 'progress after pause');
+
+        // 3. Resume: navigate through the sidebar and bundle everything
+        const archive = await exporter.resume();
+        assert(exporter.status === 'done' && window.location.pathname === '/c/gamma', 'resume did not finish the queue');
+        assert(archive.format === 'uae-bulk-export' && archive.conversationCount === 3, 'archive header');
+        assert(downloads.length === 1 && /^chatgpt-bulk-export-\d{4}-\d{2}-\d{2}\.json$/.test(downloads[0].filename), 'archive download');
+
+        const bundled = JSON.parse(downloads[0].content);
+        bundled.conversations.forEach((entry) => {
+            const [question, answer] = conversations[entry.conversationId];
+            const messages = entry.data.messages;
+            assert(messages.length === 2, `${entry.conversationId}: ${messages.length} messages`);
+            assert(messages[0].content.includes(question) && messages[1].content.includes(answer), `${entry.conversationId}: stale content`);
+            assert(entry.data.rawHtml === null, `${entry.conversationId}: raw HTML kept`);
+        });
+        assert(stored.bulkExportedIds.chatgpt.join() === 'alpha,beta,gamma', 'exported ids not stored');
+
+        // 4. A second run skips exported ids; a link that never navigates fails
+        document.querySelector('nav').insertAdjacentHTML('beforeend', '<a href="/c/broken">Broken</a>');
+        const rerun = new window.BulkExporter({ platformInfo, download, settleMs: 50, navigationTimeoutMs: 300 });
+        const second = await rerun.start();
+        assert(second.skipped.length === 3 && second.conversationCount === 0, 'exported conversations not skipped');
+        assert(second.failed.length === 1 && second.failed[0].error === 'page did not navigate', 'navigation failure not recorded');
+        assert(downloads.length === 1, 'empty archive downloaded');
+        assert(!stored.bulkExportedIds.chatgpt.includes('broken'), 'failed conversation marked exported');
+        document.querySelector('a[href="/c/broken"]').remove();
+
+        // 5. Panel controls
+        exportInterface.createUI();
+        document.getElementById('bulk-start-btn').click();
+        for (let i = 0; i < 50 && exportInterface.bulkExporter?.status !== 'done'; i++) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        assert(exportInterface.bulkExporter.status === 'done', 'start button did not run an export');
+        const status = document.querySelector('#uae-status .uae-status-text').textContent;
+        assert(status.includes('Nothing new to export'), `status: ${status}`);
+        assert(document.getElementById('uae-bulk-summary').textContent.startsWith('0 exported • 3 skipped'), 'bulk summary');
+        assert(!document.getElementById('bulk-start-btn').hidden && document.getElementById('bulk-pause-btn').hidden, 'controls after finishing');
+
+        exportInterface.updateBulkProgress({ status: 'paused', total: 3, done: 1, skipped: 0, failed: 0, pending: 2, current: null });
+        assert(!document.getElementById('bulk-resume-btn').hidden && document.getElementById('bulk-start-btn').hidden, 'controls while paused');
+
+        console.log('✅ Bulk export tests passed');
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ bulk export: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,121 @@
+// scripts/test-dataset-export.js
+// Checks the OpenAI JSONL, Anthropic Messages and ShareGPT dataset exports:
+// system prompt, reasoning fields, per-turn splitting and token estimates.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const rootDir = path.resolve(__dirname, '..');
+const exportInterfacePath = path.join(rootDir, 'extension', 'ui', 'export-interface.js');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function sampleExportData() {
+    const message = (id, author, content, thinkingBlocks = []) => ({ id, author, content, wordCount: 0, thinkingBlocks });
+    return {
+        metadata: {
+            platform: 'claude',
+            url: 'https://claude.ai/chat/dataset',
+            title: 'Binary search',
+            exportDate: '2026-03-01T10:00:00.000Z',
+            messageCount: 6
+        },
+        messages: [
+            message('msg_0', 'assistant', 'Hi! How can I help?'),
+            message('msg_1', 'user', 'Explain binary search.'),
+            message('msg_2', 'assistant', 'Halve the sorted range each step.', [
+                { id: 'thinking_0', type: 'thinking', content: 'Keep it to one sentence.' },
+                { id: 'tool_0', type: 'tool_call', content: 'Ran a benchmark.' }
+            ]),
+            message('msg_3', 'user', 'And its complexity?'),
+            message('msg_4', 'user', 'Worst case, please.'),
+            message('msg_5', 'assistant', 'O(log n) comparisons.')
+        ],
+        thinkingBlocks: [],
+        rawHtml: { original: null, expanded: null }
+    };
+}
+
+async function main() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://claude.ai/chat/dataset',
+        runScripts: 'outside-only'
+    });
+    const { document } = dom.window;
+
+    try {
+        const context = dom.getInternalVMContext();
+        context.console = { log() {}, warn() {}, error: console.error };
+        vm.runInContext(fs.readFileSync(exportInterfacePath, 'utf8'), context, { filename: exportInterfacePath });
+
+        const exporter = new dom.window.ExportInterface();
+        exporter.platformInfo = { platform: 'claude', config: {} };
+        exporter.exportData = sampleExportData();
+        exporter.createUI();
+        const generate = (format) => exporter.generateFormat(format);
+
+        // 1. Defaults: one whole-conversation sample, reasoning split out
+        const openaiLines = (await generate('openai')).trim().split('\n').map((line) => JSON.parse(line));
+        assert(openaiLines.length === 1, `openai samples: ${openaiLines.length}`);
+        const openai = openaiLines[0];
+        assert(openai.messages.map((m) => m.role).join() === 'assistant,user,assistant,user,assistant', `openai roles: ${openai.messages.map((m) => m.role)}`);
+        assert(openai.messages[3].content === 'And its complexity?\n\nWorst case, please.', 'consecutive user turns not merged');
+        assert(openai.messages[2].reasoning_content === 'Keep it to one sentence.', 'reasoning_content');
+        assert(!openai.messages[2].content.includes('benchmark') && !openai.messages[2].reasoning_content.includes('benchmark'), 'tool call leaked');
+        assert(Number.isInteger(openai.estimated_tokens) && openai.estimated_tokens > 20, `estimate: ${openai.estimated_tokens}`);
+
+        const anthropic = JSON.parse(await generate('anthropic'));
+        assert(anthropic.length === 1 && anthropic[0].messages[0].role === 'user', 'anthropic must start with the user');
+        assert(anthropic[0].messages[1].content[0].type === 'thinking' && anthropic[0].messages[1].content[1].text.startsWith('Halve'), 'anthropic thinking blocks');
+        assert(anthropic[0].system === undefined, 'empty system prompt emitted');
+
+        const sharegpt = JSON.parse(await generate('sharegpt'));
+        assert(sharegpt[0].id === 'Binary-search-1', `sharegpt id: ${sharegpt[0].id}`);
+        assert(sharegpt[0].conversations.map((c) => c.from).join() === 'gpt,human,gpt,human,gpt', 'sharegpt roles');
+        assert(sharegpt[0].conversations[2].reasoning === 'Keep it to one sentence.', 'sharegpt reasoning');
+
+        // 2. System prompt, per-turn samples, no reasoning fields, no estimate
+        document.getElementById('dataset-system-prompt').value = '  You are a tutor.  ';
+        document.getElementById('dataset-split-turns').checked = true;
+        document.getElementById('dataset-reasoning').checked = false;
+        document.getElementById('dataset-token-estimate').checked = false;
+
+        const split = (await generate('openai')).trim().split('\n').map((line) => JSON.parse(line));
+        assert(split.length === 3, `per-turn samples: ${split.length}`);
+        assert(split.every((sample) => sample.messages[0].role === 'system' && sample.messages[0].content === 'You are a tutor.'), 'system prompt');
+        assert(split.every((sample) => sample.messages[sample.messages.length - 1].role === 'assistant'), 'sample must end on an assistant turn');
+        assert(split[2].messages.length === 6 && split.every((sample) => sample.estimated_tokens === undefined), 'per-turn context / estimate toggle');
+        assert(!JSON.stringify(split).includes('reasoning_content'), 'reasoning kept while disabled');
+
+        const splitAnthropic = JSON.parse(await generate('anthropic'));
+        assert(splitAnthropic.length === 2 && splitAnthropic[0].system === 'You are a tutor.', 'anthropic drops the greeting-only sample');
+        assert(typeof splitAnthropic[0].messages[1].content === 'string', 'anthropic content without reasoning');
+
+        // 3. Include thinking off wins over the reasoning option
+        document.getElementById('dataset-reasoning').checked = true;
+        document.getElementById('include-thinking').checked = false;
+        assert(!(await generate('sharegpt')).includes('"reasoning"'), 'reasoning exported with thinking disabled');
+
+        // 4. Estimates grow with the text they cover
+        const short = exporter.estimateTokens([{ role: 'user', content: 'abcd' }]);
+        const long = exporter.estimateTokens([{ role: 'user', content: 'abcd'.repeat(100) }], 'system');
+        assert(short === 8 && long > short + 100, `estimates: ${short}, ${long}`);
+
+        assert(exporter.getFilename('openai').endsWith('.openai.jsonl') && exporter.getMimeType('openai') === 'application/jsonl', 'openai file type');
+
+        console.log('✅ Dataset export tests passed');
+    } finally {
+        dom.window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ dataset export: ${error.message}`);
+    process.exit(1);
+});
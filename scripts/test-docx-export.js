@@ -0,0 +1,187 @@
+// scripts/test-docx-export.js
+// Builds the DOCX export with DocxWriter: turn and block styles, shaded
+// code, native tables, numbered lists, hyperlinks and equations, a TOC
+// field, core properties, and thinking blocks as Word comments.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { readZipEntry } = require('./zip-reader');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const scripts = [
+    'libs/docx.umd.js',
+    'libs/marked.min.js',
+    'core/latex-math.js',
+    'core/docx-writer.js',
+    'ui/export-interface.js'
+].map((relativePath) => path.join(extensionDir, relativePath));
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const answer = [
+    '## Plan',
+    '',
+    'Use **bold**, `a_b` and [the docs](https://example.com/docs), where $x_1$ matters.',
+    '',
+    '3. third',
+    '4. fourth',
+    '   - nested',
+    '',
+    'Then:',
+    '',
+    '1. again',
+    '',
+    '| Name | Score |',
+    '|:--|--:|',
+    '| alpha | 1 |',
+    '',
+    '```diff',
+    '-old',
+    '+new',
+    '```',
+    '',
+    '$$',
+    '\\frac{a}{b}',
+    '$$',
+    '',
+    '> quoted'
+].join('\n');
+
+function sampleExportData() {
+    return {
+        metadata: {
+            platform: 'claude',
+            url: 'https://claude.ai/chat/docx-6',
+            title: 'Word demo',
+            exportDate: '2026-03-01T10:00:00.000Z',
+            messageCount: 2
+        },
+        messages: [
+            { id: 'msg_0', author: 'user', content: 'Make a table', thinkingBlocks: [] },
+            {
+                id: 'msg_1',
+                author: 'assistant',
+                content: 'Plan',
+                markdown: answer,
+                math: [{ latex: 'x_1', display: false }, { latex: '\\frac{a}{b}', display: true }],
+                references: { citations: [{ text: '[1]', url: 'https://arxiv.org/abs/2401.00001' }] },
+                thinkingBlocks: [
+                    { id: 'thinking_0', type: 'thinking', summary: 'Pondering', content: 'Weighing the options\n\nThen deciding' },
+                    { id: 'thinking_1', type: 'tool_call', content: 'ls -la', structuredData: { commands: ['ls -la'], outputs: ['total 0'] } }
+                ]
+            }
+        ],
+        thinkingBlocks: [],
+        rawHtml: { original: null, expanded: null }
+    };
+}
+
+async function main() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://claude.ai/chat/docx-6',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    try {
+        const context = dom.getInternalVMContext();
+        context.console = { log() {}, warn() {}, error: console.error };
+        context.navigator = window.navigator;
+        // docx's bundled JSZip schedules work with setImmediate
+        context.setImmediate = setImmediate;
+        // jsdom's Blob has no arrayBuffer(); browsers do
+        window.Blob.prototype.arrayBuffer = function arrayBuffer() {
+            return new Promise((resolve, reject) => {
+                const reader = new window.FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsArrayBuffer(this);
+            });
+        };
+        scripts.forEach((filePath) => {
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+        });
+
+        const exporter = new window.ExportInterface();
+        exporter.platformInfo = { platform: 'claude', config: {} };
+        exporter.exportData = sampleExportData();
+        exporter.createUI();
+        window.document.getElementById('export-filename').value = 'word-demo';
+        const read = async (name) => {
+            const docx = Buffer.from(await (await exporter.generateFormat('docx')).arrayBuffer());
+            return (entry) => readZipEntry(docx, entry || name);
+        };
+
+        // 1. Body: styles, runs, links, lists, tables, code and math
+        let entry = await read('word/document.xml');
+        let documentXml = entry();
+        const styleOrder = ['Title', 'ContentsHeading', 'UserTurn', 'AssistantTurn', 'ThinkingLabel', 'ThinkingBody', 'ToolCallLabel', 'Heading4'];
+        const positions = styleOrder.map((style) => documentXml.indexOf(`<w:pStyle w:val="${style}"/>`));
+        assert(positions.every((position, i) => position >= 0 && (i === 0 || position > positions[i - 1])), `style order: ${positions}`);
+        assert(documentXml.includes('<w:t xml:space="preserve">Extended Thinking: Pondering</w:t>'), 'block label');
+        assert(documentXml.includes('<w:rStyle w:val="InlineCode"/>') && documentXml.includes('>a_b</w:t>'), 'inline code kept verbatim');
+        assert(/<w:hyperlink [^>]*r:id="[^"]+"[^>]*>.*?<w:rStyle w:val="Hyperlink"\/>.*?the docs/.test(documentXml), 'markdown link not a hyperlink');
+        assert((documentXml.match(/<w:tbl>/g) || []).length === 1 && documentXml.includes('<w:tblHeader/>') && documentXml.includes('w:fill="F1F3F5"'), 'native table with header row');
+        assert(documentXml.includes('<w:jc w:val="right"/>'), 'column alignment');
+        assert(documentXml.includes('<w:pStyle w:val="SourceCode"/>') && documentXml.includes('<w:color w:val="22863A"/>') && documentXml.includes('<w:color w:val="B31D28"/>'), 'diff code block');
+        assert(documentXml.includes('<w:pStyle w:val="CodeLanguage"/>') && documentXml.includes('<w:pStyle w:val="BlockQuote"/>'), 'code language / quote');
+        assert(documentXml.includes('<m:oMath>') && documentXml.includes('<m:sSub>') && documentXml.includes('<m:f>'), 'equations');
+        assert(!documentXml.includes('$x_1$') && !documentXml.includes('\uE000'), 'math placeholder left behind');
+        const numbered = [...documentXml.matchAll(/<w:numId w:val="([^"]+)"\/>/g)].map((match) => match[1]);
+        assert(numbered.length === 4 && new Set(numbered).size === 3, `list numbering: ${numbered}`);
+        assert(/>third<\/w:t>/.test(documentXml) && documentXml.includes('Sources: ') && documentXml.includes('arxiv.org'), 'list items / sources');
+
+        const numbering = entry('word/numbering.xml');
+        assert(numbering.includes('<w:start w:val="3"/>') && numbering.includes('<w:lvlText w:val="•"/>'), 'list definitions');
+        const styles = entry('word/styles.xml');
+        assert(['UserTurn', 'AssistantTurn', 'SourceCode', 'ThinkingLabel', 'WebSearchBody', 'InlineCode'].every((id) => styles.includes(`w:styleId="${id}"`)), 'named styles');
+        assert(styles.includes('w:fill="F6F8FA"') && styles.includes('Consolas'), 'shaded monospace code style');
+
+        // 2. TOC field, update-on-open and document properties
+        assert(documentXml.includes('TOC \\h') && documentXml.includes('\\t &quot;UserTurn,1,AssistantTurn,1,ThinkingLabel,2'), 'TOC field');
+        assert(entry('word/settings.xml').includes('<w:updateFields/>'), 'fields not updated on open');
+        const core = entry('docProps/core.xml');
+        assert(core.includes('<dc:title>Word demo</dc:title>') && core.includes('<dc:subject>Claude conversation</dc:subject>'), 'title / subject');
+        assert(core.includes('on 2026-03-01T10:00:00.000Z</dc:description>') && core.includes('<cp:keywords>Claude, AI conversation</cp:keywords>'), 'export date / platform');
+        const custom = entry('docProps/custom.xml');
+        assert(custom.includes('name="Export Date"') && custom.includes('2026-03-01T10:00:00.000Z'), 'custom properties');
+
+        // 3. Thinking as comments spanning the response; other blocks stay inline
+        window.document.getElementById('docx-thinking-comments').checked = true;
+        window.document.getElementById('docx-contents').checked = false;
+        entry = await read('word/document.xml');
+        documentXml = entry();
+        const comments = entry('word/comments.xml');
+        assert(comments.includes('w:author="Claude"') && comments.includes('Extended Thinking: Pondering') && comments.includes('Then deciding'), 'comment content');
+        const start = documentXml.indexOf('<w:commentRangeStart w:id="0"/>');
+        const end = documentXml.indexOf('<w:commentRangeEnd w:id="0"/>');
+        assert(start > documentXml.indexOf('<w:pStyle w:val="AssistantTurn"/>') && end > documentXml.indexOf('Sources: '), 'comment range');
+        assert(documentXml.includes('<w:commentReference w:id="0"/>') && !documentXml.includes('ThinkingLabel'), 'thinking still inline');
+        assert(documentXml.includes('<w:pStyle w:val="ToolCallLabel"/>') && !documentXml.includes('TOC \\h'), 'tool call / TOC option');
+
+        // 4. Without marked the body falls back to paragraphs, math intact
+        const writer = new window.DocxWriter(window.docx);
+        const marked = window.marked;
+        window.marked = undefined;
+        const plain = writer.convert('one $x_1$\n\ntwo', { math: ['x_1'] });
+        window.marked = marked;
+        assert(plain.length === 2, `plain paragraphs: ${plain.length}`);
+        assert(window.DocxWriter.clean('a\u0001b\tc') === 'ab\tc', 'control characters kept');
+
+        console.log('✅ DOCX export tests passed');
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ DOCX export: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,213 @@
+// scripts/test-epub-export.js
+// Builds the EPUB export with EpubWriter: the container layout, package
+// metadata, navigation, one well-formed XHTML chapter per exchange or per
+// turn, thinking blocks as collapsible asides, MathML, and endnotes linked
+// both ways.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+const { JSDOM } = require('jsdom');
+const { readZip } = require('./zip-reader');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const scripts = [
+    'libs/marked.min.js',
+    'core/zip-writer.js',
+    'core/epub-writer.js',
+    'ui/export-interface.js'
+].map((relativePath) => path.join(extensionDir, relativePath));
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const mathml = '<span class="katex"><span class="katex-mathml"><math xmlns="http://www.w3.org/1998/Math/MathML"><semantics>'
+    + '<mrow><msub><mi>x</mi><mn>1</mn></msub></mrow><annotation encoding="application/x-tex">x_1</annotation></semantics></math></span>'
+    + '<span class="katex-html" aria-hidden="true">x1</span></span>';
+
+const answer = [
+    '## Findings',
+    '',
+    'Scaling helps [1](https://arxiv.org/abs/2401.00001?utm_source=chat), see [the survey](https://example.com/survey) where $x_1$ grows.',
+    '',
+    '$$\\frac{a}{b}$$',
+    '',
+    '<script>alert(1)</script><img src="https://example.com/plot.png" alt="plot"> <span onclick="x()" style="color:red">styled</span>',
+    '',
+    '| A | B |',
+    '|---|---|',
+    '| 1 | 2 & 3 |',
+    '',
+    '```js',
+    'if (a < b) {}',
+    '```',
+    '',
+    'Bell\u0007 done'
+].join('\n');
+
+function sampleExportData() {
+    return {
+        metadata: {
+            platform: 'claude',
+            url: 'https://claude.ai/chat/epub-7',
+            title: 'Scaling <laws> & research',
+            exportDate: '2026-03-01T10:00:00.000Z',
+            messageCount: 4
+        },
+        messages: [
+            { id: 'msg_0', author: 'user', content: 'What do we know about scaling?', thinkingBlocks: [] },
+            {
+                id: 'msg_1',
+                author: 'assistant',
+                content: 'Findings',
+                markdown: answer,
+                math: [{ latex: 'x_1', display: false, html: mathml }, { latex: '\\frac{a}{b}', display: true }],
+                references: {
+                    citations: [{ text: '[1]', url: 'https://arxiv.org/abs/2401.00001' }],
+                    links: [{ title: 'the survey', url: 'https://example.com/survey' }]
+                },
+                thinkingBlocks: [
+                    { id: 'thinking_0', type: 'thinking', summary: 'Surveying papers', content: 'Start with **Kaplan**\n\nThen Chinchilla' },
+                    { id: 'thinking_1', type: 'tool_call', content: 'ls -la', structuredData: { commands: ['ls -la'], outputs: ['total 0'] } }
+                ]
+            },
+            { id: 'msg_2', author: 'user', content: 'And data?', thinkingBlocks: [] },
+            {
+                id: 'msg_3',
+                author: 'assistant',
+                content: 'Data matters too.',
+                references: { citations: [{ text: 'arxiv.org', url: 'https://arxiv.org/abs/2401.00001' }] },
+                thinkingBlocks: []
+            }
+        ],
+        thinkingBlocks: [],
+        rawHtml: { original: null, expanded: null }
+    };
+}
+
+async function main() {
+    const dom = new JSDOM('<!DOCTYPE html><html lang="en-GB"><body></body></html>', {
+        url: 'https://claude.ai/chat/epub-7',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    try {
+        const context = dom.getInternalVMContext();
+        context.console = { log() {}, warn() {}, error: console.error };
+        context.TextEncoder = TextEncoder;
+        Object.defineProperty(window, 'crypto', { value: crypto.webcrypto, configurable: true });
+        // jsdom's Blob has no arrayBuffer(); browsers do
+        window.Blob.prototype.arrayBuffer = function arrayBuffer() {
+            return new Promise((resolve, reject) => {
+                const reader = new window.FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsArrayBuffer(this);
+            });
+        };
+        scripts.forEach((filePath) => {
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+        });
+
+        const exporter = new window.ExportInterface();
+        exporter.platformInfo = { platform: 'claude', config: {} };
+        exporter.exportData = sampleExportData();
+        exporter.createUI();
+        window.document.getElementById('export-filename').value = 'scaling';
+        const build = async () => {
+            const blob = await exporter.generateFormat('epub');
+            assert(blob.type === 'application/epub+zip', `type ${blob.type}`);
+            return readZip(Buffer.from(await blob.arrayBuffer()));
+        };
+        const wellFormed = (name, text) => {
+            const parsed = new window.DOMParser().parseFromString(text, 'application/xhtml+xml');
+            assert(!parsed.getElementsByTagName('parsererror').length, `${name} is not well-formed XML`);
+            return parsed;
+        };
+
+        // 1. Container: stored mimetype first, then the package
+        let files = await build();
+        const names = [...files.keys()];
+        const mimetype = files.get('mimetype');
+        assert(names[0] === 'mimetype' && mimetype.localOffset === 0, 'mimetype not the first entry');
+        assert(mimetype.method === 0 && mimetype.localExtra === 0 && mimetype.text === 'application/epub+zip', 'mimetype not stored plainly');
+        assert(files.get('META-INF/container.xml').text.includes('full-path="OEBPS/content.opf"'), 'container rootfile');
+        assert(exporter.getFilename('epub') === 'scaling.epub' && exporter.getMimeType('epub') === 'application/epub+zip', 'filename / mime');
+        names.filter((name) => /\.(xhtml|opf|ncx|xml)$/.test(name)).forEach((name) => wellFormed(name, files.get(name).text));
+
+        // 2. Package metadata, manifest and spine
+        const opf = files.get('OEBPS/content.opf').text;
+        assert(opf.includes('<dc:title>Scaling &lt;laws&gt; &amp; research</dc:title>') && opf.includes('<dc:language>en-GB</dc:language>'), 'title / language');
+        assert(opf.includes('<dc:creator>Claude</dc:creator>') && opf.includes('<dc:source>https://claude.ai/chat/epub-7</dc:source>'), 'creator / source');
+        assert(opf.includes('<dc:date>2026-03-01T10:00:00Z</dc:date>') && opf.includes('<meta property="dcterms:modified">2026-03-01T10:00:00Z</meta>'), 'dates');
+        const identifier = opf.match(/<dc:identifier id="book-id">(urn:uuid:[0-9a-f-]{36})<\/dc:identifier>/);
+        assert(identifier && identifier[1][23] === '8', 'identifier');
+        assert(opf.includes('properties="nav"') && opf.includes('<item id="chapter-001" href="chapter-001.xhtml" media-type="application/xhtml+xml" properties="mathml"/>'), 'manifest');
+        assert(!opf.includes('<item id="chapter-002" href="chapter-002.xhtml" media-type="application/xhtml+xml" properties'), 'mathml on a chapter without math');
+        const spine = [...opf.matchAll(/<itemref idref="([^"]+)"/g)].map((match) => match[1]);
+        assert(spine.join() === 'title,nav,chapter-001,chapter-002,endnotes', `spine: ${spine}`);
+
+        // 3. Navigation: chapters with their turns, landmarks, NCX
+        const nav = files.get('OEBPS/nav.xhtml').text;
+        assert(nav.includes('<nav epub:type="toc" id="toc">') && nav.includes('<a href="chapter-001.xhtml">1. What do we know about scaling?</a>'), 'toc entry');
+        assert(nav.includes('<a href="chapter-001.xhtml#turn-2">2. Claude</a>') && nav.includes('<a href="chapter-002.xhtml">2. And data?</a>'), 'nested turns');
+        assert(nav.includes('<a epub:type="bodymatter" href="chapter-001.xhtml">') && nav.includes('<a epub:type="endnotes" href="endnotes.xhtml">'), 'landmarks');
+        assert(!nav.includes('<li><a href="title.xhtml">'), 'title page in contents');
+        assert((files.get('OEBPS/toc.ncx').text.match(/<navPoint /g) || []).length === 7, 'ncx points');
+
+        // 4. Chapters: asides, Markdown structure, MathML, sanitizing
+        const chapter = files.get('OEBPS/chapter-001.xhtml').text;
+        const parsed = wellFormed('chapter-001', chapter);
+        assert(parsed.documentElement.namespaceURI === 'http://www.w3.org/1999/xhtml', 'XHTML namespace');
+        assert(chapter.includes('<section class="turn user" id="turn-1">') && chapter.includes('<section class="turn assistant" id="turn-2">'), 'turn sections');
+        assert(/<aside epub:type="sidebar" class="block block-thinking"><details><summary>Extended Thinking: Surveying papers<\/summary><p>Start with <strong>Kaplan<\/strong><\/p>/.test(chapter), 'thinking aside');
+        assert(chapter.includes('class="block block-tool_call"') && chapter.includes('ls -la'), 'tool call aside');
+        assert(chapter.includes('<h2>Findings</h2>') && chapter.includes('<table>') && chapter.includes('2 &amp; 3') && chapter.includes('if (a &lt; b) {}'), 'markdown body');
+        assert(/<math xmlns="http:\/\/www\.w3\.org\/1998\/Math\/MathML"[^>]*display="inline"[^>]*>/.test(chapter) && chapter.includes('<msub>'), 'MathML');
+        assert(chapter.includes('<code>$$\\frac{a}{b}$$</code>') && !chapter.includes('\uE000'), 'TeX fallback');
+        assert(!/<script|onclick|style=|<img/.test(chapter) && chapter.includes('<a href="https://example.com/plot.png">[plot]</a>'), 'unsafe markup kept');
+        assert(!chapter.includes('\u0007') && chapter.includes('Bell done'), 'control character kept');
+
+        // 5. References: citation chips and sources point at endnotes, notes point back
+        assert(chapter.includes('<a href="endnotes.xhtml#note-1" epub:type="noteref" class="noteref">1</a>'), 'inline citation');
+        assert(chapter.includes('<a href="https://example.com/survey">the survey</a>'), 'prose link rewritten');
+        assert(chapter.includes('<p class="sources">Sources: arxiv.org<a class="noteref" epub:type="noteref" href="endnotes.xhtml#note-1">1</a> · the survey<a'), 'turn sources');
+        const endnotes = files.get('OEBPS/endnotes.xhtml').text;
+        assert(endnotes.includes('<section epub:type="endnotes" class="endnotes">') && endnotes.includes('<li epub:type="endnote" id="note-1">'), 'endnotes');
+        assert(endnotes.includes('<a href="chapter-001.xhtml#turn-2">turn 2</a>, <a href="chapter-002.xhtml#turn-4">turn 4</a>'), 'back-links');
+        assert(endnotes.includes('id="note-2"') && endnotes.includes('https://example.com/survey'), 'link notes');
+        assert(files.get('OEBPS/title.xhtml').text.includes('<dt>Messages</dt><dd>4</dd>'), 'title page metadata');
+
+        // 6. Options: one chapter per turn, no thinking, same identifier
+        window.document.getElementById('epub-chapters').value = 'turn';
+        window.document.getElementById('include-thinking').checked = false;
+        files = await build();
+        const again = files.get('OEBPS/content.opf').text;
+        assert([...again.matchAll(/<itemref idref="chapter-/g)].length === 4, 'chapter per turn');
+        assert(again.includes(identifier[0]), 'identifier changed between exports');
+        assert(files.get('OEBPS/nav.xhtml').text.includes('<a href="chapter-002.xhtml">2. Claude: Findings</a>'), 'turn titles');
+        assert(!files.get('OEBPS/chapter-002.xhtml').text.includes('<aside'), 'thinking without includeThinking');
+
+        // 7. Without marked the body falls back to paragraphs
+        const marked = window.marked;
+        window.marked = undefined;
+        const plain = exporter.renderEpubMarkdown('one <b>\n\ntwo');
+        window.marked = marked;
+        assert(plain === '<p>one &lt;b&gt;</p><p>two</p>', `plain: ${plain}`);
+
+        console.log('✅ EPUB export tests passed');
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ EPUB export: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,161 @@
+// scripts/test-export-bundle.js
+// Builds the "Bundle (.zip)" export and reads it back with zip-reader.js:
+// every generator's output, raw HTML snapshots and a SHA-256 manifest.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { readZip, DeflateRawStream } = require('./zip-reader');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const scripts = [
+    'libs/jspdf.umd.min.js',
+    'libs/marked.min.js',
+    'libs/docx.umd.js',
+    'core/zip-writer.js',
+    'core/epub-writer.js',
+    'core/latex-writer.js',
+    'core/pdf-layout.js',
+    'core/docx-writer.js',
+    'ui/export-interface.js'
+].map((relativePath) => path.join(extensionDir, relativePath));
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function sampleExportData() {
+    const messages = [
+        { id: 'msg_0', author: 'user', content: 'Which sorting algorithm is stable? Mail me at ana@example.com', wordCount: 9, thinkingBlocks: [] },
+        {
+            id: 'msg_1',
+            author: 'assistant',
+            content: 'Merge sort is stable; quicksort is not. Ünïcödé survives.',
+            wordCount: 9,
+            thinkingBlocks: [{ id: 'thinking_0', type: 'thinking', summary: 'Recalling', content: 'Stability keeps equal keys in order.' }]
+        }
+    ];
+    return {
+        metadata: {
+            platform: 'claude',
+            url: 'https://claude.ai/chat/bundle',
+            title: 'Stable sorting',
+            exportDate: '2026-03-01T10:00:00.000Z',
+            exporterVersion: '1.0.0',
+            messageCount: 2,
+            totalWordCount: 18
+        },
+        messages,
+        thinkingBlocks: [],
+        rawHtml: {
+            original: '<html><body><p>Which sorting algorithm is stable?</p></body></html>',
+            expanded: '<html><body><p>Which sorting algorithm is stable?</p><div>Stability keeps equal keys in order.</div></body></html>'
+        }
+    };
+}
+
+async function main() {
+    // jsPDF probes canvas support on load, which jsdom reports as not implemented
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://claude.ai/chat/bundle',
+        virtualConsole,
+        pretendToBeVisual: true,
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    try {
+        const context = dom.getInternalVMContext();
+        context.console = { log() {}, warn() {}, error: console.error };
+        context.TextEncoder = TextEncoder;
+        context.CompressionStream = DeflateRawStream;
+        // docx's bundled JSZip schedules work with setImmediate
+        context.setImmediate = setImmediate;
+        Object.defineProperty(window, 'crypto', { value: crypto.webcrypto, configurable: true });
+        // jsdom's Blob has no arrayBuffer(); browsers do
+        window.Blob.prototype.arrayBuffer = function arrayBuffer() {
+            return new Promise((resolve, reject) => {
+                const reader = new window.FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsArrayBuffer(this);
+            });
+        };
+        scripts.forEach((filePath) => {
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+        });
+
+        const exporter = new window.ExportInterface();
+        exporter.platformInfo = { platform: 'claude', config: {} };
+        exporter.exportData = sampleExportData();
+        exporter.createUI();
+        const checkbox = (id, checked) => { window.document.getElementById(id).checked = checked; };
+        window.document.getElementById('export-filename').value = 'stable-sorting';
+
+        // 1. Everything, raw HTML included
+        const blob = await exporter.generateFormat('bundle');
+        assert(blob.type === 'application/zip', `bundle type ${blob.type}`);
+        assert(exporter.getFilename('bundle') === 'stable-sorting.zip', 'bundle filename');
+        const files = readZip(Buffer.from(await blob.arrayBuffer()));
+
+        const manifest = JSON.parse(files.get('manifest.json').data.toString('utf8'));
+        const expected = [
+            'stable-sorting.pdf', 'stable-sorting.docx', 'stable-sorting.md', 'stable-sorting.json',
+            'stable-sorting.graph.json', 'stable-sorting.memorypack.json', 'stable-sorting.csv',
+            'stable-sorting.html', 'stable-sorting.epub', 'stable-sorting.txt', 'stable-sorting.research.json',
+            'stable-sorting.openai.jsonl', 'stable-sorting.anthropic.json', 'stable-sorting.sharegpt.json',
+            'stable-sorting.obsidian.zip', 'stable-sorting.latex.zip', 'stable-sorting.ipynb',
+            'stable-sorting.project.zip', 'stable-sorting.patch', 'stable-sorting.bib', 'stable-sorting.ris',
+            'stable-sorting.csl.json',
+            'raw/original.html', 'raw/expanded.html'
+        ];
+        assert(manifest.skipped.length === 0, `skipped: ${JSON.stringify(manifest.skipped)}`);
+        assert(manifest.entries.map((entry) => entry.name).join() === expected.join(), `entries: ${manifest.entries.map((e) => e.name)}`);
+        assert([...files.keys()].join() === [...expected, 'manifest.json'].join(), `zip entries: ${[...files.keys()]}`);
+        files.forEach((entry, name) => assert(entry.flags & 0x0800, `${name}: UTF-8 flag not set`));
+
+        manifest.entries.forEach((entry) => {
+            const data = files.get(entry.name).data;
+            const digest = crypto.createHash('sha256').update(data).digest('hex');
+            assert(entry.sha256 === digest && entry.bytes === data.length, `${entry.name}: manifest digest`);
+        });
+        assert(files.get('stable-sorting.pdf').data.subarray(0, 5).toString() === '%PDF-', 'PDF entry is not a PDF');
+        assert(files.get('stable-sorting.docx').data.readUInt32LE(0) === 0x04034b50, 'DOCX entry is not a zip');
+        assert(files.get('stable-sorting.md').data.toString('utf8').includes('Ünïcödé survives'), 'markdown entry');
+        assert(files.get('stable-sorting.md').method === 8, 'text entries not deflated');
+
+        // 2. Options flow through: no raw HTML, redaction applies to every entry
+        checkbox('include-html', false);
+        checkbox('redact-sensitive', true);
+        const trimmed = readZip(Buffer.from(await (await exporter.generateFormat('bundle')).arrayBuffer()));
+        assert(!trimmed.has('raw/original.html') && !trimmed.has('raw/expanded.html'), 'raw HTML bundled without includeHtml');
+        assert(!trimmed.get('stable-sorting.txt').data.toString('utf8').includes('ana@example.com'), 'redaction not applied');
+        assert(JSON.parse(trimmed.get('manifest.json').data.toString('utf8')).context.includeHtml === false, 'manifest context');
+
+        // 3. A failing generator is recorded, not fatal
+        exporter.generateDOCX = async () => { throw new Error('DOCX library not available'); };
+        const partial = readZip(Buffer.from(await (await exporter.generateFormat('bundle')).arrayBuffer()));
+        const partialManifest = JSON.parse(partial.get('manifest.json').data.toString('utf8'));
+        assert(!partial.has('stable-sorting.docx'), 'failed DOCX bundled');
+        assert(partialManifest.skipped[0].source === 'docx', 'DOCX failure not listed');
+
+        // 4. Export All Formats leaves the bundle out
+        assert(!exporter.getSingleFormats().includes('bundle'), 'bundle listed as a single format');
+
+        console.log('✅ Export bundle tests passed');
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ export bundle: ${error.message}`);
+    process.exit(1);
+});
@@ -102,6 +102,7 @@ function normalizeExportData(data) {
     const messages = (data?.messages || []).map((message) => ({
         author: message.author,
         content: (message.content || '').trim(),
+        markdown: message.markdown || '',
         thinkingBlocks: dedupeBlocks(message.thinkingBlocks || []),
         references: normalizeReferences(message.references || {})
     }));
@@ -154,6 +155,7 @@ async function runExtractorCase(testCase) {
     const html = read(testCase.fixtureFile);
     const universalExtractorPath = path.join(rootDir, 'extension', 'extractors', 'universal-extractor.js');
     const universalExtractorSource = read(universalExtractorPath);
+    const markdownConverterPath = path.join(rootDir, 'extension', 'core', 'markdown-converter.js');
     const extractorSource = read(testCase.extractorFile);
 
     const dom = new JSDOM(html, {
@@ -169,6 +171,7 @@ async function runExtractorCase(testCase) {
         context.chrome = undefined;
         context.browser = undefined;
 
+        vm.runInContext(read(markdownConverterPath), context, { filename: markdownConverterPath });
         vm.runInContext(universalExtractorSource, context, { filename: universalExtractorPath });
         vm.runInContext(extractorSource, context, { filename: testCase.extractorFile });
 
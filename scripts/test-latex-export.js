@@ -0,0 +1,191 @@
+// scripts/test-latex-export.js
+// Builds the LaTeX export and reads it back: preamble, a section per turn,
+// lstlisting code, math passed through, verbatim thinking, and the BibTeX
+// file with \cite keys from citations, Perplexity sources and links.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { readZip, DeflateRawStream } = require('./zip-reader');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const scripts = ['core/zip-writer.js', 'core/latex-writer.js', 'ui/export-interface.js']
+    .map((relativePath) => path.join(extensionDir, relativePath));
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const answerMarkdown = [
+    '## Hybrid search',
+    '',
+    'Combine BM25 with vectors [weaviate.io](https://weaviate.io/blog/hybrid-search#fusion) and read [the guide](https://docs.example.org/guide/).',
+    'Score is $s = \\alpha b + (1-\\alpha) v$ and costs $5 per 1_000 queries.',
+    '',
+    '$$',
+    '\\frac{1}{k + r}',
+    '$$',
+    '',
+    '| Method | Recall |',
+    '| --- | ---: |',
+    '| BM25 & vectors | 0.91 |',
+    '',
+    '1. First',
+    '   - nested **bold**',
+    '2. Second',
+    '',
+    '```python',
+    'print("50% done")',
+    '```',
+    '',
+    '```rust',
+    'fn main() {}',
+    '```',
+    '',
+    'As shown in [2], fusion helps.'
+].join('\n');
+
+function sampleExportData() {
+    return {
+        metadata: {
+            platform: 'perplexity',
+            url: 'https://www.perplexity.ai/search/hybrid-42',
+            title: 'Hybrid search & RRF',
+            exportDate: '2026-03-01T10:00:00.000Z',
+            messageCount: 2
+        },
+        messages: [
+            {
+                id: 'msg_0',
+                author: 'user',
+                content: 'How does hybrid search rank results?',
+                thinkingBlocks: []
+            },
+            {
+                id: 'msg_1',
+                author: 'assistant',
+                content: 'Combine BM25 with vectors.',
+                markdown: answerMarkdown,
+                math: [
+                    { id: 'msg_1_math_0', latex: 's = \\alpha b + (1-\\alpha) v', display: false },
+                    { id: 'msg_1_math_1', latex: '\\frac{1}{k + r}', display: true }
+                ],
+                thinkingBlocks: [
+                    { id: 'thinking_0', type: 'thinking', summary: 'Ranking', content: 'Use RRF: 1/(k + rank) {k=60} 100%' }
+                ],
+                references: {
+                    links: [
+                        { url: 'https://weaviate.io/blog/hybrid-search', title: 'Hybrid Search Explained' },
+                        { url: 'https://docs.example.org/guide/', title: 'the guide' }
+                    ],
+                    attachments: [],
+                    documents: [],
+                    citations: [
+                        { text: 'weaviate.io', url: 'https://weaviate.io/blog/hybrid-search?utm_source=perplexity' },
+                        { text: '[2]', url: 'https://arxiv.org/abs/2210.11934' },
+                        { text: '[3]', url: 'https://www.elastic.co/blog/rrf' }
+                    ]
+                },
+                perplexity: {
+                    sources: [
+                        { id: 'source_0', title: 'RRF paper', url: 'https://arxiv.org/abs/2210.11934', domain: 'arxiv.org', sourceNumber: 2 },
+                        { id: 'source_1', title: 'Weaviate docs', url: 'https://weaviate.io/developers/hybrid', domain: 'weaviate.io', sourceNumber: 4 }
+                    ]
+                }
+            }
+        ],
+        thinkingBlocks: [],
+        rawHtml: { original: null, expanded: null }
+    };
+}
+
+async function main() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://www.perplexity.ai/search/hybrid-42',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    try {
+        const context = dom.getInternalVMContext();
+        context.console = { log() {}, warn() {}, error: console.error };
+        context.TextEncoder = TextEncoder;
+        context.CompressionStream = DeflateRawStream;
+        // jsdom's Blob has no arrayBuffer(); browsers do
+        window.Blob.prototype.arrayBuffer = function arrayBuffer() {
+            return new Promise((resolve, reject) => {
+                const reader = new window.FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsArrayBuffer(this);
+            });
+        };
+        scripts.forEach((filePath) => {
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+        });
+
+        const exporter = new window.ExportInterface();
+        exporter.platformInfo = { platform: 'perplexity', config: {} };
+        exporter.exportData = sampleExportData();
+        exporter.createUI();
+        window.document.getElementById('export-filename').value = 'hybrid-search';
+        const build = async () => readZip(Buffer.from(await (await exporter.generateFormat('latex')).arrayBuffer()));
+
+        // 1. Archive layout and document skeleton
+        assert(exporter.getFilename('latex') === 'hybrid-search.latex.zip', 'latex filename');
+        const files = await build();
+        assert([...files.keys()].join() === 'hybrid-search.tex,hybrid-search.bib', `zip entries: ${[...files.keys()]}`);
+        const tex = files.get('hybrid-search.tex').text;
+        const bib = files.get('hybrid-search.bib').text;
+        assert(tex.includes('\\documentclass[11pt]{article}') && tex.includes('\\usepackage{listings}'), 'preamble');
+        assert(tex.includes('\\newenvironment{thinking}'), 'thinking environment not defined');
+        assert(tex.includes('\\title{Hybrid search \\& RRF}') && tex.includes('\\maketitle'), 'title not escaped');
+        assert(tex.includes('\\section{User}\\label{turn:1}') && tex.includes('\\section{Perplexity}\\label{turn:2}'), 'a section per turn');
+        assert(tex.trim().endsWith('\\end{document}'), 'document not closed');
+
+        // 2. Body: structure, code, math, escaping
+        assert(tex.includes('\\subsection*{Hybrid search}'), 'heading');
+        assert(tex.includes('$s = \\alpha b + (1-\\alpha) v$') && tex.includes('\\[\n\\frac{1}{k + r}\n\\]'), 'math not intact');
+        assert(tex.includes('costs \\$5 per 1\\_000 queries'), 'dollar sign outside the math index not escaped');
+        assert(tex.includes('\\begin{tabularx}{\\linewidth}{>{\\raggedright\\arraybackslash}X>{\\raggedleft\\arraybackslash}X}'), 'table columns');
+        assert(tex.includes('BM25 \\& vectors & 0.91 \\\\'), 'table row');
+        assert(tex.includes('\\begin{enumerate}\n\\item First\n\n\\begin{itemize}\n\\item nested \\textbf{bold}\n\\end{itemize}\n\\item Second'), 'nested list');
+        assert(tex.includes('\\begin{lstlisting}[language=Python]\nprint("50% done")\n\\end{lstlisting}'), 'python listing');
+        assert(tex.includes('\\begin{lstlisting}[title={rust}]'), 'unknown language not titled');
+        assert(tex.includes('\\begin{thinking}{Extended Thinking: Ranking}\n\\begin{Verbatim}\nUse RRF: 1/(k + rank) {k=60} 100%\n\\end{Verbatim}\n\\end{thinking}'), 'verbatim thinking');
+
+        // 3. Citations: inline links, chip text, Perplexity sources, unplaced ones
+        const entries = bib.match(/^@\w+\{[^,]+/gm).map((line) => line.slice(line.indexOf('{') + 1));
+        assert(entries.join() === 'weaviate2026,arxiv2026,elastic2026,weaviate2026a,docs2026', `bib keys: ${entries}`);
+        assert(tex.includes('with vectors \\cite{weaviate2026} and read \\href{https://docs.example.org/guide/}{the guide}'), 'citation link not cited');
+        assert(tex.includes('As shown in \\cite{arxiv2026}, fusion helps.'), 'chip text not cited');
+        assert(tex.includes('\\item RRF paper~\\cite{arxiv2026}') && tex.includes('\\item Weaviate docs~\\cite{weaviate2026a}'), 'perplexity sources');
+        assert(tex.includes('\\textit{Sources:}~\\cite{elastic2026}'), 'unplaced citation not cited at the end of the turn');
+        assert(tex.includes('\\nocite{*}') && tex.includes('\\bibliography{hybrid-search}'), 'bibliography commands');
+
+        assert(bib.includes('@misc{weaviate2026,\n  title = {{Hybrid Search Explained}},\n  howpublished = {\\url{https://weaviate.io/blog/hybrid-search}}'), 'link title preferred over chip text');
+        assert(bib.includes('title = {{elastic.co}}') && bib.includes('note = {Accessed 2026-03-01. Cited in turn 2 (msg\\_1)}'), 'label-only title / note');
+
+        // 4. Options: no thinking, no references
+        window.document.getElementById('include-thinking').checked = false;
+        exporter.exportData.messages[1].references = { links: [], attachments: [], documents: [], citations: [] };
+        exporter.exportData.messages[1].perplexity.sources = [];
+        const bare = await build();
+        assert(!bare.get('hybrid-search.tex').text.includes('\\begin{thinking}'), 'thinking exported without includeThinking');
+        assert(!bare.get('hybrid-search.tex').text.includes('\\bibliography{'), 'empty bibliography referenced');
+        assert(bare.get('hybrid-search.tex').text.includes('\\href{https://weaviate.io/blog/hybrid-search\\#fusion}{weaviate.io}'), 'plain link');
+
+        console.log('✅ LaTeX export tests passed');
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ latex export: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,223 @@
+// scripts/test-library.js
+// Checks the captured-session library page against a stubbed background worker.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const libraryDir = path.join(extensionDir, 'library');
+const exportInterfacePath = path.join(extensionDir, 'ui', 'export-interface.js');
+const libraryPath = path.join(libraryDir, 'library.js');
+
+const sessions = [
+    {
+        sessionId: 'tw_claude',
+        conversationUrl: 'https://claude.ai/chat/library-claude',
+        platform: 'claude',
+        turnCount: 3,
+        branchCount: 2,
+        activeLeafId: 'turn_1_1',
+        startedAt: '2026-03-01T10:00:00.000Z',
+        lastUpdated: '2026-03-01T10:05:00.000Z'
+    },
+    {
+        sessionId: 'tw_gemini',
+        conversationUrl: 'https://gemini.google.com/app/library-gemini',
+        platform: 'gemini',
+        turnCount: 0,
+        branchCount: 1,
+        activeLeafId: null,
+        startedAt: '2026-02-01T10:00:00.000Z',
+        lastUpdated: '2026-02-01T10:00:00.000Z'
+    }
+];
+
+// Depth-first, as getCapturedTurns returns them
+const claudeTurns = [
+    { id: 'turn_0', role: 'user', content: 'Explain quicksort.\nBriefly.', parentId: null, childIds: ['turn_1', 'turn_1_1'], timestamp: '2026-03-01T10:00:00.000Z', wordCount: 3 },
+    {
+        id: 'turn_1',
+        role: 'assistant',
+        content: 'The first answer.',
+        parentId: 'turn_0',
+        childIds: [],
+        timestamp: '2026-03-01T10:01:00.000Z',
+        wordCount: 3,
+        thinking: [{ id: 'thinking_0', summary: 'Recalling partitions', content: 'Pick a pivot, partition, recurse.' }]
+    },
+    { id: 'turn_1_1', role: 'assistant', content: 'A regenerated answer.', parentId: 'turn_0', childIds: [], timestamp: '2026-03-01T10:04:00.000Z', wordCount: 3 }
+];
+
+const searchResponse = {
+    total: 1,
+    results: [{
+        sessionId: 'tw_claude',
+        turnId: 'turn_1',
+        role: 'assistant',
+        platform: 'claude',
+        timestamp: '2026-03-01T10:01:00.000Z',
+        score: 1.2,
+        field: 'thinking',
+        snippet: 'Pick a pivot, partition, recurse.',
+        highlights: [[7, 12]],
+        session: sessions[0]
+    }]
+};
+
+function read(filePath) {
+    return fs.readFileSync(filePath, 'utf8');
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * Load the page; its DOMContentLoaded handler starts the library.
+ */
+async function loadLibrary() {
+    const dom = new JSDOM(read(path.join(libraryDir, 'library.html')), {
+        url: 'chrome-extension://library-test/library/library.html',
+        pretendToBeVisual: true,
+        runScripts: 'outside-only'
+    });
+
+    const requests = [];
+    const context = dom.getInternalVMContext();
+    context.console = { log() {}, warn() {}, error: console.error };
+    context.chrome = {
+        runtime: {
+            lastError: null,
+            sendMessage: (message, callback) => {
+                requests.push(message);
+                if (message.action === 'search_turns') {
+                    setTimeout(() => callback(searchResponse), 0);
+                    return;
+                }
+
+                let turns;
+                if (message.sessionId) {
+                    turns = message.sessionId === 'tw_claude' ? claudeTurns : [];
+                } else {
+                    turns = sessions
+                        .filter((session) => !message.platform || session.platform === message.platform)
+                        .slice(message.offset, message.offset + message.limit);
+                }
+                setTimeout(() => callback({ turns }), 0);
+            }
+        }
+    };
+
+    vm.runInContext(read(exportInterfacePath), context, { filename: exportInterfacePath });
+    vm.runInContext(read(libraryPath), context, { filename: libraryPath });
+
+    for (let i = 0; i < 100 && !dom.window.sessionLibrary; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    const library = dom.window.sessionLibrary;
+    assert(library, 'library did not start on DOMContentLoaded');
+
+    const downloads = [];
+    library.exporter.downloadFile = async (content, filename, mimeType) => {
+        downloads.push({ content, filename, mimeType });
+    };
+
+    return { dom, library, requests, downloads };
+}
+
+async function main() {
+    const { dom, library, requests, downloads } = await loadLibrary();
+    const { document } = dom.window;
+    const titles = () => [...document.querySelectorAll('.library-session-title')].map((el) => el.textContent);
+
+    try {
+        // 1. Browse: summaries from get_captured_turns, newest first
+        await library.loadSessions();
+        assert(requests[0].action === 'get_captured_turns' && !requests[0].sessionId, 'sessions not requested');
+        assert(titles().length === 2, `session list: ${titles()}`);
+        assert(document.getElementById('library-more').hidden, 'load more shown without another page');
+        assert(document.querySelector('.library-session-meta').textContent.includes('2 branches'), 'branch count not shown');
+
+        document.getElementById('library-filter').value = 'gemini';
+        library.renderSessions();
+        assert(titles().length === 1 && titles()[0].startsWith('gemini.google.com'), 'URL filter');
+        document.getElementById('library-filter').value = '';
+
+        document.getElementById('library-platform').value = 'claude';
+        await library.loadSessions();
+        assert(requests[requests.length - 1].platform === 'claude' && titles().length === 1, 'platform filter');
+
+        // 2. Open: the active branch, with thinking and a branch switcher
+        await library.openSession('tw_claude');
+        const turnText = () => [...document.querySelectorAll('.library-turn-content')].map((el) => el.textContent);
+        assert(turnText().join('|') === 'Explain quicksort.\nBriefly.|A regenerated answer.', `active branch: ${turnText()}`);
+        assert(titles()[0] === 'Explain quicksort.', 'title not taken from the first prompt');
+        assert(!document.getElementById('library-export').hidden, 'export controls hidden');
+
+        const branch = document.getElementById('library-branch');
+        assert(branch && branch.options.length === 2, 'branch switcher missing');
+        branch.value = 'turn_1';
+        branch.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+        assert(turnText()[1] === 'The first answer.', 'branch switch');
+        assert(document.querySelector('.library-thinking summary').textContent.includes('Recalling partitions'), 'thinking not shown');
+
+        // 3. Export through the ExportInterface generators
+        await library.exportCurrent('markdown');
+        const markdown = downloads[0];
+        assert(markdown.filename.endsWith('.md') && markdown.mimeType === 'text/markdown', 'markdown download');
+        assert(markdown.content.includes('## User') && markdown.content.includes('The first answer.'), 'markdown turns');
+        assert(markdown.content.includes('Pick a pivot'), 'markdown thinking');
+
+        await library.exportCurrent('json');
+        const exported = JSON.parse(downloads[1].content);
+        assert(exported.metadata.sessionId === 'tw_claude' && exported.metadata.branchLeafId === 'turn_1', 'json metadata');
+        assert(exported.messages.length === 2 && exported.messages[0].author === 'user', 'json messages');
+
+        await library.exportCurrent('html');
+        assert(downloads[2].content.includes('<div class="message assistant">'), 'html export');
+
+        document.getElementById('include-thinking').checked = false;
+        await library.exportCurrent('markdown');
+        assert(!downloads[3].content.includes('Pick a pivot'), 'include-thinking option ignored');
+
+        // 4. Search: ranked turns with highlighted snippets, opened on their branch
+        library.current = null;
+        document.getElementById('library-search').value = '"pick a pivot"';
+        document.getElementById('library-role').value = 'assistant';
+        document.getElementById('library-from').value = '2026-03-01';
+        await library.runSearch();
+        const query = requests[requests.length - 1];
+        assert(query.action === 'search_turns' && query.query === '"pick a pivot"', 'search_turns not sent');
+        assert(query.role === 'assistant' && query.from === '2026-03-01' && query.platform === 'claude', 'search filters not sent');
+        assert(document.querySelector('.library-result mark').textContent === 'pivot', 'snippet highlight');
+        assert(document.querySelector('.library-result .library-session-meta').textContent.includes('(thinking)'), 'match field');
+
+        document.querySelector('.library-result').click();
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        assert(turnText()[1] === 'The first answer.', 'search hit not opened on its branch');
+        assert(document.querySelector('.library-turn-hit').dataset.turnId === 'turn_1', 'search hit not highlighted');
+
+        document.getElementById('library-search').value = '';
+        await library.runSearch();
+        assert(!document.querySelector('.library-result') && titles().length === 1, 'clearing the search did not restore the list');
+
+        // 5. Empty archive
+        library.sessions = [];
+        library.renderSessions();
+        assert(document.querySelector('.library-empty').textContent.includes('No captured sessions'), 'empty state');
+
+        console.log('✅ Session library tests passed');
+    } finally {
+        dom.window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ session library: ${error.message}`);
+    process.exit(1);
+});
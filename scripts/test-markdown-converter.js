@@ -0,0 +1,156 @@
+// scripts/test-markdown-converter.js
+// Converts rendered chat HTML to Markdown (tables, lists, fences, links) and
+// checks that the text exports prefer the converted `markdown` field.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const scripts = [
+    'core/markdown-converter.js',
+    'extractors/universal-extractor.js',
+    'extractors/chatgpt-extractor.js',
+    'ui/export-interface.js'
+].map((relativePath) => path.join(extensionDir, relativePath));
+
+// Shaped like a ChatGPT answer: language label and copy button inside <pre>
+const answerHtml = `
+    <article data-testid="conversation-turn-2" data-message-author-role="assistant">
+      <h5 class="sr-only">ChatGPT said:</h5>
+      <div class="markdown prose">
+        <h2>Sorting <em>options</em></h2>
+        <p>Use <code>sorted()</code> for a <strong>stable</strong> sort; see <a href="/docs/sorting">the docs</a>.<br>Keys like snake_case stay readable.</p>
+        <table>
+          <thead><tr><th>Algorithm</th><th align="center">Stable</th><th style="text-align: right">Cost</th></tr></thead>
+          <tbody>
+            <tr><td>Merge sort</td><td>yes</td><td>O(n log n)</td></tr>
+            <tr><td>Quick | sort</td><td>no</td></tr>
+          </tbody>
+        </table>
+        <ul>
+          <li>Stable
+            <ul><li>merge</li><li>tim</li></ul>
+          </li>
+          <li>Unstable</li>
+        </ul>
+        <ol start="3"><li>Third</li><li>Fourth</li></ol>
+        <ul class="contains-task-list">
+          <li class="task-list-item"><input type="checkbox" checked disabled> benchmark</li>
+          <li class="task-list-item"><input type="checkbox" disabled> document</li>
+        </ul>
+        <pre><div class="flex">python<button>Copy code</button></div><div><code class="language-python hljs">data = sorted(items, key=len)
+print(\`done\`)
+</code></div></pre>
+        <blockquote><p>Premature optimisation</p><p>is the root of all evil.</p></blockquote>
+        <p><img src="https://example.com/plot.png" alt="Timing [plot]"> Inline <code>a \`b\` c</code>.</p>
+      </div>
+    </article>`;
+
+const expectedMarkdown = [
+    '## Sorting *options*',
+    '',
+    'Use `sorted()` for a **stable** sort; see [the docs](https://chatgpt.com/docs/sorting).  ',
+    'Keys like snake_case stay readable.',
+    '',
+    '| Algorithm | Stable | Cost |',
+    '| --- | :---: | ---: |',
+    '| Merge sort | yes | O(n log n) |',
+    '| Quick \\| sort | no |  |',
+    '',
+    '- Stable',
+    '  - merge',
+    '  - tim',
+    '- Unstable',
+    '',
+    '3. Third',
+    '4. Fourth',
+    '',
+    '- [x] benchmark',
+    '- [ ] document',
+    '',
+    '```python',
+    'data = sorted(items, key=len)',
+    'print(`done`)',
+    '```',
+    '',
+    '> Premature optimisation',
+    '>',
+    '> is the root of all evil.',
+    '',
+    '![Timing plot](https://example.com/plot.png) Inline ``a `b` c``.'
+].join('\n');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+async function main() {
+    const dom = new JSDOM(`<!DOCTYPE html><html><body><main>${answerHtml}</main></body></html>`, {
+        url: 'https://chatgpt.com/c/markdown',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    try {
+        const context = dom.getInternalVMContext();
+        context.console = { log() {}, warn() {}, error: console.error };
+        context.navigator = window.navigator;
+        scripts.forEach((filePath) => {
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+        });
+
+        // 1. Live element through the extractor: only the .prose body
+        const article = window.document.querySelector('article');
+        const extractor = new window.ChatGPTExtractor({ platform: 'chatgpt', selectors: {} });
+        const message = extractor.extractMessage(article, 1);
+        assert(message.markdown === expectedMarkdown, `markdown mismatch:\n${message.markdown}`);
+        assert(!message.markdown.includes('said:') && !message.markdown.includes('Copy code'), 'chrome leaked into markdown');
+
+        // 2. Stored HTML converts the same way
+        const stored = new window.MarkdownConverter().convert(window.document.querySelector('.markdown').outerHTML);
+        assert(stored === expectedMarkdown, 'stored HTML conversion differs from the live element');
+
+        // 3. Fence length grows past backtick runs; Claude-style pre-wrap keeps line breaks
+        const converter = new window.MarkdownConverter();
+        assert(converter.convert('<pre><code>```\nnested\n```</code></pre>') === '````\n```\nnested\n```\n````', 'fence not lengthened');
+        assert(converter.convert('<p class="whitespace-pre-wrap">line one\nline two</p>') === 'line one  \nline two', 'pre-wrap newlines lost');
+        assert(converter.convert('<p>2 * 3 and _x_</p>') === '2 \\* 3 and \\_x\\_', 'markdown characters not escaped');
+
+        // 4. Text formats prefer markdown; redaction covers it
+        const exporter = new window.ExportInterface();
+        exporter.platformInfo = { platform: 'chatgpt', config: {} };
+        exporter.exportData = {
+            metadata: { platform: 'chatgpt', url: 'https://chatgpt.com/c/markdown', title: 'Sorting', exportDate: '2026-03-01T10:00:00.000Z', messageCount: 2 },
+            messages: [
+                { id: 'msg_0', author: 'user', content: 'Compare sorts, mail ana@example.com', markdown: 'Compare **sorts**, mail ana@example.com', thinkingBlocks: [] },
+                { ...message, thinkingBlocks: [] }
+            ],
+            thinkingBlocks: [],
+            rawHtml: { original: null, expanded: null }
+        };
+        exporter.createUI();
+        const markdownExport = await exporter.generateFormat('markdown');
+        assert(markdownExport.includes('| Merge sort | yes | O(n log n) |') && markdownExport.includes('```python'), 'markdown export ignores the markdown field');
+        const text = await exporter.generateFormat('txt');
+        assert(text.includes('- [x] benchmark'), 'txt export ignores the markdown field');
+        const openai = JSON.parse(await exporter.generateFormat('openai'));
+        assert(openai.messages[0].content === 'Compare **sorts**, mail ana@example.com', 'dataset export ignores the markdown field');
+
+        window.document.getElementById('redact-sensitive').checked = true;
+        assert(!(await exporter.generateFormat('markdown')).includes('ana@example.com'), 'markdown field not redacted');
+
+        console.log('✅ Markdown converter tests passed');
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ markdown converter: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,160 @@
+// scripts/test-math-export.js
+// Rendered KaTeX / data-math nodes → $…$ sources and a per-message index,
+// then Markdown, HTML (captured KaTeX markup) and DOCX (Office Math) output.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { readZipEntry } = require('./zip-reader');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const scripts = [
+    'libs/docx.umd.js',
+    'core/markdown-converter.js',
+    'core/latex-math.js',
+    'core/docx-writer.js',
+    'extractors/universal-extractor.js',
+    'extractors/claude-extractor.js',
+    'extractors/chatgpt-extractor.js',
+    'extractors/gemini-extractor.js',
+    'ui/export-interface.js'
+].map((relativePath) => path.join(extensionDir, relativePath));
+
+function katex(tex, rendered) {
+    return `<span class="katex"><span class="katex-mathml"><math><semantics><mrow><mi>${rendered}</mi></mrow>` +
+        `<annotation encoding="application/x-tex">${tex}</annotation></semantics></math></span>` +
+        `<span class="katex-html" aria-hidden="true" onclick="alert(1)">${rendered}</span></span>`;
+}
+
+const page = `<!DOCTYPE html><html><body><main>
+    <article id="chatgpt" data-message-author-role="assistant">
+      <div class="markdown prose">
+        <p>The area is ${katex('\\pi r^2', 'πr2')} for a circle.</p>
+        <span class="katex-display">${katex('\\frac{a}{b} = \\sum_{i=1}^{n} x_i', 'ab=∑i=1nxi')}</span>
+        <p>Done.</p>
+      </div>
+    </article>
+    <div id="gemini" class="model-response-text">
+      <p>Energy: <span class="math-inline" data-math="E = mc^2">E=mc2</span></p>
+      <div class="math-block" data-math="\\sqrt{x}">√x</div>
+    </div>
+    <div id="claude"><p>Scale by ${katex('\\alpha', 'α')} first.</p></div>
+</main></body></html>`;
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+async function main() {
+    const dom = new JSDOM(page, { url: 'https://chatgpt.com/c/math', runScripts: 'outside-only' });
+    const { window } = dom;
+    const { document } = window;
+
+    try {
+        const context = dom.getInternalVMContext();
+        context.console = { log() {}, warn() {}, error: console.error };
+        context.navigator = window.navigator;
+        // docx's bundled JSZip schedules work with setImmediate
+        context.setImmediate = setImmediate;
+        // jsdom's Blob has no arrayBuffer(); browsers do
+        window.Blob.prototype.arrayBuffer = function arrayBuffer() {
+            return new Promise((resolve, reject) => {
+                const reader = new window.FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsArrayBuffer(this);
+            });
+        };
+        scripts.forEach((filePath) => {
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+        });
+
+        // 1. KaTeX annotations replace the rendered glyphs in content and markdown
+        const chatgpt = new window.ChatGPTExtractor({ platform: 'chatgpt', selectors: {} });
+        const message = chatgpt.extractMessage(document.getElementById('chatgpt'), 0);
+        assert(message.content.includes('The area is $\\pi r^2$ for a circle.'), `inline math in content: ${message.content}`);
+        assert(message.content.includes('$$\\frac{a}{b} = \\sum_{i=1}^{n} x_i$$') && !message.content.includes('πr2'), 'display math in content');
+        assert(message.markdown.includes('The area is $\\pi r^2$ for a circle.\n\n$$\n\\frac{a}{b} = \\sum_{i=1}^{n} x_i\n$$\n\nDone.'), `markdown math: ${message.markdown}`);
+        assert(message.math.length === 2 && message.math[0].display === false && message.math[1].display === true, 'math index');
+        assert(message.math[1].id === 'msg_0_math_1' && message.math[1].messageId === 'msg_0', 'math index ids');
+        assert(message.chatgpt.mathExpressions === message.math, 'chatgpt metadata not backed by the shared index');
+
+        // 2. Other platforms: Gemini data-math, Claude's cleaned text
+        const gemini = new window.GeminiExtractor({ platform: 'gemini', selectors: {} });
+        const geminiMessage = gemini.extractMessage(document.getElementById('gemini'), 1);
+        assert(geminiMessage.content.includes('Energy: $E = mc^2$') && geminiMessage.content.includes('$$\\sqrt{x}$$'), `gemini content: ${geminiMessage.content}`);
+        assert(geminiMessage.math.map((entry) => entry.display).join() === 'false,true', 'gemini display flags');
+
+        const claude = new window.ClaudeExtractor({ platform: 'claude', selectors: {} });
+        assert(claude.getCleanText(document.getElementById('claude')) === 'Scale by $\\alpha$ first.', 'claude clean text');
+        assert(document.querySelector('#claude .katex'), 'live DOM modified');
+
+        // 3. LaTeX parser
+        const tree = window.LatexMath.parse('\\frac{a}{b} + \\sum_{i=1}^{n} x_i + \\left( \\alpha \\right)');
+        assert(tree.map((node) => node.type).join() === 'frac,text,nary,text,fenced', `parse: ${tree.map((node) => node.type)}`);
+        assert(tree[2].body[0].type === 'scripts' && tree[4].children[0].value === 'α', 'nary body / symbols');
+
+        // 4. Exports
+        const exporter = new window.ExportInterface();
+        exporter.platformInfo = { platform: 'chatgpt', config: {} };
+        exporter.exportData = {
+            metadata: { platform: 'chatgpt', url: 'https://chatgpt.com/c/math', title: 'Math', exportDate: '2026-03-01T10:00:00.000Z', messageCount: 1 },
+            messages: [message],
+            thinkingBlocks: [],
+            rawHtml: { original: null, expanded: null }
+        };
+        exporter.createUI();
+
+        const markdown = await exporter.generateFormat('markdown');
+        assert(markdown.includes('$\\pi r^2$') && markdown.includes('$$\n\\frac{a}{b}'), 'markdown export');
+
+        const html = await exporter.generateFormat('html');
+        assert(html.includes('<span class="math math-inline" title="\\pi r^2"><span class="katex">'), 'inline KaTeX markup');
+        assert(html.includes('<div class="math math-display"') && html.includes('.math .katex-html'), 'display math / fallback styles');
+        assert(!html.includes('onclick') && !html.includes('$\\pi r^2$'), 'math markup not sanitized or source left behind');
+        const hostile = '<span class="katex" style="height:1em" aria-hidden="true" data-x="1"><style>*{}</style>' +
+            '<base href="https://evil.example/"><title>&lt;img src=x onerror=alert(1)&gt;</title><textarea>&lt;/textarea&gt;&lt;img src=x&gt;</textarea>' +
+            '<svg viewBox="0 0 10 10"><animate attributeName="href" to="javascript:alert(1)"/><path d="M0 0"/></svg>' +
+            '<span style="background:url(https://evil.example/t.png)">x</span><math><mi mathvariant="bold">x</mi></math></span>';
+        const clean = exporter.sanitizeMathHtml(hostile);
+        assert(!/<style|<base|<title|<textarea|<animate|<img|evil|data-x|alert/.test(clean), `math markup not allow-listed: ${clean}`);
+        assert(clean.includes('<svg viewBox="0 0 10 10"><path d="M0 0"></path></svg>') && clean.includes('<mi mathvariant="bold">x</mi>'), `math markup lost: ${clean}`);
+        assert(clean.startsWith('<span class="katex" style="height:1em" aria-hidden="true">'), `math attributes lost: ${clean}`);
+
+        // The bundled KaTeX stylesheet is inlined with its fonts as data URIs
+        context.chrome = { runtime: { getURL: (file) => `chrome-extension://exporter/${file}` } };
+        context.fetch = async (url) => {
+            const file = path.join(extensionDir, url.replace('chrome-extension://exporter/', ''));
+            const ok = fs.existsSync(file);
+            return {
+                ok,
+                text: async () => fs.readFileSync(file, 'utf8'),
+                arrayBuffer: async () => new Uint8Array(fs.readFileSync(file)).buffer
+            };
+        };
+        delete exporter.katexCss;
+        const styled = await exporter.generateFormat('html');
+        const inlined = styled.match(/url\(data:font\/woff2;base64,/g) || [];
+        assert(styled.includes('.katex .katex-mathml') && !styled.includes('.math .katex-html'), 'KaTeX stylesheet not used');
+        assert(inlined.length === 20 && !/url\(fonts\//.test(styled), `KaTeX fonts not inlined: ${inlined.length}`);
+
+        const docx = Buffer.from(await (await exporter.generateFormat('docx')).arrayBuffer());
+        const documentXml = readZipEntry(docx, 'word/document.xml');
+        assert(documentXml.includes('<m:oMath>') && documentXml.includes('<m:f>') && documentXml.includes('<m:nary>'), 'OMML equations');
+        assert(documentXml.includes('<m:t>π</m:t></m:r><m:sSup><m:sSupPr/><m:e><m:r><m:t>r</m:t></m:r></m:e><m:sup><m:r><m:t>2</m:t>'), 'symbols / superscript');
+        assert(documentXml.includes('<w:jc w:val="center"/>'), 'display equation not centred');
+
+        console.log('✅ Math export tests passed');
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ math export: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,150 @@
+// scripts/test-notebook-export.js
+// Builds the Jupyter (.ipynb) export: prose as markdown cells, kernel-language
+// fences as code cells, tool_call outputs as stream outputs, and the kernel
+// picked from the dominant programming language.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const scripts = [
+    'extractors/universal-extractor.js',
+    'extractors/claude-extractor.js',
+    'ui/export-interface.js'
+].map((relativePath) => path.join(extensionDir, relativePath));
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const answer = [
+    'Install the dependencies first:',
+    '',
+    '```bash',
+    'pip install numpy',
+    '```',
+    '',
+    'Then plot it:',
+    '',
+    '```python',
+    'import numpy as np',
+    'x = np.linspace(0, 6.28, 100)',
+    '```',
+    '',
+    'The config looks like this:',
+    '',
+    '```json',
+    '{"dpi": 120}',
+    '```'
+].join('\n');
+
+const toolCall = 'Ran the script\n```bash\npython plot.py\n```\nOutput\nsaved plot.png\n3 points';
+
+function sampleExportData(claude) {
+    return {
+        metadata: {
+            platform: 'claude',
+            url: 'https://claude.ai/chat/sine-1',
+            title: 'Sine plot',
+            exportDate: '2026-03-01T10:00:00.000Z',
+            messageCount: 2,
+            claude: { programmingLanguages: { python: 2, bash: 1, json: 1 } }
+        },
+        messages: [
+            { id: 'msg_0', author: 'user', content: 'Plot a sine wave', thinkingBlocks: [] },
+            {
+                id: 'msg_1',
+                author: 'assistant',
+                content: 'Install the dependencies first.',
+                markdown: answer,
+                thinkingBlocks: [
+                    { id: 'thinking_0', type: 'thinking', summary: 'Planning', content: 'numpy then matplotlib' },
+                    { id: 'thinking_1', type: 'tool_call', content: toolCall, structuredData: claude.parseToolCallContent(toolCall) }
+                ]
+            }
+        ],
+        thinkingBlocks: [],
+        rawHtml: { original: null, expanded: null }
+    };
+}
+
+const text = (cell) => cell.source.join('');
+
+async function main() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://claude.ai/chat/sine-1',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    try {
+        const context = dom.getInternalVMContext();
+        context.console = { log() {}, warn() {}, error: console.error };
+        context.navigator = window.navigator;
+        scripts.forEach((filePath) => {
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+        });
+
+        const claude = new window.ClaudeExtractor({ platform: 'claude', selectors: {} });
+        const exporter = new window.ExportInterface();
+        exporter.platformInfo = { platform: 'claude', config: {} };
+        exporter.exportData = sampleExportData(claude);
+        exporter.createUI();
+        window.document.getElementById('export-filename').value = 'sine-plot';
+
+        // 1. Notebook shell and kernel
+        assert(exporter.getFilename('ipynb') === 'sine-plot.ipynb', 'ipynb filename');
+        const notebook = JSON.parse(await exporter.generateFormat('ipynb'));
+        assert(notebook.nbformat === 4 && notebook.nbformat_minor === 5, 'nbformat version');
+        assert(notebook.metadata.kernelspec.name === 'python3' && notebook.metadata.language_info.name === 'python', 'python kernel');
+        assert(notebook.metadata.universal_exporter.url === 'https://claude.ai/chat/sine-1', 'export metadata');
+        assert(new Set(notebook.cells.map((cell) => cell.id)).size === notebook.cells.length, 'cell ids not unique');
+
+        // 2. Cells in conversation order
+        const cells = notebook.cells;
+        assert(cells.map((cell) => cell.cell_type).join() === 'markdown,markdown,code,markdown,code,markdown,code,markdown', `cell types: ${cells.map((cell) => cell.cell_type)}`);
+        assert(text(cells[0]) === '### User\n\nPlot a sine wave', 'user markdown cell');
+        assert(cells[1].source[0] === '### Claude\n' && text(cells[1]).includes('<summary>Extended Thinking: Planning</summary>'), 'thinking details');
+        assert(text(cells[1]).endsWith('*Tool Call:* Ran the script'), 'tool description');
+
+        const tool = cells[2];
+        assert(text(tool) === '%%bash\npython plot.py' && tool.execution_count === null, 'tool call source');
+        assert(tool.outputs.length === 1 && tool.outputs[0].output_type === 'stream' && tool.outputs[0].name === 'stdout', 'tool output type');
+        assert(tool.outputs[0].text.join('') === 'saved plot.png\n3 points\n', 'tool output text');
+        assert(tool.metadata.universal_exporter.blockType === 'tool_call' && tool.metadata.universal_exporter.messageId === 'msg_1', 'tool cell metadata');
+
+        assert(text(cells[3]) === 'Install the dependencies first:', 'prose before shell');
+        assert(text(cells[4]) === '%%bash\npip install numpy' && cells[4].outputs.length === 0, 'shell fence as %%bash cell');
+        assert(text(cells[6]) === 'import numpy as np\nx = np.linspace(0, 6.28, 100)', 'python code cell');
+        assert(text(cells[7]) === 'The config looks like this:\n\n```json\n{"dpi": 120}\n```', 'non-kernel fence kept as markdown');
+
+        // 3. Without extractor metadata the fences decide the kernel
+        delete exporter.exportData.metadata.claude;
+        exporter.exportData.messages[1].markdown = '```r\nplot(sin)\n```\n\n```r\nsummary(x)\n```\n\n```python\nprint(1)\n```';
+        window.document.getElementById('include-thinking').checked = false;
+        const rNotebook = JSON.parse(await exporter.generateFormat('ipynb'));
+        assert(rNotebook.metadata.kernelspec.name === 'ir', `kernel: ${rNotebook.metadata.kernelspec.name}`);
+        const rCells = rNotebook.cells;
+        assert(rCells.filter((cell) => cell.cell_type === 'code').map(text).join('|') === 'plot(sin)|summary(x)', 'R code cells');
+        assert(text(rCells[rCells.length - 1]).includes('```python\nprint(1)\n```'), 'python fence under R kernel');
+        assert(!rCells.some((cell) => text(cell).includes('<details>')), 'thinking exported without includeThinking');
+
+        // 4. Claude reports the tally through identifyProgrammingLanguages
+        claude.exportData.codeBlocks = [{ language: 'python' }, { language: 'text' }, { language: 'rust' }, { language: 'rust' }];
+        assert(JSON.stringify(claude.identifyProgrammingLanguages()) === '{"rust":2,"python":1}', 'language tally');
+
+        console.log('✅ Notebook export tests passed');
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ notebook export: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,158 @@
+// scripts/test-obsidian-export.js
+// Builds the Obsidian vault export and reads it back: frontmatter, callouts,
+// wikilinked thinking notes and the attachments/ folder.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { readZip, DeflateRawStream } = require('./zip-reader');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const scripts = ['core/zip-writer.js', 'ui/export-interface.js']
+    .map((relativePath) => path.join(extensionDir, relativePath));
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function sampleExportData() {
+    const longThinking = 'Compare the pivot with every key. '.repeat(60).trim();
+    return {
+        metadata: {
+            platform: 'claude',
+            url: 'https://claude.ai/chat/vault-42',
+            title: 'Quicksort: pivots / partitions',
+            exportDate: '2026-03-01T10:00:00.000Z',
+            model: 'claude-sonnet',
+            messageCount: 2
+        },
+        messages: [
+            {
+                id: 'msg_0',
+                author: 'user',
+                content: 'How does quicksort pick a pivot?',
+                wordCount: 6,
+                thinkingBlocks: [],
+                references: {
+                    links: [],
+                    attachments: [{ name: 'notes.txt', url: 'data:text/plain;base64,cGl2b3Qgbm90ZXM=', type: 'text', sizeLabel: '11 B' }],
+                    documents: [{ name: 'notes.txt', url: 'data:text/plain;base64,cGl2b3Qgbm90ZXM=', type: 'text', sizeLabel: '11 B' }],
+                    citations: []
+                }
+            },
+            {
+                id: 'msg_1',
+                author: 'assistant',
+                content: 'Usually the median of three.',
+                wordCount: 5,
+                thinkingBlocks: [
+                    { id: 'thinking_0', type: 'thinking', summary: 'Partitioning', content: longThinking },
+                    { id: 'thinking_1', type: 'thinking', content: 'Short aside.' },
+                    { id: 'tool_0', type: 'tool_call', content: 'Ran a benchmark.\nmedian wins' }
+                ],
+                references: {
+                    links: [{ url: 'https://en.wikipedia.org/wiki/Quicksort', title: 'Quicksort' }],
+                    attachments: [],
+                    documents: [],
+                    citations: []
+                }
+            }
+        ],
+        thinkingBlocks: [],
+        rawHtml: { original: '<html><body>original</body></html>', expanded: '<html><body>expanded</body></html>' }
+    };
+}
+
+async function main() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://claude.ai/chat/vault-42',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    try {
+        const context = dom.getInternalVMContext();
+        context.console = { log() {}, warn() {}, error: console.error };
+        context.TextEncoder = TextEncoder;
+        context.CompressionStream = DeflateRawStream;
+        // jsdom's Blob has no arrayBuffer(); browsers do
+        window.Blob.prototype.arrayBuffer = function arrayBuffer() {
+            return new Promise((resolve, reject) => {
+                const reader = new window.FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsArrayBuffer(this);
+            });
+        };
+        scripts.forEach((filePath) => {
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+        });
+
+        const exporter = new window.ExportInterface();
+        exporter.platformInfo = { platform: 'claude', config: {} };
+        exporter.exportData = sampleExportData();
+        exporter.createUI();
+        window.document.getElementById('export-filename').value = 'quicksort';
+        const vault = async () => readZip(Buffer.from(await (await exporter.generateFormat('obsidian')).arrayBuffer()));
+
+        // 1. Note with frontmatter, thinking note, attachments folder
+        assert(exporter.getFilename('obsidian') === 'quicksort.obsidian.zip', 'obsidian filename');
+        const files = await vault();
+        const noteName = 'Quicksort pivots partitions';
+        const note = files.get(`quicksort/${noteName}.md`)?.text;
+        assert(note, `note missing: ${[...files.keys()]}`);
+        assert(files.get('quicksort/attachments/').directory, 'attachments directory entry');
+
+        const frontmatter = note.split('---\n')[1];
+        assert(frontmatter.includes('platform: "claude"') && frontmatter.includes('conversationId: "vault-42"'), 'frontmatter ids');
+        assert(frontmatter.includes('title: "Quicksort: pivots / partitions"') && frontmatter.includes('model: "claude-sonnet"'), 'frontmatter title/model');
+        assert(frontmatter.includes('tags:\n  - "ai-conversation"\n  - "claude"'), 'frontmatter tags');
+        assert(frontmatter.includes('exportDate: "2026-03-01T10:00:00.000Z"') && frontmatter.includes('url: "https://claude.ai/chat/vault-42"'), 'frontmatter url/date');
+
+        const thinkingPath = `quicksort/thinking/${noteName} - Thinking 1.md`;
+        assert(files.has(thinkingPath), 'long thinking block not split out');
+        assert(files.get(thinkingPath).text.includes(`conversation: "[[${noteName}]]"`), 'thinking note does not link back');
+        assert(note.includes(`> [!quote]- Extended Thinking: Partitioning\n> [[${noteName} - Thinking 1]]`), 'thinking wikilink');
+        assert(note.includes('> [!quote]- Extended Thinking\n> Short aside.'), 'short thinking inline');
+        assert(note.includes('> [!example]- Tool Call\n') && note.includes('> median wins'), 'tool call callout');
+        assert(note.includes('> [!cite] References\n> - [Quicksort](https://en.wikipedia.org/wiki/Quicksort)'), 'references callout');
+        assert(note.includes('> [!info] Uploaded documents\n> - ![[notes.txt]] (text • 11 B)'), 'uploads callout');
+        assert(files.get('quicksort/attachments/notes.txt').text === 'pivot notes', 'data: upload not decoded');
+        assert(files.get(`quicksort/attachments/${noteName} (expanded).html`).text.includes('expanded'), 'raw HTML attachment');
+
+        // 2. Options: thinking inline, no raw HTML
+        window.document.getElementById('obsidian-thinking-notes').checked = false;
+        window.document.getElementById('include-html').checked = false;
+        const inline = await vault();
+        assert(![...inline.keys()].some((name) => name.includes('/thinking/')), 'thinking notes written when disabled');
+        assert(inline.get(`quicksort/${noteName}.md`).text.includes('> Compare the pivot with every key.'), 'long thinking not inlined');
+        assert(inline.has('quicksort/attachments/') && !inline.has(`quicksort/attachments/${noteName} (original).html`), 'raw HTML without includeHtml');
+
+        window.document.getElementById('include-thinking').checked = false;
+        const bare = (await vault()).get(`quicksort/${noteName}.md`).text;
+        assert(!bare.includes('[!quote]') && !bare.includes('[!example]'), 'blocks exported without includeThinking');
+
+        // 3. A malformed data: upload is listed, not attached, and the export goes on
+        exporter.exportData.messages[0].references.documents.push(
+            { name: 'broken.bin', url: 'data:application/octet-stream;base64,***', type: 'binary' },
+            { name: 'deal.txt', url: 'data:text/plain,50%off', type: 'text' }
+        );
+        const malformed = await vault();
+        const uploads = malformed.get(`quicksort/${noteName}.md`).text;
+        assert(uploads.includes('> - broken.bin (binary)\n> - deal.txt (text)'), `malformed uploads: ${uploads}`);
+        assert(!malformed.has('quicksort/attachments/broken.bin') && !malformed.has('quicksort/attachments/deal.txt'), 'malformed upload attached');
+
+        console.log('✅ Obsidian export tests passed');
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ obsidian export: ${error.message}`);
+    process.exit(1);
+});
@@ -35,35 +35,6 @@ function read(filePath) {
   return fs.readFileSync(filePath, 'utf8');
 }
 
-function installDocxStub(dom) {
-  const BlobCtor = dom.window.Blob;
-  dom.window.docx = {
-    HeadingLevel: { HEADING_1: 'h1', HEADING_2: 'h2' },
-    TextRun: class TextRun {
-      constructor(value) {
-        this.value = value;
-      }
-    },
-    Paragraph: class Paragraph {
-      constructor(value) {
-        this.value = value;
-      }
-    },
-    Document: class Document {
-      constructor(config) {
-        this.config = config;
-      }
-    },
-    Packer: {
-      async toBlob(doc) {
-        return new BlobCtor([JSON.stringify(doc.config)], {
-          type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-        });
-      }
-    }
-  };
-}
-
 async function runCase(testCase) {
   const html = read(testCase.fixture);
   const dom = new JSDOM(html, {
@@ -76,7 +47,8 @@ async function runCase(testCase) {
     const context = dom.getInternalVMContext();
     context.console = console;
 
-    installDocxStub(dom);
+    // docx's bundled JSZip schedules work with setImmediate
+    context.setImmediate = setImmediate;
 
     context.PlatformDetector = class PlatformDetector {
       async waitForPlatform() {
@@ -90,6 +62,10 @@ async function runCase(testCase) {
       }
     };
 
+    // DOCX export needs the docx library and its writer, loaded as the manifest does
+    ['libs/docx.umd.js', 'core/latex-math.js', 'core/docx-writer.js'].forEach((file) => {
+      vm.runInContext(read(path.join(rootDir, 'extension', file)), context);
+    });
     vm.runInContext(read(path.join(rootDir, 'extension', 'extractors', 'universal-extractor.js')), context);
     vm.runInContext(read(testCase.extractor), context);
     vm.runInContext(read(path.join(rootDir, 'extension', 'ui', 'export-interface.js')), context);
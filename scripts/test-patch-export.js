@@ -0,0 +1,217 @@
+// scripts/test-patch-export.js
+// Parses Claude file edit blocks into files and hunks, renders them as
+// diffs in Markdown and HTML, and concatenates them into a .patch that
+// `git apply` accepts.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { execFileSync } = require('child_process');
+const { JSDOM } = require('jsdom');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const scripts = [
+    'extractors/universal-extractor.js',
+    'extractors/claude-extractor.js',
+    'ui/export-interface.js'
+].map((relativePath) => path.join(extensionDir, relativePath));
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+// Hunks only; the path comes from the summary
+const bareHunk = [
+    '@@ -1,3 +1,4 @@',
+    ' def add(a, b):',
+    '-    return a+b',
+    '+    """Sum two numbers."""',
+    '+    return a + b',
+    ' '
+].join('\n');
+
+// git output with two files; "--- old" inside the hunk is a removed line
+const gitDiff = [
+    'diff --git a/db/schema.sql b/db/schema.sql',
+    'index 3b18e51..a9c2f04 100644',
+    '--- a/db/schema.sql',
+    '+++ b/db/schema.sql',
+    '@@ -3,3 +3,3 @@ CREATE TABLE users (',
+    '   name text,',
+    '--- old comment',
+    '+-- new comment',
+    ' );',
+    'diff --git a/.env.example b/.env.example',
+    'new file mode 100644',
+    '--- /dev/null',
+    '+++ b/.env.example',
+    '@@ -0,0 +1 @@',
+    '+PORT=8080',
+    '\\ No newline at end of file'
+].join('\n');
+
+// The diff view as rendered, with no headers at all
+const bareAdditions = 'Wrote 2 lines\n+# Notes\n+Run `make dev`.\n';
+
+// A bare listing that changes an existing file: no line numbers to apply at
+const bareChange = '-const port = 80;\n+const port = 8080;\n';
+
+// Files the patch applies to, as they were before the edits
+const baseTree = {
+    'src/math.py': 'def add(a, b):\n    return a+b\n\n',
+    'db/schema.sql': 'CREATE TABLE users (\n  id serial,\n  name text,\n-- old comment\n);\n'
+};
+
+/**
+ * Runs `git apply --check`, then `git apply`, in a fresh repo of baseTree
+ * and returns the named files afterwards.
+ */
+function gitApply(patch, readBack) {
+    const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'patch-export-'));
+    try {
+        execFileSync('git', ['init', '-q'], { cwd: repo });
+        Object.entries(baseTree).forEach(([file, content]) => {
+            fs.mkdirSync(path.join(repo, path.dirname(file)), { recursive: true });
+            fs.writeFileSync(path.join(repo, file), content);
+        });
+        execFileSync('git', ['apply', '--check', '-'], { cwd: repo, input: patch, stdio: ['pipe', 'pipe', 'pipe'] });
+        execFileSync('git', ['apply', '-'], { cwd: repo, input: patch, stdio: ['pipe', 'pipe', 'pipe'] });
+        return Object.fromEntries(readBack.map((file) => [file, fs.readFileSync(path.join(repo, file), 'utf8')]));
+    } catch (error) {
+        throw new Error(`git apply: ${String(error.stderr || error.message).trim()}`);
+    } finally {
+        fs.rmSync(repo, { recursive: true, force: true });
+    }
+}
+
+function sampleExportData(claude) {
+    const block = (id, summary, content) => ({
+        id, type: 'file_edit', summary, content, structuredData: claude.parseFileEditContent(content, summary)
+    });
+    return {
+        metadata: {
+            platform: 'claude',
+            url: 'https://claude.ai/chat/edits-3',
+            title: 'Refactor',
+            exportDate: '2026-03-01T10:00:00.000Z',
+            messageCount: 4
+        },
+        messages: [
+            { id: 'msg_0', author: 'user', content: 'Tidy the helpers', thinkingBlocks: [] },
+            {
+                id: 'msg_1',
+                author: 'assistant',
+                content: 'Done.',
+                thinkingBlocks: [block('thinking_0', '+2 -1 src/math.py', bareHunk)]
+            },
+            { id: 'msg_2', author: 'user', content: 'Now the schema', thinkingBlocks: [] },
+            {
+                id: 'msg_3',
+                author: 'assistant',
+                content: 'Updated the schema and added an env file.',
+                thinkingBlocks: [
+                    block('thinking_1', '+2 -1', gitDiff),
+                    block('thinking_2', '+2 -0 NOTES.md', bareAdditions),
+                    block('thinking_4', '+1 -1 src/config.js', bareChange),
+                    { id: 'thinking_3', type: 'thinking', summary: 'Checking', content: '+ not an edit' }
+                ]
+            }
+        ],
+        thinkingBlocks: [],
+        rawHtml: { original: null, expanded: null }
+    };
+}
+
+async function main() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://claude.ai/chat/edits-3',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    try {
+        const context = dom.getInternalVMContext();
+        context.console = { log() {}, warn() {}, error: console.error };
+        scripts.forEach((filePath) => {
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+        });
+
+        const claude = new window.ClaudeExtractor({ platform: 'claude', selectors: {} });
+        const exporter = new window.ExportInterface();
+        exporter.platformInfo = { platform: 'claude', config: {} };
+        exporter.exportData = sampleExportData(claude);
+        exporter.createUI();
+        window.document.getElementById('export-filename').value = 'refactor';
+
+        // 1. Parsing
+        const [bare] = exporter.exportData.messages[1].thinkingBlocks;
+        const [git, additions, change] = exporter.exportData.messages[3].thinkingBlocks;
+        const math = bare.structuredData.files[0];
+        assert(bare.structuredData.files.length === 1 && math.path === 'src/math.py' && !math.isNew, 'path from summary');
+        assert(math.added === 2 && math.removed === 1 && bare.structuredData.added === 2, 'line counts');
+        assert(math.hunks[0].lines.map((line) => line.type).join() === 'context,remove,add,add,context', 'hunk line types');
+
+        const [schema, env] = git.structuredData.files;
+        assert(git.structuredData.files.length === 2 && schema.path === 'db/schema.sql' && env.path === '.env.example', 'git file headers');
+        assert(schema.hunks[0].section === 'CREATE TABLE users (' && schema.hunks[0].lines[1].text === '-- old comment' && schema.hunks[0].lines[3].text === ');', 'removed line that looks like a header');
+        assert(env.isNew && env.hunks[0].oldStart === 0 && env.hunks[0].lines[1].type === 'note', 'new file / no-newline marker');
+
+        const notes = additions.structuredData.files[0];
+        assert(notes.path === 'NOTES.md' && notes.isNew && notes.hunks[0].newLines === 2, 'bare additions as a new file');
+        const config = change.structuredData.files[0];
+        assert(config.path === 'src/config.js' && !config.isNew && config.unanchored, 'bare change not marked unanchored');
+        assert(!math.unanchored && !schema.unanchored && !notes.unanchored, 'hunks with line numbers marked unanchored');
+        assert(claude.extractEditPath('Edited lib/util.ts +3 -1') === 'lib/util.ts' && claude.extractEditPath('+1 -1') === null, 'summary path');
+
+        // 2. Markdown and HTML rendering
+        const markdown = exporter.renderBlockMarkdown(bare);
+        assert(markdown.includes('```diff\ndiff --git a/src/math.py b/src/math.py\n--- a/src/math.py\n+++ b/src/math.py\n@@ -1,3 +1,4 @@\n def add(a, b):\n-    return a+b\n'), 'markdown diff');
+        const html = exporter.renderBlock(git);
+        assert(html.includes('<div class="diff-file">db/schema.sql <span class="diff-stat"><span class="diff-stat-add">+1</span>'), 'html file header');
+        assert(html.includes('<div class="diff-line diff-hunk">@@ -3,3 +3,3 @@ CREATE TABLE users (</div>'), 'html hunk header');
+        assert(html.includes('<div class="diff-line diff-remove">--- old comment</div>') && html.includes('<div class="diff-line diff-add">+PORT=8080</div>'), 'html diff lines');
+        assert(html.includes('new file</span>'), 'new file label');
+        const page = await exporter.generateFormat('html');
+        assert(page.includes('.diff-add {') && page.includes('diff-line diff-add'), 'diff styles in the HTML export');
+
+        // 3. Patch export
+        assert(exporter.getFilename('patch') === 'refactor.patch' && exporter.getMimeType('patch') === 'text/x-diff', 'patch filename / mime');
+        const patch = await exporter.generateFormat('patch');
+        assert(patch.startsWith('# Refactor\n# Claude file edits from https://claude.ai/chat/edits-3, exported 2026-03-01\n'), 'patch header');
+        const order = ['# Turn 2 (msg_1): +2 -1 src/math.py', 'diff --git a/src/math.py', '# Turn 4 (msg_3): +2 -1', 'diff --git a/db/schema.sql', 'diff --git a/.env.example', 'diff --git a/NOTES.md'];
+        const positions = order.map((marker) => patch.indexOf(marker));
+        assert(positions.every((position, i) => position >= 0 && (i === 0 || position > positions[i - 1])), `patch order: ${positions}`);
+        assert(patch.includes('new file mode 100644\n--- /dev/null\n+++ b/.env.example\n@@ -0,0 +1,1 @@\n+PORT=8080\n\\ No newline at end of file\n'), 'new file patch');
+        assert(patch.includes('--- /dev/null\n+++ b/NOTES.md\n@@ -0,0 +1,2 @@\n+# Notes\n+Run `make dev`.\n'), 'bare additions patch');
+        assert(!patch.includes('not an edit') && patch.endsWith('\n') && !patch.endsWith('\n\n'), 'patch body');
+        assert(patch.includes('# Skipped: src/config.js has no line numbers') && !patch.includes('b/src/config.js'), 'unanchored edit not skipped');
+
+        const applied = gitApply(patch, ['src/math.py', 'db/schema.sql', '.env.example', 'NOTES.md']);
+        assert(applied['src/math.py'] === 'def add(a, b):\n    """Sum two numbers."""\n    return a + b\n\n', `applied math.py: ${applied['src/math.py']}`);
+        assert(applied['db/schema.sql'].includes('\n-- new comment\n') && applied['.env.example'] === 'PORT=8080', 'applied schema / env');
+        assert(applied['NOTES.md'] === '# Notes\nRun `make dev`.\n', 'applied notes');
+
+        // 4. Code project writes created files and lists the rest as edits
+        const { files, edits } = exporter.collectProjectFiles(exporter.getPreparedExportData(exporter.getExportOptions()));
+        assert(files.map((file) => file.path).join() === '.env.example,NOTES.md', `project files: ${files.map((file) => file.path)}`);
+        assert(files[1].content === '# Notes\nRun `make dev`.\n', 'created file content');
+        assert(edits.map((edit) => edit.path).join() === 'src/math.py,db/schema.sql,src/config.js', `unapplied edits: ${edits.map((edit) => edit.path)}`);
+
+        // 5. Without edits the patch says so
+        exporter.exportData.messages.forEach((message) => { message.thinkingBlocks = []; });
+        assert((await exporter.generateFormat('patch')).includes('# No file edits in the exported messages'), 'empty patch');
+
+        console.log('✅ Patch export tests passed');
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ patch export: ${error.message}`);
+    process.exit(1);
+});
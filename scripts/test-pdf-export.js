@@ -0,0 +1,217 @@
+// scripts/test-pdf-export.js
+// Lays out the PDF export with PdfLayout: Markdown headings, lists, shaded
+// code boxes, tables with repeated headers and block callouts; characters
+// the fonts cannot draw are transliterated or dropped, and bundled Unicode
+// fonts are embedded when present.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const scripts = [
+    'libs/jspdf.umd.min.js',
+    'libs/marked.min.js',
+    'core/pdf-layout.js',
+    'ui/export-interface.js'
+].map((relativePath) => path.join(extensionDir, relativePath));
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const answer = [
+    '## Plan',
+    '',
+    'Use **bold**, `code` and [the docs](https://example.com/docs) — naïve → 中文 🎉',
+    '',
+    '- one',
+    '  - nested',
+    '- [x] done',
+    '',
+    '| Name | Score |',
+    '|:--|--:|',
+    '| alpha & beta | 1 |',
+    '',
+    '```python',
+    'def double(x):',
+    '    return x * 2',
+    '```',
+    '',
+    '> quoted text'
+].join('\n');
+
+function sampleExportData() {
+    return {
+        metadata: {
+            platform: 'claude',
+            url: 'https://claude.ai/chat/layout-4',
+            title: 'Layout demo',
+            exportDate: '2026-03-01T10:00:00.000Z',
+            messageCount: 2,
+            thinkingBlockCount: 1
+        },
+        messages: [
+            { id: 'msg_0', author: 'user', content: 'Show me a table', thinkingBlocks: [] },
+            {
+                id: 'msg_1',
+                author: 'assistant',
+                content: 'Plan',
+                markdown: answer,
+                thinkingBlocks: [{ id: 'thinking_0', type: 'thinking', summary: 'Pondering', content: 'Weighing 💭 the options' }]
+            }
+        ],
+        thinkingBlocks: [],
+        rawHtml: { original: null, expanded: null }
+    };
+}
+
+/** Strings drawn with the built-in fonts, in content stream order. */
+function drawnText(pdf) {
+    return [...pdf.matchAll(/\(((?:\\.|[^\\)])*)\) Tj/g)].map((match) => match[1].replace(/\\(.)/g, '$1'));
+}
+
+async function pdfText(window, blob) {
+    const buffer = await new Promise((resolve, reject) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+    return Buffer.from(buffer).toString('latin1');
+}
+
+async function main() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://claude.ai/chat/layout-4',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    try {
+        const context = dom.getInternalVMContext();
+        context.console = { log() {}, warn() {}, error: console.error };
+        scripts.forEach((filePath) => {
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+        });
+
+        const { jsPDF } = window.jspdf;
+        const exporter = new window.ExportInterface();
+        exporter.platformInfo = { platform: 'claude', config: {} };
+        exporter.exportData = sampleExportData();
+        exporter.createUI();
+        window.document.getElementById('export-filename').value = 'layout-demo';
+
+        // 1. Shaping with the built-in fonts
+        const layout = new window.PdfLayout(new jsPDF({ unit: 'mm', format: 'a4' }));
+        const shaped = layout.shape('Naïve → 中 🎉 “ok” • €5');
+        assert(shaped.length === 1 && shaped[0].family === 'helvetica', 'built-in font pieces');
+        assert(shaped[0].text === 'Naïve -> ?  "ok" · EUR5', `shaped text: ${shaped[0].text}`);
+        assert(layout.shape('x = 1', 'bold', true)[0].family === 'courier', 'monospace face');
+
+        // 2. Wrapping stays inside the measure and keeps styles per run
+        const lines = layout.wrap([{ text: 'A fairly long sentence that cannot fit on one line ' }, { text: 'in bold', bold: true }], 40, 10);
+        assert(lines.length > 1, 'text not wrapped');
+        assert(lines.every((line) => line.reduce((sum, fragment) => sum + fragment.width, 0) <= 40.01), 'line wider than the measure');
+        assert(lines[lines.length - 1].some((fragment) => fragment.style === 'bold' && fragment.text === 'bold'), 'bold run');
+
+        // 3. Tables repeat their header after a page break
+        const cell = (text) => [{ text }];
+        layout.table([cell('Key'), cell('Value')], Array.from({ length: 90 }, (_, i) => [cell(`key${i}`), cell(String(i))]), ['left', 'right']);
+        layout.pageNumbers();
+        const tableText = drawnText(layout.doc.output());
+        assert(layout.doc.internal.getNumberOfPages() > 1, 'table on one page');
+        assert(tableText.filter((text) => text === 'Key').length === layout.doc.internal.getNumberOfPages(), 'header not repeated');
+        assert(tableText.includes('key89') && tableText.includes(`Page 2 of ${layout.doc.internal.getNumberOfPages()}`), 'table rows / page numbers');
+
+        // 4. The export itself (the contents page is covered in 6)
+        window.document.getElementById('pdf-contents').checked = false;
+        const blob = await exporter.generateFormat('pdf');
+        assert(blob.type === 'application/pdf', `PDF fell back to ${blob.type}`);
+        const pdf = await pdfText(window, blob);
+        assert(pdf.startsWith('%PDF-'), 'not a PDF');
+        const text = drawnText(pdf);
+        const order = ['Layout', 'User', 'Show', 'EXTENDED', 'Weighing', 'Plan', 'bold', 'one', 'nested', 'Name', 'alpha', 'def', 'return', 'quoted'];
+        const positions = order.map((word) => text.indexOf(word));
+        assert(positions.every((position, i) => position >= 0 && (i === 0 || position > positions[i - 1])), `drawing order: ${positions}`);
+        assert(text.includes('->') && text.includes('??') && !text.some((value) => /[←-⯿]|\ud83c|\ud83d/.test(value)), 'unsupported characters drawn');
+        assert(text.includes('·') && text.includes('-') && text.includes('[x]'), 'list markers / task box');
+        assert(pdf.includes('/URI (https://example.com/docs)') && pdf.includes('/URI (https://claude.ai/chat/layout-4)'), 'links');
+        assert(pdf.includes('1. 0.95 0.8 rg') && pdf.includes('0.96 0.97 0.98 rg'), 'thinking callout / code box fill');
+
+        // 5. Without thinking the callout goes
+        window.document.getElementById('include-thinking').checked = false;
+        const plain = drawnText(await pdfText(window, await exporter.generateFormat('pdf')));
+        assert(!plain.includes('EXTENDED') && !plain.includes('Weighing') && plain.includes('Plan'), 'thinking exported without includeThinking');
+
+        // 6. Contents page, bookmarks and the cited URL index
+        window.document.getElementById('include-thinking').checked = true;
+        window.document.getElementById('pdf-contents').checked = true;
+        exporter.exportData.messages[1].references = { citations: [{ text: '[1]', url: 'https://arxiv.org/abs/2401.00001?utm_source=chat' }] };
+        const navigated = await pdfText(window, await exporter.generateFormat('pdf'));
+        const titles = [...navigated.matchAll(/\/Title \(((?:\\.|[^\\)])*)\)/g)].map((match) => match[1]);
+        ['Contents', '1. User: Show me a table', '2. Claude: Plan', 'Extended Thinking: Pondering', 'Cited URLs'].forEach((title) => {
+            assert(titles.includes(title), `bookmark missing: ${title} (${titles})`);
+        });
+        assert(navigated.includes('/Count 1'), 'block bookmark not nested');
+        const internalLinks = navigated.match(/\/Subtype \/Link [^>]*?\/Dest \[/g) || [];
+        assert(internalLinks.length === 5, `internal links: ${internalLinks.length}`);
+        const words = drawnText(navigated);
+        const contentsRow = words.indexOf('Contents');
+        assert(contentsRow > 0 && words.slice(contentsRow, words.indexOf('Page 1 of 3')).filter((word) => word === '2').length === 3, 'contents rows');
+        const index = words.slice(words.indexOf('Cited'));
+        assert(index.join('|').startsWith('Cited| |URLs|[1]| |example.com|https://example.com/docs|Page| |2|[2]| |arxiv.org|https://arxiv.org/abs/2401.00001|Page'), `URL index: ${index.join('|')}`);
+        assert(words.filter((word) => word === 'https://claude.ai/chat/layout-4').length === 1, 'conversation URL indexed');
+        assert(words.includes('Sources:') && navigated.includes('/URI (https://arxiv.org/abs/2401.00001?utm_source=chat)'), 'message sources');
+
+        // Contents longer than a page: rows flow onto the reserved pages
+        const toc = new window.PdfLayout(new jsPDF({ unit: 'mm', format: 'a4' }));
+        const start = toc.reserveContents('Contents', 120);
+        const reserved = toc.doc.internal.getNumberOfPages() - 1;
+        const entries = Array.from({ length: 120 }, (_, i) => {
+            toc.space(12);
+            return { title: i === 0 ? 'A very long first turn title '.repeat(8) : `Turn ${i}`, depth: i % 2, ...toc.position() };
+        });
+        const targets = [];
+        const link = toc.doc.link.bind(toc.doc);
+        toc.doc.link = (x, y, w, h, target) => {
+            targets.push({ on: toc.doc.internal.getCurrentPageInfo().pageNumber, ...target });
+            return link(x, y, w, h, target);
+        };
+        toc.contents(start, entries);
+        assert(reserved === 3 && targets.length === 120, `contents pages: ${reserved}, rows: ${targets.length}`);
+        assert(targets.every((target, i) => target.on <= reserved && target.pageNumber === entries[i].page && target.top === entries[i].top), 'row targets');
+        assert(targets[0].on === 1 && targets[119].on === 3, 'rows not spread over the reserved pages');
+        assert(drawnText(toc.doc.output()).some((word) => word.endsWith('...')), 'long title not cut');
+
+        // 7. Bundled Unicode fonts are embedded and used glyph by glyph
+        const bundled = window.ExportInterface.PDF_FONTS;
+        assert(bundled.every((font) => fs.existsSync(path.join(extensionDir, font.file))), 'PDF font file missing');
+        exporter.pdfFonts = bundled.map((font) => ({
+            ...font, base64: fs.readFileSync(path.join(extensionDir, font.file)).toString('base64')
+        }));
+        const unicode = new window.PdfLayout(new jsPDF({ unit: 'mm', format: 'a4' }), { fonts: exporter.pdfFonts });
+        const pieces = unicode.shape('Привет → 中文 🎉', 'italic');
+        assert(pieces.map((piece) => `${piece.family}/${piece.style}`).join(' ') === 'DejaVuSans/italic FallbackSans/normal DejaVuSans/italic',
+            `unicode faces: ${JSON.stringify(pieces)}`);
+        assert(pieces.map((piece) => piece.text).join('') === 'Привет → 中文 ', `unicode shaped text: ${pieces.map((piece) => piece.text).join('')}`);
+        assert(unicode.shape('x', 'bold', true)[0].family === 'DejaVuSansMono', 'unicode monospace face');
+        assert(unicode.shape('x', 'italic', true)[0].style === 'normal', 'missing mono face not replaced by regular');
+
+        const unicodePdf = await pdfText(window, await exporter.generateFormat('pdf'));
+        assert(unicodePdf.includes('/BaseFont /DejaVuSans') && unicodePdf.includes('/FontFile2'), 'font not embedded');
+
+        console.log('✅ PDF export tests passed');
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ PDF export: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,188 @@
+// scripts/test-project-export.js
+// Builds the code project export: filenames inferred from block summaries,
+// fence info strings, first-line comments and the prose before a fence,
+// the latest version of each file kept, and a README mapping files to turns.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { readZip, DeflateRawStream } = require('./zip-reader');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const scripts = [
+    'core/zip-writer.js',
+    'extractors/universal-extractor.js',
+    'extractors/claude-extractor.js',
+    'ui/export-interface.js'
+].map((relativePath) => path.join(extensionDir, relativePath));
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const firstAnswer = [
+    'Save this as `server.py`:',
+    '',
+    '```python',
+    'print("v1")',
+    '```',
+    '',
+    'Run it with:',
+    '',
+    '```bash',
+    'python server.py',
+    '```'
+].join('\n');
+
+const secondAnswer = [
+    'Install Node.js, then update `server.py`:',
+    '',
+    '```python',
+    'print("v2")',
+    '```',
+    '',
+    '```js title="web/app.js"',
+    'console.log("app");',
+    '```',
+    '',
+    '```toml',
+    '# config/../settings.toml',
+    'debug = true',
+    '```'
+].join('\n');
+
+function sampleExportData() {
+    return {
+        metadata: {
+            platform: 'claude',
+            url: 'https://claude.ai/chat/server-9',
+            title: 'Tiny server',
+            exportDate: '2026-03-01T10:00:00.000Z',
+            messageCount: 4
+        },
+        messages: [
+            { id: 'msg_0', author: 'user', content: 'Write a server', thinkingBlocks: [] },
+            {
+                id: 'msg_1',
+                author: 'assistant',
+                content: 'Save this as server.py',
+                markdown: firstAnswer,
+                thinkingBlocks: [
+                    { id: 'thinking_0', type: 'code', summary: 'Created utils/helpers.py', content: 'def add(a, b):\n    return a + b' },
+                    { id: 'thinking_1', type: 'thinking', summary: 'Planning main.py', content: '```python\nprint("not a file")\n```' }
+                ],
+                claude: {
+                    artifacts: [{ id: 'artifact_0', title: 'Landing page', language: 'html', content: '<h1>Hi</h1>' }]
+                }
+            },
+            { id: 'msg_2', author: 'user', content: 'Print v2 instead. ```python\nprint("user")\n```', thinkingBlocks: [] },
+            {
+                id: 'msg_3',
+                author: 'assistant',
+                content: 'Updated.',
+                markdown: secondAnswer,
+                thinkingBlocks: [
+                    { id: 'thinking_2', type: 'file_edit', summary: '+2 -1 utils/helpers.py', content: '@@ -1,2 +1,3 @@\n-def add(a, b):\n+def add(a, b, c=0):\n+    return a + b + c' }
+                ]
+            }
+        ],
+        thinkingBlocks: [],
+        rawHtml: { original: null, expanded: null }
+    };
+}
+
+async function main() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://claude.ai/chat/server-9',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    try {
+        const context = dom.getInternalVMContext();
+        context.console = { log() {}, warn() {}, error: console.error };
+        context.TextEncoder = TextEncoder;
+        context.CompressionStream = DeflateRawStream;
+        // jsdom's Blob has no arrayBuffer(); browsers do
+        window.Blob.prototype.arrayBuffer = function arrayBuffer() {
+            return new Promise((resolve, reject) => {
+                const reader = new window.FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsArrayBuffer(this);
+            });
+        };
+        scripts.forEach((filePath) => {
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+        });
+
+        const exporter = new window.ExportInterface();
+        exporter.platformInfo = { platform: 'claude', config: {} };
+        exporter.exportData = sampleExportData();
+        exporter.createUI();
+        window.document.getElementById('export-filename').value = 'tiny-server';
+
+        // 1. Filename inference
+        assert(exporter.inferFilename('Created src/api/routes.ts with handlers') === 'src/api/routes.ts', 'summary path');
+        assert(exporter.inferFilename('Install Node.js, e.g. via nvm') === null, 'library name or abbreviation taken as a file');
+        assert(exporter.inferFilename('Add a `Dockerfile`:') === 'Dockerfile', 'Dockerfile');
+        assert(exporter.inferFilename('Write it to /etc/../app.py') === 'app.py', 'path not sanitized');
+        assert(exporter.inferFilenameFromCode('// file: lib/index.js\nexport {}') === 'lib/index.js', 'first-line comment');
+        assert(exporter.inferFilenameFromCode('<!-- index.html -->\n<p>') === 'index.html', 'html comment');
+        assert(exporter.inferFilenameFromCode('# increments the counter\nx += 1') === null, 'ordinary comment taken as a file');
+
+        // 2. Archive layout: latest versions only, README last
+        assert(exporter.getFilename('project') === 'tiny-server.project.zip', 'project filename');
+        const files = readZip(Buffer.from(await (await exporter.generateFormat('project')).arrayBuffer()));
+        const names = [...files.keys()];
+        assert(names.join() === [
+            'tiny-server/utils/helpers.py',
+            'tiny-server/snippets/turn-2-1.sh',
+            'tiny-server/landing-page.html',
+            'tiny-server/server.py',
+            'tiny-server/web/app.js',
+            'tiny-server/settings.toml',
+            'tiny-server/README.md'
+        ].join(), `zip entries: ${names}`);
+        assert(files.get('tiny-server/server.py').text === 'print("v2")\n', 'latest version not kept');
+        assert(files.get('tiny-server/utils/helpers.py').text === 'def add(a, b):\n    return a + b\n', 'code block content');
+        assert(files.get('tiny-server/settings.toml').text.startsWith('# config/../settings.toml\n'), 'first-line comment stripped');
+        assert(!names.some((name) => name.includes('main.py')), 'thinking block exported as a file');
+
+        // 3. README maps files to turns and lists unapplied edits
+        const readme = files.get('tiny-server/README.md').text;
+        assert(readme.startsWith('# Tiny server — code\n'), 'README title');
+        assert(readme.includes('| `server.py` | 4 | code block | 2 |'), 'server.py row');
+        assert(readme.includes('| `utils/helpers.py` | 2 | code | 1 |') && readme.includes('| `landing-page.html` | 2 | artifact | 1 |'), 'block and artifact rows');
+        assert(readme.includes('## Edits not applied') && readme.includes('- Turn 4: `utils/helpers.py`'), 'diff edit not listed');
+
+        // 4. A snippet that duplicates a named file is dropped
+        exporter.exportData.messages[3].markdown += '\n\n```python\nprint("v2")\n```';
+        const deduped = readZip(Buffer.from(await (await exporter.generateFormat('project')).arrayBuffer()));
+        assert(![...deduped.keys()].some((name) => name.endsWith('.py') && name.includes('snippets/')), 'duplicate snippet kept');
+
+        // 5. Claude artifacts with source code are extracted per message
+        const claude = new window.ClaudeExtractor({ platform: 'claude', selectors: {} });
+        const holder = window.document.createElement('div');
+        holder.innerHTML = [
+            '<div data-testid="artifact" data-artifact-title="Counter hook"><pre><code class="language-tsx">export const useCounter = () =&gt; 0;</code></pre></div>',
+            '<div class="artifact-container"><h3>Preview only</h3></div>'
+        ].join('');
+        const artifacts = claude.extractArtifacts(holder);
+        assert(artifacts.length === 1 && claude.exportData.artifacts.length === 1, 'artifact count');
+        assert(artifacts[0].title === 'Counter hook' && artifacts[0].language === 'tsx' && artifacts[0].content === 'export const useCounter = () => 0;', 'artifact fields');
+
+        console.log('✅ Code project export tests passed');
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ code project export: ${error.message}`);
+    process.exit(1);
+});
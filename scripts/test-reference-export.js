@@ -0,0 +1,157 @@
+// scripts/test-reference-export.js
+// BibTeX, RIS and CSL-JSON reference exports: one item per normalized URL,
+// inferred item types, and the messages that cited each source.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const scripts = ['core/latex-writer.js', 'ui/export-interface.js']
+    .map((relativePath) => path.join(extensionDir, relativePath));
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function references(overrides) {
+    return { links: [], attachments: [], documents: [], citations: [], ...overrides };
+}
+
+function sampleExportData() {
+    return {
+        metadata: {
+            platform: 'perplexity',
+            url: 'https://www.perplexity.ai/search/rrf-7',
+            title: 'Rank fusion',
+            exportDate: '2026-03-01T10:00:00.000Z',
+            messageCount: 4
+        },
+        messages: [
+            { id: 'msg_0', author: 'user', content: 'What is reciprocal rank fusion?', thinkingBlocks: [] },
+            {
+                id: 'msg_1',
+                author: 'assistant',
+                content: 'RRF sums 1/(k + rank) [1][2].',
+                thinkingBlocks: [],
+                references: references({
+                    citations: [
+                        { text: '[1]', url: 'https://arxiv.org/abs/2210.11934v2' },
+                        { text: '[2]', url: 'https://doi.org/10.1145/1571941.1572114' }
+                    ],
+                    links: [{ url: 'https://www.elastic.co/guide/rrf/?utm_source=perplexity#top', title: 'Elastic RRF guide' }]
+                }),
+                perplexity: {
+                    sources: [
+                        {
+                            id: 'source_0',
+                            title: 'Reciprocal rank fusion outperforms Condorcet',
+                            url: 'https://doi.org/10.1145/1571941.1572114',
+                            domain: 'doi.org',
+                            snippet: 'A simple method for combining document rankings.',
+                            sourceNumber: 2
+                        }
+                    ]
+                }
+            },
+            { id: 'msg_2', author: 'user', content: 'Any vendor docs?', thinkingBlocks: [] },
+            {
+                id: 'msg_3',
+                author: 'assistant',
+                content: 'See the Elastic guide and the whitepaper.',
+                thinkingBlocks: [],
+                references: references({
+                    links: [{ url: 'https://www.elastic.co/guide/rrf', title: 'elastic.co' }],
+                    documents: [{ name: 'Hybrid search whitepaper', url: 'https://vendor.example.com/files/hybrid.pdf', type: 'pdf' }]
+                })
+            }
+        ],
+        thinkingBlocks: [],
+        rawHtml: { original: null, expanded: null }
+    };
+}
+
+async function main() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://www.perplexity.ai/search/rrf-7',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    try {
+        const context = dom.getInternalVMContext();
+        context.console = { log() {}, warn() {}, error: console.error };
+        scripts.forEach((filePath) => {
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+        });
+
+        const exporter = new window.ExportInterface();
+        exporter.platformInfo = { platform: 'perplexity', config: {} };
+        exporter.exportData = sampleExportData();
+        exporter.createUI();
+        window.document.getElementById('export-filename').value = 'rank-fusion';
+
+        // 1. CSL-JSON: dedupe, types, identifiers, citing messages
+        assert(exporter.getFilename('csljson') === 'rank-fusion.csl.json', 'csl filename');
+        assert(exporter.getMimeType('ris') === 'application/x-research-info-systems', 'ris mime type');
+        const items = JSON.parse(await exporter.generateFormat('csljson'));
+        assert(items.map((item) => item.id).join() === 'arxiv2026,doi2026,elastic2026,vendor2026', `items: ${items.map((item) => item.id)}`);
+
+        const [arxiv, doi, elastic, report] = items;
+        assert(arxiv.type === 'article-journal' && arxiv.DOI === '10.48550/arXiv.2210.11934', 'arXiv type / DOI');
+        assert(arxiv['container-title'] === 'arXiv preprint arXiv:2210.11934' && arxiv.issued['date-parts'][0][0] === 2022, 'arXiv journal / year');
+        assert(doi.type === 'article-journal' && doi.DOI === '10.1145/1571941.1572114', 'doi.org type / DOI');
+        assert(doi.title === 'Reciprocal rank fusion outperforms Condorcet' && doi.abstract.startsWith('A simple method'), 'Perplexity title / snippet');
+        assert(elastic.type === 'webpage' && elastic.URL === 'https://www.elastic.co/guide/rrf' && elastic.title === 'Elastic RRF guide', 'webpage deduped by normalized URL');
+        assert(elastic.custom.messageIds.join() === 'msg_1,msg_3' && elastic.note === 'Cited in turns 2 (msg_1), 4 (msg_3)', 'citing messages');
+        assert(report.type === 'report' && report.title === 'Hybrid search whitepaper', 'linked PDF is a report');
+        assert(arxiv.accessed['date-parts'][0].join('-') === '2026-3-1', 'accessed date');
+        assert(doi.custom.citation === true && elastic.custom.citation === false, 'citation flag');
+
+        // 2. RIS
+        const ris = await exporter.generateFormat('ris');
+        const records = ris.replace(/\r\n$/, '').split('\r\n\r\n');
+        assert(records.length === 4 && records.every((record) => record.startsWith('TY  - ') && record.endsWith('ER  - ')), 'RIS records');
+        assert(records[0].split('\r\n').slice(0, 2).join('|') === 'TY  - JOUR|ID  - arxiv2026', 'RIS type / id');
+        assert(records[1].includes('\r\nDO  - 10.1145/1571941.1572114\r\n') && records[1].includes('\r\nAB  - A simple method'), 'RIS DOI / abstract');
+        assert(records[2].includes('TY  - ELEC') && records[2].includes('\r\nN1  - Cited in turns 2 (msg_1), 4 (msg_3)\r\n'), 'RIS note');
+        assert(records[2].includes('\r\nY2  - 2026/03/01\r\n') && records[3].includes('TY  - RPRT'), 'RIS access date / report');
+
+        // 3. BibTeX
+        const bib = await exporter.generateFormat('bibtex');
+        assert(bib.includes('@article{arxiv2026,\n  title = {{arxiv.org}},'), 'arXiv entry');
+        assert(bib.includes('  journal = {arXiv preprint arXiv:2210.11934},\n  year = {2022},\n  doi = {10.48550/arXiv.2210.11934},\n  eprint = {2210.11934},\n  archiveprefix = {arXiv},'), 'arXiv fields');
+        assert(bib.includes('@misc{elastic2026,') && bib.includes('  howpublished = {\\url{https://www.elastic.co/guide/rrf}},'), 'webpage entry');
+        assert(bib.includes('@techreport{vendor2026,') && bib.includes('  institution = {vendor.example.com},'), 'report entry');
+        assert(bib.includes('  note = {\\url{https://doi.org/10.1145/1571941.1572114}. Accessed 2026-03-01. Cited in turn 2 (msg\\_1)}'), 'article note');
+
+        // 4. Scope limits the sources to the exported messages
+        window.document.getElementById('export-scope').value = 'range';
+        window.document.getElementById('scope-start').value = '3';
+        window.document.getElementById('scope-end').value = '4';
+        const scoped = JSON.parse(await exporter.generateFormat('csljson'));
+        assert(scoped.map((item) => item.id).join() === 'vendor2026,elastic2026', `scoped items: ${scoped.map((item) => item.id)}`);
+        assert(scoped[1].title === 'elastic.co' && scoped[1].custom.turns.join() === '2', 'scoped turns');
+
+        // 5. A literal `%` in a path is not a malformed escape
+        window.document.getElementById('export-scope').value = 'all';
+        exporter.exportData.messages[3].references.links.push({ url: 'https://shop.example.com/deals/50%off', title: 'Half off' });
+        const withPercent = JSON.parse(await exporter.generateFormat('csljson'));
+        const deal = withPercent.find((item) => item.URL === 'https://shop.example.com/deals/50%off');
+        assert(deal && deal.type === 'webpage' && deal.title === 'Half off', 'URL with a bare % dropped');
+        assert((await exporter.generateFormat('bibtex')).includes('Half off'), 'BibTeX with a bare % in a URL');
+
+        console.log('✅ Reference export tests passed');
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ reference export: ${error.message}`);
+    process.exit(1);
+});
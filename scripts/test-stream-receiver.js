@@ -0,0 +1,206 @@
+// scripts/test-stream-receiver.js
+// Integration test: TurnWatcher in JSDOM, through background.js and its
+// outbox, delivering to the reference receiver.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { createReceiver, CURRENT_SCHEMA_VERSION } = require('./stream-receiver');
+const { loadBackground } = require('./background-harness');
+
+const rootDir = path.resolve(__dirname, '..');
+const fixturePath = path.join(rootDir, 'tests', 'fixtures', 'claude.html');
+const detectorPath = path.join(rootDir, 'extension', 'core', 'platform-detector.js');
+const watcherPath = path.join(rootDir, 'extension', 'core', 'turn-watcher.js');
+const token = 'integration-token';
+const auth = { 'X-Exporter-Token': token };
+
+function read(filePath) {
+    return fs.readFileSync(filePath, 'utf8');
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function listen(server) {
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+}
+
+async function waitFor(check, label, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (check()) return;
+        await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+    throw new Error(`timed out waiting for ${label}`);
+}
+
+async function getJson(baseUrl, route, headers = auth) {
+    const response = await fetch(`${baseUrl}${route}`, { headers });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+async function postJson(baseUrl, route, body, headers = {}) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...auth, ...headers },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Load TurnWatcher with a chrome.runtime that hands its messages to a real
+ * background.js, whose outbox holds the token and delivers to the receiver.
+ */
+function loadWatcher(receiverUrl) {
+    const background = loadBackground({ receiverToken: token }, { fetch }).context;
+    vm.runInContext(`CONFIG.receiver.url = ${JSON.stringify(receiverUrl)}`, background);
+
+    const dom = new JSDOM(read(fixturePath), {
+        url: 'https://claude.ai/chat/receiver-integration',
+        pretendToBeVisual: true,
+        runScripts: 'outside-only'
+    });
+
+    const context = dom.getInternalVMContext();
+    context.console = { log() {}, warn() {}, error: console.error };
+    context.chrome = {
+        runtime: {
+            lastError: null,
+            sendMessage: (message, callback) => {
+                const handle = message.action === 'turn_captured'
+                    ? () => background.handleTurnCapture(message.turn)
+                    : () => background.handleCompactionEvent(message);
+                background.inCaptureOrder(handle)
+                    .then(() => callback({ success: true }))
+                    .catch((error) => callback({ success: false, error: error.message }));
+            }
+        }
+    };
+
+    vm.runInContext(read(detectorPath), context, { filename: detectorPath });
+    vm.runInContext(read(watcherPath), context, { filename: watcherPath });
+
+    const watcher = new dom.window.TurnWatcher({ debug: false });
+    dom.window._turnWatcher = watcher; // keeps the auto-start from spawning a second watcher
+    return { dom, watcher };
+}
+
+async function main() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uae-receiver-'));
+    const server = createReceiver({ dataDir, token, logger: { log() {}, error: console.error } });
+    const baseUrl = await listen(server);
+    let dom = null;
+
+    try {
+        const health = await getJson(baseUrl, '/health', {});
+        assert(health.status === 200 && health.body.status === 'ok', 'health endpoint not ok');
+
+        // 0. Handshake + shared token
+        const handshake = await getJson(baseUrl, '/handshake');
+        assert(handshake.status === 200, 'handshake rejected a valid token');
+        assert(handshake.body.schemaVersions.includes(CURRENT_SCHEMA_VERSION), 'handshake lists no current schema');
+        assert((await getJson(baseUrl, '/handshake', {})).status === 401, 'handshake without token accepted');
+        assert((await getJson(baseUrl, '/sessions', { 'X-Exporter-Token': 'wrong' })).status === 401, 'wrong token accepted');
+        const unauthorizedPost = await postJson(baseUrl, '/event', { type: 'x', sessionId: 'abc' }, { 'X-Exporter-Token': '' });
+        assert(unauthorizedPost.status === 401, 'post without token accepted');
+
+        const fromPage = await getJson(baseUrl, '/sessions', { ...auth, Origin: 'https://evil.example' });
+        assert(!fromPage.headers.get('access-control-allow-origin'), 'CORS granted to a web page');
+        const fromExtension = await getJson(baseUrl, '/sessions', { ...auth, Origin: 'chrome-extension://abcdef' });
+        assert(fromExtension.headers.get('access-control-allow-origin') === 'chrome-extension://abcdef', 'CORS refused to the extension');
+
+        // 1. Live capture: existing turns, then a regenerated reply
+        const loaded = loadWatcher(baseUrl);
+        dom = loaded.dom;
+        const { watcher } = loaded;
+        const { sessionId } = watcher;
+
+        watcher.captureExistingTurns(watcher.findContainer());
+        await waitFor(() => server.store.get(sessionId)?.turnCount === 2, 'initial turns');
+
+        dom.window.document.querySelector('.standard-markdown').textContent = 'A regenerated answer.';
+        watcher.lastExtractionTime = 0;
+        watcher.onSettle();
+        await waitFor(() => server.store.get(sessionId)?.turnCount === 3, 'regenerated turn');
+
+        watcher.onCompaction();
+        await waitFor(() => server.store.get(sessionId)?.eventCount === 1, 'compaction event');
+
+        // 2. Read API
+        const sessions = await getJson(baseUrl, '/sessions');
+        const summary = sessions.body.sessions.find((entry) => entry.sessionId === sessionId);
+        assert(summary && summary.platform === 'claude' && summary.turnCount === 3, 'session summary wrong');
+
+        const session = await getJson(baseUrl, `/sessions/${sessionId}`);
+        const turns = session.body.records.filter((record) => record.kind === 'turn').map((record) => record.data);
+        assert(turns.map((turn) => turn.id).join(',') === 'turn_0,turn_1,turn_1_1', 'turns not stored in arrival order');
+        assert(turns[2].parentId === 'turn_0' && turns[2].branchIndex === 1, 'branch pointers lost');
+        assert(turns.every((turn) => turn.schemaVersion === CURRENT_SCHEMA_VERSION), 'schemaVersion not stored');
+        assert(Array.isArray(turns[1].thinking) && turns[1].thinking.length > 0, 'thinking blocks lost');
+        const compaction = session.body.records[3];
+        assert(compaction.data.type === 'compaction_detected', 'event not stored');
+        assert(compaction.data.turnIds.join(',') === 'turn_0,turn_1_1', 'compaction does not cite the active branch');
+        assert(compaction.verification.complete && compaction.verification.transcriptHashMatches,
+            'pre-compaction transcript not verified');
+
+        const gap = await postJson(baseUrl, '/event', { ...compaction.data, turnIds: ['turn_0', 'turn_9'] });
+        assert(gap.status === 201 && gap.body.verification.missingTurnIds.join(',') === 'turn_9', 'missing turn not reported');
+        const tampered = await postJson(baseUrl, '/event', { ...compaction.data, transcriptHash: '0' });
+        assert(!tampered.body.verification.transcriptHashMatches, 'wrong transcriptHash verified');
+
+        assert((await getJson(baseUrl, '/sessions/unknown_session')).status === 404, 'unknown session not 404');
+        const malformed = await getJson(baseUrl, '/sessions/%E0');
+        assert(malformed.status === 400 && malformed.body.error === 'Malformed session id', `malformed session id: ${malformed.status}`);
+
+        // 3. Append-only JSONL on disk
+        const lines = read(path.join(dataDir, `${sessionId}.jsonl`)).trim().split('\n');
+        assert(lines.length === 6 && lines.every((line) => JSON.parse(line).receivedAt), 'JSONL file not one record per line');
+
+        // 4. Schema validation
+        const invalid = await postJson(baseUrl, '/turn', { ...turns[0], role: 'system', turnIndex: -1 });
+        assert(invalid.status === 400 && invalid.body.details.length === 2, 'invalid turn accepted');
+        const badSession = await postJson(baseUrl, '/event', { type: 'x', sessionId: '../escape' });
+        assert(badSession.status === 400, 'path-like sessionId accepted');
+
+        // 5. Schema versions: v1 (unversioned) upgraded, unknown rejected
+        const { schemaVersion, parentId, branchIndex, ...legacy } = turns[1];
+        assert((await postJson(baseUrl, '/turn', { ...legacy, id: 'turn_legacy' })).status === 201, 'v1 turn rejected');
+        const upgraded = server.store.get(sessionId).records.pop().data;
+        assert(upgraded.schemaVersion === CURRENT_SCHEMA_VERSION && upgraded.parentId === 'turn_0', 'v1 turn not upgraded');
+        const future = await postJson(baseUrl, '/turn', { ...turns[0], schemaVersion: 99 });
+        assert(future.status === 422 && future.body.supportedSchemaVersions, 'unknown schemaVersion accepted');
+
+        // 6. Idempotency keys: a retried delivery is stored once
+        const retried = { ...turns[0], id: 'turn_retry' };
+        const headers = { 'Idempotency-Key': 'retry-key-1' };
+        assert((await postJson(baseUrl, '/turn', retried, headers)).status === 201, 'first delivery not stored');
+        const duplicate = await postJson(baseUrl, '/turn', retried, headers);
+        assert(duplicate.status === 200 && duplicate.body.duplicate, 'retry not recognised as duplicate');
+        assert(server.store.get(sessionId).turnCount === 5, 'duplicate delivery appended');
+
+        // 7. Restart: summaries and keys come back from disk
+        const reloaded = createReceiver({ dataDir, token, logger: { log() {}, error: console.error } });
+        assert(reloaded.store.get(sessionId).turnCount === 5, 'store did not reload from JSONL');
+        assert(reloaded.store.hasKey(sessionId, 'retry-key-1'), 'idempotency keys not reloaded');
+
+        console.log('✅ Stream receiver integration tests passed');
+    } finally {
+        if (dom) dom.window.close();
+        await new Promise((resolve) => server.close(resolve));
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ stream receiver: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,495 @@
+// scripts/test-turn-watcher.js
+// Fixture-based checks for TurnWatcher selector resolution and turn capture.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { loadBackground } = require('./background-harness');
+
+const rootDir = path.resolve(__dirname, '..');
+const fixturesDir = path.join(rootDir, 'tests', 'fixtures');
+const detectorPath = path.join(rootDir, 'extension', 'core', 'platform-detector.js');
+const watcherPath = path.join(rootDir, 'extension', 'core', 'turn-watcher.js');
+
+const testCases = [
+    {
+        name: 'claude',
+        url: 'https://claude.ai/chat/fixture-claude',
+        fixtureFile: path.join(fixturesDir, 'claude.html'),
+        expectThinking: true
+    },
+    {
+        name: 'chatgpt',
+        url: 'https://chatgpt.com/c/fixture-chatgpt',
+        fixtureFile: path.join(fixturesDir, 'chatgpt.html'),
+        expectThinking: true
+    },
+    {
+        name: 'gemini',
+        url: 'https://gemini.google.com/app/fixture-gemini',
+        fixtureFile: path.join(fixturesDir, 'gemini.html'),
+        expectThinking: true
+    },
+    {
+        name: 'perplexity',
+        url: 'https://www.perplexity.ai/search/fixture-perplexity',
+        fixtureFile: path.join(fixturesDir, 'perplexity.html'),
+        expectThinking: false
+    }
+];
+
+function read(filePath) {
+    return fs.readFileSync(filePath, 'utf8');
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * Load the detector + watcher into a JSDOM window with a recording
+ * chrome.runtime and fetch. Returns the window and the captured traffic.
+ */
+function loadWatcher(html, url) {
+    const dom = new JSDOM(html, {
+        url,
+        pretendToBeVisual: true,
+        runScripts: 'outside-only'
+    });
+
+    const sent = [];
+    const posted = [];
+    const warned = [];
+    const context = dom.getInternalVMContext();
+    context.console = { log: console.log, warn: (...args) => warned.push(args.join(' ')), error: console.error };
+    context.chrome = {
+        runtime: {
+            lastError: null,
+            sendMessage: (message, callback) => {
+                sent.push(message);
+                if (callback) callback({ success: true });
+            }
+        }
+    };
+    context.fetch = async (target, init) => {
+        posted.push({ url: target, body: JSON.parse(init.body) });
+        return { ok: true, status: 200 };
+    };
+
+    vm.runInContext(read(detectorPath), context, { filename: detectorPath });
+    vm.runInContext(read(watcherPath), context, { filename: watcherPath });
+
+    return { dom, sent, posted, warned, runtime: context.chrome.runtime };
+}
+
+async function runCase(testCase) {
+    const { dom, sent, posted, warned, runtime } = loadWatcher(read(testCase.fixtureFile), testCase.url);
+
+    try {
+        const { TurnWatcher } = dom.window;
+        assert(TurnWatcher, 'TurnWatcher not exported to window');
+        assert(
+            TurnWatcher.detectPlatform() === testCase.name,
+            `detectPlatform() returned ${TurnWatcher.detectPlatform()}`
+        );
+
+        const watcher = new TurnWatcher({ debug: false });
+        assert(watcher.config.platform === testCase.name, `watcher platform is ${watcher.config.platform}`);
+        assert(watcher.selectorVersion, 'no selector version resolved');
+
+        const turns = watcher.captureAll();
+        const roles = turns.map((turn) => turn.role).join(',');
+        assert(roles === 'user,assistant', `expected user,assistant turns, got "${roles}"`);
+
+        const assistant = turns[1];
+        assert(assistant.content.trim().length > 0, 'assistant response body is empty');
+        if (testCase.expectThinking) {
+            assert(Array.isArray(assistant.thinking) && assistant.thinking.length > 0, 'thinking blocks missing');
+            const leaked = assistant.thinking.some((block) => assistant.content.includes(block.content));
+            assert(!leaked, 'thinking text leaked into the response body');
+        }
+
+        watcher.captureExistingTurns(watcher.findContainer());
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        const captured = sent.filter((message) => message.action === 'turn_captured');
+        assert(captured.length === 2, `expected 2 turn_captured messages, got ${captured.length}`);
+        assert(captured.every((message) => message.turn.platform === testCase.name), 'turn platform mismatch');
+        assert(captured.every((message) => message.turn.schemaVersion === TurnWatcher.SCHEMA_VERSION), 'turn without schemaVersion');
+        assert(posted.length === 0, 'watcher posted to the receiver although the background stored the turns');
+
+        // Background unreachable → the loss is reported; only the background holds the receiver token
+        runtime.lastError = { message: 'Receiving end does not exist.' };
+        watcher.dispatchTurn(captured[0].turn);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert(posted.length === 0, 'watcher posted to the receiver from the page');
+        assert(warned.some((message) => message.includes('turn_0 not stored')), 'lost turn not reported');
+
+        console.log(`✅ ${testCase.name}: ${watcher.selectorVersion} selectors, ${turns.length} turns captured`);
+    } finally {
+        dom.window.close();
+    }
+}
+
+async function runBranchCase() {
+    const testCase = testCases[0];
+    const { dom, sent } = loadWatcher(read(testCase.fixtureFile), testCase.url);
+
+    try {
+        const { document } = dom.window;
+        const watcher = new dom.window.TurnWatcher({ debug: false });
+        const prompt = document.querySelector('[data-testid="user-message"]');
+        const reply = document.querySelector('.standard-markdown');
+        const originalPrompt = prompt.textContent;
+        const originalReply = reply.textContent;
+
+        const settle = () => {
+            const before = sent.length;
+            watcher.lastExtractionTime = 0;
+            watcher.onSettle();
+            return sent.slice(before).map((message) => message.turn);
+        };
+        const shape = (turns) => turns.map((turn) => `${turn.id}<${turn.parentId}#${turn.branchIndex}`).join(' ');
+
+        watcher.captureExistingTurns(watcher.findContainer());
+        assert(shape(sent.map((message) => message.turn)) === 'turn_0<null#0 turn_1<turn_0#0', 'initial capture shape');
+        assert(settle().length === 0, 'unchanged page re-dispatched turns');
+
+        reply.textContent = 'A regenerated answer.';
+        let turns = settle();
+        assert(shape(turns) === 'turn_1_1<turn_0#1', `regeneration shape: ${shape(turns)}`);
+
+        reply.textContent = 'A regenerated answer. It kept streaming.';
+        turns = settle();
+        assert(shape(turns) === 'turn_1_1<turn_0#1', `streamed growth shape: ${shape(turns)}`);
+
+        prompt.textContent = 'An edited prompt.';
+        reply.textContent = 'An answer to the edited prompt.';
+        turns = settle();
+        assert(shape(turns) === 'turn_0_1<null#1 turn_1_2<turn_0_1#0', `edit shape: ${shape(turns)}`);
+
+        prompt.textContent = originalPrompt;
+        reply.textContent = originalReply;
+        assert(settle().length === 0, 'switching back to a known branch re-dispatched turns');
+
+        // Background should rebuild the tree from the dispatched turns
+        const { context } = loadBackground();
+        for (const message of sent.filter((entry) => entry.action === 'turn_captured')) {
+            await context.handleTurnCapture(message.turn);
+        }
+
+        const archive = vm.runInContext('conversationArchive', context);
+        const session = await archive.getSessionTree(watcher.sessionId);
+        assert(session.rootIds.join(',') === 'turn_0,turn_0_1', `rootIds: ${session.rootIds}`);
+        assert(session.nodes.turn_0.childIds.join(',') === 'turn_1,turn_1_1', 'regeneration not stored as a sibling');
+        assert(session.nodes.turn_1_1.content.includes('kept streaming'), 'streamed update not applied');
+        assert(session.turnCount === 5 && session.branchCount === 3, `counts: ${session.turnCount}/${session.branchCount}`);
+
+        const flattened = await context.getCapturedTurns(watcher.sessionId);
+        assert(flattened.map((turn) => turn.id).join(',') === 'turn_0,turn_1,turn_1_1,turn_0_1,turn_1_2', 'depth-first order');
+
+        console.log('✅ branches: edits and regenerations stored as sibling nodes');
+    } finally {
+        dom.window.close();
+    }
+}
+
+async function runCompactionCase() {
+    const testCase = testCases[0];
+    const { dom, sent } = loadWatcher(read(testCase.fixtureFile), testCase.url);
+
+    try {
+        const watcher = new dom.window.TurnWatcher({ debug: false });
+        watcher.captureExistingTurns(watcher.findContainer());
+
+        // The reply keeps streaming, but the summary lands before it settles
+        const reply = dom.window.document.querySelector('.standard-markdown');
+        reply.textContent += ' And a last paragraph that never settled.';
+        const before = sent.length;
+        watcher.onCompaction();
+        const messages = sent.slice(before);
+
+        assert(messages.map((message) => message.action).join(',') === 'turn_captured,compaction_detected',
+            'missing turn not pushed ahead of the compaction record');
+        const event = messages[1];
+        assert(event.turnIds.join(',') === 'turn_0,turn_1' && event.leafTurnId === 'turn_1', `turnIds: ${event.turnIds}`);
+        assert(event.pushedTurnIds.join(',') === 'turn_1', `pushedTurnIds: ${event.pushedTurnIds}`);
+        assert(event.transcriptHash === watcher.hashTranscript(watcher.capturedPath), 'transcriptHash mismatch');
+        assert(event.capturedTurns === 2 && event.schemaVersion === 2, 'compaction record fields');
+
+        watcher.onCompaction();
+        assert(sent.length === before + 2, 'repeated banner mutations emitted a second record');
+
+        const { context } = loadBackground();
+        for (const message of sent) {
+            if (message.action === 'turn_captured') await context.handleTurnCapture(message.turn);
+            else await context.handleCompactionEvent(message);
+        }
+        const archive = vm.runInContext('conversationArchive', context);
+        const [record] = await archive.getCompactions({ sessionId: watcher.sessionId });
+        assert(record && record.turnIds.join(',') === 'turn_0,turn_1', 'compaction turnIds not archived');
+        assert(record.transcriptHash === event.transcriptHash, 'compaction transcriptHash not archived');
+
+        console.log('✅ compaction: full transcript pushed and cited before the summary');
+    } finally {
+        dom.window.close();
+    }
+}
+
+async function runSearchCase() {
+    const { context } = loadBackground();
+    const turn = (sessionId, platform, id, role, content, timestamp, extra = {}) => ({
+        sessionId, platform, id, role, content, timestamp, parentId: null, conversationUrl: `https://example.test/${sessionId}`, ...extra
+    });
+    const captures = [
+        turn('s_claude', 'claude', 'turn_0', 'user', 'How do I configure the Kubernetes ingress controller?', '2026-01-10T09:00:00.000Z'),
+        turn('s_claude', 'claude', 'turn_1', 'assistant', 'Install the ingress-nginx chart, then create an Ingress resource for the service.',
+            '2026-01-10T09:01:00.000Z', { parentId: 'turn_0', thinking: [{ content: 'They want an nginx ingress on Kubernetes.' }] }),
+        turn('s_chatgpt', 'chatgpt', 'turn_0', 'user', 'Café recipes with Kubernetes-themed names', '2026-03-05T18:00:00.000Z'),
+        turn('s_chatgpt', 'chatgpt', 'turn_1', 'assistant', 'Try the Pod Latte and the Helm Mocha.', '2026-03-05T18:01:00.000Z', { parentId: 'turn_0' })
+    ];
+    for (const capture of captures) {
+        await context.handleTurnCapture(capture);
+    }
+
+    const search = async (query, filters = {}) => context.searchTurns({ query, ...filters });
+    const ids = ({ results }) => results.map((result) => `${result.sessionId}/${result.turnId}`).join(',');
+
+    let found = await search('kubernetes');
+    assert(found.total === 3, `term: ${ids(found)}`);
+    const fromThinking = found.results.find((result) => result.turnId === 'turn_1');
+    assert(fromThinking.field === 'thinking' && fromThinking.snippet.includes('Kubernetes'), 'thinking match not reported');
+    assert(found.results[0].session.platform && found.results[0].session.turnCount === 2, 'session summary missing');
+
+    found = await search('ingress');
+    assert(ids(found) === 's_claude/turn_1,s_claude/turn_0', `ranking: ${ids(found)}`);
+
+    assert(ids(await search('"ingress controller"')) === 's_claude/turn_0', 'phrase query');
+    assert((await search('"controller ingress"')).total === 0, 'phrase order ignored');
+    assert((await search('"nginx chart kubernetes"')).total === 0, 'phrase spanned content and thinking');
+    assert((await search('ingr*')).total === 2 && (await search('ingr')).total === 0, 'prefix query');
+    assert((await search('kubernetes helm')).total === 0, 'clauses not ANDed');
+
+    found = await search('cafe');
+    const [start, end] = found.results[0].highlights[0];
+    assert(found.results[0].snippet.slice(start, end) === 'Café', 'accent-insensitive match / highlight');
+
+    assert(ids(await search('kubernetes', { platform: 'chatgpt' })) === 's_chatgpt/turn_0', 'platform filter');
+    assert(ids(await search('kubernetes', { role: 'assistant' })) === 's_claude/turn_1', 'role filter');
+    assert((await search('kubernetes', { from: '2026-03-01' })).total === 1, 'from filter');
+    assert((await search('kubernetes', { to: '2026-01-10' })).total === 2, 'to filter (whole day)');
+
+    // A turn re-sent after streaming replaces its postings
+    await context.handleTurnCapture({ ...captures[3], content: 'Try the Pod Latte with an Espresso shot.' });
+    assert((await search('helm')).total === 0 && (await search('espresso')).total === 1, 'streamed update not re-indexed');
+
+    // Turns archived before the index existed are backfilled once
+    const archive = vm.runInContext('conversationArchive', context);
+    const index = vm.runInContext('searchIndex', context);
+    await archive.putTurn(turn('s_legacy', 'gemini', 'turn_0', 'user', 'An unindexed Kubernetes question', '2025-12-01T08:00:00.000Z'));
+    const db = await archive.open();
+    const tx = db.transaction('searchMeta', 'readwrite');
+    tx.objectStore('searchMeta').delete('build');
+    await archive.transactionDone(tx);
+    assert(await index.ensureBuilt() === 5 && (await search('unindexed')).total === 1, 'backfill');
+    assert(await index.ensureBuilt() === 0, 'backfill ran twice');
+
+    await index.removeSession('s_chatgpt');
+    assert((await search('kubernetes')).results.every((result) => result.sessionId !== 's_chatgpt'), 'removed session still found');
+
+    console.log('✅ search: phrase, prefix, filters, ranking and snippets');
+}
+
+async function runArchiveCase() {
+    const day = 24 * 60 * 60 * 1000;
+    const legacyTurn = (sessionId, id, role) => ({ id, role, sessionId, content: `${role} ${id}` });
+    const legacyStartedAt = new Date(Date.now() - 2 * day).toISOString();
+    const store = {
+        tw_session_legacy: {
+            sessionId: 'legacy',
+            conversationUrl: 'https://claude.ai/chat/legacy',
+            platform: 'claude',
+            startedAt: legacyStartedAt,
+            lastUpdated: new Date(Date.now() - day).toISOString(),
+            turns: [legacyTurn('legacy', 'turn_0', 'user'), legacyTurn('legacy', 'turn_1', 'assistant')],
+            turnCount: 2
+        },
+        tw_session_ancient: {
+            sessionId: 'ancient',
+            lastUpdated: new Date(Date.now() - 400 * day).toISOString(),
+            turns: [legacyTurn('ancient', 'turn_0', 'user')]
+        },
+        tw_session_index: ['legacy', 'ancient'],
+        tw_compaction_log: [{ type: 'compaction_detected', sessionId: 'legacy', timestamp: new Date().toISOString() }],
+        anonymizeAnalytics: true
+    };
+
+    const { context } = loadBackground(store);
+    await context.handleTurnCapture(legacyTurn('fresh', 'turn_0', 'user'));
+    await context.handleCompactionEvent({ sessionId: 'fresh', timestamp: new Date().toISOString() });
+
+    // Legacy keys move out of chrome.storage; unrelated keys stay
+    assert(Object.keys(store).join(',') === 'anonymizeAnalytics', `storage keys left: ${Object.keys(store)}`);
+
+    // Retention drops sessions older than maxAgeDays, with their turns
+    const archive = vm.runInContext('conversationArchive', context);
+    assert(await archive.getSession('ancient') === undefined, 'retention kept an expired session');
+    assert((await archive.getTurns('ancient')).length === 0, 'retention kept turns of an expired session');
+
+    const legacy = await context.getCapturedTurns('legacy');
+    assert(legacy.map((turn) => turn.parentId).join(',') === ',turn_0', 'legacy session not migrated as a chain');
+    assert((await archive.getSession('legacy')).startedAt === legacyStartedAt, 'legacy timestamps not kept');
+
+    // Paged reads
+    const summaries = await context.getCapturedTurns(null, { limit: 1 });
+    assert(summaries.length === 1 && summaries[0].sessionId === 'fresh', 'session summaries not newest-first');
+    const secondPage = await context.getCapturedTurns(null, { offset: 1, limit: 1 });
+    assert(secondPage.length === 1 && secondPage[0].sessionId === 'legacy', 'session summaries offset ignored');
+    const turnPage = await context.getCapturedTurns('legacy', { offset: 1, limit: 5 });
+    assert(turnPage.map((turn) => turn.id).join(',') === 'turn_1', 'turn page offset ignored');
+
+    const compactions = await archive.getCompactions({ sessionId: 'legacy' });
+    assert(compactions.length === 1, 'compaction log not migrated');
+    assert((await archive.getCompactions()).length === 2, 'compaction events not stored');
+
+    console.log('✅ archive: legacy migration, retention and paged reads');
+}
+
+async function runOutboxCase() {
+    const received = [];
+    const alarms = {};
+    const store = {};
+    let receiver = 'down';
+    let requests = 0;
+
+    const fetch = async (url, init = {}) => {
+        requests++;
+        if (receiver === 'down') throw new TypeError('Failed to fetch');
+        if ((init.headers || {})['X-Exporter-Token'] !== 'secret') return { ok: false, status: 401 };
+
+        if (new URL(url).pathname === '/handshake') {
+            const schemaVersions = receiver === 'outdated' ? [1] : [1, 2];
+            return { ok: true, status: 200, json: async () => ({ schemaVersions }) };
+        }
+
+        const body = JSON.parse(init.body);
+        if (receiver === 'flaky' && body.sessionId === 'alpha') return { ok: false, status: 503 };
+        received.push({ endpoint: new URL(url).pathname, key: init.headers['Idempotency-Key'], body });
+        return { ok: true, status: 200 };
+    };
+
+    const { context } = loadBackground(store, { fetch, alarms });
+    const run = (code) => vm.runInContext(code, context);
+    const turn = (sessionId, id) => ({ sessionId, id, role: 'user', content: `${sessionId} ${id}`, schemaVersion: 2 });
+
+    // No token configured: nothing leaves the extension
+    await context.handleTurnCapture(turn('alpha', 'turn_0'));
+    await context.handleTurnCapture(turn('alpha', 'turn_1'));
+    await context.handleCompactionEvent({ sessionId: 'alpha', timestamp: new Date().toISOString() });
+    await context.handleTurnCapture(turn('beta', 'turn_0'));
+    await context.flushOutbox();
+
+    const archive = run('conversationArchive');
+    assert(requests === 0, 'outbox contacted the receiver without a token');
+    assert((await archive.getPendingOutbox()).length === 4, 'outbox lost items without a token');
+
+    // Receiver down: everything is kept and a retry alarm is armed
+    store.receiverToken = 'secret';
+    await context.flushOutbox();
+    assert((await archive.getPendingOutbox()).length === 4, 'outbox lost items while the receiver was down');
+    assert(alarms['receiver-outbox'] > Date.now(), 'no retry alarm scheduled');
+
+    // Receiver that can't take our schemaVersion: handshake holds everything back
+    receiver = 'outdated';
+    await context.flushOutbox();
+    assert(received.length === 0, 'items sent to a receiver without our schema version');
+
+    // Receiver back but failing for one session: the other session still drains
+    run('CONFIG.receiver.baseRetryMs = 0');
+    receiver = 'flaky';
+    await context.flushOutbox();
+    assert(received.map((entry) => entry.body.sessionId).join(',') === 'beta', 'session without failures was held back');
+
+    const [alphaHead] = await archive.getPendingOutbox();
+    assert(alphaHead.attempts === 1 && alphaHead.lastError === 'HTTP 503', 'failed attempt not recorded');
+
+    // Receiver healthy: the held session arrives in order, exactly once
+    receiver = 'up';
+    await context.flushOutbox();
+    await context.flushOutbox();
+
+    const alpha = received.filter((entry) => entry.body.sessionId === 'alpha');
+    assert(
+        alpha.map((entry) => `${entry.endpoint}:${entry.body.id || entry.body.type}`).join(',') ===
+            '/turn:turn_0,/turn:turn_1,/event:compaction_detected',
+        `alpha delivered out of order: ${alpha.map((entry) => entry.endpoint).join(',')}`
+    );
+    assert(received.length === 4, `expected 4 deliveries, got ${received.length}`);
+    assert(new Set(received.map((entry) => entry.key)).size === 4, 'idempotency keys not unique per item');
+    assert(!('receiver-outbox' in alarms), 'retry alarm left armed with an empty outbox');
+    assert(received.every((entry) => entry.body.schemaVersion === 2), 'payload without schemaVersion');
+
+    const counts = await archive.countOutbox();
+    assert(counts.pending === 0 && counts.delivered === 4, `outbox status counts: ${JSON.stringify(counts)}`);
+
+    console.log('✅ outbox: queued while down, ordered per session, delivered once');
+}
+
+async function main() {
+    let failures = 0;
+
+    for (const testCase of testCases) {
+        try {
+            await runCase(testCase);
+        } catch (error) {
+            failures += 1;
+            console.error(`❌ ${testCase.name}: ${error.message}`);
+        }
+    }
+
+    try {
+        await runBranchCase();
+    } catch (error) {
+        failures += 1;
+        console.error(`❌ branches: ${error.message}`);
+    }
+
+    try {
+        await runCompactionCase();
+    } catch (error) {
+        failures += 1;
+        console.error(`❌ compaction: ${error.message}`);
+    }
+
+    try {
+        await runSearchCase();
+    } catch (error) {
+        failures += 1;
+        console.error(`❌ search: ${error.message}`);
+    }
+
+    try {
+        await runArchiveCase();
+    } catch (error) {
+        failures += 1;
+        console.error(`❌ archive: ${error.message}`);
+    }
+
+    try {
+        await runOutboxCase();
+    } catch (error) {
+        failures += 1;
+        console.error(`❌ outbox: ${error.message}`);
+    }
+
+    if (failures > 0) {
+        process.exit(1);
+    }
+
+    console.log('✅ TurnWatcher capture tests passed');
+}
+
+main();
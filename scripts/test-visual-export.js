@@ -0,0 +1,215 @@
+// scripts/test-visual-export.js
+// Captures each turn of the live page with (a stand-in for) html2canvas
+// while platform chrome and the exporter's own UI are hidden, then
+// stitches the captures into a paginated PDF or one long PNG.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const rootDir = path.resolve(__dirname, '..');
+const extensionDir = path.join(rootDir, 'extension');
+const scripts = [
+    'libs/jspdf.umd.min.js',
+    'core/visual-capture.js',
+    'ui/export-interface.js'
+].map((relativePath) => path.join(extensionDir, relativePath));
+
+// SOI, JFIF header, a 1x1 baseline frame and EOI: enough for jsPDF to embed
+const jpeg = `data:image/jpeg;base64,${Buffer.from([
+    0xff, 0xd8,
+    0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00,
+    0xff, 0xc0, 0x00, 0x0b, 0x08, 0x00, 0x01, 0x00, 0x01, 0x01, 0x01, 0x11, 0x00,
+    0xff, 0xd9
+]).toString('base64')}`;
+
+const page = `<!DOCTYPE html><html><body>
+<nav id="sidebar">Chats</nav>
+<header id="top">Title</header>
+<main>
+  <div class="turn" id="t1"><p>Question</p><div class="turn">nested match</div></div>
+  <div class="turn" id="t2"><header id="inner">Answer heading</header><p>Answer</p></div>
+  <div class="turn" style="display: none">collapsed</div>
+  <div class="turn" id="t3"><p>Follow-up</p></div>
+</main>
+<fieldset id="composer"><textarea></textarea></fieldset>
+<div id="uae-floating-button">Export</div>
+</body></html>`;
+
+const selectors = { turns: '.turn', chrome: 'nav, header, fieldset' };
+const heights = { t1: 200, t2: 3000, t3: 100 };
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function fakeCanvas(width, height, calls = []) {
+    return {
+        width,
+        height,
+        calls,
+        getContext: () => ({
+            fillRect: (...args) => calls.push(['fillRect', ...args]),
+            drawImage: (...args) => calls.push(['drawImage', ...args])
+        }),
+        toDataURL: () => jpeg
+    };
+}
+
+function sampleExportData() {
+    return {
+        metadata: {
+            platform: 'claude',
+            url: 'https://claude.ai/chat/visual-5',
+            title: 'Visual demo',
+            exportDate: '2026-03-01T10:00:00.000Z',
+            messageCount: 3
+        },
+        messages: [
+            { id: 'msg_0', author: 'user', content: 'Question', thinkingBlocks: [] },
+            { id: 'msg_1', author: 'assistant', content: 'Answer', thinkingBlocks: [] },
+            { id: 'msg_2', author: 'user', content: 'Follow-up', thinkingBlocks: [] }
+        ],
+        thinkingBlocks: [],
+        rawHtml: { original: null, expanded: null }
+    };
+}
+
+async function pdfText(window, blob) {
+    const buffer = await new Promise((resolve, reject) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+    return Buffer.from(buffer).toString('latin1');
+}
+
+async function main() {
+    const dom = new JSDOM(page, { url: 'https://claude.ai/chat/visual-5', runScripts: 'outside-only' });
+    const { window } = dom;
+
+    try {
+        const context = dom.getInternalVMContext();
+        context.console = { log() {}, warn() {}, error: console.error };
+        scripts.forEach((filePath) => {
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+        });
+        window.scrollTo = () => {};
+        const { document, VisualCapture } = window;
+        const { jsPDF } = window.jspdf;
+        const visibility = (id) => window.getComputedStyle(document.getElementById(id)).visibility;
+        document.getElementById('t2').getBoundingClientRect = () => ({ left: 40, top: 0, width: 800, height: 3000 });
+
+        // 1. Turns: outermost, visible, in order
+        const rendered = [];
+        const render = async (element, options) => {
+            rendered.push({
+                id: element.id,
+                options,
+                chrome: ['sidebar', 'top', 'composer', 'uae-floating-button'].map(visibility),
+                inner: visibility('inner'),
+                ignored: options.ignoreElements(document.getElementById('sidebar'))
+            });
+            return fakeCanvas(800 * options.scale, heights[element.id] * options.scale);
+        };
+        const capture = new VisualCapture({ selectors, render, scale: 1, settle: 0 });
+        const turns = capture.findTurns();
+        assert(turns.map((turn) => turn.id).join() === 't1,t2,t3', `turns: ${turns.map((turn) => turn.id)}`);
+
+        // 2. Chrome hidden only while capturing; chrome inside a turn stays
+        const captures = await capture.captureTurns(turns);
+        assert(rendered.map((call) => call.id).join() === 't1,t2,t3', 'render per turn');
+        assert(rendered.every((call) => call.chrome.every((value) => value === 'hidden')), `chrome visible: ${rendered[0].chrome}`);
+        assert(rendered.every((call) => call.inner !== 'hidden'), 'header inside a turn hidden');
+        assert(rendered[0].options.useCORS && rendered[0].ignored, 'render options');
+        assert(['sidebar', 'uae-floating-button'].every((id) => visibility(id) !== 'hidden'), 'chrome not restored');
+        assert(!document.querySelector('[data-uae-capture-hidden]'), 'capture marker left behind');
+        assert(captures.length === 3 && captures[1].left === 40 && captures[1].height === 3000, 'capture geometry');
+
+        // 3. Failed turns are skipped; no turns at all is an error
+        const flaky = new VisualCapture({
+            selectors,
+            scale: 1,
+            settle: 0,
+            render: async (element) => {
+                if (element.id === 't2') throw new Error('tainted canvas');
+                return fakeCanvas(800, heights[element.id]);
+            }
+        });
+        assert((await flaky.captureTurns(turns)).length === 2, 'failed turn not skipped');
+        const broken = new VisualCapture({ selectors, settle: 0, render: async () => { throw new Error('tainted canvas'); } });
+        let failure = null;
+        await broken.captureTurns(turns).catch((error) => { failure = error; });
+        assert(failure && /No turns could be captured: tainted canvas/.test(failure.message), 'all turns failed');
+
+        // 4. PDF: one scale, tall turns sliced across pages
+        const crops = [];
+        VisualCapture.createCanvas = (width, height) => {
+            const canvas = fakeCanvas(width, height);
+            crops.push(canvas);
+            return canvas;
+        };
+        const blob = VisualCapture.toPdf(captures, { jsPDF, title: 'Visual demo' });
+        const pdf = await pdfText(window, blob);
+        const pages = (pdf.match(/\/Type \/Page\b/g) || []).length;
+        const draws = (pdf.match(/\/I\d+ Do/g) || []).length;
+        assert(pdf.startsWith('%PDF-') && pages === 3 && draws === 5, `pages: ${pages}, images drawn: ${draws}`);
+        assert(crops.length === 3 && crops.every((crop) => crop.width === 800), 'tall turn not cropped in bands');
+        const bands = crops.reduce((sum, crop) => sum + crop.height, 0);
+        assert(Math.abs(bands - 3000) <= 2, `bands cover ${bands}px`);
+        assert(pdf.includes('/Title (Visual demo)'), 'PDF title');
+
+        // 5. PNG: one long canvas, shrunk past the canvas limits
+        crops.length = 0;
+        VisualCapture.createCanvas = (width, height) => {
+            const canvas = fakeCanvas(width, height);
+            canvas.toBlob = (callback, type) => callback(new window.Blob(['png'], { type }));
+            crops.push(canvas);
+            return canvas;
+        };
+        const png = await VisualCapture.toPng(captures);
+        const [sheet] = crops;
+        const drawn = sheet.calls.filter((call) => call[0] === 'drawImage');
+        assert(png.type === 'image/png' && sheet.width === 840 && sheet.height === 3332, `sheet: ${sheet.width}x${sheet.height}`);
+        assert(drawn.length === 3 && drawn[1][2] === 40 && drawn[1][3] === 216 && drawn[2][3] === 3232, 'stitched positions');
+        await VisualCapture.toPng([{ ...captures[0], height: 40000, scale: 2 }]);
+        assert(crops[1].height <= VisualCapture.MAX_CANVAS_SIDE && crops[1].width * crops[1].height <= VisualCapture.MAX_CANVAS_AREA, 'canvas limits');
+
+        // 6. The export: scoped turns, redaction refused, left out of batches
+        const exporter = new window.ExportInterface();
+        exporter.platformInfo = { platform: 'claude', config: { selectors } };
+        exporter.exportData = sampleExportData();
+        exporter.createUI();
+        document.getElementById('export-filename').value = 'visual-demo';
+        document.getElementById('export-scope').value = 'range';
+        document.getElementById('scope-start').value = '2';
+        rendered.length = 0;
+        window.html2canvas = render;
+        VisualCapture.createCanvas = (width, height) => fakeCanvas(width, height);
+
+        const exported = await exporter.generateFormat('visualpdf');
+        assert(exported.type === 'application/pdf' && rendered.map((call) => call.id).join() === 't2,t3', `scoped capture: ${rendered.map((call) => call.id)}`);
+        assert(rendered.every((call) => call.chrome[3] === 'hidden'), 'floating button captured');
+        assert(visibility('universal-ai-exporter-ui') !== 'hidden', 'export panel not restored');
+        assert(exporter.getFilename('visualpng') === 'visual-demo.visual.png' && exporter.getMimeType('visualpng') === 'image/png', 'png filename / mime');
+        assert(!exporter.getSingleFormats().some((format) => format.startsWith('visual')), 'screenshots in batch exports');
+
+        document.getElementById('redact-sensitive').checked = true;
+        failure = null;
+        await exporter.generateFormat('visualpng').catch((error) => { failure = error; });
+        assert(failure && /cannot be redacted/.test(failure.message), 'redacted screenshot');
+
+        console.log('✅ Visual export tests passed');
+    } finally {
+        window.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`❌ visual export: ${error.message}`);
+    process.exit(1);
+});
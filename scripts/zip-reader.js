@@ -0,0 +1,102 @@
+// scripts/zip-reader.js
+// Reads the ZIP files exports produce (bundles, vaults, DOCX, EPUB) through
+// their central directory for tests, checking each entry's size and CRC, and
+// gives ZipWriter a `deflate-raw` CompressionStream on any supported Node.
+
+const zlib = require('zlib');
+const { TransformStream } = require('stream/web');
+
+// CRC-32 table as in ZipWriter; zlib.crc32 needs Node 20.15+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Every entry by name: `{ data, text, method, flags, directory,
+ * localOffset, localExtra }`. Throws on a malformed archive.
+ */
+function readZip(buffer) {
+    const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (endOffset < 0) throw new Error('end of central directory missing');
+    const count = buffer.readUInt16LE(endOffset + 10);
+    let pos = buffer.readUInt32LE(endOffset + 16);
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(pos) !== 0x02014b50) throw new Error('bad central directory record');
+        const flags = buffer.readUInt16LE(pos + 8);
+        const method = buffer.readUInt16LE(pos + 10);
+        const crc = buffer.readUInt32LE(pos + 16);
+        const compressedSize = buffer.readUInt32LE(pos + 20);
+        const size = buffer.readUInt32LE(pos + 24);
+        const nameLength = buffer.readUInt16LE(pos + 28);
+        const extraLength = buffer.readUInt16LE(pos + 30);
+        const commentLength = buffer.readUInt16LE(pos + 32);
+        const externalAttributes = buffer.readUInt32LE(pos + 38);
+        const localOffset = buffer.readUInt32LE(pos + 42);
+        const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+        pos += 46 + nameLength + extraLength + commentLength;
+
+        if (buffer.readUInt32LE(localOffset) !== 0x04034b50) throw new Error(`${name}: bad local header`);
+        if (method !== 0 && method !== 8) throw new Error(`${name}: unknown method ${method}`);
+        const localExtra = buffer.readUInt16LE(localOffset + 28);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + localExtra;
+        const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+        const data = method === 8 ? zlib.inflateRawSync(raw) : Buffer.from(raw);
+        if (data.length !== size) throw new Error(`${name}: size mismatch`);
+        if (crc32(data) !== crc) throw new Error(`${name}: CRC mismatch`);
+
+        entries.set(name, {
+            data,
+            text: data.toString('utf8'),
+            method,
+            flags,
+            directory: (externalAttributes & 0x10) !== 0,
+            localOffset,
+            localExtra
+        });
+    }
+    return entries;
+}
+
+/**
+ * CompressionStream('deflate-raw') over zlib: Node's own lacks the format
+ * before 21.2 and the global before 18.
+ */
+class DeflateRawStream {
+    constructor(format) {
+        if (format !== 'deflate-raw') throw new TypeError(`Unsupported compression format: ${format}`);
+        const chunks = [];
+        const { readable, writable } = new TransformStream({
+            transform(chunk) {
+                chunks.push(Buffer.from(chunk));
+            },
+            flush(controller) {
+                controller.enqueue(new Uint8Array(zlib.deflateRawSync(Buffer.concat(chunks))));
+            }
+        });
+        this.readable = readable;
+        this.writable = writable;
+    }
+}
+
+/** One entry's UTF-8 text, or null when the archive has no such entry. */
+function readZipEntry(buffer, name) {
+    const entry = readZip(buffer).get(name);
+    return entry ? entry.text : null;
+}
+
+module.exports = { readZip, readZipEntry, DeflateRawStream };